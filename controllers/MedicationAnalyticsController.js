@@ -5,6 +5,7 @@ const MedicationLog = require('../models/MedicationLog');
 const MedicationSchedule = require('../models/MedicationSchedule');
 const { VitalSign, HealthCheckIn } = require('../models/healthModel');
 const logger = require('../utils/logger');
+const { getLocalTimeParts, getLocalDateKey, startOfLocalDay, getUserTimezone } = require('../utils/timeUtils');
 const { OpenAI } = require('openai');
 
 // Initialize OpenAI API
@@ -12,12 +13,25 @@ const openai = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY,
 });
 
+// Numeric scale for check-in feelings
+const FEELING_SCORES = { good: 3, fair: 2, poor: 1 };
+
+// Vital sign values used in correlations
+const VITAL_VALUE_FIELDS = ['systolic', 'diastolic', 'glucoseLevel', 'weight', 'temperature', 'heartRate', 'oxygenLevel', 'customValue'];
+
+// Weaker correlations are left out of the results
+const MIN_REPORTED_CORRELATION = 0.3;
+
 /**
  * Get detailed adherence analytics
  * @route GET /api/medications/analytics/adherence
+ * @route GET /api/care/patients/:patientId/analytics/adherence
  */
 exports.getAdherenceAnalytics = async (req, res) => {
   try {
+    // Caregivers viewing a patient's analytics get req.patient from the caregiver routes
+    const patient = req.patient || req.user;
+    
     const { period = '30days', medicationId, includeChartData = 'true' } = req.query;
     
     // Determine date range based on period
@@ -44,25 +58,293 @@ exports.getAdherenceAnalytics = async (req, res) => {
         startDate.setDate(startDate.getDate() - 30);
     }
     
+    // Days and times of day are on the user's local clock
+    const timezone = getUserTimezone(patient);
+    startDate = startOfLocalDay(startDate, timezone);
+    
     // Build query
     const query = { 
-      userId: req.user._id,
+      userId: patient._id,
       createdAt: { $gte: startDate, $lte: endDate }
     };
+    
+    // Add medicationId if provided
+    if (medicationId) {
+      // Verify user has access to the medication
+      const medication = await Medication.findOne({
+        _id: medicationId,
+        $or: [
+          { userId: patient._id },
+          { sharedWith: patient._id }
+        ]
+      });
+      
+      if (!medication) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Medication not found or you do not have access to it'
+        });
+      }
+      
+      query.medicationId = medicationId;
+    } else {
+      // Get all medications the user has access to
+      const medications = await Medication.find({
+        $or: [
+          { userId: patient._id },
+          { sharedWith: patient._id }
+        ],
+        isActive: true
+      }).select('_id');
+      
+      query.medicationId = { $in: medications.map(med => med._id) };
+    }
+    
+    // Get logs with the query
+    const logs = await MedicationLog.find(query)
+      .sort({ createdAt: 1 })
+      .populate('medicationId', 'name genericName dosage frequency');
+    
+    // Calculate overall adherence metrics
+    const totalLogs = logs.length;
+    const takenLogs = logs.filter(log => log.status === 'taken').length;
+    const skippedLogs = logs.filter(log => log.status === 'skipped').length;
+    const missedLogs = logs.filter(log => log.status === 'missed').length;
+    
+    const adherenceRate = totalLogs > 0 ? Math.round((takenLogs / totalLogs) * 100) : null;
+    
+    // Calculate adherence by medication
+    const medicationMap = {};
+    logs.forEach(log => {
+      const medId = log.medicationId?._id?.toString() || 'unknown';
+      if (!medicationMap[medId]) {
+        medicationMap[medId] = {
+          medicationId: medId,
+          name: log.medicationId?.name || 'Unknown Medication',
+          total: 0,
+          taken: 0,
+          skipped: 0,
+          missed: 0,
+          adherenceRate: 0
+        };
+      }
+      
+      medicationMap[medId].total++;
+      if (log.status === 'taken') medicationMap[medId].taken++;
+      if (log.status === 'skipped') medicationMap[medId].skipped++;
+      if (log.status === 'missed') medicationMap[medId].missed++;
+    });
+    
+    // Calculate adherence rates for each medication
+    Object.values(medicationMap).forEach(med => {
+      med.adherenceRate = med.total > 0 ? Math.round((med.taken / med.total) * 100) : null;
+    });
+    
+    // Sort medications by adherence rate (ascending)
+    const medicationAdherence = Object.values(medicationMap).sort((a, b) => a.adherenceRate - b.adherenceRate);
+    
+    // Calculate adherence by day of week
+    const dayOfWeekMap = {
+      0: { name: 'Sunday', total: 0, taken: 0 },
+      1: { name: 'Monday', total: 0, taken: 0 },
+      2: { name: 'Tuesday', total: 0, taken: 0 },
+      3: { name: 'Wednesday', total: 0, taken: 0 },
+      4: { name: 'Thursday', total: 0, taken: 0 },
+      5: { name: 'Friday', total: 0, taken: 0 },
+      6: { name: 'Saturday', total: 0, taken: 0 }
+    };
+    
+    logs.forEach(log => {
+      const dayOfWeek = getLocalTimeParts(log.createdAt, timezone).weekday;
+      dayOfWeekMap[dayOfWeek].total++;
+      if (log.status === 'taken') dayOfWeekMap[dayOfWeek].taken++;
+    });
+    
+    // Calculate adherence rates for each day of week
+    const dayOfWeekAdherence = Object.values(dayOfWeekMap).map(day => ({
+      ...day,
+      adherenceRate: day.total > 0 ? Math.round((day.taken / day.total) * 100) : null
+    }));
+    
+    // Calculate adherence by time of day
+    const timeOfDayMap = {
+      morning: { total: 0, taken: 0 },
+      afternoon: { total: 0, taken: 0 },
+      evening: { total: 0, taken: 0 },
+      night: { total: 0, taken: 0 }
+    };
+    
+    logs.forEach(log => {
+      let timeOfDay;
+      const { hour } = getLocalTimeParts(log.createdAt, timezone);
+      
+      if (hour >= 5 && hour < 12) timeOfDay = 'morning';
+      else if (hour >= 12 && hour < 17) timeOfDay = 'afternoon';
+      else if (hour >= 17 && hour < 21) timeOfDay = 'evening';
+      else timeOfDay = 'night';
+      
+      timeOfDayMap[timeOfDay].total++;
+      if (log.status === 'taken') timeOfDayMap[timeOfDay].taken++;
+    });
+    
+    // Calculate adherence rates for each time of day
+    const timeOfDayAdherence = Object.entries(timeOfDayMap).map(([timeOfDay, data]) => ({
+      timeOfDay,
+      total: data.total,
+      taken: data.taken,
+      adherenceRate: data.total > 0 ? Math.round((data.taken / data.total) * 100) : null
+    }));
+    
+    // Calculate adherence trends over time
+    const adherenceTrends = {};
+    
+    if (includeChartData === 'true') {
+      // Group by day
+      const dailyMap = {};
+      
+      logs.forEach(log => {
+        const dateString = getLocalDateKey(log.createdAt, timezone);
+        
+        if (!dailyMap[dateString]) {
+          dailyMap[dateString] = { date: dateString, total: 0, taken: 0 };
+        }
+        
+        dailyMap[dateString].total++;
+        if (log.status === 'taken') dailyMap[dateString].taken++;
+      });
+      
+      // Convert to array and calculate rates
+      adherenceTrends.days = Object.values(dailyMap).map(day => ({
+        ...day,
+        adherenceRate: day.total > 0 ? Math.round((day.taken / day.total) * 100) : null
+      })).sort((a, b) => new Date(a.date) - new Date(b.date));
+      
+      // Group by week
+      const weeklyMap = {};
+      
+      logs.forEach(log => {
+        const { year, week } = getWeekNumber(log.createdAt, timezone);
+        const weekKey = `${year}-W${week}`;
+        
+        if (!weeklyMap[weekKey]) {
+          weeklyMap[weekKey] = { 
+            week: weekKey, 
+            weekStart: getLocalDateKey(getFirstDayOfWeek(log.createdAt, timezone), timezone),
+            total: 0, 
+            taken: 0 
+          };
+        }
+        
+        weeklyMap[weekKey].total++;
+        if (log.status === 'taken') weeklyMap[weekKey].taken++;
+      });
+      
+      // Convert to array and calculate rates
+      adherenceTrends.weeks = Object.values(weeklyMap).map(week => ({
+        ...week,
+        adherenceRate: week.total > 0 ? Math.round((week.taken / week.total) * 100) : null
+      })).sort((a, b) => new Date(a.weekStart) - new Date(b.weekStart));
+      
+      // Group by month
+      const monthlyMap = {};
+      
+      logs.forEach(log => {
+        const { year, month } = getLocalTimeParts(log.createdAt, timezone);
+        const monthKey = `${year}-${month}`;
+        
+        if (!monthlyMap[monthKey]) {
+          monthlyMap[monthKey] = { 
+            month: monthKey, 
+            monthName: new Date(log.createdAt).toLocaleString('default', { month: 'long', timeZone: timezone }),
+            year,
+            total: 0, 
+            taken: 0 
+          };
+        }
+        
+        monthlyMap[monthKey].total++;
+        if (log.status === 'taken') monthlyMap[monthKey].taken++;
+      });
+      
+      // Convert to array and calculate rates
+      adherenceTrends.months = Object.values(monthlyMap).map(month => ({
+        ...month,
+        adherenceRate: month.total > 0 ? Math.round((month.taken / month.total) * 100) : null
+      })).sort((a, b) => {
+        if (a.year !== b.year) return a.year - b.year;
+        return parseInt(a.month.split('-')[1]) - parseInt(b.month.split('-')[1]);
+      });
+    }
+    
+    // Calculate streaks
+    const { currentStreak, longestStreak } = calculateAdherenceStreaks(logs);
+    
+    // Calculate missed dose patterns
+    const missedDosePatterns = analyzeMissedDosePatterns(logs, timezone);
+    
+    // Generate insights if enough data
+    let insights = [];
+    if (totalLogs > 10) {
+      insights = generateAdherenceInsights({
+        adherenceRate,
+        medicationAdherence,
+        dayOfWeekAdherence,
+        timeOfDayAdherence,
+        currentStreak,
+        longestStreak,
+        missedDosePatterns
+      });
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      period,
+      dateRange: {
+        start: startDate,
+        end: endDate
+      },
+      overview: {
+        totalLogs,
+        takenLogs,
+        skippedLogs,
+        missedLogs,
+        adherenceRate,
+        currentStreak,
+        longestStreak
+      },
+      medicationAdherence,
+      dayOfWeekAdherence,
+      timeOfDayAdherence,
+      missedDosePatterns,
+      adherenceTrends: includeChartData === 'true' ? adherenceTrends : null,
+      insights
+    });
+  } catch (error) {
+    logger.error('Error getting adherence analytics:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get adherence analytics',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
 
 /**
  * Get adherence improvement recommendations
  * @route GET /api/medications/analytics/recommendations
+ * @route GET /api/care/patients/:patientId/analytics/recommendations
  */
 exports.getAdherenceRecommendations = async (req, res) => {
   try {
+    const patient = req.patient || req.user;
+    
     // Get the user's adherence data
     const thirtyDaysAgo = new Date();
     thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
     
     // Get medication logs
     const logs = await MedicationLog.find({
-      userId: req.user._id,
+      userId: patient._id,
       createdAt: { $gte: thirtyDaysAgo }
     }).populate('medicationId', 'name genericName dosage frequency');
     
@@ -88,7 +370,7 @@ exports.getAdherenceRecommendations = async (req, res) => {
     }
     
     // Calculate missed dose patterns
-    const missedDosePatterns = analyzeMissedDosePatterns(logs);
+    const missedDosePatterns = analyzeMissedDosePatterns(logs, getUserTimezone(patient));
     
     // Generate recommendations based on patterns
     const recommendations = generateAdherenceRecommendations(logs, missedDosePatterns, adherenceRate);
@@ -155,9 +437,9 @@ function calculateAdherenceStreaks(logs) {
 }
 
 /**
- * Analyze missed dose patterns
+ * Analyze missed dose patterns, bucketed by the user's local day and hour
  */
-function analyzeMissedDosePatterns(logs) {
+function analyzeMissedDosePatterns(logs, timezone) {
   if (!logs || logs.length === 0) {
     return { byDayOfWeek: {}, byTimeOfDay: {}, byMedication: {} };
   }
@@ -179,12 +461,12 @@ function analyzeMissedDosePatterns(logs) {
   // Count missed doses by day of week
   missedLogs.forEach(log => {
     // By day of week
-    const dayOfWeek = new Date(log.createdAt).getDay();
+    const dayOfWeek = getLocalTimeParts(log.createdAt, timezone).weekday;
     const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
     byDayOfWeek[dayNames[dayOfWeek]]++;
     
     // By time of day
-    const hour = new Date(log.scheduledTime || log.createdAt).getHours();
+    const { hour } = getLocalTimeParts(log.scheduledTime || log.createdAt, timezone);
     if (hour >= 5 && hour < 12) {
       byTimeOfDay.morning++;
     } else if (hour >= 12 && hour < 17) {
@@ -510,14 +792,14 @@ function getTimeOfDayRecommendation(timeOfDay) {
 /**
  * Format adherence data for AI analysis
  */
-function formatAdherenceDataForAI(logs, schedules) {
+function formatAdherenceDataForAI(logs, schedules, timezone) {
   // Calculate adherence rate
   const totalLogs = logs.length;
   const takenLogs = logs.filter(log => log.status === 'taken').length;
   const adherenceRate = totalLogs > 0 ? Math.round((takenLogs / totalLogs) * 100) : null;
   
   // Analyze patterns
-  const missedDosePatterns = analyzeMissedDosePatterns(logs);
+  const missedDosePatterns = analyzeMissedDosePatterns(logs, timezone);
   
   // Format medication schedules
   const medicationSchedules = schedules.map(schedule => ({
@@ -606,284 +888,285 @@ async function getPredictiveInsightsFromAI(adherenceData) {
 /**
  * Calculate adherence vs feeling correlation
  */
-function calculateAdherenceFeelingCorrelation(combinedData) {
+function calculateAdherenceFeelingCorrelation(combinedData, subject = 'your medications') {
   // Filter data points that have both adherence and feeling
   const dataPoints = combinedData.filter(d => d.adherence !== null && d.feeling !== null);
   
   if (dataPoints.length < 5) return null; // Not enough data
   
   // Convert feelings to numeric values
-  const num
-    
-    // Add medicationId if provided
-    if (medicationId) {
-      // Verify user has access to the medication
-      const medication = await Medication.findOne({
-        _id: medicationId,
-        $or: [
-          { userId: req.user._id },
-          { sharedWith: req.user._id }
-        ]
-      });
+  const feelingScores = dataPoints.map(d => FEELING_SCORES[d.feeling]);
+  const strength = calculateCorrelationCoefficient(dataPoints.map(d => d.adherence), feelingScores);
+  
+  if (strength === null) return null;
+  
+  return {
+    type: 'adherence_feeling',
+    factor: 'Overall feeling',
+    strength,
+    direction: strength >= 0 ? 'positive' : 'negative',
+    significance: describeCorrelationStrength(strength),
+    dataPoints: dataPoints.length,
+    description: strength >= 0 ?
+      `You tend to feel better on days you take ${subject} as scheduled.` :
+      `You tend to feel worse on days you take ${subject} as scheduled.`
+  };
+}
+
+/**
+ * Calculate the Pearson correlation coefficient of two series, rounded to two decimals
+ * Returns null when either series does not vary
+ */
+function calculateCorrelationCoefficient(xs, ys) {
+  const n = xs.length;
+  const meanX = xs.reduce((sum, val) => sum + val, 0) / n;
+  const meanY = ys.reduce((sum, val) => sum + val, 0) / n;
+  
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  
+  for (let i = 0; i < n; i++) {
+    covariance += (xs[i] - meanX) * (ys[i] - meanY);
+    varianceX += Math.pow(xs[i] - meanX, 2);
+    varianceY += Math.pow(ys[i] - meanY, 2);
+  }
+  
+  if (varianceX === 0 || varianceY === 0) return null;
+  
+  return Math.round((covariance / Math.sqrt(varianceX * varianceY)) * 100) / 100;
+}
+
+/**
+ * Describe how strong a correlation is
+ */
+function describeCorrelationStrength(strength) {
+  const absolute = Math.abs(strength);
+  
+  if (absolute >= 0.7) return 'strong';
+  if (absolute >= 0.4) return 'moderate';
+  return 'weak';
+}
+
+/**
+ * Calculate adherence vs symptom correlations
+ * Only days with a check-in are used, since symptoms are reported in check-ins
+ */
+function calculateAdherenceSymptomCorrelations(combinedData) {
+  const dataPoints = combinedData.filter(d => d.adherence !== null && d.feeling !== null);
+  
+  if (dataPoints.length < 5) return []; // Not enough data
+  
+  const symptomNames = new Set();
+  dataPoints.forEach(d => d.symptoms.forEach(symptom => {
+    if (symptom.name) symptomNames.add(symptom.name.toLowerCase());
+  }));
+  
+  const correlations = [];
+  
+  symptomNames.forEach(symptomName => {
+    const reported = dataPoints.map(d => (d.symptoms.some(symptom => symptom.name && symptom.name.toLowerCase() === symptomName) ? 1 : 0));
+    
+    // Ignore symptoms that were only reported once or twice
+    if (reported.reduce((sum, val) => sum + val, 0) < 3) return;
+    
+    const strength = calculateCorrelationCoefficient(dataPoints.map(d => d.adherence), reported);
+    
+    if (strength === null || Math.abs(strength) < MIN_REPORTED_CORRELATION) return;
+    
+    correlations.push({
+      type: 'adherence_symptom',
+      factor: symptomName,
+      strength,
+      direction: strength >= 0 ? 'positive' : 'negative',
+      significance: describeCorrelationStrength(strength),
+      dataPoints: dataPoints.length,
+      description: strength < 0 ?
+        `You report ${symptomName} less often on days you take your medications as scheduled.` :
+        `You report ${symptomName} more often on days you take your medications as scheduled.`
+    });
+  });
+  
+  return correlations;
+}
+
+/**
+ * Average each vital sign value recorded on a day, e.g. { 'blood_pressure.systolic': 128 }
+ */
+function getDailyVitalAverages(vitals) {
+  const averages = {};
+  
+  Object.entries(vitals).forEach(([type, readings]) => {
+    VITAL_VALUE_FIELDS.forEach(field => {
+      const values = readings
+        .map(reading => reading.values && reading.values[field])
+        .filter(value => typeof value === 'number');
       
-      if (!medication) {
-        return res.status(404).json({
-          status: 'error',
-          message: 'Medication not found or you do not have access to it'
-        });
+      if (values.length > 0) {
+        averages[`${type}.${field}`] = Math.round((values.reduce((sum, val) => sum + val, 0) / values.length) * 10) / 10;
       }
-      
-      query.medicationId = medicationId;
-    } else {
-      // Get all medications the user has access to
-      const medications = await Medication.find({
-        $or: [
-          { userId: req.user._id },
-          { sharedWith: req.user._id }
-        ],
-        isActive: true
-      }).select('_id');
-      
-      query.medicationId = { $in: medications.map(med => med._id) };
-    }
-    
-    // Get logs with the query
-    const logs = await MedicationLog.find(query)
-      .sort({ createdAt: 1 })
-      .populate('medicationId', 'name genericName dosage frequency');
-    
-    // Calculate overall adherence metrics
-    const totalLogs = logs.length;
-    const takenLogs = logs.filter(log => log.status === 'taken').length;
-    const skippedLogs = logs.filter(log => log.status === 'skipped').length;
-    const missedLogs = logs.filter(log => log.status === 'missed').length;
-    
-    const adherenceRate = totalLogs > 0 ? Math.round((takenLogs / totalLogs) * 100) : null;
-    
-    // Calculate adherence by medication
-    const medicationMap = {};
-    logs.forEach(log => {
-      const medId = log.medicationId?._id?.toString() || 'unknown';
-      if (!medicationMap[medId]) {
-        medicationMap[medId] = {
-          medicationId: medId,
-          name: log.medicationId?.name || 'Unknown Medication',
-          total: 0,
-          taken: 0,
-          skipped: 0,
-          missed: 0,
-          adherenceRate: 0
-        };
-      }
-      
-      medicationMap[medId].total++;
-      if (log.status === 'taken') medicationMap[medId].taken++;
-      if (log.status === 'skipped') medicationMap[medId].skipped++;
-      if (log.status === 'missed') medicationMap[medId].missed++;
     });
+  });
+  
+  return averages;
+}
+
+/**
+ * Calculate adherence vs vital sign correlations
+ */
+function calculateAdherenceVitalCorrelations(combinedData, subject = 'your medications') {
+  const dataPoints = combinedData
+    .filter(d => d.adherence !== null)
+    .map(d => ({ adherence: d.adherence, vitals: getDailyVitalAverages(d.vitals) }));
+  
+  const vitalKeys = new Set();
+  dataPoints.forEach(d => Object.keys(d.vitals).forEach(key => vitalKeys.add(key)));
+  
+  const correlations = [];
+  
+  vitalKeys.forEach(key => {
+    const points = dataPoints.filter(d => d.vitals[key] !== undefined);
     
-    // Calculate adherence rates for each medication
-    Object.values(medicationMap).forEach(med => {
-      med.adherenceRate = med.total > 0 ? Math.round((med.taken / med.total) * 100) : null;
-    });
+    if (points.length < 5) return; // Not enough data
     
-    // Sort medications by adherence rate (ascending)
-    const medicationAdherence = Object.values(medicationMap).sort((a, b) => a.adherenceRate - b.adherenceRate);
+    const strength = calculateCorrelationCoefficient(points.map(d => d.adherence), points.map(d => d.vitals[key]));
     
-    // Calculate adherence by day of week
-    const dayOfWeekMap = {
-      0: { name: 'Sunday', total: 0, taken: 0 },
-      1: { name: 'Monday', total: 0, taken: 0 },
-      2: { name: 'Tuesday', total: 0, taken: 0 },
-      3: { name: 'Wednesday', total: 0, taken: 0 },
-      4: { name: 'Thursday', total: 0, taken: 0 },
-      5: { name: 'Friday', total: 0, taken: 0 },
-      6: { name: 'Saturday', total: 0, taken: 0 }
-    };
+    if (strength === null || Math.abs(strength) < MIN_REPORTED_CORRELATION) return;
     
-    logs.forEach(log => {
-      const dayOfWeek = new Date(log.createdAt).getDay();
-      dayOfWeekMap[dayOfWeek].total++;
-      if (log.status === 'taken') dayOfWeekMap[dayOfWeek].taken++;
-    });
+    const [type, field] = key.split('.');
     
-    // Calculate adherence rates for each day of week
-    const dayOfWeekAdherence = Object.values(dayOfWeekMap).map(day => ({
-      ...day,
-      adherenceRate: day.total > 0 ? Math.round((day.taken / day.total) * 100) : null
-    }));
-    
-    // Calculate adherence by time of day
-    const timeOfDayMap = {
-      morning: { total: 0, taken: 0 },
-      afternoon: { total: 0, taken: 0 },
-      evening: { total: 0, taken: 0 },
-      night: { total: 0, taken: 0 }
-    };
-    
-    logs.forEach(log => {
-      let timeOfDay;
-      const hour = new Date(log.createdAt).getHours();
-      
-      if (hour >= 5 && hour < 12) timeOfDay = 'morning';
-      else if (hour >= 12 && hour < 17) timeOfDay = 'afternoon';
-      else if (hour >= 17 && hour < 21) timeOfDay = 'evening';
-      else timeOfDay = 'night';
-      
-      timeOfDayMap[timeOfDay].total++;
-      if (log.status === 'taken') timeOfDayMap[timeOfDay].taken++;
+    correlations.push({
+      type: 'adherence_vital',
+      factor: key,
+      vitalType: type,
+      vitalField: field,
+      strength,
+      direction: strength >= 0 ? 'positive' : 'negative',
+      significance: describeCorrelationStrength(strength),
+      dataPoints: points.length,
+      description: `Your ${field} readings tend to be ${strength >= 0 ? 'higher' : 'lower'} on days you take ${subject} as scheduled.`
     });
+  });
+  
+  return correlations;
+}
+
+/**
+ * Calculate correlations for a single medication, using that medication's adherence for each day
+ */
+function calculateSpecificMedicationCorrelations(combinedData, medicationId, medicationName) {
+  const medicationData = combinedData.map(d => {
+    const medication = d.medications[medicationId.toString()];
     
-    // Calculate adherence rates for each time of day
-    const timeOfDayAdherence = Object.entries(timeOfDayMap).map(([timeOfDay, data]) => ({
-      timeOfDay,
-      total: data.total,
-      taken: data.taken,
-      adherenceRate: data.total > 0 ? Math.round((data.taken / data.total) * 100) : null
+    return {
+      ...d,
+      adherence: medication && medication.total > 0 ? medication.taken / medication.total : null
+    };
+  });
+  
+  return [
+    calculateAdherenceFeelingCorrelation(medicationData, medicationName),
+    ...calculateAdherenceVitalCorrelations(medicationData, medicationName)
+  ]
+    .filter(Boolean)
+    .map(correlation => ({
+      ...correlation,
+      type: correlation.type.replace('adherence_', 'medication_'),
+      medicationId: medicationId.toString(),
+      medicationName
     }));
-    
-    // Calculate adherence trends over time
-    const adherenceTrends = {};
-    
-    if (includeChartData === 'true') {
-      // Group by day
-      const dailyMap = {};
-      
-      logs.forEach(log => {
-        const date = new Date(log.createdAt);
-        const dateString = date.toISOString().split('T')[0];
-        
-        if (!dailyMap[dateString]) {
-          dailyMap[dateString] = { date: dateString, total: 0, taken: 0 };
-        }
-        
-        dailyMap[dateString].total++;
-        if (log.status === 'taken') dailyMap[dateString].taken++;
-      });
-      
-      // Convert to array and calculate rates
-      adherenceTrends.days = Object.values(dailyMap).map(day => ({
-        ...day,
-        adherenceRate: day.total > 0 ? Math.round((day.taken / day.total) * 100) : null
-      })).sort((a, b) => new Date(a.date) - new Date(b.date));
-      
-      // Group by week
-      const weeklyMap = {};
-      
-      logs.forEach(log => {
-        const date = new Date(log.createdAt);
-        const weekNum = getWeekNumber(date);
-        const weekKey = `${date.getFullYear()}-W${weekNum}`;
-        
-        if (!weeklyMap[weekKey]) {
-          weeklyMap[weekKey] = { 
-            week: weekKey, 
-            weekStart: getFirstDayOfWeek(date).toISOString().split('T')[0],
-            total: 0, 
-            taken: 0 
-          };
-        }
-        
-        weeklyMap[weekKey].total++;
-        if (log.status === 'taken') weeklyMap[weekKey].taken++;
-      });
-      
-      // Convert to array and calculate rates
-      adherenceTrends.weeks = Object.values(weeklyMap).map(week => ({
-        ...week,
-        adherenceRate: week.total > 0 ? Math.round((week.taken / week.total) * 100) : null
-      })).sort((a, b) => new Date(a.weekStart) - new Date(b.weekStart));
-      
-      // Group by month
-      const monthlyMap = {};
-      
-      logs.forEach(log => {
-        const date = new Date(log.createdAt);
-        const monthKey = `${date.getFullYear()}-${date.getMonth() + 1}`;
-        
-        if (!monthlyMap[monthKey]) {
-          monthlyMap[monthKey] = { 
-            month: monthKey, 
-            monthName: date.toLocaleString('default', { month: 'long' }),
-            year: date.getFullYear(),
-            total: 0, 
-            taken: 0 
-          };
-        }
-        
-        monthlyMap[monthKey].total++;
-        if (log.status === 'taken') monthlyMap[monthKey].taken++;
-      });
-      
-      // Convert to array and calculate rates
-      adherenceTrends.months = Object.values(monthlyMap).map(month => ({
-        ...month,
-        adherenceRate: month.total > 0 ? Math.round((month.taken / month.total) * 100) : null
-      })).sort((a, b) => {
-        if (a.year !== b.year) return a.year - b.year;
-        return parseInt(a.month.split('-')[1]) - parseInt(b.month.split('-')[1]);
-      });
-    }
-    
-    // Calculate streaks
-    const { currentStreak, longestStreak } = calculateAdherenceStreaks(logs);
-    
-    // Calculate missed dose patterns
-    const missedDosePatterns = analyzeMissedDosePatterns(logs);
-    
-    // Generate insights if enough data
-    let insights = [];
-    if (totalLogs > 10) {
-      insights = generateAdherenceInsights({
-        adherenceRate,
-        medicationAdherence,
-        dayOfWeekAdherence,
-        timeOfDayAdherence,
-        currentStreak,
-        longestStreak,
-        missedDosePatterns
-      });
-    }
-    
-    res.status(200).json({
-      status: 'success',
-      period,
-      dateRange: {
-        start: startDate,
-        end: endDate
-      },
-      overview: {
-        totalLogs,
-        takenLogs,
-        skippedLogs,
-        missedLogs,
-        adherenceRate,
-        currentStreak,
-        longestStreak
-      },
-      medicationAdherence,
-      dayOfWeekAdherence,
-      timeOfDayAdherence,
-      missedDosePatterns,
-      adherenceTrends: includeChartData === 'true' ? adherenceTrends : null,
-      insights
-    });
-  } catch (error) {
-    logger.error('Error getting adherence analytics:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to get adherence analytics',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+}
+
+/**
+ * Generate insights from health correlations
+ */
+function generateHealthCorrelationInsights(correlations, medication) {
+  const notable = correlations
+    .filter(correlation => correlation.significance !== 'weak')
+    .sort((a, b) => Math.abs(b.strength) - Math.abs(a.strength));
+  
+  if (correlations.length === 0) {
+    return [{
+      type: 'info',
+      insight: 'There is not enough data yet to link your medications to how you feel. Keep logging doses, vital signs and check-ins.'
+    }];
   }
-};
+  
+  if (notable.length === 0) {
+    return [{
+      type: 'info',
+      insight: medication ?
+        `No clear link has been found yet between ${medication.name} and your health readings.` :
+        'No clear link has been found yet between your medications and your health readings.'
+    }];
+  }
+  
+  return notable.slice(0, 5).map(correlation => ({
+    type: correlation.type,
+    factor: correlation.factor,
+    significance: correlation.significance,
+    insight: correlation.description
+  }));
+}
+
+/**
+ * Prepare day by day series for correlation charts
+ */
+function prepareCorrelationChartData(combinedData, medicationId) {
+  const vitals = {};
+  
+  combinedData.forEach((d, index) => {
+    Object.entries(getDailyVitalAverages(d.vitals)).forEach(([key, value]) => {
+      if (!vitals[key]) vitals[key] = new Array(combinedData.length).fill(null);
+      vitals[key][index] = value;
+    });
+  });
+  
+  return {
+    dates: combinedData.map(d => d.date),
+    adherence: combinedData.map(d => {
+      const medication = medicationId ? d.medications[medicationId.toString()] : null;
+      const rate = medicationId ? (medication && medication.total > 0 ? medication.taken / medication.total : null) : d.adherence;
+      return rate !== null ? Math.round(rate * 100) : null;
+    }),
+    feeling: combinedData.map(d => (d.feeling ? FEELING_SCORES[d.feeling] : null)),
+    vitals
+  };
+}
+
+/**
+ * Get the ISO week number of a date on the user's calendar
+ */
+function getWeekNumber(date, timezone) {
+  const { year, month, day, weekday } = getLocalTimeParts(date, timezone);
+  
+  // The Thursday of the same week decides which year the week belongs to
+  const thursday = new Date(Date.UTC(year, month - 1, day + 4 - (weekday || 7)));
+  const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+  
+  return {
+    year: thursday.getUTCFullYear(),
+    week: Math.ceil(((thursday - yearStart) / 86400000 + 1) / 7)
+  };
+}
+
+/**
+ * Get the local midnight starting the week (Monday) of a date
+ */
+function getFirstDayOfWeek(date, timezone) {
+  const { weekday } = getLocalTimeParts(date, timezone);
+  return startOfLocalDay(date, timezone, weekday === 0 ? -6 : 1 - weekday);
+}
 
 /**
  * Get medication consumption patterns
  * @route GET /api/medications/analytics/consumption
+ * @route GET /api/care/patients/:patientId/analytics/consumption
  */
 exports.getMedicationConsumptionPatterns = async (req, res) => {
   try {
+    const patient = req.patient || req.user;
+    
     const { period = '90days', medicationId } = req.query;
     
     // Determine date range based on period
@@ -907,9 +1190,12 @@ exports.getMedicationConsumptionPatterns = async (req, res) => {
         startDate.setDate(startDate.getDate() - 90);
     }
     
+    // Consumption times are bucketed on the user's local clock
+    const timezone = getUserTimezone(patient);
+    
     // Build query for medication logs
     const logsQuery = {
-      userId: req.user._id,
+      userId: patient._id,
       status: 'taken', // Only consider taken medications for consumption analysis
       createdAt: { $gte: startDate, $lte: endDate }
     };
@@ -919,8 +1205,8 @@ exports.getMedicationConsumptionPatterns = async (req, res) => {
       const medication = await Medication.findOne({
         _id: medicationId,
         $or: [
-          { userId: req.user._id },
-          { sharedWith: req.user._id }
+          { userId: patient._id },
+          { sharedWith: patient._id }
         ]
       });
       
@@ -975,7 +1261,7 @@ exports.getMedicationConsumptionPatterns = async (req, res) => {
       medicationMap[medId].dosesCount++;
       
       // Count by time of day
-      const hour = new Date(log.takenTime || log.createdAt).getHours();
+      const { hour, weekday: dayOfWeek } = getLocalTimeParts(log.takenTime || log.createdAt, timezone);
       if (hour >= 5 && hour < 12) {
         medicationMap[medId].consumptionByTimeOfDay.morning++;
       } else if (hour >= 12 && hour < 17) {
@@ -987,7 +1273,6 @@ exports.getMedicationConsumptionPatterns = async (req, res) => {
       }
       
       // Count by day of week
-      const dayOfWeek = new Date(log.takenTime || log.createdAt).getDay();
       const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
       medicationMap[medId].consumptionByDayOfWeek[dayNames[dayOfWeek]]++;
     });
@@ -1121,9 +1406,12 @@ exports.getMedicationConsumptionPatterns = async (req, res) => {
 /**
  * Get predictive adherence insights
  * @route GET /api/medications/analytics/predictive
+ * @route GET /api/care/patients/:patientId/analytics/predictive
  */
 exports.getPredictiveAdherenceInsights = async (req, res) => {
   try {
+    const patient = req.patient || req.user;
+    
     // Skip AI processing in development mode to save API calls
     if (process.env.NODE_ENV === 'development') {
       return res.status(200).json({
@@ -1144,18 +1432,18 @@ exports.getPredictiveAdherenceInsights = async (req, res) => {
     
     // Get adherence data
     const logs = await MedicationLog.find({ 
-      userId: req.user._id,
+      userId: patient._id,
       createdAt: { $gte: new Date(Date.now() - 90 * 24 * 60 * 60 * 1000) } // Last 90 days
     }).populate('medicationId', 'name genericName dosage frequency');
     
     // Get schedule data
     const schedules = await MedicationSchedule.find({
-      userId: req.user._id,
+      userId: patient._id,
       active: true
     }).populate('medicationId', 'name genericName dosage frequency');
     
     // Format data for the AI
-    const adherenceData = formatAdherenceDataForAI(logs, schedules);
+    const adherenceData = formatAdherenceDataForAI(logs, schedules, getUserTimezone(patient));
     
     // Get predictive insights from OpenAI
     const predictions = await getPredictiveInsightsFromAI(adherenceData);
@@ -1179,9 +1467,12 @@ exports.getPredictiveAdherenceInsights = async (req, res) => {
 /**
  * Analyze correlations between medication adherence and health outcomes
  * @route GET /api/medications/analytics/health-correlations
+ * @route GET /api/care/patients/:patientId/analytics/health-correlations
  */
 exports.getHealthCorrelations = async (req, res) => {
   try {
+    const patient = req.patient || req.user;
+    
     const { period = '90days', medicationId, includeChartData = 'true' } = req.query;
     
     // Determine date range based on period
@@ -1211,8 +1502,8 @@ exports.getHealthCorrelations = async (req, res) => {
       medication = await Medication.findOne({
         _id: medicationId,
         $or: [
-          { userId: req.user._id },
-          { sharedWith: req.user._id }
+          { userId: patient._id },
+          { sharedWith: patient._id }
         ]
       });
       
@@ -1225,8 +1516,11 @@ exports.getHealthCorrelations = async (req, res) => {
     }
     
     // Get medication logs
+    // Days are grouped on the patient's calendar
+    const timezone = getUserTimezone(patient);
+    
     const logsQuery = { 
-      userId: req.user._id,
+      userId: patient._id,
       createdAt: { $gte: startDate, $lte: endDate }
     };
     
@@ -1241,7 +1535,82 @@ exports.getHealthCorrelations = async (req, res) => {
     // Group logs by date for correlation analysis
     const logsByDate = {};
     logs.forEach(log => {
-      const dateKey = new Date(checkin.createdAt).toISOString().split('T')[0];
+      const dateKey = getLocalDateKey(log.createdAt, timezone);
+      
+      if (!logsByDate[dateKey]) {
+        logsByDate[dateKey] = {
+          date: dateKey,
+          totalLogs: 0,
+          takenLogs: 0,
+          medications: {}
+        };
+      }
+      
+      logsByDate[dateKey].totalLogs++;
+      if (log.status === 'taken') {
+        logsByDate[dateKey].takenLogs++;
+      }
+      
+      // Track by medication
+      const medId = log.medicationId?._id?.toString();
+      if (medId) {
+        if (!logsByDate[dateKey].medications[medId]) {
+          logsByDate[dateKey].medications[medId] = {
+            id: medId,
+            name: log.medicationId?.name || 'Unknown',
+            taken: 0,
+            total: 0
+          };
+        }
+        
+        logsByDate[dateKey].medications[medId].total++;
+        if (log.status === 'taken') {
+          logsByDate[dateKey].medications[medId].taken++;
+        }
+      }
+    });
+    
+    // Get vital signs
+    const vitalSigns = await VitalSign.find({
+      userId: patient._id,
+      timestamp: { $gte: startDate, $lte: endDate }
+    }).sort({ timestamp: 1 });
+    
+    // Group vital signs by date
+    const vitalsByDate = {};
+    vitalSigns.forEach(vital => {
+      const dateKey = getLocalDateKey(vital.timestamp, timezone);
+      
+      if (!vitalsByDate[dateKey]) {
+        vitalsByDate[dateKey] = {
+          date: dateKey,
+          vitals: {}
+        };
+      }
+      
+      // Add this vital sign reading
+      if (!vitalsByDate[dateKey].vitals[vital.type]) {
+        vitalsByDate[dateKey].vitals[vital.type] = [];
+      }
+      
+      vitalsByDate[dateKey].vitals[vital.type].push({
+        id: vital._id,
+        timestamp: vital.timestamp,
+        values: vital.values,
+        isNormal: vital.isNormal
+      });
+    });
+    
+    // Get health check-ins
+    const healthCheckins = await HealthCheckIn.find({
+      userId: patient._id,
+      createdAt: { $gte: startDate, $lte: endDate }
+    }).sort({ createdAt: 1 });
+    
+    // Group health check-ins by date
+    const healthByDate = {};
+    healthCheckins.forEach(checkin => {
+      const dateKey = getLocalDateKey(checkin.createdAt, timezone);
       
       if (!healthByDate[dateKey]) {
         healthByDate[dateKey] = {
@@ -1347,79 +1716,4 @@ exports.getHealthCorrelations = async (req, res) => {
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
-};(vital.timestamp).toISOString().split('T')[0];
-      
-      if (!vitalsByDate[dateKey]) {
-        vitalsByDate[dateKey] = {
-          date: dateKey,
-          vitals: {}
-        };
-      }
-      
-      // Add this vital sign reading
-      if (!vitalsByDate[dateKey].vitals[vital.type]) {
-        vitalsByDate[dateKey].vitals[vital.type] = [];
-      }
-      
-      vitalsByDate[dateKey].vitals[vital.type].push({
-        id: vital._id,
-        timestamp: vital.timestamp,
-        values: vital.values,
-        isNormal: vital.isNormal
-      });
-    });
-    
-    // Get health check-ins
-    const healthCheckins = await HealthCheckIn.find({
-      userId: req.user._id,
-      createdAt: { $gte: startDate, $lte: endDate }
-    }).sort({ createdAt: 1 });
-    
-    // Group health check-ins by date
-    const healthByDate = {};
-    healthCheckins.forEach(checkin => {
-      const dateKey = new Date(log.createdAt).toISOString().split('T')[0];
-      
-      if (!logsByDate[dateKey]) {
-        logsByDate[dateKey] = {
-          date: dateKey,
-          totalLogs: 0,
-          takenLogs: 0,
-          medications: {}
-        };
-      }
-      
-      logsByDate[dateKey].totalLogs++;
-      if (log.status === 'taken') {
-        logsByDate[dateKey].takenLogs++;
-      }
-      
-      // Track by medication
-      const medId = log.medicationId?._id?.toString();
-      if (medId) {
-        if (!logsByDate[dateKey].medications[medId]) {
-          logsByDate[dateKey].medications[medId] = {
-            id: medId,
-            name: log.medicationId?.name || 'Unknown',
-            taken: 0,
-            total: 0
-          };
-        }
-        
-        logsByDate[dateKey].medications[medId].total++;
-        if (log.status === 'taken') {
-          logsByDate[dateKey].medications[medId].taken++;
-        }
-      }
-    });
-    
-    // Get vital signs
-    const vitalSigns = await VitalSign.find({
-      userId: req.user._id,
-      timestamp: { $gte: startDate, $lte: endDate }
-    }).sort({ timestamp: 1 });
-    
-    // Group vital signs by date
-    const vitalsByDate = {};
-    vitalSigns.forEach(vital => {
-      const dateKey = new Date
\ No newline at end of file
+};
@@ -4,6 +4,7 @@ const Medication = require('../models/medicationModel');
 const SideEffect = require('../models/SideEffect');
 const { HealthCheckIn } = require('../models/healthModel');
 const logger = require('../utils/logger');
+const { getLocalTimeParts, getUserTimezone } = require('../utils/timeUtils');
 const { OpenAI } = require('openai');
 
 // Initialize OpenAI API for insights
@@ -991,9 +992,10 @@ exports.getEfficacyContext = async (req, res) => {
     // Analyze time of day patterns (assuming we can extract this from recordedAt)
     const timeData = {};
     
+    const timezone = getUserTimezone(req.user);
+    
     efficacyRecords.forEach(record => {
-      const date = new Date(record.recordedAt);
-      const hour = date.getHours();
+      const { hour } = getLocalTimeParts(record.recordedAt, timezone);
       
       let timeOfDay;
       if (hour >= 5 && hour < 12) timeOfDay = 'morning';
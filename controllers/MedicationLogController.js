@@ -4,6 +4,10 @@ const Medication = require('../models/medicationModel');
 const MedicationSchedule = require('../models/MedicationSchedule');
 const MedicationReminder = require('../models/MedicationReminder');
 const logger = require('../utils/logger');
+const { getLocalTimeParts, startOfLocalDay, getUserTimezone } = require('../utils/timeUtils');
+const { countExpectedDoses } = require('../services/doseScheduleService');
+const { authorizeMedicationAccess } = require('../services/caregiverAccessService');
+const { publishDoseEvent } = require('../services/careEventService');
 
 /**
  * Record medication taken/skipped/missed
@@ -30,22 +34,25 @@ exports.recordMedicationEvent = async (req, res) => {
       });
     }
     
-    // Check if medication exists and belongs to user
-    const medication = await Medication.findOne({
-      _id: medicationId,
-      $or: [
-        { userId: req.user._id }, // User's own medication
-        { sharedWith: req.user._id } // Medication shared with user
-      ]
-    });
+    // Check the medication is the user's own, shared with them, or their patient's
+    const access = await authorizeMedicationAccess(req, medicationId, 'canRecordDoses');
     
-    if (!medication) {
+    if (!access.medication) {
       return res.status(404).json({
         status: 'error',
         message: 'Medication not found or you do not have access to it'
       });
     }
     
+    if (!access.allowed) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You do not have permission to record doses for this medication'
+      });
+    }
+    
+    const { medication } = access;
+    
     // Create medication log
     const medicationLog = new MedicationLog({
       userId: medication.userId, // Always use the medication owner's ID
@@ -62,6 +69,8 @@ exports.recordMedicationEvent = async (req, res) => {
     
     await medicationLog.save();
     
+    publishDoseEvent(medicationLog, medication.name);
+    
     // Update medication remaining quantity if taken
     if (status === 'taken' && medication.remainingQuantity !== undefined) {
       medication.remainingQuantity = Math.max(0, medication.remainingQuantity - 1);
@@ -85,15 +94,17 @@ exports.recordMedicationEvent = async (req, res) => {
       await medication.save();
     }
     
-    // Update any associated reminders
+    // Update any associated reminders so they stop nagging and are not marked missed
     if (scheduledTime) {
+      const hourRange = {
+        $gte: new Date(scheduledTime).setMinutes(0, 0, 0),
+        $lte: new Date(scheduledTime).setMinutes(59, 59, 999)
+      };
+      
       await MedicationReminder.updateMany(
         {
           medicationId,
-          reminderTime: {
-            $gte: new Date(scheduledTime).setMinutes(0, 0, 0),
-            $lte: new Date(scheduledTime).setMinutes(59, 59, 999)
-          },
+          $or: [{ scheduledTime: hourRange }, { reminderTime: hourRange }],
           status: { $in: ['pending', 'sent', 'snoozed'] }
         },
         {
@@ -142,15 +153,9 @@ exports.recordMedicationEvent = async (req, res) => {
     
     // Check if user has access to the medication
     if (medicationId) {
-      const medication = await Medication.findOne({
-        _id: medicationId,
-        $or: [
-          { userId: req.user._id },
-          { sharedWith: req.user._id }
-        ]
-      });
+      const access = await authorizeMedicationAccess(req, medicationId, 'canView');
       
-      if (!medication) {
+      if (!access.allowed) {
         return res.status(404).json({
           status: 'error',
           message: 'Medication not found or you do not have access to it'
@@ -201,10 +206,10 @@ exports.recordMedicationEvent = async (req, res) => {
     
     if (medicationId) {
       // Calculate adherence stats for specific medication
-      adherenceStats = await calculateMedicationAdherence(medicationId);
+      adherenceStats = await calculateMedicationAdherence(medicationId, null, null, getUserTimezone(req.user));
     } else {
       // Calculate overall adherence stats
-      adherenceStats = await calculateOverallAdherence(req.user._id, medicationIds);
+      adherenceStats = await calculateOverallAdherence(req.user._id, medicationIds, null, null, getUserTimezone(req.user));
     }
     
     res.status(200).json({
@@ -258,19 +263,17 @@ exports.recordMedicationEvent = async (req, res) => {
         startDate.setDate(startDate.getDate() - 30);
     }
     
+    // Count whole days on the user's local calendar
+    const timezone = getUserTimezone(req.user);
+    startDate = startOfLocalDay(startDate, timezone);
+    
     let adherenceStats;
     
     if (medicationId) {
       // Verify user has access to this medication
-      const medication = await Medication.findOne({
-        _id: medicationId,
-        $or: [
-          { userId: req.user._id },
-          { sharedWith: req.user._id }
-        ]
-      });
+      const access = await authorizeMedicationAccess(req, medicationId, 'canView');
       
-      if (!medication) {
+      if (!access.allowed) {
         return res.status(404).json({
           status: 'error',
           message: 'Medication not found or you do not have access to it'
@@ -278,7 +281,7 @@ exports.recordMedicationEvent = async (req, res) => {
       }
       
       // Get adherence for specific medication
-      adherenceStats = await calculateMedicationAdherence(medicationId, startDate, endDate);
+      adherenceStats = await calculateMedicationAdherence(medicationId, startDate, endDate, timezone);
     } else {
       // Get user's medications
       const userMedications = await Medication.find({
@@ -292,7 +295,7 @@ exports.recordMedicationEvent = async (req, res) => {
       const medicationIds = userMedications.map(med => med._id);
       
       // Calculate overall adherence
-      adherenceStats = await calculateOverallAdherence(req.user._id, medicationIds, startDate, endDate);
+      adherenceStats = await calculateOverallAdherence(req.user._id, medicationIds, startDate, endDate, timezone);
     }
     
     // Add time-based trends
@@ -300,7 +303,8 @@ exports.recordMedicationEvent = async (req, res) => {
       medicationId || null,
       req.user._id,
       startDate,
-      endDate
+      endDate,
+      timezone
     );
     
     res.status(200).json({
@@ -310,6 +314,7 @@ exports.recordMedicationEvent = async (req, res) => {
         start: startDate,
         end: endDate
       },
+      timezone,
       adherenceStats,
       adherenceTrends
     });
@@ -326,7 +331,7 @@ exports.recordMedicationEvent = async (req, res) => {
  /**
  * Calculate adherence statistics for a specific medication
  */
- async function calculateMedicationAdherence(medicationId, startDate = null, endDate = null) {
+ async function calculateMedicationAdherence(medicationId, startDate = null, endDate = null, timezone) {
   try {
     // Build query
     const query = { medicationId };
@@ -348,6 +353,9 @@ exports.recordMedicationEvent = async (req, res) => {
     
     const adherenceRate = totalLogs > 0 ? Math.round((takenLogs / totalLogs) * 100) : null;
     
+    // Doses the schedule called for, including cycle off days and taper phases
+    const expectedDoses = await countExpectedDoses(medicationId, startDate, endDate || new Date(), timezone);
+    
     // Get streak information
     const { currentStreak, longestStreak } = calculateAdherenceStreaks(logs);
     
@@ -357,6 +365,8 @@ exports.recordMedicationEvent = async (req, res) => {
       skippedLogs,
       missedLogs,
       adherenceRate,
+      expectedDoses,
+      scheduledAdherenceRate: expectedDoses > 0 ? Math.min(100, Math.round((takenLogs / expectedDoses) * 100)) : null,
       currentStreak,
       longestStreak
     };
@@ -369,7 +379,7 @@ exports.recordMedicationEvent = async (req, res) => {
  /**
  * Calculate overall adherence statistics for multiple medications
  */
- async function calculateOverallAdherence(userId, medicationIds, startDate = null, endDate = null) {
+ async function calculateOverallAdherence(userId, medicationIds, startDate = null, endDate = null, timezone) {
   try {
     // Build query
     const query = {
@@ -395,9 +405,13 @@ exports.recordMedicationEvent = async (req, res) => {
     
     // Get adherence by medication
     const adherenceByMedication = [];
+    let expectedDoses = 0;
     
     for (const medId of medicationIds) {
       const medLogs = logs.filter(log => log.medicationId.toString() === medId.toString());
+      const medExpectedDoses = await countExpectedDoses(medId, startDate, endDate || new Date(), timezone);
+      
+      expectedDoses += medExpectedDoses;
       
       if (medLogs.length > 0) {
         const medTakenLogs = medLogs.filter(log => log.status === 'taken').length;
@@ -411,6 +425,7 @@ exports.recordMedicationEvent = async (req, res) => {
             name: medication.name,
             dosage: medication.dosage,
             logsCount: medLogs.length,
+            expectedDoses: medExpectedDoses,
             adherenceRate: medAdherenceRate
           });
         }
@@ -426,6 +441,8 @@ exports.recordMedicationEvent = async (req, res) => {
       skippedLogs,
       missedLogs,
       adherenceRate,
+      expectedDoses,
+      scheduledAdherenceRate: expectedDoses > 0 ? Math.min(100, Math.round((takenLogs / expectedDoses) * 100)) : null,
       adherenceByMedication
     };
   } catch (error) {
@@ -437,7 +454,7 @@ exports.recordMedicationEvent = async (req, res) => {
  /**
  * Calculate time-based adherence trends
  */
- async function calculateAdherenceTrends(medicationId, userId, startDate, endDate) {
+ async function calculateAdherenceTrends(medicationId, userId, startDate, endDate, timezone) {
   try {
     // Build query
     const query = {};
@@ -466,13 +483,13 @@ exports.recordMedicationEvent = async (req, res) => {
     const logs = await MedicationLog.find(query).sort({ createdAt: 1 });
     
     // Analyze time of day trends
-    const timeOfDayTrends = analyzeTimeOfDayTrends(logs);
+    const timeOfDayTrends = analyzeTimeOfDayTrends(logs, timezone);
     
     // Analyze day of week trends
-    const dayOfWeekTrends = analyzeDayOfWeekTrends(logs);
+    const dayOfWeekTrends = analyzeDayOfWeekTrends(logs, timezone);
     
     // Analyze weekly trends
-    const weeklyTrends = analyzeWeeklyTrends(logs);
+    const weeklyTrends = analyzeWeeklyTrends(logs, timezone);
     
     return {
       timeOfDayTrends,
@@ -486,9 +503,9 @@ exports.recordMedicationEvent = async (req, res) => {
  }
  
  /**
- * Analyze time of day adherence trends
+ * Analyze time of day adherence trends, using hours on the user's local clock
  */
- function analyzeTimeOfDayTrends(logs) {
+ function analyzeTimeOfDayTrends(logs, timezone) {
   // Define time periods
   const periods = {
     morning: { start: 5, end: 11, total: 0, taken: 0 },
@@ -499,9 +516,7 @@ exports.recordMedicationEvent = async (req, res) => {
   
   // Count logs by period
   logs.forEach(log => {
-    const hour = log.scheduledTime ? new Date(log.scheduledTime).getHours() : 
-               (log.takenTime ? new Date(log.takenTime).getHours() : 
-               new Date(log.createdAt).getHours());
+    const { hour } = getLocalTimeParts(log.scheduledTime || log.takenTime || log.createdAt, timezone);
     
     let period;
     if (hour >= periods.morning.start && hour <= periods.morning.end) {
@@ -547,9 +562,9 @@ exports.recordMedicationEvent = async (req, res) => {
 
 
 /*
-* Analyze day of week adherence trends
+* Analyze day of week adherence trends, using the user's local calendar
 */
-function analyzeDayOfWeekTrends(logs) {
+function analyzeDayOfWeekTrends(logs, timezone) {
 // Define days
 const days = {
   sunday: { total: 0, taken: 0 },
@@ -566,11 +581,9 @@ const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'frida
 
 // Count logs by day
 logs.forEach(log => {
-  const date = log.scheduledTime ? new Date(log.scheduledTime) : 
-             (log.takenTime ? new Date(log.takenTime) : 
-             new Date(log.createdAt));
+  const { weekday } = getLocalTimeParts(log.scheduledTime || log.takenTime || log.createdAt, timezone);
   
-  const day = dayNames[date.getDay()];
+  const day = dayNames[weekday];
   
   days[day].total++;
   if (log.status === 'taken') {
@@ -631,7 +644,7 @@ return {
 /**
 * Analyze weekly adherence trends
 */
-function analyzeWeeklyTrends(logs) {
+function analyzeWeeklyTrends(logs, timezone) {
 if (logs.length === 0) return { weeks: [] };
 
 // Group logs by week
@@ -643,12 +656,12 @@ logs.forEach(log => {
              new Date(log.createdAt));
   
   // Get week number (ISO week)
-  const weekKey = getWeekKey(date);
+  const weekKey = getWeekKey(date, timezone);
   
   if (!weeks[weekKey]) {
     weeks[weekKey] = {
       week: weekKey,
-      startDate: getWeekStartDate(date),
+      startDate: getWeekStartDate(date, timezone),
       total: 0,
       taken: 0
     };
@@ -737,22 +750,22 @@ return { currentStreak, longestStreak };
 }
 
 /**
-* Get week identifier (YYYY-WW)
+* Get week identifier (YYYY-WW) of the local date in a timezone
 */
-function getWeekKey(date) {
-const d = new Date(date);
-const firstDayOfYear = new Date(d.getFullYear(), 0, 1);
+function getWeekKey(date, timezone) {
+const { year, month, day } = getLocalTimeParts(date, timezone);
+const d = Date.UTC(year, month - 1, day);
+const firstDayOfYear = new Date(Date.UTC(year, 0, 1));
 const pastDaysOfYear = (d - firstDayOfYear) / 86400000;
-const weekNumber = Math.ceil((pastDaysOfYear + firstDayOfYear.getDay() + 1) / 7);
-return `${d.getFullYear()}-${weekNumber.toString().padStart(2, '0')}`;
+const weekNumber = Math.ceil((pastDaysOfYear + firstDayOfYear.getUTCDay() + 1) / 7);
+return `${year}-${weekNumber.toString().padStart(2, '0')}`;
 }
 
 /**
-* Get the start date of a week containing the given date
+* Get the local midnight starting the week (Monday) containing the given date
 */
-function getWeekStartDate(date) {
-const d = new Date(date);
-const day = d.getDay();
-const diff = d.getDate() - day + (day === 0 ? -6 : 1); // adjust when day is Sunday
-return new Date(d.setDate(diff));
+function getWeekStartDate(date, timezone) {
+const { weekday } = getLocalTimeParts(date, timezone);
+const diff = weekday === 0 ? -6 : 1 - weekday; // adjust when day is Sunday
+return startOfLocalDay(date, timezone, diff);
 }
\ No newline at end of file
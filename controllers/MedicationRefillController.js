@@ -1,6 +1,6 @@
 const MedicationRefill = require('../models/MedicationRefill');
-const Medication = require('../models/medicationModel');
 const logger = require('../utils/logger');
+const { authorizeMedicationAccess } = require('../services/caregiverAccessService');
 
 /**
  * Record medication refill
@@ -18,38 +18,26 @@ exports.recordRefill = async (req, res) => {
       });
     }
     
-    // Find the medication
-    const medication = await Medication.findOne({
-      _id: req.params.id,
-      $or: [
-        { userId: req.user._id }, // User's own medication
-        { sharedWith: req.user._id } // Medication shared with user (check if they have refill permission)
-      ]
-    });
+    // Find the medication (the user's own, shared with them, or their patient's)
+    const access = await authorizeMedicationAccess(req, req.params.id, 'canRecordRefills');
     
-    if (!medication) {
+    if (!access.medication) {
       return res.status(404).json({
         status: 'error',
         message: 'Medication not found or you do not have access to it'
       });
     }
     
-    // If a caregiver is recording this, check permissions
-    if (medication.userId.toString() !== req.user._id.toString()) {
-      const sharing = await MedicationSharing.findOne({
-        medicationId: medication._id,
-        caregiverId: req.user._id,
-        status: 'active'
+    // Everyone but the owner needs permission to record refills
+    if (!access.allowed) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You do not have permission to record refills for this medication'
       });
-      
-      if (!sharing || !sharing.permissions.canRecordRefills) {
-        return res.status(403).json({
-          status: 'error',
-          message: 'You do not have permission to record refills for this medication'
-        });
-      }
     }
     
+    const { medication } = access;
+    
     // Create refill record
     const refill = new MedicationRefill({
       userId: medication.userId, // Always use medication owner's ID
@@ -115,21 +103,17 @@ exports.recordRefill = async (req, res) => {
 exports.getRefillHistory = async (req, res) => {
   try {
     // Find the medication
-    const medication = await Medication.findOne({
-      _id: req.params.id,
-      $or: [
-        { userId: req.user._id },
-        { sharedWith: req.user._id }
-      ]
-    });
+    const access = await authorizeMedicationAccess(req, req.params.id, 'canView');
     
-    if (!medication) {
+    if (!access.allowed) {
       return res.status(404).json({
         status: 'error',
         message: 'Medication not found or you do not have access to it'
       });
     }
     
+    const { medication } = access;
+    
     // Get refill history
     const refills = await MedicationRefill.find({ medicationId: medication._id })
       .sort({ refillDate: -1 })
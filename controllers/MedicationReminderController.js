@@ -1,9 +1,18 @@
 const MedicationReminder = require('../models/MedicationReminder');
 const Medication = require('../models/medicationModel');
 const MedicationSchedule = require('../models/MedicationSchedule');
-const MedicationLog = require('../models/MedicationLog');
 const logger = require('../utils/logger');
 const { sendPushNotification } = require('../services/notificationService');
+const {
+  DEFAULT_SNOOZE_MINUTES,
+  validateResponse,
+  respondToReminder,
+  findByActionToken,
+  consumeActionToken,
+  describeResponse
+} = require('../services/reminderResponseService');
+const { prefersHtml, confirmationPage, resultPage } = require('../utils/pageTemplates');
+const { handleInboundMessage, buildTwimlReply } = require('../services/inboundMessageService');
 
 /**
  * Get upcoming medication reminders
@@ -125,12 +134,12 @@ exports.respondToReminder = async (req, res) => {
   try {
     const { action, snoozeMinutes, notes } = req.body;
     
-    // Validate action
-    const validActions = ['taken', 'skipped', 'snoozed'];
-    if (!validActions.includes(action)) {
+    // Validate action and snooze time
+    const validationError = validateResponse(action, snoozeMinutes);
+    if (validationError) {
       return res.status(400).json({
         status: 'error',
-        message: `Invalid action. Must be one of: ${validActions.join(', ')}`
+        message: validationError
       });
     }
     
@@ -147,83 +156,158 @@ exports.respondToReminder = async (req, res) => {
       });
     }
     
-    // Handle action
-    if (action === 'snoozed') {
-      // Validate snooze minutes
-      if (!snoozeMinutes || snoozeMinutes < 5 || snoozeMinutes > 120) {
-        return res.status(400).json({
-          status: 'error',
-          message: 'Snooze time must be between 5 and 120 minutes'
-        });
-      }
-      
-      // Calculate new reminder time
-      const newReminderTime = new Date();
-      newReminderTime.setMinutes(newReminderTime.getMinutes() + parseInt(snoozeMinutes));
-      
-      // Update reminder
-      reminder.status = 'snoozed';
-      reminder.responseAction = 'snoozed';
-      reminder.reminderTime = newReminderTime;
-      reminder.acknowledgedAt = new Date();
+    const { medicationLog } = await respondToReminder(reminder, action, {
+      snoozeMinutes,
+      notes,
+      recordedBy: req.user._id
+    });
+    
+    res.status(200).json({
+      status: 'success',
+      message: action === 'snoozed' ? `Reminder snoozed for ${snoozeMinutes} minutes` : `Medication marked as ${action}`,
+      reminder,
+      medicationLog: medicationLog || undefined
+    });
+  } catch (error) {
+    logger.error('Error responding to reminder:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to process reminder response',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'An unexpected error occurred'
+    });
+  }
+};
+
+/**
+ * Show what a reminder link does, without answering the reminder.
+ * Messaging apps and link scanners fetch links on their own, so only a POST records the answer;
+ * browsers get a page with buttons that send it.
+ * @route GET /api/medications/reminders/action/:token
+ */
+exports.previewActionToken = async (req, res) => {
+  try {
+    const reminder = await findByActionToken(req.params.token);
+    
+    if (!reminder) {
+      const message = 'This reminder link is invalid, has expired or was already used';
       
-      await reminder.save();
+      if (prefersHtml(req)) {
+        return res.status(404).send(resultPage('Reminder link', message));
+      }
       
-      res.status(200).json({
-        status: 'success',
-        message: `Reminder snoozed for ${snoozeMinutes} minutes`,
-        reminder
+      return res.status(404).json({
+        status: 'error',
+        message
       });
-    } else {
-      // Update reminder status
-      reminder.status = 'acknowledged';
-      reminder.responseAction = action;
-      reminder.acknowledgedAt = new Date();
-      
-      await reminder.save();
-      
-      // Create medication log entry
-      const medicationLog = new MedicationLog({
-        userId: reminder.userId,
-        medicationId: reminder.medicationId,
-        scheduledTime: reminder.reminderTime,
-        takenTime: action === 'taken' ? new Date() : null,
-        status: action,
-        notes,
-        recordedBy: req.user._id,
-        recordedAt: new Date(),
-        quantityAdjustment: action === 'taken' ? -1 : 0
+    }
+    
+    await reminder.populate('medicationId', 'name');
+    const medicationName = reminder.medicationId ? reminder.medicationId.name : 'your medication';
+    
+    if (prefersHtml(req)) {
+      return res.status(200).send(confirmationPage({
+        title: `Time for ${medicationName}`,
+        message: 'Let us know what you did with this dose.',
+        actions: [
+          { label: 'I took it', fields: { action: 'taken' } },
+          { label: `Remind me in ${DEFAULT_SNOOZE_MINUTES} minutes`, fields: { action: 'snoozed', snoozeMinutes: DEFAULT_SNOOZE_MINUTES } },
+          { label: 'Skip this dose', fields: { action: 'skipped' } }
+        ]
+      }));
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Send a POST request with an action to answer this reminder',
+      reminderId: reminder._id,
+      medicationName,
+      actions: ['taken', 'skipped', 'snoozed']
+    });
+  } catch (error) {
+    logger.error('Error previewing reminder link:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to load reminder',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Answer a reminder with the single-use token from its notification or message
+ * (no login needed). The action comes from the body.
+ * @route POST /api/medications/reminders/action/:token
+ */
+exports.respondByActionToken = async (req, res) => {
+  try {
+    const action = req.body && req.body.action;
+    const snoozeMinutes = parseInt(req.body && req.body.snoozeMinutes) ||
+      (action === 'snoozed' ? DEFAULT_SNOOZE_MINUTES : undefined);
+    
+    const validationError = validateResponse(action, snoozeMinutes);
+    if (validationError) {
+      return res.status(400).json({
+        status: 'error',
+        message: validationError
       });
+    }
+    
+    const reminder = await consumeActionToken(req.params.token);
+    
+    if (!reminder) {
+      const message = 'This reminder link is invalid, has expired or was already used';
       
-      await medicationLog.save();
-      
-      // Update medication remaining quantity if taken
-      if (action === 'taken') {
-        const medication = await Medication.findById(reminder.medicationId);
-        
-        if (medication && medication.remainingQuantity !== undefined) {
-          medication.remainingQuantity = Math.max(0, medication.remainingQuantity - 1);
-          await medication.save();
-        }
+      if (prefersHtml(req)) {
+        return res.status(404).send(resultPage('Reminder link', message));
       }
       
-      res.status(200).json({
-        status: 'success',
-        message: `Medication marked as ${action}`,
-        reminder,
-        message: `Medication marked as ${action}`,
-       reminder,
-       medicationLog
-     });
-   }
- } catch (error) {
-   logger.error('Error responding to reminder:', error);
-   res.status(500).json({
-     status: 'error',
-     message: 'Failed to process reminder response',
-     error: process.env.NODE_ENV === 'development' ? error.message : 'An unexpected error occurred'
-   });
- }
+      return res.status(404).json({
+        status: 'error',
+        message
+      });
+    }
+    
+    await respondToReminder(reminder, action, { snoozeMinutes });
+    await reminder.populate('medicationId', 'name');
+    
+    const message = describeResponse(action, reminder.medicationId ? reminder.medicationId.name : 'Your medication', snoozeMinutes);
+    
+    if (prefersHtml(req)) {
+      return res.status(200).send(resultPage('Thank you', message));
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      message,
+      reminderId: reminder._id,
+      responseAction: reminder.responseAction
+    });
+  } catch (error) {
+    logger.error('Error responding to reminder by link:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to process reminder response',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Answer the sender's latest reminder from an SMS or WhatsApp reply (Twilio webhook)
+ * @route POST /api/medications/reminders/sms-reply
+ */
+exports.respondBySmsReply = async (req, res) => {
+  try {
+    const { From: from, Body: body } = req.body;
+    const reply = await handleInboundMessage(from, body);
+    
+    res.type('text/xml');
+    res.status(200).send(buildTwimlReply(reply));
+  } catch (error) {
+    logger.error('Error handling reminder SMS reply:', error);
+    res.type('text/xml');
+    res.status(200).send(buildTwimlReply(''));
+  }
 };
 
 /**
@@ -1,13 +1,10 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/userModel');
 const Otp = require('../models/otpModel');
-const twilio = require('twilio');
-
-// Initialize Twilio client
-const twilioClient = twilio(
-  process.env.TWILIO_ACCOUNT_SID,
-  process.env.TWILIO_AUTH_TOKEN
-);
+const { send } = require('../services/notificationDispatcher');
+const { isValidEmail, isEmailTaken, startEmailVerification } = require('../services/emailVerificationService');
+const { isValidTimezone } = require('../utils/timeUtils');
+const { findRedeemableInvitation, getRedeemError, redeemInvitation } = require('../services/caregiverInvitationService');
 
 // Generate JWT Token
 const generateToken = (userId) => {
@@ -21,15 +18,18 @@ const generateOTP = () => {
   return Math.floor(100000 + Math.random() * 900000).toString();
 };
 
-// Send OTP via Twilio SMS
+// Send OTP via SMS through the notification dispatcher
+// The code is not stored with the notification record and is never retried
 const sendSMS = async (phoneNumber, message) => {
   try {
-    await twilioClient.messages.create({
+    const notification = await send({
+      channel: 'sms',
+      recipient: { phoneNumber },
       body: message,
-      from: process.env.TWILIO_WHATSAPP_NUMBER,
-      to: phoneNumber
+      category: 'otp',
+      redactBody: true
     });
-    return true;
+    return notification.status === 'sent';
   } catch (error) {
     console.error('Error sending SMS:', error);
     return false;
@@ -155,7 +155,7 @@ exports.verifyOTP = async (req, res) => {
 // Register a new user
 exports.registerUser = async (req, res) => {
   try {
-    const { phoneNumber, fullName, dateOfBirth, gender, userType, emergencyContacts } = req.body;
+    const { phoneNumber, fullName, dateOfBirth, gender, userType, emergencyContacts, email, timezone, inviteCode } = req.body;
     
     // Validate required fields
     if (!phoneNumber || !fullName || !dateOfBirth || !gender || !userType) {
@@ -174,6 +174,54 @@ exports.registerUser = async (req, res) => {
       });
     }
     
+    // Email is optional, but must be valid and unused when given
+    if (email !== undefined && email !== '') {
+      if (!isValidEmail(email)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid email address',
+        });
+      }
+      
+      if (await isEmailTaken(email)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'This email address is already in use',
+        });
+      }
+    }
+    
+    // The app sends the device timezone; otherwise the default applies
+    if (timezone !== undefined && !isValidTimezone(timezone)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid timezone',
+      });
+    }
+    
+    // A caregiver invitation code from SMS/WhatsApp is redeemed once the account exists
+    let invitation = null;
+    
+    if (inviteCode) {
+      invitation = await findRedeemableInvitation(inviteCode);
+      
+      if (!invitation) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid or expired invitation code',
+        });
+      }
+      
+      const redeemError = getRedeemError(invitation, phoneNumber);
+      
+      if (redeemError) {
+        return res.status(400).json({
+          status: 'error',
+          message: redeemError,
+        });
+      }
+    }
+    
     // Create new user
     const user = new User({
       phoneNumber,
@@ -181,11 +229,28 @@ exports.registerUser = async (req, res) => {
       dateOfBirth,
       gender,
       userType,
+      timezone,
       emergencyContacts: emergencyContacts || []
     });
     
     await user.save();
     
+    // Send the verification link; the address is only used once verified
+    if (email) {
+      await startEmailVerification(user, email);
+    }
+    
+    // The account is created even if the invitation can no longer be redeemed
+    let caregiverRelationship = null;
+    
+    if (invitation) {
+      try {
+        caregiverRelationship = await redeemInvitation(invitation, user);
+      } catch (error) {
+        console.error('Error redeeming caregiver invitation during registration:', error);
+      }
+    }
+    
     // Generate JWT token
     const token = generateToken(user._id);
     
@@ -197,8 +262,17 @@ exports.registerUser = async (req, res) => {
         _id: user._id,
         fullName: user.fullName,
         userType: user.userType,
-        phoneNumber: user.phoneNumber
+        phoneNumber: user.phoneNumber,
+        email: user.email,
+        emailVerified: user.emailVerified,
+        timezone: user.timezone
       },
+      caregiverRelationship: caregiverRelationship ? {
+        _id: caregiverRelationship._id,
+        caregiverId: caregiverRelationship.caregiverId,
+        patientId: caregiverRelationship.patientId,
+        status: caregiverRelationship.status
+      } : undefined,
     });
   } catch (error) {
     console.error('Error registering user:', error);
@@ -228,9 +302,12 @@ exports.getCurrentUser = async (req, res) => {
         _id: user._id,
         fullName: user.fullName,
         phoneNumber: user.phoneNumber,
+        email: user.email,
+        emailVerified: user.emailVerified,
         dateOfBirth: user.dateOfBirth,
         gender: user.gender,
         language: user.language,
+        timezone: user.timezone,
         userType: user.userType,
         emergencyContacts: user.emergencyContacts,
         createdAt: user.createdAt
@@ -0,0 +1,632 @@
+// controllers/careCircleController.js
+const mongoose = require('mongoose');
+const User = require('../models/userModel');
+const CareNote = require('../models/CareNote');
+const CareTask = require('../models/CareTask');
+const logger = require('../utils/logger');
+const { sendPushNotification } = require('../services/notificationService');
+const { authorizeCaregiver } = require('../services/caregiverAccessService');
+const {
+  isValidDateKey,
+  getOrCreateCircle,
+  getCircleMembers,
+  isCircleCaregiver,
+  resolveOnDuty,
+  addDutyHandoff
+} = require('../services/careCircleService');
+const { getLocalDateKey, getUserTimezone, zonedTimeToDate } = require('../utils/timeUtils');
+
+// Work out whether the current user is the patient or one of their active caregivers.
+// Returns 'patient', 'caregiver' or null; refused caregivers are audited.
+const getCircleRole = async (req, patientId) => {
+  if (!mongoose.Types.ObjectId.isValid(patientId)) return null;
+
+  if (patientId.toString() === req.user._id.toString()) return 'patient';
+
+  const { allowed } = await authorizeCaregiver(req, patientId, [], 'care_circle');
+
+  return allowed ? 'caregiver' : null;
+};
+
+const denyCircleAccess = (res) => res.status(403).json({
+  status: 'error',
+  message: 'You are not a member of this care circle'
+});
+
+// The patient and the primary caregiver manage the circle
+const canManageCircle = (req, role, circle) => role === 'patient' ||
+  (circle.primaryCaregiverId && circle.primaryCaregiverId.toString() === req.user._id.toString());
+
+// Tasks can be assigned to the patient or to a caregiver in the circle
+const isValidAssignee = async (patientId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(userId)) return false;
+  if (userId.toString() === patientId.toString()) return true;
+  return isCircleCaregiver(patientId, userId);
+};
+
+// Get the care circle: caregivers, primary caregiver, roster and who is on duty today
+exports.getCareCircle = async (req, res) => {
+  try {
+    const { patientId } = req.params;
+    const role = await getCircleRole(req, patientId);
+
+    if (!role) return denyCircleAccess(res);
+
+    const [circle, relationships, patient] = await Promise.all([
+      getOrCreateCircle(patientId),
+      getCircleMembers(patientId),
+      User.findById(patientId).select('fullName timezone')
+    ]);
+
+    const timezone = getUserTimezone(patient);
+    const memberIds = relationships.filter(r => r.caregiverId).map(r => r.caregiverId._id.toString());
+    const onDuty = resolveOnDuty(circle, memberIds, timezone);
+    const today = getLocalDateKey(new Date(), timezone);
+
+    const members = relationships.filter(r => r.caregiverId).map(relationship => ({
+      relationshipId: relationship._id,
+      caregiver: relationship.caregiverId,
+      relationship: relationship.relationship,
+      // Only the patient sees what each caregiver is allowed to do
+      permissions: role === 'patient' ? relationship.permissions : undefined,
+      isPrimary: Boolean(circle.primaryCaregiverId && circle.primaryCaregiverId.toString() === relationship.caregiverId._id.toString()),
+      isOnDuty: Boolean(onDuty.caregiverId && onDuty.caregiverId.toString() === relationship.caregiverId._id.toString())
+    }));
+
+    res.status(200).json({
+      status: 'success',
+      circle: {
+        patient: { _id: patient._id, fullName: patient.fullName, timezone },
+        primaryCaregiverId: circle.primaryCaregiverId,
+        onDuty,
+        dutyRoster: circle.dutyRoster,
+        upcomingHandoffs: circle.dutyHandoffs.filter(entry => entry.date >= today),
+        members
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting care circle:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get care circle',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Patient picks the primary caregiver (null clears it)
+exports.setPrimaryCaregiver = async (req, res) => {
+  try {
+    const { patientId } = req.params;
+    const { caregiverId } = req.body;
+    const role = await getCircleRole(req, patientId);
+
+    if (role !== 'patient') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Only the patient can choose the primary caregiver'
+      });
+    }
+
+    if (caregiverId && !(mongoose.Types.ObjectId.isValid(caregiverId) && await isCircleCaregiver(patientId, caregiverId))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'The primary caregiver must be an active caregiver of this patient'
+      });
+    }
+
+    const circle = await getOrCreateCircle(patientId);
+    circle.primaryCaregiverId = caregiverId || undefined;
+    await circle.save();
+
+    if (caregiverId) {
+      await sendPushNotification(
+        caregiverId,
+        'You are now the primary caregiver',
+        `${req.user.fullName} made you their primary caregiver`,
+        { type: 'care_circle_primary', patientId: patientId.toString() }
+      );
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: caregiverId ? 'Primary caregiver updated successfully' : 'Primary caregiver removed',
+      primaryCaregiverId: circle.primaryCaregiverId
+    });
+  } catch (error) {
+    logger.error('Error setting primary caregiver:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to set primary caregiver',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Replace the weekly duty roster (patient or primary caregiver)
+exports.updateDutyRoster = async (req, res) => {
+  try {
+    const { patientId } = req.params;
+    const { roster } = req.body;
+    const role = await getCircleRole(req, patientId);
+
+    if (!role) return denyCircleAccess(res);
+
+    const circle = await getOrCreateCircle(patientId);
+
+    if (!canManageCircle(req, role, circle)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Only the patient or the primary caregiver can change the duty roster'
+      });
+    }
+
+    if (!Array.isArray(roster)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Roster must be an array of { dayOfWeek, caregiverId }'
+      });
+    }
+
+    const days = new Set();
+
+    for (const entry of roster) {
+      if (!entry || !Number.isInteger(entry.dayOfWeek) || entry.dayOfWeek < 0 || entry.dayOfWeek > 6) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'dayOfWeek must be a whole number from 0 (Sunday) to 6 (Saturday)'
+        });
+      }
+
+      if (days.has(entry.dayOfWeek)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Each day can only have one caregiver on duty'
+        });
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(entry.caregiverId) || !await isCircleCaregiver(patientId, entry.caregiverId)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Everyone on the roster must be an active caregiver of this patient'
+        });
+      }
+
+      days.add(entry.dayOfWeek);
+    }
+
+    circle.dutyRoster = roster.map(entry => ({ dayOfWeek: entry.dayOfWeek, caregiverId: entry.caregiverId }));
+    await circle.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Duty roster updated successfully',
+      dutyRoster: circle.dutyRoster
+    });
+  } catch (error) {
+    logger.error('Error updating duty roster:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update duty roster',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Hand "on duty" for a day (today by default) to another caregiver.
+// Allowed for the patient, the primary caregiver and whoever is on duty that day.
+exports.handOffDuty = async (req, res) => {
+  try {
+    const { patientId } = req.params;
+    const { caregiverId, note } = req.body;
+    const role = await getCircleRole(req, patientId);
+
+    if (!role) return denyCircleAccess(res);
+
+    const [circle, relationships, patient] = await Promise.all([
+      getOrCreateCircle(patientId),
+      getCircleMembers(patientId),
+      User.findById(patientId).select('fullName timezone')
+    ]);
+
+    const timezone = getUserTimezone(patient);
+    const today = getLocalDateKey(new Date(), timezone);
+    const date = req.body.date || today;
+
+    if (!isValidDateKey(date) || date < today) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Date must be today or a later day in YYYY-MM-DD format'
+      });
+    }
+
+    const memberIds = relationships.filter(r => r.caregiverId).map(r => r.caregiverId._id.toString());
+
+    if (!caregiverId || !memberIds.includes(caregiverId.toString())) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Duty can only be handed to an active caregiver of this patient'
+      });
+    }
+
+    // Who is on duty that day before the hand-off (taken at local noon)
+    const [year, month, day] = date.split('-').map(Number);
+    const onDuty = resolveOnDuty(circle, memberIds, timezone, zonedTimeToDate({ year, month, day, hour: 12 }, timezone));
+    const isOnDuty = onDuty.caregiverId && onDuty.caregiverId.toString() === req.user._id.toString();
+
+    if (!canManageCircle(req, role, circle) && !isOnDuty) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Only the patient, the primary caregiver or the caregiver on duty can hand off duty'
+      });
+    }
+
+    const handoff = await addDutyHandoff(circle, {
+      date,
+      caregiverId,
+      handedOffBy: req.user._id,
+      note
+    });
+
+    if (caregiverId.toString() !== req.user._id.toString()) {
+      await sendPushNotification(
+        caregiverId,
+        `You are on duty for ${patient.fullName}`,
+        `${req.user.fullName} handed you care duty for ${patient.fullName} on ${date}${note ? `: ${note}` : ''}`,
+        { type: 'care_circle_handoff', patientId: patientId.toString(), date }
+      );
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Duty handed off successfully',
+      handoff
+    });
+  } catch (error) {
+    logger.error('Error handing off duty:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to hand off duty',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Get notes shared with the care circle (pinned first)
+exports.getCareNotes = async (req, res) => {
+  try {
+    const { patientId } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+    const role = await getCircleRole(req, patientId);
+
+    if (!role) return denyCircleAccess(res);
+
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [notes, total] = await Promise.all([
+      CareNote.find({ patientId })
+        .sort({ pinned: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('authorId', 'fullName'),
+      CareNote.countDocuments({ patientId })
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      count: notes.length,
+      total,
+      pages: Math.ceil(total / parseInt(limit)),
+      currentPage: parseInt(page),
+      notes
+    });
+  } catch (error) {
+    logger.error('Error getting care notes:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get care notes',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Add a note for the care circle
+exports.addCareNote = async (req, res) => {
+  try {
+    const { patientId } = req.params;
+    const { text, pinned } = req.body;
+    const role = await getCircleRole(req, patientId);
+
+    if (!role) return denyCircleAccess(res);
+
+    if (!text || !String(text).trim()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Note text is required'
+      });
+    }
+
+    const note = await CareNote.create({
+      patientId,
+      authorId: req.user._id,
+      text,
+      pinned: Boolean(pinned)
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Note added successfully',
+      note
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    logger.error('Error adding care note:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to add care note',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Delete a note (its author or the patient)
+exports.deleteCareNote = async (req, res) => {
+  try {
+    const { patientId, noteId } = req.params;
+    const role = await getCircleRole(req, patientId);
+
+    if (!role) return denyCircleAccess(res);
+
+    const query = { _id: noteId, patientId };
+
+    if (role !== 'patient') {
+      query.authorId = req.user._id;
+    }
+
+    const note = mongoose.Types.ObjectId.isValid(noteId) ? await CareNote.findOneAndDelete(query) : null;
+
+    if (!note) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Note not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Note deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error deleting care note:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete care note',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Get the care circle's tasks, open ones first by due date
+exports.getCareTasks = async (req, res) => {
+  try {
+    const { patientId } = req.params;
+    const { status, assignedTo } = req.query;
+    const role = await getCircleRole(req, patientId);
+
+    if (!role) return denyCircleAccess(res);
+
+    const query = { patientId };
+
+    if (status) {
+      query.status = status;
+    }
+
+    if (assignedTo) {
+      query.assignedTo = assignedTo === 'me' ? req.user._id : assignedTo;
+    }
+
+    const tasks = await CareTask.find(query)
+      .sort({ status: 1, dueAt: 1, createdAt: -1 })
+      .populate('createdBy', 'fullName')
+      .populate('assignedTo', 'fullName')
+      .populate('completedBy', 'fullName');
+
+    res.status(200).json({
+      status: 'success',
+      count: tasks.length,
+      tasks
+    });
+  } catch (error) {
+    logger.error('Error getting care tasks:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get care tasks',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Add a task for the care circle
+exports.createCareTask = async (req, res) => {
+  try {
+    const { patientId } = req.params;
+    const { title, description, assignedTo, dueAt } = req.body;
+    const role = await getCircleRole(req, patientId);
+
+    if (!role) return denyCircleAccess(res);
+
+    if (!title) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Task title is required'
+      });
+    }
+
+    if (assignedTo && !await isValidAssignee(patientId, assignedTo)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Tasks can only be assigned to the patient or one of their caregivers'
+      });
+    }
+
+    const task = await CareTask.create({
+      patientId,
+      createdBy: req.user._id,
+      title,
+      description,
+      assignedTo,
+      dueAt: dueAt ? new Date(dueAt) : undefined
+    });
+
+    if (assignedTo && assignedTo.toString() !== req.user._id.toString()) {
+      await sendPushNotification(
+        assignedTo,
+        'New care task',
+        `${req.user.fullName} assigned you a task: ${task.title}`,
+        { type: 'care_task_assigned', patientId: patientId.toString(), taskId: task._id.toString() }
+      );
+    }
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Task created successfully',
+      task
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    logger.error('Error creating care task:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create care task',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Update a task: edit, reassign, complete or cancel it
+exports.updateCareTask = async (req, res) => {
+  try {
+    const { patientId, taskId } = req.params;
+    const { title, description, assignedTo, dueAt, status } = req.body;
+    const role = await getCircleRole(req, patientId);
+
+    if (!role) return denyCircleAccess(res);
+
+    const task = mongoose.Types.ObjectId.isValid(taskId) ? await CareTask.findOne({ _id: taskId, patientId }) : null;
+
+    if (!task) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Task not found'
+      });
+    }
+
+    if (assignedTo && !await isValidAssignee(patientId, assignedTo)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Tasks can only be assigned to the patient or one of their caregivers'
+      });
+    }
+
+    const previousAssignee = task.assignedTo ? task.assignedTo.toString() : null;
+
+    if (title !== undefined) task.title = title;
+    if (description !== undefined) task.description = description;
+    if (assignedTo !== undefined) task.assignedTo = assignedTo || undefined;
+    if (dueAt !== undefined) task.dueAt = dueAt ? new Date(dueAt) : undefined;
+
+    if (status !== undefined && status !== task.status) {
+      task.status = status;
+
+      if (status === 'done') {
+        task.completedBy = req.user._id;
+        task.completedAt = new Date();
+      } else {
+        task.completedBy = undefined;
+        task.completedAt = undefined;
+      }
+    }
+
+    await task.save();
+
+    if (task.assignedTo && task.assignedTo.toString() !== previousAssignee &&
+        task.assignedTo.toString() !== req.user._id.toString()) {
+      await sendPushNotification(
+        task.assignedTo,
+        'New care task',
+        `${req.user.fullName} assigned you a task: ${task.title}`,
+        { type: 'care_task_assigned', patientId: patientId.toString(), taskId: task._id.toString() }
+      );
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Task updated successfully',
+      task
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    logger.error('Error updating care task:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update care task',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Delete a task (its creator or the patient)
+exports.deleteCareTask = async (req, res) => {
+  try {
+    const { patientId, taskId } = req.params;
+    const role = await getCircleRole(req, patientId);
+
+    if (!role) return denyCircleAccess(res);
+
+    const query = { _id: taskId, patientId };
+
+    if (role !== 'patient') {
+      query.createdBy = req.user._id;
+    }
+
+    const task = mongoose.Types.ObjectId.isValid(taskId) ? await CareTask.findOneAndDelete(query) : null;
+
+    if (!task) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Task not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Task deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error deleting care task:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete care task',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
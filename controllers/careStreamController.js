@@ -0,0 +1,107 @@
+// controllers/careStreamController.js
+const CaregiverRelationship = require('../models/CaregiverRelationship');
+const logger = require('../utils/logger');
+const { subscribeToCareEvents } = require('../services/careEventService');
+
+// Comment line sent regularly so proxies do not close an idle stream
+const HEARTBEAT_SECONDS = 25;
+
+// How often a stream reloads the caregiver's relationships, so revoked access and permission changes apply
+const RELATIONSHIP_REFRESH_SECONDS = 60;
+
+// Open streams allowed per user, e.g. a few devices or browser tabs
+const MAX_STREAMS_PER_USER = 5;
+
+const openStreams = new Map();
+
+// Active relationships of the caregiver, keyed by patient id
+const loadRelationships = async (caregiverId) => {
+  const relationships = await CaregiverRelationship.find({ caregiverId, status: 'active' })
+    .select('patientId permissions');
+
+  return new Map(relationships.map(relationship => [relationship.patientId.toString(), relationship]));
+};
+
+const writeEvent = (res, { id, type, data }) => {
+  if (id) res.write(`id: ${id}\n`);
+  res.write(`event: ${type}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+};
+
+// Stream live events (doses, vitals, check-ins, alerts) for every patient the caregiver is linked to,
+// limited to what each relationship allows them to see.
+// Events are not replayed: a client that reconnects (sending Last-Event-ID) gets resync: true in the
+// ready event and should reload the dashboard, as it may have missed events while disconnected.
+exports.streamCareEvents = async (req, res) => {
+  const userId = req.user._id.toString();
+  let relationships;
+
+  try {
+    if ((openStreams.get(userId) || 0) >= MAX_STREAMS_PER_USER) {
+      return res.status(429).json({
+        status: 'error',
+        message: 'Too many open streams, please close one and try again'
+      });
+    }
+
+    relationships = await loadRelationships(req.user._id);
+  } catch (error) {
+    logger.error('Error opening care event stream:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to open care event stream',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  openStreams.set(userId, (openStreams.get(userId) || 0) + 1);
+
+  writeEvent(res, {
+    type: 'ready',
+    data: { patientIds: [...relationships.keys()], resync: Boolean(req.get('Last-Event-ID')) }
+  });
+
+  const unsubscribe = subscribeToCareEvents((event) => {
+    const relationship = relationships.get(event.patientId);
+
+    if (!relationship || !event.permissions.every(permission => relationship.permissions[permission])) {
+      return;
+    }
+
+    writeEvent(res, {
+      id: event.id,
+      type: event.type,
+      data: { patientId: event.patientId, createdAt: event.createdAt, ...event.data }
+    });
+  });
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_SECONDS * 1000);
+
+  const refresh = setInterval(async () => {
+    try {
+      relationships = await loadRelationships(req.user._id);
+    } catch (error) {
+      logger.error(`Error refreshing care event stream for user ${userId}:`, error);
+    }
+  }, RELATIONSHIP_REFRESH_SECONDS * 1000);
+
+  res.on('close', () => {
+    unsubscribe();
+    clearInterval(heartbeat);
+    clearInterval(refresh);
+
+    const remaining = (openStreams.get(userId) || 1) - 1;
+
+    if (remaining > 0) openStreams.set(userId, remaining);
+    else openStreams.delete(userId);
+  });
+};
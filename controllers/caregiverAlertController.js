@@ -0,0 +1,194 @@
+// controllers/caregiverAlertController.js
+const mongoose = require('mongoose');
+const CaregiverAlert = require('../models/CaregiverAlert');
+const CaregiverRelationship = require('../models/CaregiverRelationship');
+const logger = require('../utils/logger');
+const { authorizeCaregiver } = require('../services/caregiverAccessService');
+const {
+  ALERT_TYPES,
+  OPEN_ALERT_STATUSES,
+  canReceiveAlert,
+  publishAlertEvent
+} = require('../services/caregiverAlertService');
+
+const ALERT_STATUSES = ['open', 'acknowledged', 'closed'];
+
+// Find an alert the current caregiver may act on; refused caregivers are audited
+const findCaregiverAlert = async (req, alertId) => {
+  if (!mongoose.Types.ObjectId.isValid(alertId)) return null;
+
+  const alert = await CaregiverAlert.findById(alertId);
+
+  if (!alert) return null;
+
+  const { allowed, relationship } = await authorizeCaregiver(req, alert.patientId, ['receiveAlerts'], 'caregiver_alerts');
+
+  return allowed && canReceiveAlert(relationship, alert.type) ? alert : null;
+};
+
+const alertNotFound = (res) => res.status(404).json({
+  status: 'error',
+  message: 'Alert not found'
+});
+
+// Get alerts for the logged-in caregiver's patients (open and acknowledged ones by default)
+exports.getCaregiverAlerts = async (req, res) => {
+  try {
+    const { status, patientId, page = 1, limit = 20 } = req.query;
+    const statuses = status ? status.split(',') : OPEN_ALERT_STATUSES;
+
+    if (statuses.some(value => !ALERT_STATUSES.includes(value))) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Status must be one of: ${ALERT_STATUSES.join(', ')}`
+      });
+    }
+
+    if (patientId && !mongoose.Types.ObjectId.isValid(patientId)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid patient id'
+      });
+    }
+
+    const relationships = await CaregiverRelationship.find({
+      caregiverId: req.user._id,
+      status: 'active',
+      'permissions.receiveAlerts': true,
+      ...(patientId && { patientId })
+    });
+
+    // Each patient's alerts, limited to the types the caregiver is allowed to see
+    const scopes = relationships
+      .map(relationship => ({
+        patientId: relationship.patientId,
+        type: { $in: ALERT_TYPES.filter(type => canReceiveAlert(relationship, type)) }
+      }))
+      .filter(scope => scope.type.$in.length > 0);
+
+    if (scopes.length === 0) {
+      return res.status(200).json({
+        status: 'success',
+        count: 0,
+        total: 0,
+        pages: 0,
+        currentPage: parseInt(page),
+        alerts: []
+      });
+    }
+
+    const query = { status: { $in: statuses }, $or: scopes };
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [alerts, total] = await Promise.all([
+      CaregiverAlert.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .select('-notifiedCaregiverIds')
+        .populate('patientId', 'fullName')
+        .populate('acknowledgedBy', 'fullName')
+        .populate('closedBy', 'fullName'),
+      CaregiverAlert.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      count: alerts.length,
+      total,
+      pages: Math.ceil(total / parseInt(limit)),
+      currentPage: parseInt(page),
+      alerts
+    });
+  } catch (error) {
+    logger.error('Error getting caregiver alerts:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get caregiver alerts',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Acknowledge an open alert, to show the other caregivers someone is dealing with it
+exports.acknowledgeAlert = async (req, res) => {
+  try {
+    const alert = await findCaregiverAlert(req, req.params.alertId);
+
+    if (!alert) return alertNotFound(res);
+
+    const acknowledged = await CaregiverAlert.findOneAndUpdate(
+      { _id: alert._id, status: 'open' },
+      { status: 'acknowledged', acknowledgedBy: req.user._id, acknowledgedAt: new Date() },
+      { new: true }
+    );
+
+    if (!acknowledged) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Only open alerts can be acknowledged'
+      });
+    }
+
+    publishAlertEvent(acknowledged, 'alert_acknowledged');
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Alert acknowledged',
+      alert: acknowledged
+    });
+  } catch (error) {
+    logger.error('Error acknowledging caregiver alert:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to acknowledge alert',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Close an alert once it has been dealt with, with an optional note
+exports.closeAlert = async (req, res) => {
+  try {
+    const { note } = req.body;
+
+    if (note !== undefined && (typeof note !== 'string' || note.length > 1000)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Note must be text of at most 1000 characters'
+      });
+    }
+
+    const alert = await findCaregiverAlert(req, req.params.alertId);
+
+    if (!alert) return alertNotFound(res);
+
+    const closed = await CaregiverAlert.findOneAndUpdate(
+      { _id: alert._id, status: { $in: OPEN_ALERT_STATUSES } },
+      { status: 'closed', closedBy: req.user._id, closedAt: new Date(), closeNote: note },
+      { new: true }
+    );
+
+    if (!closed) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Alert is already closed'
+      });
+    }
+
+    publishAlertEvent(closed, 'alert_closed');
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Alert closed',
+      alert: closed
+    });
+  } catch (error) {
+    logger.error('Error closing caregiver alert:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to close alert',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
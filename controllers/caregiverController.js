@@ -6,7 +6,30 @@ const Medication = require('../models/medicationModel');
 const MedicationLog = require('../models/MedicationLog');
 const { VitalSign, HealthCheckIn } = require('../models/healthModel');
 const CaregiverReport = require('../models/CaregiverReport');
+const AccessAuditLog = require('../models/AccessAuditLog');
+const CaregiverInvitation = require('../models/CaregiverInvitation');
+const CareCircle = require('../models/CareCircle');
 const logger = require('../utils/logger');
+const { authorizeCaregiver, CAREGIVER_PERMISSIONS } = require('../services/caregiverAccessService');
+const {
+  INVITATION_DIRECTIONS,
+  MAX_INVITATION_SENDS,
+  sendInvitation,
+  findRedeemableInvitation,
+  getRedeemError,
+  redeemInvitation
+} = require('../services/caregiverInvitationService');
+const { normalizePhoneNumber } = require('../services/emergencyService');
+const { resolveOnDuty } = require('../services/careCircleService');
+const { buildCaregiverOverview } = require('../services/caregiverOverviewService');
+const { publishDoseEvent } = require('../services/careEventService');
+const {
+  REPORT_SECTIONS,
+  REPORT_TYPES,
+  MAX_REPORT_DAYS,
+  generateOnDemandReport
+} = require('../services/caregiverReportService');
+const { isValidTimeString, getLocalDateKey, getUserTimezone } = require('../utils/timeUtils');
 
 // Send caregiver invitation (existing function enhanced)
 exports.sendCaregiverInvitation = async (req, res) => {
@@ -53,7 +76,7 @@ exports.sendCaregiverInvitation = async (req, res) => {
       status: 'pending',
       invitedBy: req.user._id,
       notes,
-      permissions: permissions || undefined
+      permissions: permissions ? pickCaregiverPermissions(permissions) : undefined
     });
     
     await caregiverRelationship.save();
@@ -98,11 +121,15 @@ exports.getCaregivers = async (req, res) => {
       });
     }
 
+    const circle = await CareCircle.findOne({ patientId: req.user._id });
+    
     // Map the relationships to extract caregiver details and relationship info
     const caregivers = relationships.map(rel => ({
       relationshipId: rel._id,
       caregiver: rel.caregiverId,
       relationship: rel.relationship,
+      isPrimary: Boolean(circle && circle.primaryCaregiverId && rel.caregiverId &&
+        circle.primaryCaregiverId.toString() === rel.caregiverId._id.toString()),
       status: rel.status,
       permissions: rel.permissions,
       notificationPreferences: rel.notificationPreferences,
@@ -186,6 +213,322 @@ exports.respondToInvitation = async (req, res) => {
   }
 };
 
+// Invite someone who may not have an account yet, by SMS or WhatsApp.
+// Patients invite caregivers (invite_caregiver); caregivers ask patients for access (request_access).
+exports.createInviteLink = async (req, res) => {
+  try {
+    const {
+      phoneNumber,
+      fullName,
+      relationship,
+      permissions,
+      notes,
+      direction = 'invite_caregiver',
+      channel = 'sms'
+    } = req.body;
+    
+    // Validate required fields
+    if (!phoneNumber || !relationship) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Phone number and relationship are required'
+      });
+    }
+    
+    if (!INVITATION_DIRECTIONS.includes(direction)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Invalid direction. Must be one of: ${INVITATION_DIRECTIONS.join(', ')}`
+      });
+    }
+    
+    if (!['sms', 'whatsapp'].includes(channel)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Channel must be either "sms" or "whatsapp"'
+      });
+    }
+    
+    if (normalizePhoneNumber(phoneNumber) === normalizePhoneNumber(req.user.phoneNumber)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'You cannot invite yourself'
+      });
+    }
+    
+    // People who already have an account can redeem the invitation after signing in,
+    // unless they are already connected in this direction
+    const invitee = await User.findOne({ phoneNumber });
+    
+    if (invitee) {
+      const existingRelationship = await CaregiverRelationship.findOne(direction === 'invite_caregiver' ?
+        { caregiverId: invitee._id, patientId: req.user._id, status: 'active' } :
+        { caregiverId: req.user._id, patientId: invitee._id, status: 'active' });
+      
+      if (existingRelationship) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'This caregiver relationship already exists'
+        });
+      }
+    }
+    
+    const existingInvitation = await CaregiverInvitation.findOne({
+      inviterId: req.user._id,
+      inviteePhoneNumber: phoneNumber,
+      direction,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    });
+    
+    if (existingInvitation) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'An invitation to this phone number is already pending; resend it instead',
+        invitationId: existingInvitation._id
+      });
+    }
+    
+    const invitation = new CaregiverInvitation({
+      inviterId: req.user._id,
+      direction,
+      inviteePhoneNumber: phoneNumber,
+      inviteeName: fullName,
+      channel,
+      relationship,
+      // Only patients choose what their caregivers can see; access requests get the default permissions
+      permissions: permissions && direction === 'invite_caregiver' ? pickCaregiverPermissions(permissions) : undefined,
+      notes
+    });
+    
+    // Validate before a code is sent out
+    await invitation.validate(['direction', 'relationship', 'channel']);
+    
+    const delivery = await sendInvitation(invitation, req.user);
+    
+    res.status(201).json({
+      status: 'success',
+      message: delivery.sent ?
+        'Invitation sent successfully' :
+        'Invitation created, but it could not be delivered; try resending it',
+      invitation: formatInvitation(invitation),
+      delivery
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    logger.error('Error creating caregiver invite link:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create invitation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Get the invitations the logged-in user has sent
+exports.getInviteLinks = async (req, res) => {
+  try {
+    const { status } = req.query;
+    
+    const query = { inviterId: req.user._id };
+    
+    if (status) {
+      query.status = status;
+    }
+    
+    const invitations = await CaregiverInvitation.find(query)
+      .sort({ createdAt: -1 })
+      .populate('redeemedBy', 'fullName phoneNumber');
+    
+    res.status(200).json({
+      status: 'success',
+      count: invitations.length,
+      invitations: invitations.map(formatInvitation)
+    });
+  } catch (error) {
+    logger.error('Error getting caregiver invite links:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get invitations',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Send a pending invitation again with a new code and expiry
+exports.resendInviteLink = async (req, res) => {
+  try {
+    const invitation = mongoose.Types.ObjectId.isValid(req.params.id) ? await CaregiverInvitation.findOne({
+      _id: req.params.id,
+      inviterId: req.user._id,
+      status: 'pending'
+    }) : null;
+    
+    if (!invitation) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Invitation not found or already processed'
+      });
+    }
+    
+    if (invitation.sendCount >= MAX_INVITATION_SENDS) {
+      return res.status(429).json({
+        status: 'error',
+        message: `This invitation has already been sent ${MAX_INVITATION_SENDS} times`
+      });
+    }
+    
+    const delivery = await sendInvitation(invitation, req.user);
+    
+    res.status(200).json({
+      status: 'success',
+      message: delivery.sent ? 'Invitation resent successfully' : 'Invitation could not be delivered',
+      invitation: formatInvitation(invitation),
+      delivery
+    });
+  } catch (error) {
+    logger.error('Error resending caregiver invite link:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to resend invitation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Cancel a pending invitation so its code can no longer be redeemed
+exports.cancelInviteLink = async (req, res) => {
+  try {
+    const invitation = mongoose.Types.ObjectId.isValid(req.params.id) ? await CaregiverInvitation.findOneAndUpdate(
+      { _id: req.params.id, inviterId: req.user._id, status: 'pending' },
+      { status: 'cancelled', cancelledAt: new Date() },
+      { new: true }
+    ) : null;
+    
+    if (!invitation) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Invitation not found or already processed'
+      });
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Invitation cancelled successfully',
+      invitation: formatInvitation(invitation)
+    });
+  } catch (error) {
+    logger.error('Error cancelling caregiver invite link:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to cancel invitation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Show who sent an invitation code, before the invitee signs up (public)
+exports.previewInviteLink = async (req, res) => {
+  try {
+    const invitation = await findRedeemableInvitation(req.params.code);
+    
+    if (!invitation) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Invitation not found or expired'
+      });
+    }
+    
+    const inviter = await User.findById(invitation.inviterId).select('fullName');
+    
+    res.status(200).json({
+      status: 'success',
+      invitation: {
+        direction: invitation.direction,
+        relationship: invitation.relationship,
+        inviteeName: invitation.inviteeName,
+        inviterName: inviter ? inviter.fullName : undefined,
+        expiresAt: invitation.expiresAt
+      }
+    });
+  } catch (error) {
+    logger.error('Error previewing caregiver invite link:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get invitation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Redeem an invitation code as a signed-in user
+// (new users redeem it while registering instead)
+exports.redeemInviteLink = async (req, res) => {
+  try {
+    const { code } = req.body;
+    
+    if (!code) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invitation code is required'
+      });
+    }
+    
+    const invitation = await findRedeemableInvitation(code);
+    
+    if (!invitation) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Invitation not found or expired'
+      });
+    }
+    
+    const redeemError = getRedeemError(invitation, req.user.phoneNumber, req.user._id);
+    
+    if (redeemError) {
+      return res.status(400).json({
+        status: 'error',
+        message: redeemError
+      });
+    }
+    
+    const relationship = await redeemInvitation(invitation, req.user);
+    
+    if (!relationship) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Invitation not found or expired'
+      });
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Invitation accepted successfully',
+      relationship
+    });
+  } catch (error) {
+    if (error.code === 'RELATIONSHIP_EXISTS') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    logger.error('Error redeeming caregiver invite link:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to redeem invitation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // Get caregiver patients
 exports.getCaregiverPatients = async (req, res) => {
   try {
@@ -203,17 +546,30 @@ exports.getCaregiverPatients = async (req, res) => {
       });
     }
     
-    // Get patient details for each relationship
+    // Get patient details and care circles for each relationship
     const patientIds = relationships.map(r => r.patientId);
-    const patients = await User.find({ _id: { $in: patientIds } });
+    const [patients, circles, circleRelationships] = await Promise.all([
+      User.find({ _id: { $in: patientIds } }),
+      CareCircle.find({ patientId: { $in: patientIds } }),
+      CaregiverRelationship.find({ patientId: { $in: patientIds }, status: 'active' }).select('patientId caregiverId')
+    ]);
     
     // Combine relationship data with patient details
     const patientData = relationships.map(relationship => {
       const patient = patients.find(p => p._id.toString() === relationship.patientId.toString());
+      const circle = circles.find(c => c.patientId.toString() === relationship.patientId.toString());
+      const memberIds = circleRelationships
+        .filter(r => r.patientId.toString() === relationship.patientId.toString())
+        .map(r => r.caregiverId.toString());
+      const onDuty = circle ? resolveOnDuty(circle, memberIds, getUserTimezone(patient)) : {};
+      
       return {
         relationshipId: relationship._id,
         relationship: relationship.relationship,
         permissions: relationship.permissions,
+        isPrimary: Boolean(circle && circle.primaryCaregiverId && circle.primaryCaregiverId.toString() === req.user._id.toString()),
+        isOnDuty: Boolean(onDuty.caregiverId && onDuty.caregiverId.toString() === req.user._id.toString()),
+        circleSize: memberIds.length,
         patient: {
           _id: patient._id,
           fullName: patient.fullName,
@@ -239,19 +595,44 @@ exports.getCaregiverPatients = async (req, res) => {
   }
 };
 
+// Get an overview of all patients of the logged-in caregiver, most urgent first
+exports.getCaregiverOverview = async (req, res) => {
+  try {
+    const relationships = await CaregiverRelationship.find({
+      caregiverId: req.user._id,
+      status: 'active'
+    });
+    
+    const patients = await User.find({ _id: { $in: relationships.map(r => r.patientId) } })
+      .select('fullName gender dateOfBirth timezone');
+    
+    const overview = await buildCaregiverOverview(relationships, patients);
+    
+    res.status(200).json({
+      status: 'success',
+      count: overview.length,
+      generatedAt: new Date(),
+      patients: overview
+    });
+  } catch (error) {
+    logger.error('Error getting caregiver overview:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get patient overview',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // Get patient dashboard data as caregiver
 exports.getPatientDashboard = async (req, res) => {
   try {
     const { patientId } = req.params;
     
-    // Verify caregiver relationship and permissions
-    const relationship = await CaregiverRelationship.findOne({
-      caregiverId: req.user._id,
-      patientId,
-      status: 'active'
-    });
+    // Verify caregiver relationship; each section below checks its own permission
+    const { allowed, relationship } = await authorizeCaregiver(req, patientId, [], 'dashboard');
     
-    if (!relationship) {
+    if (!allowed) {
       return res.status(403).json({
         status: 'error',
         message: 'You do not have permission to view this patient\'s data'
@@ -275,7 +656,8 @@ exports.getPatientDashboard = async (req, res) => {
         fullName: patient.fullName,
         gender: patient.gender,
         dateOfBirth: patient.dateOfBirth,
-        age: calculateAge(patient.dateOfBirth)
+        age: calculateAge(patient.dateOfBirth),
+        timezone: getUserTimezone(patient)
       },
       medicationSummary: {},
       vitalSigns: {},
@@ -285,7 +667,7 @@ exports.getPatientDashboard = async (req, res) => {
     
     // Get medication data if permitted
     if (relationship.permissions.viewMedications) {
-      dashboardData.medicationSummary = await getMedicationSummary(patientId);
+      dashboardData.medicationSummary = await getMedicationSummary(patientId, getUserTimezone(patient));
     }
     
     // Get vital signs if permitted
@@ -324,14 +706,9 @@ exports.getPatientMedicationLogs = async (req, res) => {
     const { period = '7days', medicationId } = req.query;
     
     // Verify caregiver relationship and permissions
-    const relationship = await CaregiverRelationship.findOne({
-      caregiverId: req.user._id,
-      patientId,
-      status: 'active',
-      'permissions.viewMedications': true
-    });
+    const { allowed } = await authorizeCaregiver(req, patientId, ['viewMedications'], 'medication_logs');
     
-    if (!relationship) {
+    if (!allowed) {
       return res.status(403).json({
         status: 'error',
         message: 'You do not have permission to view this patient\'s medication data'
@@ -438,14 +815,9 @@ exports.getPatientVitalSigns = async (req, res) => {
     const { type, period = '7days' } = req.query;
     
     // Verify caregiver relationship and permissions
-    const relationship = await CaregiverRelationship.findOne({
-      caregiverId: req.user._id,
-      patientId,
-      status: 'active',
-      'permissions.viewVitals': true
-    });
+    const { allowed } = await authorizeCaregiver(req, patientId, ['viewVitals'], 'vital_signs');
     
-    if (!relationship) {
+    if (!allowed) {
       return res.status(403).json({
         status: 'error',
         message: 'You do not have permission to view this patient\'s vital signs'
@@ -536,14 +908,9 @@ exports.getPatientHealthCheckIns = async (req, res) => {
     const { period = '7days' } = req.query;
     
     // Verify caregiver relationship and permissions
-    const relationship = await CaregiverRelationship.findOne({
-      caregiverId: req.user._id,
-      patientId,
-      status: 'active',
-      'permissions.viewSymptoms': true
-    });
+    const { allowed } = await authorizeCaregiver(req, patientId, ['viewSymptoms'], 'health_checkins');
     
-    if (!relationship) {
+    if (!allowed) {
       return res.status(403).json({
         status: 'error',
         message: 'You do not have permission to view this patient\'s health check-ins'
@@ -654,6 +1021,14 @@ exports.updateNotificationPreferences = async (req, res) => {
       });
     }
     
+    if (notificationPreferences && notificationPreferences.reportTime !== undefined &&
+        !isValidTimeString(notificationPreferences.reportTime)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Report time must use 24hr HH:mm format'
+      });
+    }
+    
     // Update notification preferences
     if (notificationPreferences) {
       relationship.notificationPreferences = {
@@ -679,18 +1054,99 @@ exports.updateNotificationPreferences = async (req, res) => {
   }
 };
 
+// Patient changes what a caregiver is allowed to see and do
+exports.updateCaregiverPermissions = async (req, res) => {
+  try {
+    const { relationshipId } = req.params;
+    const permissions = pickCaregiverPermissions(req.body.permissions);
+    
+    if (Object.keys(permissions).length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Provide at least one permission to change: ${CAREGIVER_PERMISSIONS.join(', ')}`
+      });
+    }
+    
+    // Only the patient can change the permissions of their caregivers
+    const relationship = mongoose.Types.ObjectId.isValid(relationshipId) ? await CaregiverRelationship.findOne({
+      _id: relationshipId,
+      patientId: req.user._id,
+      status: { $in: ['pending', 'active'] }
+    }) : null;
+    
+    if (!relationship) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Caregiver relationship not found'
+      });
+    }
+    
+    Object.assign(relationship.permissions, permissions);
+    
+    await relationship.save();
+    
+    logger.info(`Patient ${req.user._id} updated permissions of caregiver relationship ${relationship._id}`);
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Caregiver permissions updated successfully',
+      permissions: relationship.permissions
+    });
+  } catch (error) {
+    logger.error('Error updating caregiver permissions:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update caregiver permissions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Get refused attempts to access the logged-in patient's data
+exports.getAccessAudit = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    
+    const [entries, total] = await Promise.all([
+      AccessAuditLog.find({ patientId: req.user._id })
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('actorId', 'fullName phoneNumber')
+        .populate('medicationId', 'name')
+        .select('-ipAddress'),
+      AccessAuditLog.countDocuments({ patientId: req.user._id })
+    ]);
+    
+    res.status(200).json({
+      status: 'success',
+      count: entries.length,
+      total,
+      pages: Math.ceil(total / parseInt(limit)),
+      currentPage: parseInt(page),
+      entries
+    });
+  } catch (error) {
+    logger.error('Error getting access audit:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get access audit',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // Get recent caregiver reports
 exports.getCaregiverReports = async (req, res) => {
   try {
     const { patientId } = req.params;
     const { page = 1, limit = 10 } = req.query;
     
-    // Verify relationship
-    const relationship = await CaregiverRelationship.findOne({
-      caregiverId: req.user._id,
-      patientId,
-      status: 'active'
-    });
+    // Verify relationship and permissions
+    const { allowed, relationship } = await authorizeCaregiver(req, patientId, ['receiveReports'], 'reports');
     
     if (!relationship) {
       return res.status(404).json({
@@ -699,6 +1155,13 @@ exports.getCaregiverReports = async (req, res) => {
       });
     }
     
+    if (!allowed) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You do not have permission to view this patient\'s reports'
+      });
+    }
+    
     // Calculate pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
     
@@ -745,6 +1208,96 @@ exports.getCaregiverReports = async (req, res) => {
   }
 };
 
+// Generate a report now, for a report type or a custom date range, with the sections the caregiver picks
+exports.generateCaregiverReport = async (req, res) => {
+  try {
+    const { patientId } = req.params;
+    const { reportType = 'daily', startDate, endDate, sections, deliver } = req.body;
+    
+    // Verify relationship and permissions
+    const { allowed, relationship } = await authorizeCaregiver(req, patientId, ['receiveReports'], 'reports');
+    
+    if (!relationship) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Caregiver relationship not found'
+      });
+    }
+    
+    if (!allowed) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You do not have permission to view this patient\'s reports'
+      });
+    }
+    
+    if (!REPORT_TYPES.includes(reportType)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Report type must be one of: ${REPORT_TYPES.join(', ')}`
+      });
+    }
+    
+    const options = { reportType, deliver: deliver !== false };
+    
+    if (reportType === 'custom') {
+      const start = new Date(startDate);
+      const end = endDate ? new Date(endDate) : new Date();
+      
+      if (!startDate || Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Custom reports need a valid startDate (and optionally endDate)'
+        });
+      }
+      
+      if (start >= end || end > new Date()) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'startDate must be before endDate, and endDate cannot be in the future'
+        });
+      }
+      
+      if (end - start > MAX_REPORT_DAYS * 24 * 60 * 60 * 1000) {
+        return res.status(400).json({
+          status: 'error',
+          message: `A report can cover at most ${MAX_REPORT_DAYS} days`
+        });
+      }
+      
+      options.startDate = start;
+      options.endDate = end;
+    }
+    
+    if (sections !== undefined) {
+      if (!Array.isArray(sections) || sections.length === 0 || sections.some(section => !REPORT_SECTIONS.includes(section))) {
+        return res.status(400).json({
+          status: 'error',
+          message: `Sections must be a list of: ${REPORT_SECTIONS.join(', ')}`
+        });
+      }
+      
+      options.sections = sections;
+    }
+    
+    // Sections the caregiver is not permitted to see are left out of the report
+    const report = await generateOnDemandReport(req.user._id, patientId, options);
+    
+    res.status(201).json({
+      status: 'success',
+      message: 'Report generated successfully',
+      report
+    });
+  } catch (error) {
+    logger.error('Error generating caregiver report:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to generate caregiver report',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // Record medication for patient as caregiver
 exports.recordPatientMedication = async (req, res) => {
   try {
@@ -752,14 +1305,9 @@ exports.recordPatientMedication = async (req, res) => {
     const { status, scheduledTime, takenTime, notes } = req.body;
     
     // Verify caregiver relationship and permissions
-    const relationship = await CaregiverRelationship.findOne({
-      caregiverId: req.user._id,
-      patientId,
-      status: 'active',
-      'permissions.recordMedications': true
-    });
+    const { allowed } = await authorizeCaregiver(req, patientId, ['recordMedications'], 'medication_logs');
     
-    if (!relationship) {
+    if (!allowed) {
       return res.status(403).json({
         status: 'error',
         message: 'You do not have permission to record medications for this patient'
@@ -803,6 +1351,8 @@ exports.recordPatientMedication = async (req, res) => {
     
     await medicationLog.save();
     
+    publishDoseEvent(medicationLog, medication.name);
+    
     // Update medication remaining quantity if taken
     if (status === 'taken' && medication.remainingQuantity !== undefined) {
       medication.remainingQuantity = Math.max(0, medication.remainingQuantity - 1);
@@ -831,6 +1381,25 @@ exports.recordPatientMedication = async (req, res) => {
 
 // Helper functions
 
+// Invitation details for the inviter; the code hash is never returned
+function formatInvitation(invitation) {
+  const { codeHash, ...details } = invitation.toObject();
+  return details;
+}
+
+// Keep only known permission flags from the request
+function pickCaregiverPermissions(permissions = {}) {
+  const picked = {};
+  
+  CAREGIVER_PERMISSIONS.forEach(permission => {
+    if (typeof permissions[permission] === 'boolean') {
+      picked[permission] = permissions[permission];
+    }
+  });
+  
+  return picked;
+}
+
 // Calculate age from date of birth
 function calculateAge(dateOfBirth) {
   const today = new Date();
@@ -845,8 +1414,8 @@ function calculateAge(dateOfBirth) {
   return age;
 }
 
-// Get medication summary for dashboard
-async function getMedicationSummary(patientId) {
+// Get medication summary for dashboard; "today" is the patient's local day
+async function getMedicationSummary(patientId, timezone) {
   // Get recent logs (last 7 days)
   const sevenDaysAgo = new Date();
   sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
@@ -870,11 +1439,8 @@ async function getMedicationSummary(patientId) {
   const adherenceRate = totalLogs > 0 ? Math.round((takenLogs / totalLogs) * 100) : null;
   
   // Today's medications
-  const today = new Date();
-  const todayLogs = logs.filter(log => {
-    const logDate = new Date(log.createdAt);
-    return logDate.setHours(0, 0, 0, 0) === today.setHours(0, 0, 0, 0);
-  });
+  const today = getLocalDateKey(new Date(), timezone);
+  const todayLogs = logs.filter(log => getLocalDateKey(log.createdAt, timezone) === today);
   
   const todayTotal = todayLogs.length;
   const todayTaken = todayLogs.filter(log => log.status === 'taken').length;
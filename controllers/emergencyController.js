@@ -1,27 +1,56 @@
+const mongoose = require('mongoose');
 const User = require('../models/userModel');
-const twilio = require('twilio');
+const EmergencyIncident = require('../models/EmergencyIncident');
+const {
+  OPEN_STATUSES,
+  SHARE_LINK_HOURS,
+  startEscalation,
+  activateIncident,
+  acknowledgeIncident,
+  findByAckToken,
+  notifyContacts,
+  getAlertedContacts,
+  buildAlertMessage,
+  addLocations,
+  isValidLocation,
+  enableLocationSharing,
+  createShareUrl,
+  findBySharedToken
+} = require('../services/emergencyService');
+const { handleInboundMessage, buildTwimlReply } = require('../services/inboundMessageService');
+const logger = require('../utils/logger');
+const { prefersHtml, confirmationPage, resultPage } = require('../utils/pageTemplates');
 
-// Initialize Twilio client
-const twilioClient = twilio(
-  process.env.TWILIO_ACCOUNT_SID,
-  process.env.TWILIO_AUTH_TOKEN
-);
+// Response for an incident whose contacts have been alerted
+const sendTriggeredIncident = (res, incident) => res.status(200).json({
+  status: 'success',
+  message: 'Emergency triggered successfully',
+  incident,
+  notifiedContacts: incident.deliveryAttempts
+    .filter(attempt => attempt.channel !== 'push')
+    .map(attempt => ({
+      name: attempt.contactName,
+      phoneNumber: attempt.phoneNumber
+    })),
+  nextEscalationAt: incident.escalation.nextEscalationAt || null,
+  shareUrl: createShareUrl(incident)
+});
 
 // Trigger emergency
 exports.triggerEmergency = async (req, res) => {
   try {
     const { location } = req.body;
-    
+
     // Get user data
     const user = await User.findById(req.user._id);
-    
+
     if (!user) {
       return res.status(404).json({
         status: 'error',
         message: 'User not found',
       });
     }
-    
+
     // Check if user has emergency contacts
     if (!user.emergencyContacts || user.emergencyContacts.length === 0) {
       return res.status(400).json({
@@ -29,68 +58,743 @@ exports.triggerEmergency = async (req, res) => {
         message: 'No emergency contacts found',
       });
     }
-    
-    // In a real implementation, you would:
-    // 1. Create an emergency record in the database
-    // 2. Send SMS/WhatsApp messages to all emergency contacts
-    // 3. Track the status of the emergency
-    
-    // For now, we'll just simulate the emergency notification
-    
-    // Format location for the message
-    const locationText = location ? `Location: ${location.latitude}, ${location.longitude}` : 'Location not available';
-    
-    // Create emergency message
-    const message = `EMERGENCY ALERT: ${user.fullName} has triggered an emergency alert. ${locationText}. Please contact them immediately.`;
-    
-    // In production, send alerts to all emergency contacts
-    if (process.env.NODE_ENV === 'production') {
-      for (const contact of user.emergencyContacts) {
-        try {
-          await twilioClient.messages.create({
-            body: message,
-            from: process.env.TWILIO_WHATSAPP_NUMBER,
-            to: contact.phoneNumber
-          });
-        } catch (err) {
-          console.error(`Failed to send emergency alert to ${contact.phoneNumber}:`, err);
+
+    // Pressing SOS during an automatic countdown confirms that incident instead of opening another
+    const countdownIncident = await EmergencyIncident.findOne({
+      userId: user._id,
+      status: 'countdown'
+    }).sort({ createdAt: -1 });
+
+    if (countdownIncident) {
+      // Claim the incident so the scheduler or a confirm does not activate it at the same time
+      const claimed = await EmergencyIncident.findOneAndUpdate(
+        { _id: countdownIncident._id, status: 'countdown' },
+        { status: 'triggered' },
+        { new: true }
+      );
+
+      if (claimed) {
+        if (isValidLocation(location)) {
+          addLocations(claimed, [location]);
         }
+
+        await activateIncident(claimed);
+
+        return sendTriggeredIncident(res, claimed);
+      }
+
+      // Activated in the meantime: contacts have already been alerted
+      const activeIncident = await EmergencyIncident.findOne({
+        _id: countdownIncident._id,
+        status: { $in: OPEN_STATUSES }
+      });
+
+      if (activeIncident) {
+        return sendTriggeredIncident(res, activeIncident);
       }
     }
-    
-    res.status(200).json({
-      status: 'success',
-      message: 'Emergency triggered successfully',
-      notifiedContacts: user.emergencyContacts.map(contact => ({
-        name: contact.name,
-        phoneNumber: contact.phoneNumber
-      }))
+
+    // Create the incident record so the alert can be audited later
+    const incident = new EmergencyIncident({
+      userId: user._id,
+      status: 'triggered'
     });
+
+    if (isValidLocation(location)) {
+      addLocations(incident, [location]);
+    }
+
+    // Share live location with everyone alerted about this incident
+    enableLocationSharing(incident);
+
+    // Create emergency message
+    incident.message = buildAlertMessage(user, incident);
+
+    // Alert the first step of the escalation ladder and record each attempt
+    await startEscalation(incident, user);
+
+    await incident.save();
+
+    sendTriggeredIncident(res, incident);
   } catch (error) {
-    console.error('Error triggering emergency:', error);
+    logger.error('Error triggering emergency:', error);
     res.status(500).json({
       status: 'error',
       message: 'Failed to trigger emergency',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 };
 
 // Resolve emergency
+// Accepts an incidentId in the body; falls back to the user's most recent open incident
 exports.resolveEmergency = async (req, res) => {
   try {
-    // In a real implementation, you would:
-    // 1. Update the emergency record in the database
-    // 2. Optionally notify emergency contacts that the situation is resolved
-    
+    const incidentId = req.params.id || req.body.incidentId;
+    const { outcome = 'resolved', notes } = req.body;
+
+    if (incidentId && !mongoose.Types.ObjectId.isValid(incidentId)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid incident ID'
+      });
+    }
+
+    if (!['resolved', 'false_alarm'].includes(outcome)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Outcome must be either "resolved" or "false_alarm"'
+      });
+    }
+
+    const query = {
+      userId: req.user._id,
+      status: { $in: OPEN_STATUSES }
+    };
+
+    if (incidentId) {
+      query._id = incidentId;
+    }
+
+    const incident = await EmergencyIncident.findOne(query).sort({ createdAt: -1 });
+
+    if (!incident) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No active emergency found'
+      });
+    }
+
+    // Update the incident record
+    incident.status = outcome;
+    incident.resolvedAt = new Date();
+    incident.resolvedBy = req.user._id;
+    incident.resolutionNotes = notes;
+    incident.escalation.nextEscalationAt = undefined;
+
+    // Stop sharing live location once the emergency is over
+    incident.shareLink.expiresAt = new Date();
+
+    // Let everyone who received the alert know the situation is over
+    const resolutionMessage = outcome === 'false_alarm' ?
+      `UPDATE: The emergency alert from ${req.user.fullName} was a false alarm. No action is needed.` :
+      `UPDATE: The emergency alert from ${req.user.fullName} has been resolved. Thank you for your support.`;
+
+    await notifyContacts(incident, getAlertedContacts(incident), resolutionMessage, 'resolution');
+
+    await incident.save();
+
     res.status(200).json({
       status: 'success',
-      message: 'Emergency resolved successfully'
+      message: 'Emergency resolved successfully',
+      incident
     });
   } catch (error) {
-    console.error('Error resolving emergency:', error);
+    logger.error('Error resolving emergency:', error);
     res.status(500).json({
       status: 'error',
       message: 'Failed to resolve emergency',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Cancel an automatic emergency during its countdown, before contacts are alerted
+exports.cancelCountdown = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid incident ID'
+      });
+    }
+
+    const incident = await EmergencyIncident.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        userId: req.user._id,
+        status: 'countdown'
+      },
+      {
+        status: 'cancelled',
+        cancelledAt: new Date(),
+        $unset: { countdownEndsAt: 1 }
+      },
+      { new: true }
+    );
+
+    if (!incident) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No pending emergency countdown found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Emergency alert cancelled',
+      incident
+    });
+  } catch (error) {
+    logger.error('Error cancelling emergency countdown:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to cancel emergency alert',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Skip the countdown of an automatic emergency and alert contacts now
+exports.confirmCountdown = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid incident ID'
+      });
+    }
+
+    // Claim the incident so the scheduler does not activate it at the same time
+    const incident = await EmergencyIncident.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        userId: req.user._id,
+        status: 'countdown'
+      },
+      { status: 'triggered' },
+      { new: true }
+    );
+
+    if (!incident) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No pending emergency countdown found'
+      });
+    }
+
+    await activateIncident(incident);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Emergency triggered successfully',
+      incident,
+      nextEscalationAt: incident.escalation.nextEscalationAt || null,
+      shareUrl: createShareUrl(incident)
+    });
+  } catch (error) {
+    logger.error('Error confirming emergency countdown:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to trigger emergency',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Get the user's emergency incidents
+exports.getIncidents = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const query = { userId: req.user._id };
+
+    if (status) {
+      query.status = status;
+    }
+
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const total = await EmergencyIncident.countDocuments(query);
+
+    const incidents = await EmergencyIncident.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    res.status(200).json({
+      status: 'success',
+      count: incidents.length,
+      total,
+      pages: Math.ceil(total / parseInt(limit)),
+      currentPage: parseInt(page),
+      incidents
+    });
+  } catch (error) {
+    logger.error('Error getting emergency incidents:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get emergency incidents',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Get a single emergency incident with its full delivery and location history
+exports.getIncidentDetails = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid incident ID'
+      });
+    }
+
+    const incident = await EmergencyIncident.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    }).populate('resolvedBy', 'fullName');
+
+    if (!incident) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Emergency incident not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      incident
+    });
+  } catch (error) {
+    logger.error('Error getting emergency incident:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get emergency incident',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+
+// Add location updates to an active incident
+// Accepts a single point ({ latitude, longitude, accuracy, recordedAt }) or a batch in `locations`
+exports.updateIncidentLocation = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid incident ID'
+      });
+    }
+
+    const points = Array.isArray(req.body.locations) ? req.body.locations : [req.body];
+
+    if (points.length === 0 || !points.every(isValidLocation)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Each location requires a numeric latitude (-90 to 90) and longitude (-180 to 180)'
+      });
+    }
+
+    const incident = await EmergencyIncident.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+      status: { $in: ['countdown', ...OPEN_STATUSES] }
+    });
+
+    if (!incident) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No active emergency found'
+      });
+    }
+
+    addLocations(incident, points);
+
+    await incident.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: `${points.length} location update(s) recorded`,
+      latestLocation: incident.locations[incident.locations.length - 1],
+      locationCount: incident.locations.length
+    });
+  } catch (error) {
+    logger.error('Error updating incident location:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update location',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Create or extend the live location share link for an active incident
+exports.createIncidentShareLink = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid incident ID'
+      });
+    }
+
+    const { hours = SHARE_LINK_HOURS } = req.body;
+
+    if (isNaN(hours) || hours < 1 || hours > 24) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Share duration must be between 1 and 24 hours'
+      });
+    }
+
+    const incident = await EmergencyIncident.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+      status: { $in: OPEN_STATUSES }
+    });
+
+    if (!incident) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No active emergency found'
+      });
+    }
+
+    enableLocationSharing(incident, Number(hours));
+
+    await incident.save();
+
+    res.status(200).json({
+      status: 'success',
+      shareUrl: createShareUrl(incident),
+      expiresAt: incident.shareLink.expiresAt
+    });
+  } catch (error) {
+    logger.error('Error creating incident share link:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create share link',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
-};
\ No newline at end of file
+};
+
+// Stop sharing live location for an incident; previously sent links stop working
+exports.revokeIncidentShareLink = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid incident ID'
+      });
+    }
+
+    const incident = await EmergencyIncident.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!incident) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Emergency incident not found'
+      });
+    }
+
+    incident.shareLink.expiresAt = new Date();
+
+    await incident.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Location sharing stopped'
+    });
+  } catch (error) {
+    logger.error('Error revoking incident share link:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to stop location sharing',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// View the live location of an incident through a share link (public)
+exports.getSharedLocation = async (req, res) => {
+  try {
+    const { trailLimit = 100 } = req.query;
+
+    const incident = await findBySharedToken(req.params.token);
+
+    if (!incident) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'This location link is invalid or has expired'
+      });
+    }
+
+    const trail = incident.locations.slice(-Math.min(parseInt(trailLimit) || 100, 500));
+
+    res.status(200).json({
+      status: 'success',
+      patientName: incident.userId ? incident.userId.fullName : null,
+      incidentStatus: incident.status,
+      triggeredAt: incident.createdAt,
+      latestLocation: trail.length > 0 ? trail[trail.length - 1] : null,
+      trail: trail.map(point => ({
+        latitude: point.latitude,
+        longitude: point.longitude,
+        accuracy: point.accuracy,
+        recordedAt: point.recordedAt
+      })),
+      expiresAt: incident.shareLink.expiresAt
+    });
+  } catch (error) {
+    logger.error('Error getting shared location:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get location',
+    });
+  }
+};
+
+// Show the acknowledgement page for the link sent to a contact (public).
+// Link previews and scanners fetch links on their own, so only the POST below acknowledges.
+exports.previewAcknowledgeLink = async (req, res) => {
+  try {
+    const { incident } = await findByAckToken(req.params.token);
+
+    if (!incident) {
+      const message = 'This emergency link is invalid';
+
+      if (prefersHtml(req)) {
+        return res.status(404).send(resultPage('Emergency alert', message));
+      }
+
+      return res.status(404).json({
+        status: 'error',
+        message
+      });
+    }
+
+    const isOpen = OPEN_STATUSES.includes(incident.status);
+
+    if (prefersHtml(req)) {
+      return res.status(200).send(isOpen ?
+        confirmationPage({
+          title: 'Emergency alert',
+          message: 'Someone who listed you as an emergency contact needs help. Let them know you are responding.',
+          actions: [{ label: 'I am responding' }]
+        }) :
+        resultPage('Emergency alert', 'This emergency has already been resolved'));
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: isOpen ?
+        'Send a POST request to this link to let them know you are responding' :
+        'This emergency has already been resolved',
+      incidentStatus: incident.status
+    });
+  } catch (error) {
+    logger.error('Error loading emergency acknowledgement link:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to load emergency',
+    });
+  }
+};
+
+// Acknowledge an emergency alert through the link sent to a contact (public)
+exports.acknowledgeByLink = async (req, res) => {
+  try {
+    const { incident, attempt } = await findByAckToken(req.params.token);
+
+    if (!incident) {
+      const message = 'This emergency link is invalid';
+
+      if (prefersHtml(req)) {
+        return res.status(404).send(resultPage('Emergency alert', message));
+      }
+
+      return res.status(404).json({
+        status: 'error',
+        message
+      });
+    }
+
+    if (!OPEN_STATUSES.includes(incident.status)) {
+      const message = 'This emergency has already been resolved';
+
+      if (prefersHtml(req)) {
+        return res.status(200).send(resultPage('Emergency alert', message));
+      }
+
+      return res.status(200).json({
+        status: 'success',
+        message
+      });
+    }
+
+    await acknowledgeIncident(incident, attempt, 'link');
+
+    const message = 'Thank you. We have let them know you are responding.';
+
+    if (prefersHtml(req)) {
+      return res.status(200).send(resultPage('Emergency alert', message));
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message,
+      acknowledgedAt: incident.acknowledgedAt
+    });
+  } catch (error) {
+    logger.error('Error acknowledging emergency by link:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to acknowledge emergency',
+    });
+  }
+};
+
+// Acknowledge an emergency alert through an SMS reply (Twilio webhook).
+// Patients answering a dose reminder may write to the same number, so the reply is routed
+// the same way as on the medication reminder webhook.
+exports.acknowledgeBySmsReply = async (req, res) => {
+  try {
+    const { From: from, Body: body } = req.body;
+    const reply = await handleInboundMessage(from, body);
+
+    res.type('text/xml');
+    res.status(200).send(buildTwimlReply(reply));
+  } catch (error) {
+    logger.error('Error acknowledging emergency by SMS reply:', error);
+    res.type('text/xml');
+    res.status(200).send(buildTwimlReply(''));
+  }
+};
+
+// Get the user's emergency escalation policy
+exports.getEscalationPolicy = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found',
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      escalationPolicy: user.escalationPolicy
+    });
+  } catch (error) {
+    logger.error('Error getting escalation policy:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get escalation policy',
+    });
+  }
+};
+
+// Update the user's emergency escalation policy
+exports.updateEscalationPolicy = async (req, res) => {
+  try {
+    const { enabled, waitMinutes, includeCaregivers } = req.body;
+
+    if (waitMinutes !== undefined && (isNaN(waitMinutes) || waitMinutes < 1 || waitMinutes > 60)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Wait time must be between 1 and 60 minutes'
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found',
+      });
+    }
+
+    if (enabled !== undefined) user.escalationPolicy.enabled = enabled;
+    if (waitMinutes !== undefined) user.escalationPolicy.waitMinutes = parseInt(waitMinutes);
+    if (includeCaregivers !== undefined) user.escalationPolicy.includeCaregivers = includeCaregivers;
+
+    await user.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Escalation policy updated successfully',
+      escalationPolicy: user.escalationPolicy
+    });
+  } catch (error) {
+    logger.error('Error updating escalation policy:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update escalation policy',
+    });
+  }
+};
+
+// Get the user's automatic emergency trigger settings
+exports.getAutoTriggerSettings = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found',
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      emergencyAutoTrigger: user.emergencyAutoTrigger
+    });
+  } catch (error) {
+    logger.error('Error getting auto trigger settings:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get automatic trigger settings',
+    });
+  }
+};
+
+// Update the user's automatic emergency trigger settings
+exports.updateAutoTriggerSettings = async (req, res) => {
+  try {
+    const { enabled, countdownSeconds } = req.body;
+
+    if (countdownSeconds !== undefined && (isNaN(countdownSeconds) || countdownSeconds < 30 || countdownSeconds > 600)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Countdown must be between 30 and 600 seconds'
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found',
+      });
+    }
+
+    if (enabled !== undefined) user.emergencyAutoTrigger.enabled = enabled;
+    if (countdownSeconds !== undefined) user.emergencyAutoTrigger.countdownSeconds = parseInt(countdownSeconds);
+
+    await user.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Automatic trigger settings updated successfully',
+      emergencyAutoTrigger: user.emergencyAutoTrigger
+    });
+  } catch (error) {
+    logger.error('Error updating auto trigger settings:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update automatic trigger settings',
+    });
+  }
+};
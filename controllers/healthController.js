@@ -4,6 +4,10 @@ const mongoose = require('mongoose');
 const OpenAI = require('openai');
 const { sendPushNotification } = require('../services/notificationService');
 const SymptomCorrelationService = require('../services/symptomCorrelationService');
+const emergencyRulesService = require('../services/emergencyRulesService');
+const { raiseAbnormalVitalAlert, raiseHighRiskCheckInAlert } = require('../services/caregiverAlertService');
+const { publishCareEvent } = require('../services/careEventService');
+const { getLocalTimeParts, getUserTimezone } = require('../utils/timeUtils');
 
 // Initialize OpenAI API
 const openai = new OpenAI({
@@ -11,9 +15,11 @@ const openai = new OpenAI({
 });
 
 // Record vital sign with enhanced validation and error handling
+// Also mounted at /api/care/patients/:patientId/vitals, where a caregiver records for req.patient
 exports.recordVitalSign = async (req, res) => {
   try {
     const { type, values, unit, notes } = req.body;
+    const patient = req.patient || req.user;
     
     // Enhanced validation
     if (!type || !values) {
@@ -45,7 +51,7 @@ exports.recordVitalSign = async (req, res) => {
     
     // Create new vital sign record
     const vitalSign = new VitalSign({
-      userId: req.user._id,
+      userId: patient._id,
       type,
       values,
       derivedValues,
@@ -59,11 +65,29 @@ exports.recordVitalSign = async (req, res) => {
     
     await vitalSign.save();
     
+    publishCareEvent(patient._id, 'vital_recorded', {
+      vitalSignId: vitalSign._id,
+      type,
+      values: vitalSign.values,
+      unit,
+      isNormal: vitalSign.isNormal,
+      timestamp: vitalSign.timestamp,
+      recordedBy: req.user._id
+    });
+    
+    // Critical readings open an emergency countdown before any slower analysis runs
+    const emergency = await checkForEmergency(emergencyRulesService.handleVitalSign, vitalSign);
+    
+    // Abnormal readings alert the patient's caregivers straight away
+    if (!vitalSign.isNormal) {
+      await alertCaregivers(() => raiseAbnormalVitalAlert(vitalSign, patient, Boolean(emergency)));
+    }
+    
     // Generate AI analysis for abnormal readings
     let aiAnalysis = null;
     if (!vitalSign.isNormal) {
       vitalSign.followupRequired = true;
-      aiAnalysis = await generateAIHealthInsight(type, values, derivedValues, req.user);
+      aiAnalysis = await generateAIHealthInsight(type, values, derivedValues, patient);
       
       // Save the updated record with AI insights
       if (aiAnalysis) {
@@ -81,7 +105,8 @@ exports.recordVitalSign = async (req, res) => {
       aiAnalysis: aiAnalysis ? {
         insights: aiAnalysis.insights,
         followupRequired: aiAnalysis.followupRequired
-      } : null
+      } : null,
+      emergency
     });
   } catch (error) {
     logger.error('Error recording vital sign:', error);
@@ -151,9 +176,11 @@ exports.getUserVitalSigns = async (req, res) => {
 };
 
 // Submit health check-in with AI assessment and dynamic follow-up questions
+// Also mounted at /api/care/patients/:patientId/checkins, where a caregiver records for req.patient
 exports.submitHealthCheckIn = async (req, res) => {
   try {
     const { feeling, symptoms, notes, sleepHours, stressLevel, medicationAdherence, waterIntake, exerciseMinutes } = req.body;
+    const patient = req.patient || req.user;
     
     // Validate required fields
     if (!feeling) {
@@ -174,7 +201,7 @@ exports.submitHealthCheckIn = async (req, res) => {
     
     // Create new health check-in with additional lifestyle data
     const healthCheckIn = new HealthCheckIn({
-      userId: req.user._id,
+      userId: patient._id,
       feeling,
       symptoms: symptoms || [],
       notes,
@@ -193,7 +220,7 @@ exports.submitHealthCheckIn = async (req, res) => {
         feeling, 
         symptoms, 
         { sleepHours, stressLevel, medicationAdherence, waterIntake, exerciseMinutes },
-        req.user
+        patient
       );
       
       healthCheckIn.aiAssessment = {
@@ -224,9 +251,20 @@ exports.submitHealthCheckIn = async (req, res) => {
     
     await healthCheckIn.save();
     
+    publishCareEvent(patient._id, 'checkin_submitted', {
+      checkInId: healthCheckIn._id,
+      feeling,
+      symptoms: healthCheckIn.symptoms.map(symptom => ({ name: symptom.name, severity: symptom.severity })),
+      riskLevel: healthCheckIn.aiAssessment.riskLevel,
+      recordedBy: req.user._id
+    });
+    
+    // Emergency assessments open an emergency countdown
+    const emergency = await checkForEmergency(emergencyRulesService.handleCheckIn, healthCheckIn);
+    
     // If high risk, trigger notification
-    if (healthCheckIn.aiAssessment.riskLevel === 'high') {
-      await triggerCaregiverNotification(req.user._id, 'health_concern', {
+    if (['high', 'emergency'].includes(healthCheckIn.aiAssessment.riskLevel)) {
+      await triggerCaregiverNotification(healthCheckIn, patient, 'health_concern', {
         checkInId: healthCheckIn._id,
         feeling,
         symptoms,
@@ -238,7 +276,8 @@ exports.submitHealthCheckIn = async (req, res) => {
       status: 'success',
       message: 'Health check-in submitted successfully',
       healthCheckIn,
-      requiresFollowUp: healthCheckIn.followUpQuestions && healthCheckIn.followUpQuestions.length > 0
+      requiresFollowUp: healthCheckIn.followUpQuestions && healthCheckIn.followUpQuestions.length > 0,
+      emergency
     });
   } catch (error) {
     logger.error('Error submitting health check-in:', error);
@@ -327,9 +366,12 @@ exports.submitFollowUpResponses = async (req, res) => {
     
     await healthCheckIn.save();
     
+    // The follow-up answers may have raised the assessment to an emergency
+    const emergency = await checkForEmergency(emergencyRulesService.handleCheckIn, healthCheckIn);
+    
     // If high risk, trigger notification
-    if (healthCheckIn.aiAssessment.riskLevel === 'high' && !healthCheckIn.furtherFollowUpRequired) {
-      await triggerCaregiverNotification(req.user._id, 'health_concern_update', {
+    if (['high', 'emergency'].includes(healthCheckIn.aiAssessment.riskLevel) && !healthCheckIn.furtherFollowUpRequired) {
+      await triggerCaregiverNotification(healthCheckIn, req.user, 'health_concern_update', {
         checkInId: healthCheckIn._id,
         feeling: healthCheckIn.feeling,
         riskLevel: healthCheckIn.aiAssessment.riskLevel,
@@ -341,7 +383,8 @@ exports.submitFollowUpResponses = async (req, res) => {
       status: 'success',
       message: 'Follow-up responses submitted successfully',
       healthCheckIn,
-      requiresMoreFollowUp: healthCheckIn.furtherFollowUpRequired
+      requiresMoreFollowUp: healthCheckIn.furtherFollowUpRequired,
+      emergency
     });
   } catch (error) {
     logger.error('Error submitting follow-up responses:', error);
@@ -2513,17 +2556,14 @@ async function generateHealthDashboardInsights(
   }
 }
 
-// Trigger caregiver notification
-async function triggerCaregiverNotification(userId, type, data) {
+// Alert the patient's caregivers about a high-risk check-in and point the patient to the follow-up
+async function triggerCaregiverNotification(healthCheckIn, patient, type, data) {
   try {
-    // Implementation depends on your notification system
-    // This is a placeholder for the notification logic
+    const userId = patient._id;
+    
     logger.info(`Notification triggered for user ${userId}. Type: ${type}`);
     
-    // In a real implementation, you would:
-    // 1. Find the user's caregivers
-    // 2. Create notifications for each caregiver
-    // 3. Send push notifications, SMS, or emails as appropriate
+    await alertCaregivers(() => raiseHighRiskCheckInAlert(healthCheckIn, patient));
     
     // Send push notification to user
     const notificationTitle = type === 'health_concern' ? 
@@ -2534,7 +2574,7 @@ async function triggerCaregiverNotification(userId, type, data) {
       'Your recent health check-in suggests you may need follow-up. Tap to view details.' :
       'There\'s an update regarding your recent health check-in. Tap to view details.';
     
-    await sendPushNotification(userId, notificationTitle, notificationBody, data);
+    await sendPushNotification(userId, notificationTitle, notificationBody, data, { category: 'health_concern' });
     
     return true;
   } catch (error) {
@@ -2543,6 +2583,39 @@ async function triggerCaregiverNotification(userId, type, data) {
   }
 }
 
+// Raise a caregiver alert for a saved reading or check-in.
+// Failures are logged rather than thrown so the health record is still returned.
+async function alertCaregivers(raise) {
+  try {
+    return await raise();
+  } catch (error) {
+    logger.error('Error raising caregiver alert:', error);
+    return null;
+  }
+}
+
+// Run the emergency rules engine for a saved reading or check-in.
+// Failures are logged rather than thrown so the health record is still returned.
+async function checkForEmergency(handler, record) {
+  try {
+    const incident = await handler(record);
+
+    if (!incident) {
+      return null;
+    }
+
+    return {
+      incidentId: incident._id,
+      status: incident.status,
+      reasons: incident.trigger.reasons,
+      countdownEndsAt: incident.countdownEndsAt || null
+    };
+  } catch (error) {
+    logger.error('Error evaluating emergency rules:', error);
+    return null;
+  }
+}
+
 // GET /api/health/vitals/trends
 exports.getVitalTrends = async (req, res) => {
   try {
@@ -2865,7 +2938,7 @@ exports.getSymptomPatterns = async (req, res) => {
       }
       
       // Add insight about symptom pattern
-      const symptomPattern = detectSymptomPattern(mostFrequent.occurrences);
+      const symptomPattern = detectSymptomPattern(mostFrequent.occurrences, getUserTimezone(req.user));
       if (symptomPattern) {
         insights.push(symptomPattern);
       }
@@ -2923,7 +2996,7 @@ exports.getSymptomPatterns = async (req, res) => {
 };
 
 // Helper function to detect patterns in symptom occurrences
-function detectSymptomPattern(occurrences) {
+function detectSymptomPattern(occurrences, timezone) {
   try {
     if (!occurrences || occurrences.length < 3) {
       return null;
@@ -2960,7 +3033,7 @@ function detectSymptomPattern(occurrences) {
     };
     
     sortedOccurrences.forEach(occurrence => {
-      const hour = new Date(occurrence.date).getHours();
+      const { hour } = getLocalTimeParts(occurrence.date, timezone);
       if (hour >= 5 && hour < 12) {
         timeOfDayMap.morning++;
       } else if (hour >= 12 && hour < 18) {
@@ -6,7 +6,13 @@ const MedicationLog = require('../models/MedicationLog');
 const MedicationSchedule = require('../models/MedicationSchedule');
 const MedicationSharing = require('../models/MedicationSharing');
 const MedicationReminder = require('../models/MedicationReminder');
+const MedicationRefill = require('../models/MedicationRefill');
+const User = require('../models/userModel');
 const logger = require('../utils/logger');
+const { syncMedicationReminders } = require('../services/reminderGenerationService');
+const { countExpectedDoses, describeSchedule, validateSchedule } = require('../services/doseScheduleService');
+const { authorizeMedicationAccess } = require('../services/caregiverAccessService');
+const { getUserTimezone } = require('../utils/timeUtils');
 
 /**
  * Add new medication
@@ -56,6 +62,16 @@ const logger = require('../utils/logger');
         message: 'Frequency must include timesPerDay',
       });
     }
+    
+    // Validate cycle, interval and tapering schedules
+    const scheduleError = req.body.schedule ? validateSchedule(req.body.schedule) : null;
+    
+    if (scheduleError) {
+      return res.status(400).json({
+        status: 'error',
+        message: scheduleError,
+      });
+    }
 
     // Create new medication
     const medication = new Medication({
@@ -105,6 +121,8 @@ const logger = require('../utils/logger');
     // If reminders are enabled, create default reminders
     if (req.body.enableReminders) {
       await createDefaultReminders(medication._id, req.user._id);
+    } else if (req.body.schedule && req.body.schedule.reminders && req.body.schedule.reminders.enabled) {
+      await syncMedicationReminders(medication._id);
     }
     
     // If this is a new prescription-type medication, check for interactions
@@ -275,23 +293,27 @@ exports.getMedicationDetails = async (req, res) => {
   try {
     const { includeSchedule, includeAdherence, includeLogs, includeRefills } = req.query;
     
-    const medication = await Medication.findOne({
-      _id: req.params.id,
-      userId: req.user._id
-    });
+    // The user's own medication, or one they may view through a share or as a caregiver
+    const access = await authorizeMedicationAccess(req, req.params.id, 'canView');
     
-    if (!medication) {
+    if (!access.allowed) {
       return res.status(404).json({
         status: 'error',
         message: 'Medication not found',
       });
     }
     
+    const { medication } = access;
+    
     // Create result object
     const result = {
       medication: medication.toObject()
     };
     
+    // Schedules follow the owner's clock, also when a shared medication is viewed
+    const owner = access.isOwner ? req.user : await User.findById(medication.userId).select('timezone');
+    const timezone = getUserTimezone(owner);
+    
     // Include schedule if requested
     if (includeSchedule === 'true') {
       const schedule = await MedicationSchedule.findOne({
@@ -300,11 +322,15 @@ exports.getMedicationDetails = async (req, res) => {
       });
       
       result.schedule = schedule;
+      
+      // Where the patient is in a cycle or taper, and the next doses
+      result.scheduleSummary = schedule ? describeSchedule(schedule, timezone) : null;
     }
     
     // Include adherence if requested
     if (includeAdherence === 'true') {
       // Get adherence for last 30 days
+      const now = new Date();
       const thirtyDaysAgo = new Date();
       thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
       
@@ -316,10 +342,13 @@ exports.getMedicationDetails = async (req, res) => {
       // Calculate adherence
       const totalLogs = logs.length;
       const takenLogs = logs.filter(log => log.status === 'taken').length;
+      const expectedDoses = await countExpectedDoses(medication._id, thirtyDaysAgo, now, timezone);
       
       result.adherence = {
         rate: totalLogs > 0 ? Math.round((takenLogs / totalLogs) * 100) : null,
         logsCount: totalLogs,
+        expectedDoses,
+        scheduledRate: expectedDoses > 0 ? Math.min(100, Math.round((takenLogs / expectedDoses) * 100)) : null,
         lastTaken: logs.filter(log => log.status === 'taken')
           .sort((a, b) => b.takenTime - a.takenTime)[0]?.takenTime || null
       };
@@ -394,18 +423,46 @@ exports.updateMedication = async (req, res) => {
     } = req.body;
     
     // Find the medication first to check for changes
-    const existingMedication = await Medication.findOne({
-      _id: req.params.id, 
-      userId: req.user._id
-    });
+    const access = await authorizeMedicationAccess(req, req.params.id, 'canEdit');
     
-    if (!existingMedication) {
+    if (!access.medication) {
       return res.status(404).json({
         status: 'error',
         message: 'Medication not found',
       });
     }
     
+    // Everyone but the owner needs edit permission
+    if (!access.allowed) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You do not have permission to edit this medication',
+      });
+    }
+    
+    const existingMedication = access.medication;
+    const ownerId = existingMedication.userId;
+    
+    // Validate the schedule as it will be after the update
+    if (req.body.schedule) {
+      const currentSchedule = await MedicationSchedule.findOne({
+        medicationId: existingMedication._id,
+        active: true
+      });
+      
+      const scheduleError = validateSchedule({
+        ...(currentSchedule ? currentSchedule.toObject() : {}),
+        ...req.body.schedule
+      });
+      
+      if (scheduleError) {
+        return res.status(400).json({
+          status: 'error',
+          message: scheduleError,
+        });
+      }
+    }
+    
     // Check if name or frequency changed (important for schedules)
     const nameChanged = name && name !== existingMedication.name;
     const frequencyChanged = frequency && JSON.stringify(frequency) !== JSON.stringify(existingMedication.frequency);
@@ -446,20 +503,18 @@ exports.updateMedication = async (req, res) => {
     
     // Update medication
     const medication = await Medication.findOneAndUpdate(
-      { _id: req.params.id, userId: req.user._id },
+      { _id: existingMedication._id, userId: ownerId },
       updateData,
       { new: true }
     );
     
-    // If name or frequency changed, update the schedule
-   if (nameChanged || frequencyChanged) {
-     if (req.body.schedule) {
-       // Update with provided schedule
-       await updateMedicationSchedule(medication._id, req.user._id, req.body.schedule);
-     } else if (frequencyChanged) {
-       // Update with default schedule based on new frequency
-       await updateDefaultSchedule(medication._id, req.user._id, frequency);
-     }
+    // Update the schedule if one was provided or the frequency changed
+   if (req.body.schedule) {
+     // Update with provided schedule
+     await updateMedicationSchedule(medication._id, ownerId, req.body.schedule);
+   } else if (frequencyChanged) {
+     // Update with default schedule based on new frequency
+     await updateDefaultSchedule(medication._id, ownerId, frequency);
    }
    
    // If status changed to discontinued, update reminders
@@ -467,9 +522,14 @@ exports.updateMedication = async (req, res) => {
      await disableMedicationReminders(medication._id);
    }
    
+   // Regenerate upcoming reminders; pausing or stopping the medication clears them
+   if (req.body.schedule || nameChanged || frequencyChanged || (status && status !== existingMedication.status)) {
+     await syncMedicationReminders(medication._id);
+   }
+   
    // If medication was modified significantly, check for interactions
    if (nameChanged || genericName !== existingMedication.genericName) {
-     checkMedicationInteractions(medication._id, req.user._id);
+     checkMedicationInteractions(medication._id, ownerId);
    }
    
    res.status(200).json({
@@ -517,6 +577,7 @@ exports.deleteMedication = async (req, res) => {
    );
    
    await disableMedicationReminders(medication._id);
+   await syncMedicationReminders(medication._id);
    
    res.status(200).json({
      status: 'success',
@@ -652,6 +713,36 @@ async function createDefaultSchedule(medicationId, userId, frequency) {
  }
 }
 
+/**
+* Create a medication schedule from the schedule sent by the client
+*/
+async function createMedicationSchedule(medicationId, userId, scheduleData) {
+ try {
+   const schedule = new MedicationSchedule({
+     userId,
+     medicationId,
+     scheduleType: scheduleData.scheduleType || 'regular',
+     times: scheduleData.times || [],
+     daysOfWeek: scheduleData.daysOfWeek || ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'],
+     cyclePattern: scheduleData.cyclePattern,
+     intervalDays: scheduleData.intervalDays,
+     taperPhases: scheduleData.taperPhases,
+     flexibility: scheduleData.flexibility || 30,
+     instructions: scheduleData.instructions,
+     reminders: scheduleData.reminders,
+     active: true,
+     startDate: scheduleData.startDate || new Date(),
+     endDate: scheduleData.endDate
+   });
+   
+   await schedule.save();
+   return schedule;
+ } catch (error) {
+   logger.error('Error creating medication schedule:', error);
+   throw error;
+ }
+}
+
 /**
 * Update a medication schedule
 */
@@ -671,32 +762,26 @@ async function updateMedicationSchedule(medicationId, userId, scheduleData) {
        times: scheduleData.times || existingSchedule.times,
        daysOfWeek: scheduleData.daysOfWeek || existingSchedule.daysOfWeek,
        cyclePattern: scheduleData.cyclePattern || existingSchedule.cyclePattern,
+       intervalDays: scheduleData.intervalDays || existingSchedule.intervalDays,
+       taperPhases: scheduleData.taperPhases || existingSchedule.taperPhases,
        flexibility: scheduleData.flexibility || existingSchedule.flexibility,
        instructions: scheduleData.instructions || existingSchedule.instructions,
        startDate: scheduleData.startDate || existingSchedule.startDate,
        endDate: scheduleData.endDate
      });
      
+     if (scheduleData.reminders) {
+       existingSchedule.set('reminders', {
+         ...existingSchedule.toObject().reminders,
+         ...scheduleData.reminders
+       });
+     }
+     
      await existingSchedule.save();
      return existingSchedule;
    } else {
      // Create new schedule
-     const schedule = new MedicationSchedule({
-       userId,
-       medicationId,
-       scheduleType: scheduleData.scheduleType || 'regular',
-       times: scheduleData.times || [],
-       daysOfWeek: scheduleData.daysOfWeek || ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'],
-       cyclePattern: scheduleData.cyclePattern,
-       flexibility: scheduleData.flexibility || 30,
-       instructions: scheduleData.instructions,
-       active: true,
-       startDate: scheduleData.startDate || new Date(),
-       endDate: scheduleData.endDate
-     });
-     
-     await schedule.save();
-     return schedule;
+     return await createMedicationSchedule(medicationId, userId, scheduleData);
    }
  } catch (error) {
    logger.error('Error updating medication schedule:', error);
@@ -709,14 +794,23 @@ async function updateMedicationSchedule(medicationId, userId, scheduleData) {
 */
 async function updateDefaultSchedule(medicationId, userId, frequency) {
  try {
+   const previousSchedule = await MedicationSchedule.findOne({ medicationId, userId, active: true });
+   
    // Deactivate existing schedule
    await MedicationSchedule.updateMany(
      { medicationId, userId, active: true },
      { active: false }
    );
    
-   // Create new default schedule
-   return await createDefaultSchedule(medicationId, userId, frequency);
+   // Create new default schedule, keeping the reminder settings of the old one
+   const schedule = await createDefaultSchedule(medicationId, userId, frequency);
+   
+   if (previousSchedule) {
+     schedule.reminders = previousSchedule.toObject().reminders;
+     await schedule.save();
+   }
+   
+   return schedule;
  } catch (error) {
    logger.error('Error updating default schedule:', error);
    throw error;
@@ -724,7 +818,8 @@ async function updateDefaultSchedule(medicationId, userId, frequency) {
 }
 
 /**
-* Create default reminders for a medication
+* Turn on dose reminders for a medication's schedule.
+* The reminders themselves are generated by the reminder generation service.
 */
 async function createDefaultReminders(medicationId, userId) {
  try {
@@ -737,44 +832,11 @@ async function createDefaultReminders(medicationId, userId) {
    
    if (!schedule) return;
    
-   // Create a reminder for each scheduled time
-   const reminders = [];
-   
-   // Get the medication name for the reminder message
-   const medication = await Medication.findById(medicationId);
-   const medicationName = medication ? medication.name : 'your medication';
-   
-   for (const time of schedule.times) {
-     // Create a default reminder 10 minutes before scheduled time
-     const reminder = new MedicationReminder({
-       userId,
-       medicationId,
-       scheduleId: schedule._id,
-       reminderTime: new Date(), // Will be set correctly later
-       offset: 10, // 10 minutes before scheduled time
-       enabled: true,
-       channels: ['push'],
-       message: `Time to take ${medicationName} (${time.label})`,
-       reminderType: 'dose',
-       smartReminder: {
-         enabled: true,
-         maxReminders: 3,
-         reminderInterval: 10
-       },
-       status: 'pending'
-     });
-     
-     reminders.push(reminder);
-   }
-   
-   await MedicationReminder.insertMany(reminders);
-   
-   // Update medication with reminder IDs
-   await Medication.findByIdAndUpdate(medicationId, {
-     reminderIds: reminders.map(r => r._id)
-   });
+   schedule.reminders.enabled = true;
+   await schedule.save();
    
-   return reminders;
+   // Generate the first week of reminders straight away
+   await syncMedicationReminders(medicationId);
  } catch (error) {
    logger.error('Error creating default reminders:', error);
    throw error;
@@ -0,0 +1,330 @@
+const mongoose = require('mongoose');
+const Medication = require('../models/medicationModel');
+const MedicationSharing = require('../models/MedicationSharing');
+const User = require('../models/userModel');
+const logger = require('../utils/logger');
+const { sendPushNotification } = require('../services/notificationService');
+const {
+  SHARE_PERMISSIONS,
+  activeShareQuery,
+  syncSharedWith
+} = require('../services/medicationSharingService');
+
+// Keep only known permission flags from the request
+const pickPermissions = (permissions = {}) => {
+  const picked = {};
+
+  SHARE_PERMISSIONS.forEach(permission => {
+    if (typeof permissions[permission] === 'boolean') {
+      picked[permission] = permissions[permission];
+    }
+  });
+
+  return picked;
+};
+
+// Returns an error message, or null when expiresAt is empty or a future date
+const validateExpiry = (expiresAt) => {
+  if (expiresAt === undefined || expiresAt === null) return null;
+
+  const date = new Date(expiresAt);
+
+  if (Number.isNaN(date.getTime())) return 'expiresAt must be a valid date';
+  if (date <= new Date()) return 'expiresAt must be in the future';
+
+  return null;
+};
+
+/**
+ * Share a medication with another user
+ * @route POST /api/medications/:id/shares
+ */
+exports.shareMedication = async (req, res) => {
+  try {
+    const { phoneNumber, permissions, expiresAt, notifyOnMissedDoses, notifyOnRefills, notes } = req.body;
+
+    if (!phoneNumber) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Phone number is required'
+      });
+    }
+
+    const expiryError = validateExpiry(expiresAt);
+    if (expiryError) {
+      return res.status(400).json({
+        status: 'error',
+        message: expiryError
+      });
+    }
+
+    // Only the owner can share a medication
+    const medication = mongoose.Types.ObjectId.isValid(req.params.id) ? await Medication.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    }) : null;
+
+    if (!medication) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Medication not found'
+      });
+    }
+
+    const recipient = await User.findOne({ phoneNumber });
+
+    if (!recipient) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User with this phone number not found'
+      });
+    }
+
+    if (recipient._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'You cannot share a medication with yourself'
+      });
+    }
+
+    const existingShare = await MedicationSharing.findOne({
+      medicationId: medication._id,
+      caregiverId: recipient._id,
+      ...activeShareQuery()
+    });
+
+    if (existingShare) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'This medication is already shared with this user',
+        shareId: existingShare._id
+      });
+    }
+
+    const share = new MedicationSharing({
+      userId: req.user._id,
+      caregiverId: recipient._id,
+      medicationId: medication._id,
+      permissions: pickPermissions(permissions),
+      status: 'active',
+      notifyOnMissedDoses: notifyOnMissedDoses !== undefined ? Boolean(notifyOnMissedDoses) : undefined,
+      notifyOnRefills: notifyOnRefills !== undefined ? Boolean(notifyOnRefills) : undefined,
+      expiresAt: expiresAt ? new Date(expiresAt) : undefined,
+      notes
+    });
+
+    await share.save();
+    await syncSharedWith(medication._id);
+
+    await sendPushNotification(
+      recipient._id,
+      'Medication shared with you',
+      `${req.user.fullName} shared ${medication.name} with you`,
+      {
+        type: 'medication_shared',
+        medicationId: medication._id.toString(),
+        shareId: share._id.toString()
+      }
+    );
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Medication shared successfully',
+      share,
+      recipient: {
+        _id: recipient._id,
+        fullName: recipient.fullName,
+        phoneNumber: recipient.phoneNumber
+      }
+    });
+  } catch (error) {
+    logger.error('Error sharing medication:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to share medication',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * List who a medication is shared with
+ * @route GET /api/medications/:id/shares
+ */
+exports.getMedicationShares = async (req, res) => {
+  try {
+    const { includeInactive } = req.query;
+
+    const medication = mongoose.Types.ObjectId.isValid(req.params.id) ? await Medication.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    }) : null;
+
+    if (!medication) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Medication not found'
+      });
+    }
+
+    const query = includeInactive === 'true' ?
+      { medicationId: medication._id } :
+      { medicationId: medication._id, ...activeShareQuery() };
+
+    const shares = await MedicationSharing.find(query)
+      .sort({ createdAt: -1 })
+      .populate('caregiverId', 'fullName phoneNumber email');
+
+    res.status(200).json({
+      status: 'success',
+      count: shares.length,
+      shares
+    });
+  } catch (error) {
+    logger.error('Error getting medication shares:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get medication shares',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Change the permissions, expiry or notifications of a share
+ * @route PUT /api/medications/:id/shares/:shareId
+ */
+exports.updateMedicationShare = async (req, res) => {
+  try {
+    const { permissions, expiresAt, notifyOnMissedDoses, notifyOnRefills, notes } = req.body;
+
+    const expiryError = validateExpiry(expiresAt);
+    if (expiryError) {
+      return res.status(400).json({
+        status: 'error',
+        message: expiryError
+      });
+    }
+
+    const share = mongoose.Types.ObjectId.isValid(req.params.shareId) ? await MedicationSharing.findOne({
+      _id: req.params.shareId,
+      medicationId: req.params.id,
+      userId: req.user._id,
+      ...activeShareQuery()
+    }) : null;
+
+    if (!share) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Share not found'
+      });
+    }
+
+    Object.assign(share.permissions, pickPermissions(permissions));
+
+    // null removes the expiry
+    if (expiresAt !== undefined) share.expiresAt = expiresAt ? new Date(expiresAt) : undefined;
+    if (notifyOnMissedDoses !== undefined) share.notifyOnMissedDoses = Boolean(notifyOnMissedDoses);
+    if (notifyOnRefills !== undefined) share.notifyOnRefills = Boolean(notifyOnRefills);
+    if (notes !== undefined) share.notes = notes;
+
+    await share.save();
+    await syncSharedWith(share.medicationId);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Share updated successfully',
+      share
+    });
+  } catch (error) {
+    logger.error('Error updating medication share:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update medication share',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Revoke a share. The owner can revoke any share of their medication;
+ * the person it was shared with can give up their own access.
+ * @route DELETE /api/medications/:id/shares/:shareId
+ */
+exports.revokeMedicationShare = async (req, res) => {
+  try {
+    const share = mongoose.Types.ObjectId.isValid(req.params.shareId) ? await MedicationSharing.findOne({
+      _id: req.params.shareId,
+      medicationId: req.params.id,
+      status: 'active',
+      $or: [{ userId: req.user._id }, { caregiverId: req.user._id }]
+    }) : null;
+
+    if (!share) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Share not found'
+      });
+    }
+
+    share.status = 'revoked';
+    share.revokedAt = new Date();
+    share.revokedBy = req.user._id;
+
+    await share.save();
+    await syncSharedWith(share.medicationId);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Medication sharing revoked successfully'
+    });
+  } catch (error) {
+    logger.error('Error revoking medication share:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to revoke medication share',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * List medications other users have shared with the current user
+ * @route GET /api/medications/shared-with-me
+ */
+exports.getMedicationsSharedWithMe = async (req, res) => {
+  try {
+    const shares = await MedicationSharing.find({
+      caregiverId: req.user._id,
+      ...activeShareQuery()
+    })
+      .sort({ createdAt: -1 })
+      .populate('userId', 'fullName phoneNumber')
+      .populate('medicationId', 'name genericName dosage dosageForm status isActive');
+
+    const availableShares = shares.filter(share => share.medicationId);
+
+    res.status(200).json({
+      status: 'success',
+      count: availableShares.length,
+      shares: availableShares.map(share => ({
+        shareId: share._id,
+        owner: share.userId,
+        // Details are only included when the owner allows viewing
+        medication: share.permissions.canView ? share.medicationId : { _id: share.medicationId._id, name: share.medicationId.name },
+        permissions: share.permissions,
+        notifyOnMissedDoses: share.notifyOnMissedDoses,
+        notifyOnRefills: share.notifyOnRefills,
+        expiresAt: share.expiresAt,
+        notes: share.notes
+      }))
+    });
+  } catch (error) {
+    logger.error('Error getting medications shared with user:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get shared medications',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
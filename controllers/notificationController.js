@@ -0,0 +1,170 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const logger = require('../utils/logger');
+
+// Channels that show up in the user's in-app inbox
+const INBOX_CHANNELS = ['push', 'in_app'];
+
+// Base query for notifications in the current user's inbox
+const inboxQuery = (userId) => ({
+  userId,
+  channel: { $in: INBOX_CHANNELS },
+  status: { $ne: 'suppressed' }, // Categories the user switched off
+  deletedAt: { $exists: false }
+});
+
+// Fields returned to the app; delivery attempts stay internal
+const INBOX_FIELDS = 'channel category title body data status readAt sentAt createdAt';
+
+// Get the current user's notifications
+exports.getNotifications = async (req, res) => {
+  try {
+    const { unreadOnly, category, patientId, page = 1, limit = 20 } = req.query;
+
+    const query = inboxQuery(req.user._id);
+
+    if (unreadOnly === 'true') {
+      query.readAt = { $exists: false };
+    }
+
+    if (category) {
+      query.category = category;
+    }
+
+    // Caregivers can narrow the list down to alerts about one patient
+    if (patientId) {
+      query['data.patientId'] = patientId;
+    }
+
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [total, unreadCount, notifications] = await Promise.all([
+      Notification.countDocuments(query),
+      Notification.countDocuments({ ...inboxQuery(req.user._id), readAt: { $exists: false } }),
+      Notification.find(query)
+        .select(INBOX_FIELDS)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      count: notifications.length,
+      total,
+      unreadCount,
+      pages: Math.ceil(total / parseInt(limit)),
+      currentPage: parseInt(page),
+      notifications
+    });
+  } catch (error) {
+    logger.error('Error getting notifications:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get notifications',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Mark a single notification as read
+exports.markAsRead = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid notification ID'
+      });
+    }
+
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      ...inboxQuery(req.user._id)
+    }).select(INBOX_FIELDS);
+
+    if (!notification) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Notification not found'
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Notification marked as read',
+      notification
+    });
+  } catch (error) {
+    logger.error('Error marking notification as read:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to mark notification as read',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Mark all of the current user's notifications as read
+exports.markAllAsRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { ...inboxQuery(req.user._id), readAt: { $exists: false } },
+      { readAt: new Date() }
+    );
+
+    res.status(200).json({
+      status: 'success',
+      message: 'All notifications marked as read',
+      updatedCount: result.modifiedCount
+    });
+  } catch (error) {
+    logger.error('Error marking all notifications as read:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to mark notifications as read',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Remove a notification from the inbox
+exports.deleteNotification = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid notification ID'
+      });
+    }
+
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, ...inboxQuery(req.user._id) },
+      { deletedAt: new Date() }
+    );
+
+    if (!notification) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Notification not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Notification deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error deleting notification:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete notification',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -1,4 +1,17 @@
 const User = require('../models/userModel');
+const { getLastActivityAt } = require('../services/inactivityService');
+const {
+  isValidEmail,
+  isEmailTaken,
+  startEmailVerification,
+  findByVerificationToken,
+  verifyEmailToken
+} = require('../services/emailVerificationService');
+const { isValidTimezone, isValidTimeString } = require('../utils/timeUtils');
+const { prefersHtml, confirmationPage, resultPage } = require('../utils/pageTemplates');
+
+const NOTIFICATION_CHANNELS = ['push', 'sms', 'whatsapp', 'email'];
+const NOTIFICATION_CATEGORIES = ['doseReminders', 'refillReminders', 'followUps', 'insights'];
 
 // Get user profile
 exports.getUserProfile = async (req, res) => {
@@ -18,9 +31,12 @@ exports.getUserProfile = async (req, res) => {
         _id: user._id,
         fullName: user.fullName,
         phoneNumber: user.phoneNumber,
+        email: user.email,
+        emailVerified: user.emailVerified,
         dateOfBirth: user.dateOfBirth,
         gender: user.gender,
         language: user.language,
+        timezone: user.timezone,
         userType: user.userType,
         emergencyContacts: user.emergencyContacts,
         createdAt: user.createdAt
@@ -38,7 +54,14 @@ exports.getUserProfile = async (req, res) => {
 // Update user profile
 exports.updateUserProfile = async (req, res) => {
   try {
-    const { fullName, language, userType } = req.body;
+    const { fullName, language, userType, timezone } = req.body;
+    
+    if (timezone !== undefined && !isValidTimezone(timezone)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid timezone',
+      });
+    }
     
     // Find user and update
     const updatedUser = await User.findByIdAndUpdate(
@@ -46,7 +69,8 @@ exports.updateUserProfile = async (req, res) => {
       { 
         fullName: fullName || req.user.fullName,
         language: language || req.user.language,
-        userType: userType || req.user.userType
+        userType: userType || req.user.userType,
+        timezone: timezone || req.user.timezone
       },
       { new: true }
     );
@@ -66,6 +90,7 @@ exports.updateUserProfile = async (req, res) => {
         fullName: updatedUser.fullName,
         phoneNumber: updatedUser.phoneNumber,
         language: updatedUser.language,
+        timezone: updatedUser.timezone,
         userType: updatedUser.userType
       },
     });
@@ -181,4 +206,339 @@ exports.removeEmergencyContact = async (req, res) => {
       message: 'Failed to remove emergency contact',
     });
   }
-};
\ No newline at end of file
+};
+
+// Get inactivity monitoring settings
+exports.getInactivityMonitoring = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found',
+      });
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      inactivityMonitoring: {
+        enabled: user.inactivityMonitoring.enabled,
+        windowHours: user.inactivityMonitoring.windowHours
+      },
+      lastActivityAt: await getLastActivityAt(user)
+    });
+  } catch (error) {
+    console.error('Error getting inactivity monitoring settings:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get inactivity monitoring settings',
+    });
+  }
+};
+
+// Update inactivity monitoring settings
+exports.updateInactivityMonitoring = async (req, res) => {
+  try {
+    const { enabled, windowHours } = req.body;
+    
+    if (windowHours !== undefined && (isNaN(windowHours) || windowHours < 4 || windowHours > 168)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Inactivity window must be between 4 and 168 hours',
+      });
+    }
+    
+    const user = await User.findById(req.user._id);
+    
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found',
+      });
+    }
+    
+    if (enabled !== undefined) user.inactivityMonitoring.enabled = enabled;
+    if (windowHours !== undefined) user.inactivityMonitoring.windowHours = parseInt(windowHours);
+    
+    await user.save();
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Inactivity monitoring updated successfully',
+      inactivityMonitoring: {
+        enabled: user.inactivityMonitoring.enabled,
+        windowHours: user.inactivityMonitoring.windowHours
+      }
+    });
+  } catch (error) {
+    console.error('Error updating inactivity monitoring settings:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update inactivity monitoring settings',
+    });
+  }
+};
+
+// Add or change the user's email address and send a verification link
+exports.updateEmail = async (req, res) => {
+  try {
+    const { email } = req.body;
+    
+    if (!isValidEmail(email)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'A valid email address is required',
+      });
+    }
+    
+    if (await isEmailTaken(email, req.user._id)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'This email address is already in use',
+      });
+    }
+    
+    const user = await User.findById(req.user._id);
+    
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found',
+      });
+    }
+    
+    const result = await startEmailVerification(user, email);
+    
+    res.status(200).json({
+      status: 'success',
+      message: result.success ?
+        'Email updated. Please check your inbox to verify it.' :
+        'Email updated, but the verification email could not be sent. Please try resending it.',
+      email: user.email,
+      emailVerified: user.emailVerified
+    });
+  } catch (error) {
+    console.error('Error updating email:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update email',
+    });
+  }
+};
+
+// Resend the verification link for the user's current email address
+exports.resendEmailVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found',
+      });
+    }
+    
+    if (!user.email) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'No email address to verify',
+      });
+    }
+    
+    if (user.emailVerified) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Email address is already verified',
+      });
+    }
+    
+    const result = await startEmailVerification(user, user.email);
+    
+    if (!result.success) {
+      return res.status(500).json({
+        status: 'error',
+        message: 'Failed to send verification email',
+      });
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Verification email sent',
+    });
+  } catch (error) {
+    console.error('Error resending email verification:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to send verification email',
+    });
+  }
+};
+
+// Reply to a verification link, as a page for browsers and JSON otherwise
+const sendVerificationResult = (req, res, statusCode, message, fields = {}) => {
+  if (prefersHtml(req)) {
+    return res.status(statusCode).send(resultPage('Email verification', message));
+  }
+  
+  res.status(statusCode).json({
+    status: statusCode === 200 ? 'success' : 'error',
+    message,
+    ...fields
+  });
+};
+
+// Show what the link sent in the verification email does (public).
+// Mail scanners and link previews open it too, so nothing is verified until it is confirmed by POST.
+exports.previewEmailVerification = async (req, res) => {
+  try {
+    const user = await findByVerificationToken(req.params.token);
+    
+    if (!user) {
+      return sendVerificationResult(req, res, 400, 'This verification link is invalid or has expired');
+    }
+    
+    if (prefersHtml(req)) {
+      return res.status(200).send(confirmationPage({
+        title: 'Verify your email address',
+        message: `Confirm that ${user.email} is your email address.`,
+        actions: [{ label: 'Verify email address' }]
+      }));
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Send a POST request to this link to verify the email address',
+      email: user.email
+    });
+  } catch (error) {
+    console.error('Error loading email verification link:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to load verification link',
+    });
+  }
+};
+
+// Verify an email address through the link sent to it (public)
+exports.verifyEmail = async (req, res) => {
+  try {
+    const user = await verifyEmailToken(req.params.token);
+    
+    if (!user) {
+      return sendVerificationResult(req, res, 400, 'This verification link is invalid or has expired');
+    }
+    
+    sendVerificationResult(req, res, 200, 'Email address verified successfully', { email: user.email });
+  } catch (error) {
+    if (error.code === 'EMAIL_TAKEN') {
+      return sendVerificationResult(req, res, 400, 'This email address is already in use by another account');
+    }
+    
+    console.error('Error verifying email:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to verify email',
+    });
+  }
+};
+
+// Get the user's notification preferences
+exports.getNotificationPreferences = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found',
+      });
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      notificationPreferences: user.notificationPreferences
+    });
+  } catch (error) {
+    console.error('Error getting notification preferences:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get notification preferences',
+    });
+  }
+};
+
+// Update quiet hours, category toggles and channel order
+exports.updateNotificationPreferences = async (req, res) => {
+  try {
+    const { quietHours, categories, channelOrder } = req.body;
+    
+    if (quietHours) {
+      if ((quietHours.start !== undefined && !isValidTimeString(quietHours.start)) ||
+          (quietHours.end !== undefined && !isValidTimeString(quietHours.end))) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Quiet hours must use 24hr HH:mm times',
+        });
+      }
+      
+      // null clears the quiet hours timezone so they follow the profile timezone
+      if (quietHours.timezone !== undefined && quietHours.timezone !== null && !isValidTimezone(quietHours.timezone)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid timezone',
+        });
+      }
+    }
+    
+    if (channelOrder !== undefined &&
+        (!Array.isArray(channelOrder) || channelOrder.length === 0 ||
+         !channelOrder.every(channel => NOTIFICATION_CHANNELS.includes(channel)))) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Channel order must be a list of: ${NOTIFICATION_CHANNELS.join(', ')}`,
+      });
+    }
+    
+    const user = await User.findById(req.user._id);
+    
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found',
+      });
+    }
+    
+    const preferences = user.notificationPreferences;
+    
+    if (quietHours) {
+      ['enabled', 'start', 'end', 'timezone', 'allowDoseReminders'].forEach(field => {
+        if (quietHours[field] !== undefined) preferences.quietHours[field] = quietHours[field] === null ? undefined : quietHours[field];
+      });
+    }
+    
+    if (categories) {
+      NOTIFICATION_CATEGORIES.forEach(category => {
+        if (categories[category] !== undefined) preferences.categories[category] = categories[category];
+      });
+    }
+    
+    if (channelOrder !== undefined) {
+      preferences.channelOrder = [...new Set(channelOrder)];
+    }
+    
+    await user.save();
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Notification preferences updated successfully',
+      notificationPreferences: user.notificationPreferences
+    });
+  } catch (error) {
+    console.error('Error updating notification preferences:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update notification preferences',
+    });
+  }
+};
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const User = require('../models/userModel');
+const { authorizeCaregiver, recordDeniedAccess } = require('../services/caregiverAccessService');
+
+// Let a caregiver act on the patient in req.params.patientId.
+// Requires an active relationship with all the given permissions (refusals are audited), and sets
+// req.patient and req.caregiverRelationship for the handlers that follow.
+exports.requirePatientAccess = (...permissions) => async (req, res, next) => {
+  try {
+    const { patientId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(patientId)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid patient ID'
+      });
+    }
+
+    const { allowed, relationship } = await authorizeCaregiver(req, patientId, permissions, req.baseUrl + req.path);
+    const patient = allowed ? await User.findById(patientId) : null;
+
+    if (!patient) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You do not have permission to view this patient\'s data'
+      });
+    }
+
+    req.patient = patient;
+    req.caregiverRelationship = relationship;
+    next();
+  } catch (error) {
+    console.error('Caregiver access middleware error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while checking caregiver access'
+    });
+  }
+};
+
+// Require extra permissions on routes that patients and caregivers share.
+// Patients using their own routes have no req.caregiverRelationship and always pass.
+exports.requireCaregiverPermission = (...permissions) => (req, res, next) => {
+  const relationship = req.caregiverRelationship;
+
+  if (relationship && permissions.some(permission => !relationship.permissions[permission])) {
+    recordDeniedAccess(req, {
+      patientId: relationship.patientId,
+      relationship,
+      resource: req.baseUrl + req.path,
+      permissions,
+      reason: 'missing_permission'
+    });
+
+    return res.status(403).json({
+      status: 'error',
+      message: 'You do not have permission to view this patient\'s data'
+    });
+  }
+
+  next();
+};
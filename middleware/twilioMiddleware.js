@@ -0,0 +1,22 @@
+const twilio = require('twilio');
+const { buildPublicUrl } = require('../utils/tokenUtils');
+
+// Verify that an inbound webhook request was signed by Twilio.
+// Signature checks are skipped outside production so webhooks can be tested locally.
+exports.validateTwilioRequest = (req, res, next) => {
+  if (process.env.NODE_ENV !== 'production') {
+    return next();
+  }
+
+  const signature = req.headers['x-twilio-signature'];
+  const url = buildPublicUrl(req.originalUrl);
+
+  if (!signature || !twilio.validateRequest(process.env.TWILIO_AUTH_TOKEN, signature, url, req.body || {})) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Invalid webhook signature'
+    });
+  }
+
+  next();
+};
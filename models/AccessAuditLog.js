@@ -0,0 +1,54 @@
+// models/AccessAuditLog.js
+const mongoose = require('mongoose');
+
+// Record of a request for a patient's data that was refused
+const AccessAuditLogSchema = new mongoose.Schema(
+  {
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    patientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    relationshipId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CaregiverRelationship'
+    },
+    medicationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Medication'
+    },
+    resource: {
+      type: String // What was requested, e.g. vitals or medication_logs
+    },
+    requiredPermissions: [{
+      type: String
+    }],
+    reason: {
+      type: String,
+      enum: ['no_relationship', 'missing_permission'],
+      required: true
+    },
+    method: {
+      type: String
+    },
+    path: {
+      type: String
+    },
+    ipAddress: {
+      type: String
+    }
+  },
+  {
+    timestamps: true,
+  }
+);
+
+AccessAuditLogSchema.index({ patientId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AccessAuditLog', AccessAuditLogSchema);
@@ -0,0 +1,37 @@
+// models/CareCircle.js
+const mongoose = require('mongoose');
+
+// Coordination settings for everyone caring for a patient.
+// Members are the patient's active caregiver relationships; this only records who leads and who is on duty.
+const CareCircleSchema = new mongoose.Schema(
+  {
+    patientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      unique: true
+    },
+    primaryCaregiverId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Regular weekly duty, by the patient's local day of the week
+    dutyRoster: [{
+      dayOfWeek: { type: Number, min: 0, max: 6, required: true }, // 0 = Sunday
+      caregiverId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }
+    }],
+    // Hand-offs for a single day; they take precedence over the roster
+    dutyHandoffs: [{
+      date: { type: String, required: true }, // Patient's local date, YYYY-MM-DD
+      caregiverId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+      handedOffBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      note: { type: String },
+      createdAt: { type: Date, default: Date.now }
+    }]
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model('CareCircle', CareCircleSchema);
@@ -0,0 +1,35 @@
+// models/CareNote.js
+const mongoose = require('mongoose');
+
+// Note shared with a patient's care circle
+const CareNoteSchema = new mongoose.Schema(
+  {
+    patientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    authorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    text: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 2000
+    },
+    pinned: {
+      type: Boolean,
+      default: false
+    }
+  },
+  {
+    timestamps: true,
+  }
+);
+
+CareNoteSchema.index({ patientId: 1, pinned: -1, createdAt: -1 });
+
+module.exports = mongoose.model('CareNote', CareNoteSchema);
@@ -0,0 +1,53 @@
+// models/CareTask.js
+const mongoose = require('mongoose');
+
+// To-do item shared with a patient's care circle, e.g. "Pick up refill from pharmacy"
+const CareTaskSchema = new mongoose.Schema(
+  {
+    patientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200
+    },
+    description: {
+      type: String
+    },
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    dueAt: {
+      type: Date
+    },
+    status: {
+      type: String,
+      enum: ['open', 'done', 'cancelled'],
+      default: 'open'
+    },
+    completedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    completedAt: {
+      type: Date
+    }
+  },
+  {
+    timestamps: true,
+  }
+);
+
+CareTaskSchema.index({ patientId: 1, status: 1, dueAt: 1 });
+
+module.exports = mongoose.model('CareTask', CareTaskSchema);
@@ -0,0 +1,78 @@
+// models/CaregiverAlert.js
+const mongoose = require('mongoose');
+
+// Alert raised for a patient's caregivers as soon as something worrying is recorded
+// (a missed dose, an abnormal vital sign, a high-risk check-in or falling adherence)
+const CaregiverAlertSchema = new mongoose.Schema(
+  {
+    patientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    type: {
+      type: String,
+      enum: ['missed_dose', 'abnormal_vital', 'high_risk_checkin', 'low_adherence'],
+      required: true
+    },
+    severity: {
+      type: String,
+      enum: ['warning', 'critical'],
+      default: 'warning'
+    },
+    title: {
+      type: String,
+      required: true
+    },
+    message: {
+      type: String,
+      required: true
+    },
+    // Record that raised the alert (MedicationReminder, VitalSign or HealthCheckIn);
+    // a record raises at most one alert of each type
+    sourceId: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    status: {
+      type: String,
+      enum: ['open', 'acknowledged', 'closed'],
+      default: 'open'
+    },
+    notifiedCaregiverIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    acknowledgedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    acknowledgedAt: {
+      type: Date
+    },
+    closedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    closedAt: {
+      type: Date
+    },
+    closeNote: {
+      type: String,
+      maxlength: 1000
+    }
+  },
+  {
+    timestamps: true,
+  }
+);
+
+CaregiverAlertSchema.index({ patientId: 1, status: 1, createdAt: -1 });
+CaregiverAlertSchema.index(
+  { type: 1, sourceId: 1 },
+  { unique: true, partialFilterExpression: { sourceId: { $exists: true } } }
+);
+
+module.exports = mongoose.model('CaregiverAlert', CaregiverAlertSchema);
@@ -0,0 +1,97 @@
+// models/CaregiverInvitation.js
+const mongoose = require('mongoose');
+
+// Invitation sent by SMS/WhatsApp to someone who may not have an account yet.
+// The invitee redeems its code when registering (or later, once signed in),
+// which creates the caregiver relationship.
+const CaregiverInvitationSchema = new mongoose.Schema(
+  {
+    inviterId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    // invite_caregiver: a patient asks the invitee to become their caregiver
+    // request_access: a caregiver asks the invitee (the patient) for access
+    direction: {
+      type: String,
+      enum: ['invite_caregiver', 'request_access'],
+      required: true
+    },
+    inviteePhoneNumber: {
+      type: String,
+      required: true
+    },
+    inviteeName: {
+      type: String
+    },
+    channel: {
+      type: String,
+      enum: ['sms', 'whatsapp'],
+      default: 'sms'
+    },
+    relationship: {
+      type: String,
+      enum: ['family', 'friend', 'professional', 'other'],
+      required: true
+    },
+    permissions: {
+      viewMedications: { type: Boolean },
+      recordMedications: { type: Boolean },
+      recordVitals: { type: Boolean },
+      recordCheckIns: { type: Boolean },
+      viewVitals: { type: Boolean },
+      viewSymptoms: { type: Boolean },
+      receiveAlerts: { type: Boolean },
+      receiveReports: { type: Boolean }
+    },
+    notes: {
+      type: String
+    },
+    codeHash: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'redeemed', 'cancelled'],
+      default: 'pending',
+      index: true
+    },
+    sendCount: {
+      type: Number,
+      default: 0
+    },
+    lastSentAt: {
+      type: Date
+    },
+    lastDeliveryError: {
+      type: String
+    },
+    redeemedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    redeemedAt: {
+      type: Date
+    },
+    relationshipId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CaregiverRelationship'
+    },
+    cancelledAt: {
+      type: Date
+    }
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model('CaregiverInvitation', CaregiverInvitationSchema);
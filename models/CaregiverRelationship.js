@@ -29,6 +29,8 @@ const CaregiverRelationshipSchema = new mongoose.Schema(
     permissions: {
       viewMedications: { type: Boolean, default: true },
       recordMedications: { type: Boolean, default: false },
+      recordVitals: { type: Boolean, default: false },
+      recordCheckIns: { type: Boolean, default: false },
       viewVitals: { type: Boolean, default: true },
       viewSymptoms: { type: Boolean, default: true },
       receiveAlerts: { type: Boolean, default: true },
@@ -38,18 +40,25 @@ const CaregiverRelationshipSchema = new mongoose.Schema(
       missedMedications: { type: Boolean, default: true },
       lowAdherence: { type: Boolean, default: true },
       abnormalVitals: { type: Boolean, default: true },
+      inactivity: { type: Boolean, default: true }, // Patient has not been active in the app for a while
       reportFrequency: { 
         type: String, 
-        enum: ['daily', 'weekly', 'critical_only'], 
+        enum: ['daily', 'weekly', 'monthly', 'critical_only'], 
         default: 'daily' 
       },
-      reportTime: { type: String, default: '20:00' }, // Time in 24hr format
+      reportTime: { type: String, default: '20:00' }, // Caregiver's local time in 24hr format
       notificationChannels: {
         app: { type: Boolean, default: true },
         email: { type: Boolean, default: true },
         sms: { type: Boolean, default: false }
       }
     },
+    // Last scheduled report, so each period's report is sent once even with several server instances
+    reportSchedule: {
+      lastPeriodKey: { type: String }, // e.g. 'daily:2024-05-01', 'weekly:2024-05-05', 'monthly:2024-05'
+      lastRunAt: { type: Date },
+      lastReportId: { type: mongoose.Schema.Types.ObjectId, ref: 'CaregiverReport' }
+    },
     invitedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
@@ -22,9 +22,23 @@ const CaregiverReportSchema = new mongoose.Schema(
     },
     reportType: {
       type: String,
-      enum: ['daily', 'weekly', 'critical_alert'],
+      enum: ['daily', 'weekly', 'monthly', 'custom', 'critical_alert'], // custom = on-demand date range
       default: 'daily'
     },
+    periodStart: {
+      type: Date
+    },
+    periodEnd: {
+      type: Date
+    },
+    sections: [{
+      type: String,
+      enum: ['medications', 'vitals', 'symptoms', 'alerts', 'efficacy']
+    }],
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User' // Set for reports generated on demand
+    },
     medicationSummary: {
       adherenceRate: { type: Number },
       totalDoses: { type: Number },
@@ -56,10 +70,24 @@ const CaregiverReportSchema = new mongoose.Schema(
         reportedAt: { type: Date }
       }]
     },
+    efficacySummary: {
+      ratings: { type: Number },
+      averageRating: { type: Number },
+      averageSymptomRelief: { type: Number },
+      sideEffectsReported: { type: Number },
+      medications: [{
+        medicationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Medication' },
+        name: { type: String },
+        ratings: { type: Number },
+        averageRating: { type: Number },
+        averageSymptomRelief: { type: Number },
+        sideEffects: [{ type: String }]
+      }]
+    },
     criticalAlerts: [{
       alertType: { 
         type: String, 
-        enum: ['missed_medication', 'missed_critical_medication', 'abnormal_vitals', 'severe_symptoms', 'low_adherence', 'other'] 
+        enum: ['missed_medication', 'missed_critical_medication', 'abnormal_vitals', 'severe_symptoms', 'high_risk_assessment', 'low_adherence', 'other'] 
       },
       severity: { 
         type: String, 
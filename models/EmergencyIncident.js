@@ -0,0 +1,118 @@
+// models/EmergencyIncident.js
+const mongoose = require('mongoose');
+
+const EmergencyIncidentSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    status: {
+      type: String,
+      enum: ['countdown', 'triggered', 'acknowledged', 'escalated', 'resolved', 'false_alarm', 'cancelled'],
+      default: 'triggered',
+      index: true
+    },
+    trigger: {
+      source: {
+        type: String,
+        enum: ['manual', 'vital_sign', 'check_in'],
+        default: 'manual'
+      },
+      reasons: [{ type: String }], // Human readable rule descriptions for automatic triggers
+      vitalSignId: { type: mongoose.Schema.Types.ObjectId, ref: 'VitalSign' },
+      checkInId: { type: mongoose.Schema.Types.ObjectId, ref: 'HealthCheckIn' }
+    },
+    countdownEndsAt: {
+      type: Date, // Automatic triggers alert contacts at this time unless the patient cancels
+      index: true
+    },
+    cancelledAt: {
+      type: Date
+    },
+    message: {
+      type: String
+    },
+    locations: [{
+      latitude: { type: Number, required: true },
+      longitude: { type: Number, required: true },
+      accuracy: { type: Number }, // Meters, as reported by the device
+      recordedAt: { type: Date, default: Date.now }
+    }],
+    shareLink: {
+      expiresAt: { type: Date } // Live location links stop working after this time
+    },
+    deliveryAttempts: [{
+      notificationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Notification' },
+      contactName: { type: String },
+      relationship: { type: String },
+      phoneNumber: { type: String },
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User' // Set when the recipient is a registered caregiver
+      },
+      channel: {
+        type: String,
+        enum: ['sms', 'whatsapp', 'push'],
+        default: 'sms'
+      },
+      step: { type: Number, default: 0 }, // Escalation step that produced this attempt
+      ackTokenHash: { type: String, index: true }, // Hash of the acknowledgement link token
+      purpose: {
+        type: String,
+        enum: ['alert', 'resolution'],
+        default: 'alert'
+      },
+      status: {
+        type: String,
+        enum: ['sent', 'failed', 'skipped'], // skipped = not sent outside production (older incidents)
+        required: true
+      },
+      attemptedAt: { type: Date, default: Date.now }
+    }],
+    acknowledgedAt: {
+      type: Date
+    },
+    acknowledgedBy: {
+      name: { type: String },
+      phoneNumber: { type: String },
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      method: { type: String, enum: ['link', 'sms_reply'] }
+    },
+    escalation: {
+      // Contacts of each step, fixed when the incident starts so later edits to the contact list
+      // do not shift the steps of a running incident
+      ladder: [{
+        contacts: [{
+          _id: false,
+          name: { type: String },
+          relationship: { type: String },
+          phoneNumber: { type: String },
+          userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+        }]
+      }],
+      currentStep: { type: Number, default: 0 },
+      nextEscalationAt: { type: Date, index: true },
+      exhausted: { type: Boolean, default: false } // True once every step has been notified
+    },
+    resolvedAt: {
+      type: Date
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolutionNotes: {
+      type: String
+    }
+  },
+  {
+    timestamps: true,
+  }
+);
+
+EmergencyIncidentSchema.index({ userId: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('EmergencyIncident', EmergencyIncidentSchema);
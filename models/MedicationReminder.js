@@ -22,6 +22,9 @@ const MedicationReminderSchema = new mongoose.Schema(
       required: true,
       index: true
     },
+    scheduledTime: {
+      type: Date // Dose time the reminder is for; set on reminders generated from a schedule
+    },
     offset: {
       type: Number, // Minutes before scheduled time
       default: 10
@@ -61,8 +64,26 @@ const MedicationReminderSchema = new mongoose.Schema(
     sentAt: {
       type: Date
     },
+    lastSentAt: {
+      type: Date // Most recent reminder or follow-up nag
+    },
+    followUpsSent: {
+      type: Number, // Smart reminder nags sent after the first reminder
+      default: 0
+    },
+    escalatedAt: {
+      type: Date // When caregivers were told the dose had not been confirmed
+    },
+    caregiverEscalation: {
+      onDutyCaregiverId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Paged alone at escalatedAt
+      circleNotifiedAt: { type: Date } // When the rest of the care circle was told
+    },
     acknowledgedAt: {
       type: Date
+    },
+    actionToken: {
+      nonce: { type: String }, // Part of the signed reply token; cleared once the token is used
+      expiresAt: { type: Date }
     }
   },
   {
@@ -72,5 +93,10 @@ const MedicationReminderSchema = new mongoose.Schema(
 
 MedicationReminderSchema.index({ reminderTime: 1, status: 1 });
 MedicationReminderSchema.index({ userId: 1, status: 1, reminderTime: 1 });
+// One generated reminder per scheduled dose
+MedicationReminderSchema.index(
+  { scheduleId: 1, scheduledTime: 1 },
+  { unique: true, partialFilterExpression: { scheduledTime: { $exists: true } } }
+);
 
 module.exports = mongoose.model('MedicationReminder', MedicationReminderSchema);
\ No newline at end of file
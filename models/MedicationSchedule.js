@@ -16,7 +16,7 @@ const MedicationScheduleSchema = new mongoose.Schema(
     },
     scheduleType: {
       type: String,
-      enum: ['regular', 'as_needed', 'cycle'],
+      enum: ['regular', 'as_needed', 'cycle', 'interval', 'taper'],
       default: 'regular'
     },
     times: [{
@@ -33,8 +33,16 @@ const MedicationScheduleSchema = new mongoose.Schema(
       daysOn: { type: Number }, // For medications taken for X days
       daysOff: { type: Number }, // Then off for Y days
       currentDay: { type: Number },
-      cycleStartDate: { type: Date }
+      cycleStartDate: { type: Date } // Defaults to startDate
     },
+    intervalDays: {
+      type: Number, // For 'interval' schedules: a dose day every N days from startDate
+      min: 2
+    },
+    taperPhases: [{ // For 'taper' schedules: consecutive phases from startDate, e.g. 40mg for 5 days, then 30mg
+      dose: { type: String, required: true },
+      durationDays: { type: Number, required: true, min: 1 }
+    }],
     flexibility: {
       type: Number, // Minutes of flexibility allowed
       default: 30
@@ -42,6 +50,19 @@ const MedicationScheduleSchema = new mongoose.Schema(
     instructions: {
       type: String // e.g., "Take with food"
     },
+    reminders: {
+      enabled: { type: Boolean, default: false }, // Generate dose reminders from this schedule
+      offset: { type: Number, default: 10 }, // Minutes before the dose
+      channels: {
+        type: [{ type: String, enum: ['push', 'sms', 'whatsapp', 'email'] }],
+        default: ['push']
+      },
+      smartReminder: {
+        enabled: { type: Boolean, default: true },
+        maxReminders: { type: Number, default: 3 },
+        reminderInterval: { type: Number, default: 10 } // Minutes between reminders
+      }
+    },
     active: {
       type: Boolean,
       default: true,
@@ -27,7 +27,7 @@ const MedicationSharingSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['pending', 'active', 'revoked'],
+      enum: ['pending', 'active', 'revoked', 'expired'],
       default: 'active',
       index: true
     },
@@ -40,8 +40,15 @@ const MedicationSharingSchema = new mongoose.Schema(
       default: false
     },
     expiresAt: {
+      type: Date // Share stops working at this time and is then marked expired
+    },
+    revokedAt: {
       type: Date
     },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
     notes: {
       type: String
     }
@@ -53,5 +60,7 @@ const MedicationSharingSchema = new mongoose.Schema(
 
 MedicationSharingSchema.index({ userId: 1, caregiverId: 1 });
 MedicationSharingSchema.index({ caregiverId: 1, status: 1 });
+MedicationSharingSchema.index({ medicationId: 1, caregiverId: 1, status: 1 });
+MedicationSharingSchema.index({ status: 1, expiresAt: 1 });
 
 module.exports = mongoose.model('MedicationSharing', MedicationSharingSchema);
\ No newline at end of file
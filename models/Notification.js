@@ -0,0 +1,84 @@
+// models/Notification.js
+const mongoose = require('mongoose');
+
+const NotificationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User', // Recipient account; absent for contacts who are not registered users
+      index: true
+    },
+    recipient: {
+      phoneNumber: { type: String }, // Used by the sms and whatsapp channels
+      email: { type: String } // Used by the email channel
+    },
+    channel: {
+      type: String,
+      enum: ['push', 'sms', 'whatsapp', 'email', 'in_app'],
+      required: true
+    },
+    category: {
+      type: String, // e.g. medication_reminder, emergency, follow_up, caregiver_report, otp
+      default: 'general',
+      index: true
+    },
+    title: {
+      type: String
+    },
+    body: {
+      type: String,
+      required: true
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'sent', 'retrying', 'deferred', 'failed', 'suppressed'], // deferred = held until quiet hours end
+      default: 'pending',
+      index: true
+    },
+    attempts: [{
+      attemptedAt: { type: Date, default: Date.now },
+      transport: { type: String }, // Adapter that handled the attempt, e.g. twilio, fcm, local
+      status: { type: String, enum: ['sent', 'failed'] },
+      providerResponse: { type: mongoose.Schema.Types.Mixed },
+      error: { type: String }
+    }],
+    attemptCount: {
+      type: Number,
+      default: 0
+    },
+    maxAttempts: {
+      type: Number,
+      default: 3
+    },
+    nextAttemptAt: {
+      type: Date // Set while the notification is waiting for a retry or for quiet hours to end
+    },
+    priority: {
+      type: String,
+      enum: ['normal', 'critical'], // critical notifications ignore quiet hours and category toggles
+      default: 'normal'
+    },
+    sentAt: {
+      type: Date
+    },
+    readAt: {
+      type: Date // Set when the user opens the notification in the in-app inbox
+    },
+    deletedAt: {
+      type: Date // Removed from the inbox; the delivery record is kept
+    }
+  },
+  {
+    timestamps: true,
+  }
+);
+
+NotificationSchema.index({ userId: 1, createdAt: -1 });
+NotificationSchema.index({ userId: 1, readAt: 1 });
+NotificationSchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model('Notification', NotificationSchema);
@@ -11,6 +11,19 @@ const UserSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true, // Optional; unique among verified addresses (see the index below)
+    },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerification: {
+      tokenHash: { type: String, index: true }, // Hash of the token in the verification link
+      expiresAt: { type: Date }
+    },
     dateOfBirth: {
       type: Date,
       required: true,
@@ -25,6 +38,10 @@ const UserSchema = new mongoose.Schema(
       enum: ['english', 'hindi'],
       default: 'english',
     },
+    timezone: {
+      type: String,
+      default: 'Asia/Kolkata', // IANA name; reminders, reports and daily stats follow the user's local clock
+    },
     userType: {
       type: String,
       enum: ['self', 'caregiver', 'both'],
@@ -37,6 +54,40 @@ const UserSchema = new mongoose.Schema(
         phoneNumber: { type: String, required: true },
       },
     ],
+    escalationPolicy: {
+      enabled: { type: Boolean, default: true }, // When disabled, all contacts are alerted at once
+      waitMinutes: { type: Number, default: 5, min: 1, max: 60 }, // Time to wait for acknowledgement before the next step
+      includeCaregivers: { type: Boolean, default: true } // Alert active caregivers after the last contact
+    },
+    emergencyAutoTrigger: {
+      enabled: { type: Boolean, default: true }, // Open an incident automatically for critical readings
+      countdownSeconds: { type: Number, default: 120, min: 30, max: 600 } // Time the patient has to cancel
+    },
+    inactivityMonitoring: {
+      enabled: { type: Boolean, default: false }, // Alert caregivers and contacts when the patient goes quiet
+      windowHours: { type: Number, default: 24, min: 4, max: 168 }, // Hours without activity before checking on the patient
+      nudgedAt: { type: Date }, // When the patient was last asked to check in
+      alertedAt: { type: Date } // When caregivers and contacts were last alerted
+    },
+    notificationPreferences: {
+      quietHours: {
+        enabled: { type: Boolean, default: false },
+        start: { type: String, default: '22:00' }, // Local time in 24hr format
+        end: { type: String, default: '07:00' },
+        timezone: { type: String }, // Falls back to the profile timezone when not set
+        allowDoseReminders: { type: Boolean, default: true } // Let dose reminders through during quiet hours
+      },
+      categories: {
+        doseReminders: { type: Boolean, default: true },
+        refillReminders: { type: Boolean, default: true },
+        followUps: { type: Boolean, default: true },
+        insights: { type: Boolean, default: true }
+      },
+      channelOrder: {
+        type: [{ type: String, enum: ['push', 'sms', 'whatsapp', 'email'] }],
+        default: ['push', 'sms', 'whatsapp', 'email'] // Tried in this order when no channel is specified
+      }
+    },
     fcmTokens: [{ type: String }],
     isActive: {
       type: Boolean,
@@ -48,4 +99,7 @@ const UserSchema = new mongoose.Schema(
   }
 );
 
+// An address belongs to the account that verified it; unverified claims do not block anyone
+UserSchema.index({ email: 1 }, { unique: true, partialFilterExpression: { emailVerified: true } });
+
 module.exports = mongoose.model('User', UserSchema);
\ No newline at end of file
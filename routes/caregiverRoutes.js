@@ -2,16 +2,62 @@
 const express = require('express');
 const router = express.Router();
 const caregiverController = require('../controllers/caregiverController');
+const careCircleController = require('../controllers/careCircleController');
+const caregiverAlertController = require('../controllers/caregiverAlertController');
+const careStreamController = require('../controllers/careStreamController');
+const healthController = require('../controllers/healthController');
 const { protect } = require('../middleware/authMiddleware');
+const { requirePatientAccess } = require('../middleware/caregiverMiddleware');
+const medicationAnalyticsRoutes = require('./medicationAnalyticsRoutes');
+const rateLimit = require('express-rate-limit');
 
-// All routes are protected
+// Invitation codes are short, so limit how often they can be tried
+const inviteCodeLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // limit each IP to 20 requests per windowMs
+  message: 'Too many invitation code attempts, please try again later'
+});
+
+// Public routes (opened from the invitation SMS before signing up)
+router.get('/invite-links/code/:code', inviteCodeLimiter, caregiverController.previewInviteLink);
+
+// All other routes are protected
 router.use(protect);
 
 // Caregiver management routes
 router.post('/invite', caregiverController.sendCaregiverInvitation);
 router.get('/caregivers', caregiverController.getCaregivers);
 router.get('/care-recipients', caregiverController.getCaregiverPatients);
+router.get('/overview', caregiverController.getCaregiverOverview);
+router.get('/stream', careStreamController.streamCareEvents); // Server-Sent Events for live dashboards
 router.post('/invitations/:id/respond', caregiverController.respondToInvitation);
+router.put('/relationships/:relationshipId/permissions', caregiverController.updateCaregiverPermissions);
+router.get('/access-audit', caregiverController.getAccessAudit);
+
+// Invitations for people who may not have an account yet
+router.post('/invite-links', caregiverController.createInviteLink);
+router.get('/invite-links', caregiverController.getInviteLinks);
+router.post('/invite-links/redeem', inviteCodeLimiter, caregiverController.redeemInviteLink);
+router.post('/invite-links/:id/resend', caregiverController.resendInviteLink);
+router.delete('/invite-links/:id', caregiverController.cancelInviteLink);
+
+// Alerts raised as soon as a dose is missed, a vital is abnormal or a check-in is high risk
+router.get('/alerts', caregiverAlertController.getCaregiverAlerts);
+router.post('/alerts/:alertId/acknowledge', caregiverAlertController.acknowledgeAlert);
+router.post('/alerts/:alertId/close', caregiverAlertController.closeAlert);
+
+// Care circle coordination (the patient uses their own id as patientId)
+router.get('/circles/:patientId', careCircleController.getCareCircle);
+router.put('/circles/:patientId/primary', careCircleController.setPrimaryCaregiver);
+router.put('/circles/:patientId/roster', careCircleController.updateDutyRoster);
+router.post('/circles/:patientId/handoff', careCircleController.handOffDuty);
+router.get('/circles/:patientId/notes', careCircleController.getCareNotes);
+router.post('/circles/:patientId/notes', careCircleController.addCareNote);
+router.delete('/circles/:patientId/notes/:noteId', careCircleController.deleteCareNote);
+router.get('/circles/:patientId/tasks', careCircleController.getCareTasks);
+router.post('/circles/:patientId/tasks', careCircleController.createCareTask);
+router.put('/circles/:patientId/tasks/:taskId', careCircleController.updateCareTask);
+router.delete('/circles/:patientId/tasks/:taskId', careCircleController.deleteCareTask);
 
 // Patient data access routes
 router.get('/patients/:patientId/dashboard', caregiverController.getPatientDashboard);
@@ -19,11 +65,19 @@ router.get('/patients/:patientId/medications', caregiverController.getPatientMed
 router.get('/patients/:patientId/vitals', caregiverController.getPatientVitalSigns);
 router.get('/patients/:patientId/health-checkins', caregiverController.getPatientHealthCheckIns);
 
+// Medication analytics for a patient (/api/care/patients/:patientId/analytics/...)
+router.use('/patients/:patientId/analytics', requirePatientAccess('viewMedications'), medicationAnalyticsRoutes);
+
+// Recording vitals and check-ins for a patient (same pipeline as the patient's own /api/health routes)
+router.post('/patients/:patientId/vitals', requirePatientAccess('recordVitals'), healthController.recordVitalSign);
+router.post('/patients/:patientId/checkins', requirePatientAccess('recordCheckIns'), healthController.submitHealthCheckIn);
+
 // Medication recording
 router.post('/patients/:patientId/medications/:medicationId/log', caregiverController.recordPatientMedication);
 
 // Caregiver reports
 router.get('/patients/:patientId/reports', caregiverController.getCaregiverReports);
+router.post('/patients/:patientId/reports', caregiverController.generateCaregiverReport);
 
 // Notification preferences
 router.put('/relationships/:relationshipId/notifications', caregiverController.updateNotificationPreferences);
@@ -2,12 +2,41 @@ const express = require('express');
 const router = express.Router();
 const emergencyController = require('../controllers/emergencyController');
 const { protect } = require('../middleware/authMiddleware');
+const { validateTwilioRequest } = require('../middleware/twilioMiddleware');
 
-// All routes are protected
+// Public routes used by emergency contacts to acknowledge an alert
+router.get('/ack/:token', emergencyController.previewAcknowledgeLink); // Confirmation only, acknowledging needs a POST
+router.post('/ack/:token', emergencyController.acknowledgeByLink);
+router.post('/sms-reply', validateTwilioRequest, emergencyController.acknowledgeBySmsReply);
+
+// Public live location view for people holding a share link
+router.get('/share/:token', emergencyController.getSharedLocation);
+
+// All other routes are protected
 router.use(protect);
 
 // Emergency routes
 router.post('/trigger', emergencyController.triggerEmergency);
 router.post('/resolve', emergencyController.resolveEmergency);
 
+// Escalation policy routes
+router.get('/escalation-policy', emergencyController.getEscalationPolicy);
+router.put('/escalation-policy', emergencyController.updateEscalationPolicy);
+
+// Automatic trigger settings (critical vitals and check-ins)
+router.get('/auto-trigger', emergencyController.getAutoTriggerSettings);
+router.put('/auto-trigger', emergencyController.updateAutoTriggerSettings);
+
+// Incident history routes
+router.get('/incidents', emergencyController.getIncidents);
+router.get('/incidents/:id', emergencyController.getIncidentDetails);
+router.post('/incidents/:id/resolve', emergencyController.resolveEmergency);
+router.post('/incidents/:id/cancel', emergencyController.cancelCountdown);
+router.post('/incidents/:id/confirm', emergencyController.confirmCountdown);
+
+// Live location routes
+router.post('/incidents/:id/location', emergencyController.updateIncidentLocation);
+router.post('/incidents/:id/share-link', emergencyController.createIncidentShareLink);
+router.delete('/incidents/:id/share-link', emergencyController.revokeIncidentShareLink);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const medicationAnalyticsController = require('../controllers/MedicationAnalyticsController');
+const { requireCaregiverPermission } = require('../middleware/caregiverMiddleware');
+const rateLimit = require('express-rate-limit');
+
+// The routes are only reached by signed-in users, so limits apply per user rather than per IP
+// (many users can share a mobile carrier's IP address)
+const userKey = (req) => req.user._id.toString();
+
+// Analytics read a lot of history, so limit how often they can be requested
+const analyticsLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 60, // limit each user to 60 requests per windowMs
+  keyGenerator: userKey,
+  message: 'Too many analytics requests, please try again later'
+});
+
+// Rate limiting for AI endpoints
+const aiLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // limit each user to 20 requests per windowMs
+  keyGenerator: userKey,
+  message: 'Too many AI requests, please try again later'
+});
+
+// Mounted behind authentication at /api/medications/analytics for the patient's own data,
+// and at /api/care/patients/:patientId/analytics for caregivers (who get req.patient)
+router.use(analyticsLimiter);
+
+router.get('/adherence', medicationAnalyticsController.getAdherenceAnalytics);
+router.get('/recommendations', medicationAnalyticsController.getAdherenceRecommendations);
+router.get('/predictive', aiLimiter, medicationAnalyticsController.getPredictiveAdherenceInsights);
+router.get('/consumption', medicationAnalyticsController.getMedicationConsumptionPatterns);
+router.get(
+  '/health-correlations',
+  requireCaregiverPermission('viewVitals', 'viewSymptoms'),
+  medicationAnalyticsController.getHealthCorrelations
+);
+
+module.exports = router;
@@ -5,11 +5,22 @@ const drugInteractionController = require('../controllers/DrugInteractionControl
 const medicationLogController = require('../controllers/MedicationLogController');
 const medicationRefillController = require('../controllers/MedicationRefillController');
 const medicationReminderController = require('../controllers/MedicationReminderController');
+const medicationSharingController = require('../controllers/medicationSharingController');
+const medicationAnalyticsRoutes = require('./medicationAnalyticsRoutes');
 const { protect } = require('../middleware/authMiddleware');
+const { validateTwilioRequest } = require('../middleware/twilioMiddleware');
 
-// All routes are protected
+// Public routes for answering a reminder from a notification, link or text message
+router.get('/reminders/action/:token', medicationReminderController.previewActionToken); // Confirmation only, answers need a POST
+router.post('/reminders/action/:token', medicationReminderController.respondByActionToken);
+router.post('/reminders/sms-reply', validateTwilioRequest, medicationReminderController.respondBySmsReply);
+
+// All other routes are protected
 router.use(protect);
 
+// Medications other users have shared with me (before /:id so it is not taken as an ID)
+router.get('/shared-with-me', medicationSharingController.getMedicationsSharedWithMe);
+
 // Basic Medication CRUD routes
 router.post('/', medicationController.addMedication);
 router.get('/', medicationController.getUserMedications);
@@ -18,6 +29,12 @@ router.put('/:id', medicationController.updateMedication);
 router.delete('/:id', medicationController.deleteMedication);
 router.get('/refill-needed', medicationController.getMedicationsNeedingRefill);
 
+// Medication sharing routes
+router.post('/:id/shares', medicationSharingController.shareMedication);
+router.get('/:id/shares', medicationSharingController.getMedicationShares);
+router.put('/:id/shares/:shareId', medicationSharingController.updateMedicationShare);
+router.delete('/:id/shares/:shareId', medicationSharingController.revokeMedicationShare);
+
 // Drug Interaction routes
 router.post('/interactions/check', drugInteractionController.checkDrugInteractions);
 router.get('/:id/interactions', drugInteractionController.getMedicationInteractions);
@@ -38,14 +55,7 @@ router.post('/reminders/:id/respond', medicationReminderController.respondToRemi
 router.post('/:medicationId/reminders', medicationReminderController.createReminders);
 router.delete('/reminders/:id', medicationReminderController.deleteReminder);
 
-// Analytics routes - redirect to the analytics router
-// These are for documentation purposes to show all available endpoints
-// The actual implementation is in the medicationAnalyticsRoutes.js file
-// You can access these routes via: /api/medications/analytics/...
-router.get('/analytics/adherence', (req, res, next) => next());
-router.get('/analytics/recommendations', (req, res, next) => next());
-router.get('/analytics/predictive', (req, res, next) => next());
-router.get('/analytics/consumption', (req, res, next) => next());
-router.get('/analytics/health-correlations', (req, res, next) => next());
+// Analytics routes (/api/medications/analytics/...)
+router.use('/analytics', medicationAnalyticsRoutes);
 
 module.exports = router;
\ No newline at end of file
@@ -3,16 +3,32 @@ const router = express.Router();
 const userController = require('../controllers/userController');
 const { protect } = require('../middleware/authMiddleware');
 
-// All routes are protected
+// Public routes for the link in the verification email: GET shows a confirmation, POST verifies
+router.get('/email/verify/:token', userController.previewEmailVerification);
+router.post('/email/verify/:token', userController.verifyEmail);
+
+// All other routes are protected
 router.use(protect);
 
 // User profile routes
 router.get('/profile', userController.getUserProfile);
 router.put('/profile', userController.updateUserProfile);
 
+// Email routes
+router.put('/email', userController.updateEmail);
+router.post('/email/resend-verification', userController.resendEmailVerification);
+
 // Emergency contacts routes
 router.get('/emergency-contacts', userController.getEmergencyContacts);
 router.post('/emergency-contacts', userController.addEmergencyContact);
 router.delete('/emergency-contacts/:id', userController.removeEmergencyContact);
 
+// Notification preference routes
+router.get('/notification-preferences', userController.getNotificationPreferences);
+router.put('/notification-preferences', userController.updateNotificationPreferences);
+
+// Inactivity monitoring routes
+router.get('/inactivity-monitoring', userController.getInactivityMonitoring);
+router.put('/inactivity-monitoring', userController.updateInactivityMonitoring);
+
 module.exports = router;
\ No newline at end of file
@@ -14,12 +14,13 @@ const medicationRoutes = require('./routes/medicationRoutes');
 const healthRoutes = require('./routes/healthRoutes');
 const caregiverRoutes = require('./routes/caregiverRoutes');
 const emergencyRoutes = require('./routes/emergencyRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
 const prescriptionRoutes = require('./routes/prescriptionRoutes');
 const medicationEfficacyRoutes = require('./routes/medicationEfficacyRoutes');
 const symptomCorrelationRoutes = require('./routes/symptomCorrelationRoutes'); // New route
 
 // Import schedulers with try/catch to make them optional
-let startScheduler, startMedicationScheduler, startCaregiverReportScheduler;
+let startScheduler, startMedicationScheduler, startReminderGenerationScheduler, startCaregiverReportScheduler, startEscalationScheduler, startInactivityScheduler, startNotificationRetryScheduler, startShareExpiryScheduler;
 
 try {
   const schedulerService = require('./services/schedulerService');
@@ -37,6 +38,14 @@ try {
   startMedicationScheduler = () => console.log('Medication scheduler disabled');
 }
 
+try {
+  const reminderGenerationService = require('./services/reminderGenerationService');
+  startReminderGenerationScheduler = reminderGenerationService.startReminderGenerationScheduler;
+} catch (error) {
+  console.log('Reminder generation service not available:', error.message);
+  startReminderGenerationScheduler = () => console.log('Reminder generation scheduler disabled');
+}
+
 try {
   const caregiverReportService = require('./services/caregiverReportService');
   startCaregiverReportScheduler = caregiverReportService.startCaregiverReportScheduler;
@@ -45,6 +54,38 @@ try {
   startCaregiverReportScheduler = () => console.log('Caregiver report service disabled');
 }
 
+try {
+  const emergencyService = require('./services/emergencyService');
+  startEscalationScheduler = emergencyService.startEscalationScheduler;
+} catch (error) {
+  console.log('Emergency escalation scheduler not available:', error.message);
+  startEscalationScheduler = () => console.log('Emergency escalation scheduler disabled');
+}
+
+try {
+  const inactivityService = require('./services/inactivityService');
+  startInactivityScheduler = inactivityService.startInactivityScheduler;
+} catch (error) {
+  console.log('Inactivity scheduler not available:', error.message);
+  startInactivityScheduler = () => console.log('Inactivity scheduler disabled');
+}
+
+try {
+  const medicationSharingService = require('./services/medicationSharingService');
+  startShareExpiryScheduler = medicationSharingService.startShareExpiryScheduler;
+} catch (error) {
+  console.log('Medication share expiry scheduler not available:', error.message);
+  startShareExpiryScheduler = () => console.log('Medication share expiry scheduler disabled');
+}
+
+try {
+  const notificationDispatcher = require('./services/notificationDispatcher');
+  startNotificationRetryScheduler = notificationDispatcher.startNotificationRetryScheduler;
+} catch (error) {
+  console.log('Notification retry scheduler not available:', error.message);
+  startNotificationRetryScheduler = () => console.log('Notification retry scheduler disabled');
+}
+
 // Import middleware
 const { errorHandler } = require('./middleware/errorMiddleware');
 
@@ -69,6 +110,7 @@ app.use('/api/health', healthRoutes);
 app.use('/api/health', symptomCorrelationRoutes); // Add symptom correlation routes to health endpoint
 app.use('/api/care', caregiverRoutes);
 app.use('/api/emergency', emergencyRoutes);
+app.use('/api/notifications', notificationRoutes);
 app.use('/api/prescriptions', prescriptionRoutes);
 app.use('/api', medicationEfficacyRoutes);
 
@@ -91,7 +133,12 @@ mongoose
       // Start schedulers if available
       startScheduler();
       startMedicationScheduler();
+      startReminderGenerationScheduler();
       startCaregiverReportScheduler();
+      startEscalationScheduler();
+      startInactivityScheduler();
+      startNotificationRetryScheduler();
+      startShareExpiryScheduler();
     });
   })
   .catch((err) => {
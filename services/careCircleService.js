@@ -0,0 +1,128 @@
+// services/careCircleService.js
+const CareCircle = require('../models/CareCircle');
+const CaregiverRelationship = require('../models/CaregiverRelationship');
+const User = require('../models/userModel');
+const { getLocalDateKey, getLocalTimeParts, getUserTimezone } = require('../utils/timeUtils');
+
+// Hand-offs older than this are dropped when a new one is added
+const HANDOFF_HISTORY_DAYS = 30;
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function isValidDateKey(date) {
+  return typeof date === 'string' && DATE_KEY_PATTERN.test(date) && !Number.isNaN(new Date(`${date}T00:00:00Z`).getTime());
+}
+
+/**
+ * Get the care circle settings of a patient, creating them on first use.
+ *
+ * @param {ObjectId} patientId
+ * @returns {Object} - CareCircle document
+ */
+async function getOrCreateCircle(patientId) {
+  return CareCircle.findOneAndUpdate(
+    { patientId },
+    { $setOnInsert: { patientId } },
+    { new: true, upsert: true }
+  );
+}
+
+/**
+ * Active caregiver relationships of a patient, i.e. the members of their care circle.
+ *
+ * @param {ObjectId} patientId
+ * @returns {Array} - CaregiverRelationship documents with caregiverId populated
+ */
+async function getCircleMembers(patientId) {
+  return CaregiverRelationship.find({ patientId, status: 'active' })
+    .populate('caregiverId', 'fullName phoneNumber email');
+}
+
+/**
+ * Check whether a user is an active caregiver of the patient.
+ */
+async function isCircleCaregiver(patientId, caregiverId) {
+  if (!caregiverId) return false;
+
+  return Boolean(await CaregiverRelationship.exists({ patientId, caregiverId, status: 'active' }));
+}
+
+/**
+ * Work out who is on duty on the patient's local day containing `at`:
+ * a hand-off for that day, else the weekly roster, else the primary caregiver.
+ * Caregivers who have since left the circle are skipped.
+ *
+ * @param {Object} circle - CareCircle document
+ * @param {Array<String>} memberIds - Caregiver ids of the active relationships
+ * @param {String} timezone - Patient's timezone
+ * @param {Date} at
+ * @returns {Object} - { caregiverId, source: 'handoff' | 'roster' | 'primary' } or { caregiverId: null }
+ */
+function resolveOnDuty(circle, memberIds, timezone, at = new Date()) {
+  const isMember = (id) => id && memberIds.includes(id.toString());
+  const dateKey = getLocalDateKey(at, timezone);
+  const { weekday } = getLocalTimeParts(at, timezone);
+
+  // The latest hand-off for the day wins
+  const handoff = [...(circle.dutyHandoffs || [])].reverse().find(entry => entry.date === dateKey && isMember(entry.caregiverId));
+
+  if (handoff) return { caregiverId: handoff.caregiverId, source: 'handoff', date: dateKey };
+
+  const rostered = (circle.dutyRoster || []).find(entry => entry.dayOfWeek === weekday && isMember(entry.caregiverId));
+
+  if (rostered) return { caregiverId: rostered.caregiverId, source: 'roster', date: dateKey };
+
+  if (isMember(circle.primaryCaregiverId)) {
+    return { caregiverId: circle.primaryCaregiverId, source: 'primary', date: dateKey };
+  }
+
+  return { caregiverId: null, source: null, date: dateKey };
+}
+
+/**
+ * Find the caregiver on duty for a patient right now (or at `at`).
+ *
+ * @param {ObjectId} patientId
+ * @param {Date} at
+ * @returns {Object} - See resolveOnDuty
+ */
+async function getOnDutyCaregiver(patientId, at = new Date()) {
+  const [circle, relationships, patient] = await Promise.all([
+    CareCircle.findOne({ patientId }),
+    CaregiverRelationship.find({ patientId, status: 'active' }).select('caregiverId'),
+    User.findById(patientId).select('timezone')
+  ]);
+
+  if (!circle) return { caregiverId: null, source: null };
+
+  const memberIds = relationships.map(relationship => relationship.caregiverId.toString());
+
+  return resolveOnDuty(circle, memberIds, getUserTimezone(patient), at);
+}
+
+/**
+ * Record a one-day hand-off of duty. Saves the circle.
+ *
+ * @param {Object} circle - CareCircle document
+ * @param {Object} handoff - { date, caregiverId, handedOffBy, note }
+ */
+async function addDutyHandoff(circle, handoff) {
+  const cutoff = new Date(Date.now() - HANDOFF_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+
+  circle.dutyHandoffs = circle.dutyHandoffs.filter(entry => entry.createdAt >= cutoff);
+  circle.dutyHandoffs.push(handoff);
+
+  await circle.save();
+
+  return circle.dutyHandoffs[circle.dutyHandoffs.length - 1];
+}
+
+module.exports = {
+  isValidDateKey,
+  getOrCreateCircle,
+  getCircleMembers,
+  isCircleCaregiver,
+  resolveOnDuty,
+  getOnDutyCaregiver,
+  addDutyHandoff
+};
@@ -0,0 +1,86 @@
+// services/careEventService.js
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const logger = require('../utils/logger');
+
+// Live events for caregiver dashboards and the caregiver permission needed to receive each one
+const EVENT_PERMISSIONS = {
+  dose_taken: ['viewMedications'],
+  dose_skipped: ['viewMedications'],
+  dose_missed: ['viewMedications'],
+  vital_recorded: ['viewVitals'],
+  checkin_submitted: ['viewSymptoms'],
+  alert_opened: ['receiveAlerts'],
+  alert_acknowledged: ['receiveAlerts'],
+  alert_closed: ['receiveAlerts']
+};
+
+const CARE_EVENT_TYPES = Object.keys(EVENT_PERMISSIONS);
+
+// Events are passed around in memory, so a stream only sees events raised by the same server instance.
+// Delivery is best effort: events are not stored, and those published while a client is disconnected are lost.
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per open stream
+
+/**
+ * Publish a live event about a patient to the open caregiver streams.
+ * Never throws, so recording the underlying data is not affected by a broken stream.
+ *
+ * @param {ObjectId} patientId
+ * @param {String} type - One of CARE_EVENT_TYPES
+ * @param {Object} data - Event payload sent to the caregiver
+ * @param {Array<String>} permissions - Caregiver permissions needed to receive it (defaults to EVENT_PERMISSIONS[type])
+ */
+function publishCareEvent(patientId, type, data = {}, permissions = EVENT_PERMISSIONS[type]) {
+  try {
+    // Random ids stay unique across restarts and server instances
+    emitter.emit('event', {
+      id: crypto.randomUUID(),
+      type,
+      patientId: patientId.toString(),
+      permissions,
+      data,
+      createdAt: new Date()
+    });
+  } catch (error) {
+    logger.error(`Error publishing care event ${type}:`, error);
+  }
+}
+
+/**
+ * Publish the dose_taken, dose_skipped or dose_missed event for a saved medication log.
+ *
+ * @param {Object} medicationLog - MedicationLog document
+ * @param {String} medicationName - Name of the medication, when the caller has it loaded
+ */
+function publishDoseEvent(medicationLog, medicationName) {
+  publishCareEvent(medicationLog.userId, `dose_${medicationLog.status}`, {
+    logId: medicationLog._id,
+    medicationId: medicationLog.medicationId,
+    medicationName,
+    status: medicationLog.status,
+    scheduledTime: medicationLog.scheduledTime,
+    takenTime: medicationLog.takenTime,
+    recordedBy: medicationLog.recordedBy
+  });
+}
+
+/**
+ * Listen to every published care event.
+ *
+ * @param {Function} listener - Called with { id, type, patientId, permissions, data, createdAt }
+ * @returns {Function} - Call to stop listening
+ */
+function subscribeToCareEvents(listener) {
+  emitter.on('event', listener);
+
+  return () => emitter.off('event', listener);
+}
+
+module.exports = {
+  CARE_EVENT_TYPES,
+  EVENT_PERMISSIONS,
+  publishCareEvent,
+  publishDoseEvent,
+  subscribeToCareEvents
+};
@@ -0,0 +1,156 @@
+// services/caregiverAccessService.js
+const mongoose = require('mongoose');
+const CaregiverRelationship = require('../models/CaregiverRelationship');
+const AccessAuditLog = require('../models/AccessAuditLog');
+const Medication = require('../models/medicationModel');
+const { getMedicationAccess, hasSharePermission } = require('./medicationSharingService');
+const logger = require('../utils/logger');
+
+const CAREGIVER_PERMISSIONS = [
+  'viewMedications',
+  'recordMedications',
+  'recordVitals',
+  'recordCheckIns',
+  'viewVitals',
+  'viewSymptoms',
+  'receiveAlerts',
+  'receiveReports'
+];
+
+// Caregiver permission that grants each medication share permission (null: sharing only)
+const SHARE_TO_CAREGIVER_PERMISSION = {
+  canView: 'viewMedications',
+  canRecordDoses: 'recordMedications',
+  canRecordRefills: 'recordMedications',
+  canEdit: null
+};
+
+/**
+ * Store a refused request for a patient's data.
+ * Failures are only logged so that auditing never breaks the request itself.
+ *
+ * @param {Object} req - Express request of the refused user
+ * @param {Object} details - { patientId, relationship, medicationId, resource, permissions, reason }
+ */
+async function recordDeniedAccess(req, details) {
+  try {
+    await AccessAuditLog.create({
+      actorId: req.user._id,
+      patientId: details.patientId,
+      relationshipId: details.relationship ? details.relationship._id : undefined,
+      medicationId: details.medicationId,
+      resource: details.resource,
+      requiredPermissions: details.permissions,
+      reason: details.reason,
+      method: req.method,
+      path: req.originalUrl,
+      ipAddress: req.ip
+    });
+
+    logger.warn(`Access denied: user ${req.user._id} to ${details.resource || 'data'} of patient ${details.patientId} (${details.reason})`);
+  } catch (error) {
+    logger.error('Error recording denied access:', error);
+  }
+}
+
+/**
+ * Check that the current user may access a patient's data as their caregiver.
+ * Requires an active relationship with every given permission; refusals are audited.
+ *
+ * @param {Object} req - Express request (req.user is the caregiver)
+ * @param {String|ObjectId} patientId
+ * @param {Array<String>} permissions - CaregiverRelationship permissions, e.g. ['viewVitals']
+ * @param {String} resource - What is being accessed, for the audit log
+ * @returns {Object} - { allowed, relationship, reason }
+ */
+async function authorizeCaregiver(req, patientId, permissions = [], resource) {
+  if (!mongoose.Types.ObjectId.isValid(patientId)) {
+    return { allowed: false, relationship: null, reason: 'no_relationship' };
+  }
+
+  const relationship = await CaregiverRelationship.findOne({
+    caregiverId: req.user._id,
+    patientId,
+    status: 'active'
+  });
+
+  let reason = null;
+
+  if (!relationship) {
+    reason = 'no_relationship';
+  } else if (permissions.some(permission => !relationship.permissions[permission])) {
+    reason = 'missing_permission';
+  }
+
+  if (reason) {
+    await recordDeniedAccess(req, { patientId, relationship, resource, permissions, reason });
+    return { allowed: false, relationship, reason };
+  }
+
+  return { allowed: true, relationship, reason: null };
+}
+
+/**
+ * Check that the current user may act on a medication: as its owner, through a medication share,
+ * or as a caregiver of its owner. Refusals are audited.
+ *
+ * @param {Object} req - Express request
+ * @param {String|ObjectId} medicationId
+ * @param {String} permission - Share permission: canView, canRecordDoses, canRecordRefills or canEdit
+ * @returns {Object} - { allowed, medication, isOwner, share, relationship }.
+ *   medication is null when the medication does not exist or the user has no link to it at all,
+ *   so callers can answer 404 without revealing that it exists.
+ */
+async function authorizeMedicationAccess(req, medicationId, permission) {
+  if (!mongoose.Types.ObjectId.isValid(medicationId)) {
+    return { allowed: false, medication: null };
+  }
+
+  const access = await getMedicationAccess(medicationId, req.user._id);
+
+  if (access && hasSharePermission(access, permission)) {
+    return { allowed: true, relationship: null, ...access };
+  }
+
+  const medication = access ? access.medication : await Medication.findById(medicationId);
+
+  if (!medication) {
+    return { allowed: false, medication: null };
+  }
+
+  const relationship = await CaregiverRelationship.findOne({
+    caregiverId: req.user._id,
+    patientId: medication.userId,
+    status: 'active'
+  });
+
+  const caregiverPermission = SHARE_TO_CAREGIVER_PERMISSION[permission];
+
+  if (relationship && caregiverPermission && relationship.permissions[caregiverPermission]) {
+    return { allowed: true, medication, isOwner: false, share: access ? access.share : null, relationship };
+  }
+
+  await recordDeniedAccess(req, {
+    patientId: medication.userId,
+    relationship,
+    medicationId: medication._id,
+    resource: 'medication',
+    permissions: [permission],
+    reason: access || relationship ? 'missing_permission' : 'no_relationship'
+  });
+
+  return {
+    allowed: false,
+    medication: access || relationship ? medication : null,
+    isOwner: false,
+    share: access ? access.share : null,
+    relationship
+  };
+}
+
+module.exports = {
+  CAREGIVER_PERMISSIONS,
+  recordDeniedAccess,
+  authorizeCaregiver,
+  authorizeMedicationAccess
+};
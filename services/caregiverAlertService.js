@@ -0,0 +1,295 @@
+// services/caregiverAlertService.js
+const CaregiverAlert = require('../models/CaregiverAlert');
+const CaregiverRelationship = require('../models/CaregiverRelationship');
+const MedicationLog = require('../models/MedicationLog');
+const User = require('../models/userModel');
+const { send } = require('./notificationDispatcher');
+const { sendPushNotification } = require('./notificationService');
+const { publishCareEvent } = require('./careEventService');
+const logger = require('../utils/logger');
+
+// What a caregiver needs, on top of receiveAlerts, to get each type of alert:
+// the permission to see the underlying data and the notificationPreferences toggle that can turn it off
+const ALERT_RULES = {
+  missed_dose: { permission: 'viewMedications', preference: 'missedMedications' },
+  low_adherence: { permission: 'viewMedications', preference: 'lowAdherence' },
+  abnormal_vital: { permission: 'viewVitals', preference: 'abnormalVitals' },
+  high_risk_checkin: { permission: 'viewSymptoms', preference: null }
+};
+
+const ALERT_TYPES = Object.keys(ALERT_RULES);
+
+// Alerts a caregiver still has to deal with
+const OPEN_ALERT_STATUSES = ['open', 'acknowledged'];
+
+// Adherence below LOW_ADHERENCE_THRESHOLD percent over the last LOW_ADHERENCE_DAYS raises a low_adherence alert,
+// once there are enough doses to go on; at most one such alert per patient per period
+const LOW_ADHERENCE_THRESHOLD = 70;
+const LOW_ADHERENCE_DAYS = 7;
+const LOW_ADHERENCE_MIN_DOSES = 5;
+
+/**
+ * Query for the active relationships whose caregivers may get an alert type.
+ */
+function alertRecipientQuery(patientId, type) {
+  const { permission, preference } = ALERT_RULES[type];
+  const query = {
+    patientId,
+    status: 'active',
+    'permissions.receiveAlerts': true,
+    [`permissions.${permission}`]: true
+  };
+
+  if (preference) {
+    query[`notificationPreferences.${preference}`] = { $ne: false };
+  }
+
+  return query;
+}
+
+/**
+ * Check whether a caregiver relationship allows seeing an alert type.
+ * Used to authorize acknowledging and closing alerts.
+ */
+function canReceiveAlert(relationship, type) {
+  const { permission } = ALERT_RULES[type];
+
+  return Boolean(relationship.permissions.receiveAlerts && relationship.permissions[permission]);
+}
+
+/**
+ * Push the alert to each caregiver, and text those who chose SMS.
+ *
+ * @returns {Array<ObjectId>} - Caregivers who were notified
+ */
+async function notifyCaregivers(alert, relationships) {
+  const notified = [];
+  const data = {
+    type: 'caregiver_alert',
+    alertType: alert.type,
+    alertId: alert._id.toString(),
+    patientId: alert.patientId.toString()
+  };
+  const options = { category: 'caregiver_alert', priority: alert.severity === 'critical' ? 'critical' : 'normal' };
+
+  for (const relationship of relationships) {
+    const caregiver = relationship.caregiverId;
+
+    if (!caregiver) continue;
+
+    const channels = (relationship.notificationPreferences && relationship.notificationPreferences.notificationChannels) || {};
+
+    try {
+      if (channels.app !== false) {
+        await sendPushNotification(caregiver._id, alert.title, alert.message, data, options);
+      }
+
+      if (channels.sms && caregiver.phoneNumber) {
+        await send({
+          channel: 'sms',
+          userId: caregiver._id,
+          body: `${alert.title}: ${alert.message}`,
+          data,
+          category: 'caregiver_alert',
+          priority: options.priority
+        });
+      }
+
+      notified.push(caregiver._id);
+    } catch (error) {
+      logger.error(`Failed to notify caregiver ${caregiver._id} of alert ${alert._id}:`, error);
+    }
+  }
+
+  return notified;
+}
+
+/**
+ * Publish an alert change to the live caregiver streams, for caregivers allowed to see the alert.
+ *
+ * @param {Object} alert - CaregiverAlert document
+ * @param {String} eventType - 'alert_opened', 'alert_acknowledged' or 'alert_closed'
+ */
+function publishAlertEvent(alert, eventType) {
+  publishCareEvent(alert.patientId, eventType, {
+    alertId: alert._id,
+    alertType: alert.type,
+    severity: alert.severity,
+    title: alert.title,
+    message: alert.message,
+    status: alert.status,
+    acknowledgedBy: alert.acknowledgedBy,
+    closedBy: alert.closedBy
+  }, ['receiveAlerts', ALERT_RULES[alert.type].permission]);
+}
+
+/**
+ * Record an alert and notify the caregivers allowed to get it.
+ * A source record raises at most one alert of each type, so calling this again for it does nothing.
+ *
+ * @param {Object} fields - { patientId, type, severity, title, message, sourceId, data }
+ * @param {Object} options - { notify: false when the caller notifies caregivers itself (see addNotifiedCaregivers) }
+ * @returns {Object|null} - The new alert, or null when the source already raised one
+ */
+async function raiseAlert(fields, { notify = true } = {}) {
+  let alert;
+
+  try {
+    alert = await CaregiverAlert.create(fields);
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  if (notify) {
+    const relationships = await CaregiverRelationship.find(alertRecipientQuery(alert.patientId, alert.type))
+      .populate('caregiverId', 'phoneNumber');
+
+    alert.notifiedCaregiverIds = await notifyCaregivers(alert, relationships);
+    await alert.save();
+  }
+
+  publishAlertEvent(alert, 'alert_opened');
+
+  logger.info(`Caregiver alert ${alert._id} (${alert.type}) raised for patient ${alert.patientId}`);
+
+  return alert;
+}
+
+/**
+ * Remember caregivers who were told about an alert by its caller (for alerts raised with notify: false).
+ */
+async function addNotifiedCaregivers(alertId, caregiverIds) {
+  if (!alertId || caregiverIds.length === 0) return;
+
+  await CaregiverAlert.updateOne(
+    { _id: alertId },
+    { $addToSet: { notifiedCaregiverIds: { $each: caregiverIds } } }
+  );
+}
+
+async function findAlertBySource(type, sourceId) {
+  return CaregiverAlert.findOne({ type, sourceId });
+}
+
+/**
+ * Raise an alert for an abnormal vital sign reading.
+ *
+ * @param {Object} vitalSign - Saved VitalSign document
+ * @param {Object} patient - User the reading belongs to
+ * @param {Boolean} critical - Whether the reading also opened an emergency
+ */
+async function raiseAbnormalVitalAlert(vitalSign, patient, critical = false) {
+  if (vitalSign.isNormal !== false) return null;
+
+  const values = vitalSign.toObject().values || {};
+  const reading = vitalSign.type === 'bloodPressure' ?
+    `${values.systolic}/${values.diastolic}` :
+    Object.values(values).filter(value => typeof value === 'number').join('/');
+
+  return raiseAlert({
+    patientId: patient._id,
+    type: 'abnormal_vital',
+    severity: critical ? 'critical' : 'warning',
+    title: `Abnormal reading: ${patient.fullName}`,
+    message: `${patient.fullName} recorded an abnormal ${vitalSign.type} reading of ${reading}${vitalSign.unit ? ` ${vitalSign.unit}` : ''}.`,
+    sourceId: vitalSign._id,
+    data: { vitalSignId: vitalSign._id, vitalType: vitalSign.type, values }
+  });
+}
+
+/**
+ * Raise an alert for a check-in assessed as high or emergency risk.
+ *
+ * @param {Object} healthCheckIn - Saved HealthCheckIn document
+ * @param {Object} patient - User the check-in belongs to
+ */
+async function raiseHighRiskCheckInAlert(healthCheckIn, patient) {
+  const riskLevel = healthCheckIn.aiAssessment && healthCheckIn.aiAssessment.riskLevel;
+
+  if (!['high', 'emergency'].includes(riskLevel)) return null;
+
+  const symptoms = (healthCheckIn.symptoms || []).map(symptom => symptom.name).filter(Boolean);
+
+  return raiseAlert({
+    patientId: patient._id,
+    type: 'high_risk_checkin',
+    severity: riskLevel === 'emergency' ? 'critical' : 'warning',
+    title: `Health concern: ${patient.fullName}`,
+    message: `${patient.fullName}'s health check-in was assessed as ${riskLevel} risk` +
+      (symptoms.length > 0 ? ` (${symptoms.join(', ')}).` : '.'),
+    sourceId: healthCheckIn._id,
+    data: { checkInId: healthCheckIn._id, riskLevel, feeling: healthCheckIn.feeling }
+  });
+}
+
+/**
+ * Raise a low_adherence alert when the patient's recent adherence has dropped below the threshold.
+ * Called after a dose is recorded as missed.
+ *
+ * @param {ObjectId} patientId
+ * @param {Date} now
+ */
+async function checkLowAdherence(patientId, now = new Date()) {
+  const since = new Date(now.getTime() - LOW_ADHERENCE_DAYS * 24 * 60 * 60 * 1000);
+
+  const recentAlert = await CaregiverAlert.exists({
+    patientId,
+    type: 'low_adherence',
+    $or: [{ status: { $in: OPEN_ALERT_STATUSES } }, { createdAt: { $gte: since } }]
+  });
+
+  if (recentAlert) return null;
+
+  const [total, taken] = await Promise.all([
+    MedicationLog.countDocuments({ userId: patientId, createdAt: { $gte: since, $lte: now } }),
+    MedicationLog.countDocuments({ userId: patientId, createdAt: { $gte: since, $lte: now }, status: 'taken' })
+  ]);
+
+  if (total < LOW_ADHERENCE_MIN_DOSES) return null;
+
+  const adherenceRate = Math.round((taken / total) * 100);
+
+  if (adherenceRate >= LOW_ADHERENCE_THRESHOLD) return null;
+
+  const patient = await User.findById(patientId).select('fullName');
+
+  if (!patient) return null;
+
+  return raiseAlert({
+    patientId,
+    type: 'low_adherence',
+    severity: 'warning',
+    title: `Low adherence: ${patient.fullName}`,
+    message: `${patient.fullName} has taken ${adherenceRate}% of their medication doses in the last ${LOW_ADHERENCE_DAYS} days.`,
+    data: { adherenceRate, doses: total, taken, days: LOW_ADHERENCE_DAYS }
+  });
+}
+
+/**
+ * Close the alert a source raised once the underlying problem is dealt with
+ * (e.g. the patient answers a dose reminder late).
+ */
+async function closeAlertForSource(type, sourceId, note) {
+  const alert = await CaregiverAlert.findOneAndUpdate(
+    { type, sourceId, status: { $in: OPEN_ALERT_STATUSES } },
+    { status: 'closed', closedAt: new Date(), closeNote: note },
+    { new: true }
+  );
+
+  if (alert) publishAlertEvent(alert, 'alert_closed');
+}
+
+module.exports = {
+  ALERT_TYPES,
+  OPEN_ALERT_STATUSES,
+  canReceiveAlert,
+  publishAlertEvent,
+  raiseAlert,
+  addNotifiedCaregivers,
+  findAlertBySource,
+  raiseAbnormalVitalAlert,
+  raiseHighRiskCheckInAlert,
+  checkLowAdherence,
+  closeAlertForSource
+};
@@ -0,0 +1,231 @@
+// services/caregiverInvitationService.js
+const crypto = require('crypto');
+const CaregiverInvitation = require('../models/CaregiverInvitation');
+const CaregiverRelationship = require('../models/CaregiverRelationship');
+const { send } = require('./notificationDispatcher');
+const { sendPushNotification } = require('./notificationService');
+const { normalizePhoneNumber } = require('./emergencyService');
+const { hashToken, buildPublicUrl } = require('../utils/tokenUtils');
+const logger = require('../utils/logger');
+
+const INVITATION_DIRECTIONS = ['invite_caregiver', 'request_access'];
+
+// How long an invitation code can be redeemed, counted from the last time it was sent
+const INVITATION_EXPIRY_DAYS = 7;
+
+// Limit on how often one invitation can be sent, to keep it from being used for spam
+const MAX_INVITATION_SENDS = 5;
+
+// Codes are typed in by hand, so leave out characters that are easy to confuse (0/O, 1/I/L)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+function generateInviteCode() {
+  let code = '';
+
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+
+  return code;
+}
+
+// Accept codes typed with spaces, dashes or in lower case
+function normalizeInviteCode(code) {
+  return String(code || '').replace(/[\s-]/g, '').toUpperCase();
+}
+
+function buildInvitationMessage(invitation, inviterName, code) {
+  const link = buildPublicUrl(`/api/care/invite-links/code/${code}`);
+  const request = invitation.direction === 'invite_caregiver' ?
+    `${inviterName} has invited you to be their caregiver on Sukoon Saarthi.` :
+    `${inviterName} would like to help look after your health on Sukoon Saarthi and is asking to be your caregiver.`;
+
+  return `${request} Sign up with this phone number and enter invite code ${code} (valid for ${INVITATION_EXPIRY_DAYS} days): ${link}`;
+}
+
+/**
+ * Give the invitation a new code and expiry and send it to the invitee.
+ * Codes are only stored hashed, so every send issues a new code and the old one stops working.
+ * Saves the invitation.
+ *
+ * @param {Object} invitation - CaregiverInvitation document
+ * @param {Object} inviter - User who created the invitation
+ * @returns {Object} - { sent, error }
+ */
+async function sendInvitation(invitation, inviter) {
+  const code = generateInviteCode();
+
+  invitation.codeHash = hashToken(code);
+  invitation.expiresAt = new Date(Date.now() + INVITATION_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+  invitation.sendCount += 1;
+  invitation.lastSentAt = new Date();
+
+  await invitation.save();
+
+  let error;
+
+  try {
+    // The code is not stored with the notification record and is never retried
+    const notification = await send({
+      channel: invitation.channel,
+      recipient: { phoneNumber: invitation.inviteePhoneNumber },
+      body: buildInvitationMessage(invitation, inviter.fullName, code),
+      category: 'caregiver_invitation',
+      data: { invitationId: invitation._id.toString() },
+      redactBody: true
+    });
+
+    const lastAttempt = notification.attempts[notification.attempts.length - 1];
+
+    if (notification.status !== 'sent') {
+      error = (lastAttempt && lastAttempt.error) || `Invitation was not sent (${notification.status})`;
+    }
+  } catch (sendError) {
+    error = sendError.message;
+  }
+
+  if (error) {
+    logger.error(`Failed to send caregiver invitation ${invitation._id}: ${error}`);
+  }
+
+  invitation.lastDeliveryError = error;
+  await invitation.save();
+
+  return { sent: !error, error };
+}
+
+/**
+ * Find a pending, unexpired invitation by its code.
+ *
+ * @param {String} code - Code as typed by the invitee
+ * @returns {Object|null} - CaregiverInvitation document
+ */
+async function findRedeemableInvitation(code) {
+  const normalized = normalizeInviteCode(code);
+
+  if (normalized.length !== CODE_LENGTH) return null;
+
+  return CaregiverInvitation.findOne({
+    codeHash: hashToken(normalized),
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  });
+}
+
+/**
+ * Check whether a user (or someone about to register with a phone number) may redeem an invitation.
+ *
+ * @param {Object} invitation - CaregiverInvitation document
+ * @param {String} phoneNumber - Phone number of the person redeeming it
+ * @param {ObjectId} userId - Their user id, when they already have an account
+ * @returns {String|null} - Error message, or null when it can be redeemed
+ */
+function getRedeemError(invitation, phoneNumber, userId) {
+  if (userId && invitation.inviterId.toString() === userId.toString()) {
+    return 'You cannot redeem your own invitation';
+  }
+
+  // The code was sent to this number, so only its owner can use it
+  if (normalizePhoneNumber(phoneNumber) !== normalizePhoneNumber(invitation.inviteePhoneNumber)) {
+    return 'This invitation was sent to a different phone number';
+  }
+
+  return null;
+}
+
+/**
+ * Redeem an invitation: create (or reactivate) the caregiver relationship between the
+ * inviter and the user, who accepts it by redeeming the code.
+ *
+ * @param {Object} invitation - CaregiverInvitation document from findRedeemableInvitation
+ * @param {Object} user - User redeeming the invitation
+ * @returns {Object|null} - The active CaregiverRelationship, or null when the invitation was
+ *   redeemed or cancelled in the meantime
+ * @throws {Error} with code 'RELATIONSHIP_EXISTS' when the two users are already connected
+ */
+async function redeemInvitation(invitation, user) {
+  // Claim the invitation so that it cannot be redeemed twice
+  const claimed = await CaregiverInvitation.findOneAndUpdate(
+    { _id: invitation._id, status: 'pending', expiresAt: { $gt: new Date() } },
+    { status: 'redeemed', redeemedBy: user._id, redeemedAt: new Date() },
+    { new: true }
+  );
+
+  if (!claimed) return null;
+
+  const isCaregiverInvite = claimed.direction === 'invite_caregiver';
+  const caregiverId = isCaregiverInvite ? user._id : claimed.inviterId;
+  const patientId = isCaregiverInvite ? claimed.inviterId : user._id;
+
+  let relationship;
+
+  try {
+    relationship = await CaregiverRelationship.findOne({ caregiverId, patientId });
+
+    if (relationship && relationship.status === 'active') {
+      const error = new Error('This caregiver relationship already exists');
+      error.code = 'RELATIONSHIP_EXISTS';
+      throw error;
+    }
+
+    if (!relationship) {
+      relationship = new CaregiverRelationship({ caregiverId, patientId });
+    }
+
+    relationship.set({
+      relationship: claimed.relationship,
+      status: 'active',
+      invitedBy: claimed.inviterId,
+      invitationAcceptedAt: new Date(),
+      notes: claimed.notes
+    });
+
+    // Permissions are only taken from invitations sent by the patient
+    if (isCaregiverInvite) {
+      Object.entries(claimed.toObject().permissions || {}).forEach(([permission, value]) => {
+        if (typeof value === 'boolean') relationship.permissions[permission] = value;
+      });
+    }
+
+    await relationship.save();
+  } catch (error) {
+    // Give the invitation back so it can be used once the problem is fixed
+    await CaregiverInvitation.updateOne(
+      { _id: claimed._id },
+      { status: 'pending', $unset: { redeemedBy: 1, redeemedAt: 1 } }
+    );
+    throw error;
+  }
+
+  claimed.relationshipId = relationship._id;
+  await claimed.save();
+
+  await sendPushNotification(
+    claimed.inviterId,
+    'Invitation accepted',
+    isCaregiverInvite ?
+      `${user.fullName} is now your caregiver` :
+      `${user.fullName} accepted your request and you are now their caregiver`,
+    {
+      type: 'caregiver_invitation_redeemed',
+      invitationId: claimed._id.toString(),
+      relationshipId: relationship._id.toString()
+    }
+  );
+
+  logger.info(`Caregiver invitation ${claimed._id} redeemed by user ${user._id}`);
+
+  return relationship;
+}
+
+module.exports = {
+  INVITATION_DIRECTIONS,
+  INVITATION_EXPIRY_DAYS,
+  MAX_INVITATION_SENDS,
+  normalizeInviteCode,
+  sendInvitation,
+  findRedeemableInvitation,
+  getRedeemError,
+  redeemInvitation
+};
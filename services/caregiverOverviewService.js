@@ -0,0 +1,372 @@
+// services/caregiverOverviewService.js
+const MedicationReminder = require('../models/MedicationReminder');
+const EmergencyIncident = require('../models/EmergencyIncident');
+const CaregiverAlert = require('../models/CaregiverAlert');
+const { VitalSign, FollowUp } = require('../models/healthModel');
+const { OPEN_STATUSES } = require('./emergencyService');
+const { ALERT_TYPES, OPEN_ALERT_STATUSES, canReceiveAlert } = require('./caregiverAlertService');
+const { startOfLocalDay, getUserTimezone } = require('../utils/timeUtils');
+
+// Points added to a patient's urgency score, so the patients who need attention come first
+const URGENCY_WEIGHTS = {
+  openIncident: 100,
+  emergencyFollowUp: 50,
+  criticalCaregiverAlert: 50,
+  highRiskFollowUp: 30,
+  missedDose: 20,
+  abnormalVital: 15,
+  overdueDose: 10,
+  overdueFollowUp: 10,
+  caregiverAlert: 10
+};
+
+const FOLLOW_UP_RISK_ORDER = { low: 1, medium: 2, high: 3, emergency: 4 };
+
+/**
+ * Today's dose reminders of each patient, counted by outcome.
+ * "Today" is each patient's own local day.
+ *
+ * @param {Array<Object>} patients - User documents
+ * @param {Date} now
+ * @returns {Map} - patientId => { total, taken, skipped, missed, overdue, upcoming }
+ */
+async function getTodayDoseStatus(patients, now) {
+  if (patients.length === 0) return new Map();
+
+  const dayRanges = patients.map(patient => {
+    const timezone = getUserTimezone(patient);
+    return {
+      userId: patient._id,
+      start: startOfLocalDay(now, timezone),
+      end: startOfLocalDay(now, timezone, 1)
+    };
+  });
+
+  // Narrow by reminder time first so the index is used, then apply each patient's own day
+  const earliest = new Date(Math.min(...dayRanges.map(range => range.start.getTime())) - 24 * 60 * 60 * 1000);
+  const latest = new Date(Math.max(...dayRanges.map(range => range.end.getTime())) + 24 * 60 * 60 * 1000);
+
+  const results = await MedicationReminder.aggregate([
+    {
+      $match: {
+        userId: { $in: patients.map(patient => patient._id) },
+        reminderType: 'dose',
+        reminderTime: { $gte: earliest, $lt: latest }
+      }
+    },
+    { $addFields: { doseTime: { $ifNull: ['$scheduledTime', '$reminderTime'] } } },
+    {
+      $match: {
+        $or: dayRanges.map(range => ({
+          userId: range.userId,
+          doseTime: { $gte: range.start, $lt: range.end }
+        }))
+      }
+    },
+    {
+      $group: {
+        _id: '$userId',
+        total: { $sum: 1 },
+        taken: { $sum: { $cond: [{ $eq: ['$responseAction', 'taken'] }, 1, 0] } },
+        skipped: { $sum: { $cond: [{ $eq: ['$responseAction', 'skipped'] }, 1, 0] } },
+        missed: { $sum: { $cond: [{ $eq: ['$status', 'missed'] }, 1, 0] } },
+        // Sent or snoozed but not answered yet
+        overdue: {
+          $sum: {
+            $cond: [{ $and: [{ $in: ['$status', ['sent', 'snoozed']] }, { $lte: ['$doseTime', now] }] }, 1, 0]
+          }
+        },
+        upcoming: {
+          $sum: {
+            $cond: [{
+              $or: [
+                { $eq: ['$status', 'pending'] },
+                { $and: [{ $in: ['$status', ['sent', 'snoozed']] }, { $gt: ['$doseTime', now] }] }
+              ]
+            }, 1, 0]
+          }
+        }
+      }
+    }
+  ]);
+
+  return new Map(results.map(({ _id, ...counts }) => [_id.toString(), counts]));
+}
+
+/**
+ * Latest reading of each vital sign type per patient.
+ *
+ * @param {Array<ObjectId>} patientIds
+ * @returns {Map} - patientId => { lastReadingAt, abnormalCount, readings: [{ type, values, unit, isNormal, timestamp }] }
+ */
+async function getLatestVitals(patientIds) {
+  if (patientIds.length === 0) return new Map();
+
+  const results = await VitalSign.aggregate([
+    { $match: { userId: { $in: patientIds } } },
+    { $sort: { timestamp: -1 } },
+    {
+      $group: {
+        _id: { userId: '$userId', type: '$type' },
+        values: { $first: '$values' },
+        unit: { $first: '$unit' },
+        isNormal: { $first: '$isNormal' },
+        timestamp: { $first: '$timestamp' }
+      }
+    },
+    {
+      $group: {
+        _id: '$_id.userId',
+        lastReadingAt: { $max: '$timestamp' },
+        abnormalCount: { $sum: { $cond: [{ $eq: ['$isNormal', false] }, 1, 0] } },
+        readings: {
+          $push: {
+            type: '$_id.type',
+            values: '$values',
+            unit: '$unit',
+            isNormal: '$isNormal',
+            timestamp: '$timestamp'
+          }
+        }
+      }
+    }
+  ]);
+
+  return new Map(results.map(({ _id, ...vitals }) => [_id.toString(), vitals]));
+}
+
+/**
+ * Open emergency incidents per patient.
+ *
+ * @param {Array<ObjectId>} patientIds
+ * @returns {Map} - patientId => { count, latestAt, latestStatus, incidentIds }
+ */
+async function getOpenAlerts(patientIds) {
+  if (patientIds.length === 0) return new Map();
+
+  const results = await EmergencyIncident.aggregate([
+    { $match: { userId: { $in: patientIds }, status: { $in: OPEN_STATUSES } } },
+    { $sort: { createdAt: -1 } },
+    {
+      $group: {
+        _id: '$userId',
+        count: { $sum: 1 },
+        latestAt: { $first: '$createdAt' },
+        latestStatus: { $first: '$status' },
+        incidentIds: { $push: '$_id' }
+      }
+    }
+  ]);
+
+  return new Map(results.map(({ _id, ...alerts }) => [_id.toString(), alerts]));
+}
+
+/**
+ * Open and acknowledged caregiver alerts per patient, limited to the alert types each
+ * relationship allows the caregiver to see.
+ *
+ * @param {Array<Object>} relationships - CaregiverRelationship documents
+ * @returns {Map} - patientId => { count, critical, unacknowledged, latestAt, alertIds }
+ */
+async function getOpenCaregiverAlerts(relationships) {
+  const scopes = relationships
+    .map(relationship => ({
+      patientId: relationship.patientId,
+      type: { $in: ALERT_TYPES.filter(type => canReceiveAlert(relationship, type)) }
+    }))
+    .filter(scope => scope.type.$in.length > 0);
+
+  if (scopes.length === 0) return new Map();
+
+  const results = await CaregiverAlert.aggregate([
+    { $match: { status: { $in: OPEN_ALERT_STATUSES }, $or: scopes } },
+    { $sort: { createdAt: -1 } },
+    {
+      $group: {
+        _id: '$patientId',
+        count: { $sum: 1 },
+        critical: { $sum: { $cond: [{ $eq: ['$severity', 'critical'] }, 1, 0] } },
+        unacknowledged: { $sum: { $cond: [{ $eq: ['$status', 'open'] }, 1, 0] } },
+        latestAt: { $first: '$createdAt' },
+        alertIds: { $push: '$_id' }
+      }
+    }
+  ]);
+
+  return new Map(results.map(({ _id, ...alerts }) => [_id.toString(), alerts]));
+}
+
+/**
+ * Pending symptom follow-ups per patient.
+ *
+ * @param {Array<ObjectId>} patientIds
+ * @param {Date} now
+ * @returns {Map} - patientId => { count, overdue, nextAt, highestRisk }
+ */
+async function getPendingFollowUps(patientIds, now) {
+  if (patientIds.length === 0) return new Map();
+
+  const results = await FollowUp.aggregate([
+    { $match: { userId: { $in: patientIds }, status: 'pending' } },
+    {
+      $group: {
+        _id: '$userId',
+        count: { $sum: 1 },
+        overdue: { $sum: { $cond: [{ $lt: ['$scheduledTime', now] }, 1, 0] } },
+        nextAt: { $min: '$scheduledTime' },
+        riskLevels: { $addToSet: '$riskLevel' }
+      }
+    }
+  ]);
+
+  return new Map(results.map(({ _id, riskLevels, ...followUps }) => [
+    _id.toString(),
+    {
+      ...followUps,
+      highestRisk: riskLevels.sort((a, b) => (FOLLOW_UP_RISK_ORDER[b] || 0) - (FOLLOW_UP_RISK_ORDER[a] || 0))[0]
+    }
+  ]));
+}
+
+/**
+ * Score how urgently a patient needs attention, with the reasons behind the score.
+ *
+ * @param {Object} summary - { doses, vitals, alerts, followUps } (null sections are skipped);
+ *   alerts.caregiverAlerts holds the open caregiver alerts next to the emergency incidents
+ * @returns {Object} - { score, level, reasons }
+ */
+function calculateUrgency({ doses, vitals, alerts, followUps }) {
+  let score = 0;
+  const reasons = [];
+
+  if (alerts && alerts.count > 0) {
+    score += alerts.count * URGENCY_WEIGHTS.openIncident;
+    reasons.push(`${alerts.count} open emergency alert(s)`);
+  }
+
+  const caregiverAlerts = alerts && alerts.caregiverAlerts;
+
+  if (caregiverAlerts && caregiverAlerts.critical > 0) {
+    score += caregiverAlerts.critical * URGENCY_WEIGHTS.criticalCaregiverAlert;
+    reasons.push(`${caregiverAlerts.critical} critical caregiver alert(s)`);
+  }
+
+  if (caregiverAlerts && caregiverAlerts.count > caregiverAlerts.critical) {
+    const warnings = caregiverAlerts.count - caregiverAlerts.critical;
+    score += warnings * URGENCY_WEIGHTS.caregiverAlert;
+    reasons.push(`${warnings} open caregiver alert(s)`);
+  }
+
+  if (followUps && followUps.highestRisk === 'emergency') {
+    score += URGENCY_WEIGHTS.emergencyFollowUp;
+    reasons.push('Emergency-risk follow-up pending');
+  } else if (followUps && followUps.highestRisk === 'high') {
+    score += URGENCY_WEIGHTS.highRiskFollowUp;
+    reasons.push('High-risk follow-up pending');
+  }
+
+  if (followUps && followUps.overdue > 0) {
+    score += followUps.overdue * URGENCY_WEIGHTS.overdueFollowUp;
+    reasons.push(`${followUps.overdue} overdue follow-up(s)`);
+  }
+
+  if (doses && doses.missed > 0) {
+    score += doses.missed * URGENCY_WEIGHTS.missedDose;
+    reasons.push(`${doses.missed} missed dose(s) today`);
+  }
+
+  if (doses && doses.overdue > 0) {
+    score += doses.overdue * URGENCY_WEIGHTS.overdueDose;
+    reasons.push(`${doses.overdue} dose(s) not yet confirmed`);
+  }
+
+  if (vitals && vitals.abnormalCount > 0) {
+    score += vitals.abnormalCount * URGENCY_WEIGHTS.abnormalVital;
+    reasons.push(`${vitals.abnormalCount} abnormal latest vital reading(s)`);
+  }
+
+  let level = 'low';
+  if (score >= URGENCY_WEIGHTS.openIncident) level = 'critical';
+  else if (score >= URGENCY_WEIGHTS.highRiskFollowUp) level = 'high';
+  else if (score > 0) level = 'medium';
+
+  return { score, level, reasons };
+}
+
+/**
+ * Build the overview of all of a caregiver's patients, most urgent first.
+ * Each section is only filled in when the caregiver has the permission for it
+ * (viewMedications, viewVitals, receiveAlerts, viewSymptoms); otherwise it is null.
+ *
+ * @param {Array<Object>} relationships - Active CaregiverRelationship documents
+ * @param {Array<Object>} patients - User documents of those patients
+ * @param {Date} now
+ * @returns {Array<Object>}
+ */
+async function buildCaregiverOverview(relationships, patients, now = new Date()) {
+  const patientsById = new Map(patients.map(patient => [patient._id.toString(), patient]));
+  const entries = relationships
+    .filter(relationship => patientsById.has(relationship.patientId.toString()))
+    .map(relationship => ({ relationship, patient: patientsById.get(relationship.patientId.toString()) }));
+
+  const idsWith = (permission) => entries
+    .filter(entry => entry.relationship.permissions[permission])
+    .map(entry => entry.patient._id);
+
+  const [doses, vitals, alerts, caregiverAlerts, followUps] = await Promise.all([
+    getTodayDoseStatus(entries.filter(entry => entry.relationship.permissions.viewMedications).map(entry => entry.patient), now),
+    getLatestVitals(idsWith('viewVitals')),
+    getOpenAlerts(idsWith('receiveAlerts')),
+    getOpenCaregiverAlerts(entries.filter(entry => entry.relationship.permissions.receiveAlerts).map(entry => entry.relationship)),
+    getPendingFollowUps(idsWith('viewSymptoms'), now)
+  ]);
+
+  const emptyDoses = { total: 0, taken: 0, skipped: 0, missed: 0, overdue: 0, upcoming: 0 };
+  const emptyCaregiverAlerts = { count: 0, critical: 0, unacknowledged: 0, alertIds: [] };
+
+  const overview = entries.map(({ relationship, patient }) => {
+    const id = patient._id.toString();
+    const { permissions } = relationship;
+
+    const summary = {
+      doses: permissions.viewMedications ? (doses.get(id) || emptyDoses) : null,
+      vitals: permissions.viewVitals ? (vitals.get(id) || { lastReadingAt: null, abnormalCount: 0, readings: [] }) : null,
+      alerts: permissions.receiveAlerts ? {
+        ...(alerts.get(id) || { count: 0, incidentIds: [] }),
+        caregiverAlerts: caregiverAlerts.get(id) || emptyCaregiverAlerts
+      } : null,
+      followUps: permissions.viewSymptoms ? (followUps.get(id) || { count: 0, overdue: 0 }) : null
+    };
+
+    return {
+      patient: {
+        _id: patient._id,
+        fullName: patient.fullName,
+        gender: patient.gender,
+        dateOfBirth: patient.dateOfBirth,
+        timezone: getUserTimezone(patient)
+      },
+      relationshipId: relationship._id,
+      relationship: relationship.relationship,
+      permissions,
+      todayDoses: summary.doses,
+      lastVitals: summary.vitals,
+      openAlerts: summary.alerts,
+      pendingFollowUps: summary.followUps,
+      urgency: calculateUrgency(summary)
+    };
+  });
+
+  return overview.sort((a, b) => b.urgency.score - a.urgency.score || a.patient.fullName.localeCompare(b.patient.fullName));
+}
+
+module.exports = {
+  URGENCY_WEIGHTS,
+  getTodayDoseStatus,
+  getLatestVitals,
+  getOpenAlerts,
+  getOpenCaregiverAlerts,
+  getPendingFollowUps,
+  calculateUrgency,
+  buildCaregiverOverview
+};
@@ -5,163 +5,305 @@ const CaregiverReport = require('../models/CaregiverReport');
 const MedicationLog = require('../models/MedicationLog');
 const { VitalSign, HealthCheckIn } = require('../models/healthModel');
 const Medication = require('../models/medicationModel');
+const MedicationEfficacy = require('../models/MedicationEfficacy');
 const User = require('../models/userModel');
 const { sendPushNotification } = require('./notificationService');
+const { send } = require('./notificationDispatcher');
 const { sendReportEmail } = require('../utils/emailService');
-const { sendReportSMS } = require('../utils/smsService');
 const logger = require('../utils/logger');
+const {
+  DEFAULT_TIMEZONE,
+  isValidTimeString,
+  timeStringToMinutes,
+  getLocalMinutes,
+  getLocalTimeParts,
+  getLocalDateKey,
+  zonedTimeToDate,
+  getUserTimezone
+} = require('../utils/timeUtils');
+
+// Caregivers get reports at their own local reportTime, so the scheduler checks for due reports regularly
+const REPORT_CHECK_INTERVAL_MINUTES = 5;
+
+// Used when a relationship has no valid reportTime
+const DEFAULT_REPORT_TIME = '20:00';
+
+const REPORT_TYPES = ['daily', 'weekly', 'monthly', 'custom'];
+
+// Report sent for each notificationPreferences.reportFrequency
+const SCHEDULED_REPORT_TYPES = {
+  daily: 'daily',
+  weekly: 'weekly',
+  monthly: 'monthly',
+  critical_only: 'critical_alert'
+};
+
+const REPORT_TITLES = {
+  daily: 'Daily',
+  weekly: 'Weekly',
+  monthly: 'Monthly',
+  custom: 'Custom',
+  critical_alert: 'Critical Alert'
+};
+
+// Report sections and the caregiver permission each one needs
+const SECTION_PERMISSIONS = {
+  medications: 'viewMedications',
+  vitals: 'viewVitals',
+  symptoms: 'viewSymptoms',
+  alerts: 'receiveAlerts',
+  efficacy: 'viewMedications'
+};
+
+const REPORT_SECTIONS = Object.keys(SECTION_PERMISSIONS);
+
+// Longest period an on-demand report can cover
+const MAX_REPORT_DAYS = 366;
 
 /**
  * Start the caregiver report scheduler.
- * This generates and sends daily reports to caregivers.
+ * Every few minutes it sends the reports that have come due at each caregiver's local reportTime.
  */
 function startCaregiverReportScheduler() {
-  // Run daily at 8:00 PM
-  cron.schedule('0 20 * * *', async () => {
+  cron.schedule(`*/${REPORT_CHECK_INTERVAL_MINUTES} * * * *`, async () => {
     try {
-      logger.info('Caregiver Report Scheduler: Starting daily report generation');
-      await generateDailyReports();
-      logger.info('Caregiver Report Scheduler: Daily report generation completed');
+      await generateScheduledReports();
     } catch (error) {
       logger.error('Error in caregiver report scheduler:', error);
     }
   });
 
-  // Also schedule weekly reports (Sundays at 8:00 PM)
-  cron.schedule('0 20 * * 0', async () => {
-    try {
-      logger.info('Caregiver Report Scheduler: Starting weekly report generation');
-      await generateWeeklyReports();
-      logger.info('Caregiver Report Scheduler: Weekly report generation completed');
-    } catch (error) {
-      logger.error('Error in weekly caregiver report scheduler:', error);
-    }
-  });
-
   logger.info('Caregiver Report Scheduler started');
 }
 
 /**
- * Generate daily reports for all caregivers.
+ * Load the timezone of each caregiver in a set of relationships.
+ *
+ * @param {Array} relationships - Caregiver relationship documents
+ * @returns {Map} caregiverId -> timezone
  */
-async function generateDailyReports() {
-  try {
-    // Get active caregiver relationships with daily reporting
-    const relationships = await CaregiverRelationship.find({
-      status: 'active',
-      'notificationPreferences.reportFrequency': 'daily',
-      'notificationPreferences.receiveReports': true
-    });
+async function getCaregiverTimezones(relationships) {
+  const caregivers = await User.find({
+    _id: { $in: relationships.map(relationship => relationship.caregiverId) }
+  }).select('timezone');
 
-    logger.info(`Found ${relationships.length} relationships requiring daily reports`);
+  return new Map(caregivers.map(caregiver => [caregiver._id.toString(), getUserTimezone(caregiver)]));
+}
 
-    // Generate report for each relationship
-    for (const relationship of relationships) {
-      try {
-        // Check if a report already exists for today for this relationship
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        
-        const existingReport = await CaregiverReport.findOne({
-          caregiverId: relationship.caregiverId,
-          patientId: relationship.patientId,
-          reportDate: {
-            $gte: today,
-            $lt: new Date(today.getTime() + 24 * 60 * 60 * 1000)
-          },
-          reportType: 'daily'
-        });
+/**
+ * Minutes after local midnight at which the relationship's scheduled reports go out.
+ */
+function getReportMinutes(relationship) {
+  const reportTime = relationship.notificationPreferences?.reportTime;
 
-        if (existingReport) {
-          logger.info(`Daily report already exists for relationship ${relationship._id}`);
-          continue;
-        }
+  return timeStringToMinutes(isValidTimeString(reportTime) ? reportTime : DEFAULT_REPORT_TIME);
+}
 
-        // Generate the report
-        await generateAndSendReport(relationship, 'daily');
-      } catch (error) {
-        logger.error(`Error generating daily report for relationship ${relationship._id}:`, error);
-      }
-    }
-  } catch (error) {
-    logger.error('Error generating daily reports:', error);
-    throw error;
+/**
+ * Work out the latest scheduled report period whose report time has passed, in the caregiver's timezone.
+ * Daily (and critical_only) reports go out every day, weekly reports on Sunday and monthly reports on the 1st,
+ * at the relationship's reportTime. A report missed while the server was down is still due afterwards, but only
+ * the latest period is caught up.
+ * Weekly and monthly reports cover the whole local days of the week or month before the report day.
+ *
+ * @returns {Object|null} - { key, sendAt, startDate, endDate } where key names the period
+ *   (e.g. 'weekly:2024-05-05'), or null when the frequency has no scheduled report
+ */
+function getLatestReportPeriod(relationship, timezone, now) {
+  const frequency = relationship.notificationPreferences?.reportFrequency || 'daily';
+
+  if (!SCHEDULED_REPORT_TYPES[frequency]) return null;
+
+  const reportMinutes = getReportMinutes(relationship);
+  const pastReportTime = getLocalMinutes(now, timezone) >= reportMinutes;
+  const { year, month, day, weekday } = getLocalTimeParts(now, timezone);
+  const localTime = (localMonth, dayOfMonth, minutes = 0) => zonedTimeToDate({
+    year,
+    month: localMonth,
+    day: dayOfMonth,
+    hour: Math.floor(minutes / 60),
+    minute: minutes % 60
+  }, timezone);
+
+  if (frequency === 'monthly') {
+    const reportMonth = day === 1 && !pastReportTime ? month - 1 : month;
+
+    return {
+      key: `monthly:${getLocalDateKey(localTime(reportMonth, 1), timezone).slice(0, 7)}`,
+      sendAt: localTime(reportMonth, 1, reportMinutes),
+      startDate: localTime(reportMonth - 1, 1),
+      endDate: localTime(reportMonth, 1)
+    };
+  }
+
+  if (frequency === 'weekly') {
+    const reportDay = day - (weekday === 0 && !pastReportTime ? 7 : weekday);
+
+    return {
+      key: `weekly:${getLocalDateKey(localTime(month, reportDay), timezone)}`,
+      sendAt: localTime(month, reportDay, reportMinutes),
+      startDate: localTime(month, reportDay - 7),
+      endDate: localTime(month, reportDay)
+    };
+  }
+
+  const sendAt = localTime(month, pastReportTime ? day : day - 1, reportMinutes);
+
+  return {
+    key: `${frequency}:${getLocalDateKey(sendAt, timezone)}`,
+    sendAt,
+    ...getReportPeriod('daily', now)
+  };
+}
+
+/**
+ * Mark a report period as handled before sending, so that other server instances
+ * (or the next run after a restart) skip it.
+ *
+ * @returns {Object|null} - The relationship as it was before the claim, or null when it was already claimed
+ */
+async function claimReportPeriod(relationship, periodKey, now) {
+  return CaregiverRelationship.findOneAndUpdate(
+    {
+      _id: relationship._id,
+      status: 'active',
+      'permissions.receiveReports': true,
+      'reportSchedule.lastPeriodKey': { $ne: periodKey }
+    },
+    { $set: { 'reportSchedule.lastPeriodKey': periodKey, 'reportSchedule.lastRunAt': now } }
+  );
+}
+
+/**
+ * Send one relationship's scheduled report for a period it has claimed.
+ * critical_only caregivers only get a report when something critical happened in the last day.
+ *
+ * @param {Object} period - From getLatestReportPeriod
+ * @returns {Object|null} - The report, or null when there was nothing to send
+ */
+async function sendScheduledReport(relationship, period) {
+  const frequency = relationship.notificationPreferences?.reportFrequency || 'daily';
+  const reportType = SCHEDULED_REPORT_TYPES[frequency];
+  const { startDate, endDate } = period;
+
+  if (reportType !== 'critical_alert') {
+    return generateAndSendReport(relationship, reportType, { startDate, endDate });
   }
+
+  if (!relationship.permissions.receiveAlerts) return null;
+
+  const alerts = await getCriticalAlerts(relationship.patientId, startDate, endDate);
+
+  if (!alerts.some(alert => alert.severity === 'critical')) return null;
+
+  return generateAndSendReport(relationship, reportType, { startDate, endDate, sections: ['alerts'] });
 }
 
 /**
- * Generate weekly reports for all caregivers who want them.
+ * Send the scheduled reports that are due, each at the caregiver's local reportTime and reportFrequency.
  */
-async function generateWeeklyReports() {
+async function generateScheduledReports(now = new Date()) {
   try {
-    // Get active caregiver relationships with weekly reporting
     const relationships = await CaregiverRelationship.find({
       status: 'active',
-      'notificationPreferences.reportFrequency': 'weekly',
-      'notificationPreferences.receiveReports': true
+      'permissions.receiveReports': true
     });
 
-    logger.info(`Found ${relationships.length} relationships requiring weekly reports`);
+    const timezones = await getCaregiverTimezones(relationships);
 
-    // Generate report for each relationship
     for (const relationship of relationships) {
+      const timezone = timezones.get(relationship.caregiverId.toString()) || DEFAULT_TIMEZONE;
+      const period = getLatestReportPeriod(relationship, timezone, now);
+
+      // Relationships that started after the period's report time wait for the next one
+      if (!period || relationship.reportSchedule?.lastPeriodKey === period.key || period.sendAt < relationship.createdAt) {
+        continue;
+      }
+
+      const periodKey = period.key;
+
+      const previous = await claimReportPeriod(relationship, periodKey, now);
+
+      if (!previous) {
+        continue;
+      }
+
       try {
-        // Check if a weekly report already exists for this week
-        const today = new Date();
-        const startOfWeek = new Date(today);
-        // Set to previous Sunday
-        startOfWeek.setDate(today.getDate() - today.getDay());
-        startOfWeek.setHours(0, 0, 0, 0);
-        
-        const existingReport = await CaregiverReport.findOne({
-          caregiverId: relationship.caregiverId,
-          patientId: relationship.patientId,
-          reportDate: {
-            $gte: startOfWeek,
-            $lt: new Date()
-          },
-          reportType: 'weekly'
-        });
+        const report = await sendScheduledReport(relationship, period);
 
-        if (existingReport) {
-          logger.info(`Weekly report already exists for relationship ${relationship._id}`);
-          continue;
+        if (report) {
+          await CaregiverRelationship.updateOne(
+            { _id: relationship._id },
+            { $set: { 'reportSchedule.lastReportId': report._id } }
+          );
         }
-
-        // Generate the report
-        await generateAndSendReport(relationship, 'weekly');
       } catch (error) {
-        logger.error(`Error generating weekly report for relationship ${relationship._id}:`, error);
+        logger.error(`Error generating scheduled report for relationship ${relationship._id}:`, error);
+
+        // Release the period so the next run tries again
+        await CaregiverRelationship.updateOne(
+          { _id: relationship._id, 'reportSchedule.lastPeriodKey': periodKey },
+          { $set: { 'reportSchedule.lastPeriodKey': previous.reportSchedule?.lastPeriodKey || null } }
+        );
       }
     }
   } catch (error) {
-    logger.error('Error generating weekly reports:', error);
+    logger.error('Error generating scheduled reports:', error);
     throw error;
   }
 }
 
+/**
+ * Date range a report type covers, ending at endDate.
+ * Daily is the last 24 hours, so a caregiver in another timezone still gets a full day of the patient's data.
+ * Monthly goes back to the same local day and time of the previous month in the caregiver's timezone,
+ * or that month's last day when it is shorter (e.g. 31 March goes back to 28 or 29 February).
+ */
+function getReportPeriod(reportType, endDate = new Date(), timezone = DEFAULT_TIMEZONE) {
+  let startDate;
+
+  if (reportType === 'daily') {
+    startDate = new Date(endDate.getTime() - 24 * 60 * 60 * 1000);
+  } else if (reportType === 'weekly') {
+    startDate = new Date(endDate.getTime() - 7 * 24 * 60 * 60 * 1000);
+  } else if (reportType === 'monthly') {
+    const { year, month, day, hour, minute } = getLocalTimeParts(endDate, timezone);
+    const daysInPreviousMonth = new Date(Date.UTC(year, month - 1, 0)).getUTCDate();
+
+    startDate = zonedTimeToDate({ year, month: month - 1, day: Math.min(day, daysInPreviousMonth), hour, minute }, timezone);
+  } else {
+    throw new Error(`Invalid report type: ${reportType}`);
+  }
+
+  return { startDate, endDate };
+}
+
 /**
  * Generate and send a report for a specific caregiver-patient relationship.
+ * Sections are only included when the relationship has the permission for them.
  * 
  * @param {Object} relationship - The caregiver relationship document
- * @param {String} reportType - Type of report ('daily' or 'weekly')
+ * @param {String} reportType - Type of report ('daily', 'weekly', 'monthly', 'custom' or 'critical_alert')
+ * @param {Object} options - { startDate, endDate (required for custom and critical_alert), timezone, sections, requestedBy, deliver };
+ *   without a startDate the period of the report type ending at endDate (or now) is used
  */
-async function generateAndSendReport(relationship, reportType = 'daily') {
+async function generateAndSendReport(relationship, reportType = 'daily', options = {}) {
   try {
+    const { sections = REPORT_SECTIONS, requestedBy, deliver = true } = options;
+
     // Determine date range
-    const endDate = new Date();
-    let startDate;
-    
-    if (reportType === 'daily') {
-      startDate = new Date();
-      startDate.setHours(0, 0, 0, 0); // Beginning of the day
-    } else if (reportType === 'weekly') {
-      startDate = new Date(endDate);
-      startDate.setDate(endDate.getDate() - 7);
-    } else {
-      throw new Error(`Invalid report type: ${reportType}`);
+    const { startDate, endDate } = options.startDate || ['custom', 'critical_alert'].includes(reportType) ?
+      { startDate: options.startDate, endDate: options.endDate } :
+      getReportPeriod(reportType, options.endDate, options.timezone);
+
+    if (!startDate || !endDate) {
+      throw new Error(`${REPORT_TITLES[reportType]} reports need a start and end date`);
     }
 
+    const includedSections = sections.filter(section =>
+      REPORT_SECTIONS.includes(section) && relationship.permissions[SECTION_PERMISSIONS[section]]
+    );
+
     // Get patient information
     const patient = await User.findById(relationship.patientId);
     
@@ -176,6 +318,10 @@ async function generateAndSendReport(relationship, reportType = 'daily') {
       patientId: relationship.patientId,
       reportDate: new Date(),
       reportType,
+      periodStart: startDate,
+      periodEnd: endDate,
+      sections: includedSections,
+      requestedBy,
       medicationSummary: {
         medications: []
       },
@@ -194,29 +340,34 @@ async function generateAndSendReport(relationship, reportType = 'daily') {
     });
 
     // Collect medication data if permitted
-    if (relationship.permissions.viewMedications) {
+    if (includedSections.includes('medications')) {
       const medicationSummary = await getMedicationSummary(relationship.patientId, startDate, endDate);
       report.medicationSummary = medicationSummary;
     }
 
     // Collect vital signs data if permitted
-    if (relationship.permissions.viewVitals) {
+    if (includedSections.includes('vitals')) {
       const vitalSummary = await getVitalSignsSummary(relationship.patientId, startDate, endDate);
       report.vitalSignsSummary = vitalSummary;
     }
 
     // Collect symptom data if permitted
-    if (relationship.permissions.viewSymptoms) {
+    if (includedSections.includes('symptoms')) {
       const symptomSummary = await getSymptomsSummary(relationship.patientId, startDate, endDate);
       report.symptomsSummary = symptomSummary;
     }
 
     // Collect critical alerts if any
-    if (relationship.permissions.receiveAlerts) {
+    if (includedSections.includes('alerts')) {
       const criticalAlerts = await getCriticalAlerts(relationship.patientId, startDate, endDate);
       report.criticalAlerts = criticalAlerts;
     }
 
+    // Collect how well medications are working if permitted
+    if (includedSections.includes('efficacy')) {
+      report.efficacySummary = await getEfficacySummary(relationship.patientId, startDate, endDate);
+    }
+
     // Generate recommendations
     report.recommendations = generateRecommendations(report);
 
@@ -224,9 +375,11 @@ async function generateAndSendReport(relationship, reportType = 'daily') {
     await report.save();
 
     // Send the report to the caregiver
-    await sendReportToCaregiver(report, relationship);
+    if (deliver) {
+      await sendReportToCaregiver(report, relationship);
+    }
 
-    logger.info(`${reportType.charAt(0).toUpperCase() + reportType.slice(1)} report generated for caregiver ${relationship.caregiverId} and patient ${relationship.patientId}`);
+    logger.info(`${REPORT_TITLES[reportType]} report generated for caregiver ${relationship.caregiverId} and patient ${relationship.patientId}`);
     
     return report;
   } catch (error) {
@@ -521,6 +674,64 @@ async function getCriticalAlerts(patientId, startDate, endDate) {
   return alerts.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
 }
 
+/**
+ * Get medication efficacy ratings for the period.
+ */
+async function getEfficacySummary(patientId, startDate, endDate) {
+  const records = await MedicationEfficacy.find({
+    userId: patientId,
+    recordedAt: { $gte: startDate, $lte: endDate }
+  }).populate('medicationId', 'name');
+
+  const average = (values) => (values.length > 0 ?
+    Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10 :
+    null);
+
+  const byMedication = {};
+
+  records.forEach(record => {
+    if (!record.medicationId) return;
+
+    const medId = record.medicationId._id.toString();
+
+    if (!byMedication[medId]) {
+      byMedication[medId] = {
+        medicationId: record.medicationId._id,
+        name: record.medicationId.name,
+        ratings: [],
+        relief: [],
+        sideEffects: new Set()
+      };
+    }
+
+    if (record.overallRating) byMedication[medId].ratings.push(record.overallRating);
+    if (record.symptomRelief) byMedication[medId].relief.push(record.symptomRelief);
+    (record.sideEffects || []).forEach(sideEffect => {
+      if (sideEffect.effect) byMedication[medId].sideEffects.add(sideEffect.effect);
+    });
+  });
+
+  const medications = Object.values(byMedication).map(med => ({
+    medicationId: med.medicationId,
+    name: med.name,
+    ratings: med.ratings.length,
+    averageRating: average(med.ratings),
+    averageSymptomRelief: average(med.relief),
+    sideEffects: [...med.sideEffects]
+  }));
+
+  // Lowest rated first, like the medication section
+  medications.sort((a, b) => (a.averageRating ?? 6) - (b.averageRating ?? 6));
+
+  return {
+    ratings: records.length,
+    averageRating: average(records.map(record => record.overallRating).filter(Boolean)),
+    averageSymptomRelief: average(records.map(record => record.symptomRelief).filter(Boolean)),
+    sideEffectsReported: records.reduce((count, record) => count + (record.sideEffects || []).length, 0),
+    medications
+  };
+}
+
 /**
  * Generate recommendations based on the report data.
  */
@@ -569,6 +780,16 @@ function generateRecommendations(report) {
     recommendations.push(`There were ${report.criticalAlerts.length} critical alerts during this period. Please review them and consider appropriate follow-up actions.`);
   }
 
+  // Efficacy recommendations
+  if (report.efficacySummary && report.efficacySummary.medications) {
+    report.efficacySummary.medications
+      .filter(med => med.averageRating !== null && med.averageRating <= 2)
+      .slice(0, 2)
+      .forEach(med => {
+        recommendations.push(`${med.name} was rated as not working well (${med.averageRating}/5). This may be worth raising with their doctor.`);
+      });
+  }
+
   // Add a general positive recommendation if things are going well
   if (recommendations.length === 0) {
     recommendations.push("The patient is doing well with their health management. Continue the current level of support and monitoring.");
@@ -605,7 +826,8 @@ async function sendReportToCaregiver(report, relationship) {
             reportId: report._id.toString(),
             reportType: report.reportType,
             patientId: patient._id.toString()
-          }
+          },
+          { category: 'caregiver_report' }
         );
         delivered = true;
       } catch (error) {
@@ -613,16 +835,18 @@ async function sendReportToCaregiver(report, relationship) {
       }
     }
 
-    // 2. Send email if configured
-    if (relationship.notificationPreferences.notificationChannels.email && caregiver.email) {
+    // 2. Send email if configured and the address has been verified
+    if (relationship.notificationPreferences.notificationChannels.email && caregiver.email && caregiver.emailVerified) {
       try {
-        await sendReportEmail(
+        const result = await sendReportEmail(
           caregiver.email,
           caregiver.fullName,
           patient.fullName,
           formatReportForEmail(report)
         );
-        delivered = true;
+        if (result.success) {
+          delivered = true;
+        }
       } catch (error) {
         logger.error(`Error sending email to caregiver ${caregiver._id}:`, error);
       }
@@ -631,11 +855,16 @@ async function sendReportToCaregiver(report, relationship) {
     // 3. Send SMS if configured
     if (relationship.notificationPreferences.notificationChannels.sms) {
       try {
-        await sendReportSMS(
-          caregiver.phoneNumber,
-          `Health Report for ${patient.fullName}: ${getReportSummary(report)}`
-        );
-        delivered = true;
+        const notification = await send({
+          channel: 'sms',
+          userId: caregiver._id,
+          body: `Health Report for ${patient.fullName}: ${getReportSummary(report)}`,
+          data: { reportId: report._id.toString(), patientId: patient._id.toString() },
+          category: 'caregiver_report'
+        });
+        if (notification.status === 'sent') {
+          delivered = true;
+        }
       } catch (error) {
         logger.error(`Error sending SMS to caregiver ${caregiver._id}:`, error);
       }
@@ -660,8 +889,7 @@ async function sendReportToCaregiver(report, relationship) {
  * Get a brief summary of the report for notifications.
  */
 function getReportSummary(report) {
-  const reportType = report.reportType === 'daily' ? 'Daily' : 'Weekly';
-  let summary = `${reportType} Health Report: `;
+  let summary = `${REPORT_TITLES[report.reportType] || 'Health'} Health Report: `;
 
   // Add medication adherence
   if (report.medicationSummary && report.medicationSummary.adherenceRate !== null) {
@@ -686,17 +914,17 @@ function getReportSummary(report) {
 
 /**
  * Format the report for email delivery.
+ * The email service turns this structure into the HTML report template.
  */
 function formatReportForEmail(report) {
-  // This would normally generate HTML content for the email
-  // For now, we'll return a simplified structure
   return {
-    title: `${report.reportType === 'daily' ? 'Daily' : 'Weekly'} Health Report`,
+    title: `${REPORT_TITLES[report.reportType] || 'Health'} Health Report`,
     adherenceRate: report.medicationSummary?.adherenceRate,
     medications: report.medicationSummary?.medications || [],
     vitalSigns: report.vitalSignsSummary?.vitals || [],
     abnormalReadingsCount: report.vitalSignsSummary?.abnormalReadings || 0,
     symptoms: report.symptomsSummary?.symptoms || [],
+    efficacy: report.efficacySummary?.medications || [],
     criticalAlerts: report.criticalAlerts || [],
     recommendations: report.recommendations || []
   };
@@ -704,9 +932,16 @@ function formatReportForEmail(report) {
 
 /**
  * Generate a one-time report for a caregiver.
+ *
+ * @param {ObjectId} caregiverId
+ * @param {ObjectId} patientId
+ * @param {Object} options - { reportType ('daily', 'weekly', 'monthly' or 'custom'), startDate, endDate,
+ *   sections, deliver }; see generateAndSendReport
  */
-async function generateOnDemandReport(caregiverId, patientId) {
+async function generateOnDemandReport(caregiverId, patientId, options = {}) {
   try {
+    const { reportType = 'daily', ...reportOptions } = options;
+
     // Verify caregiver relationship
     const relationship = await CaregiverRelationship.findOne({
       caregiverId,
@@ -718,8 +953,15 @@ async function generateOnDemandReport(caregiverId, patientId) {
       throw new Error('Caregiver relationship not found or not active');
     }
 
+    // Report periods follow the caregiver's calendar
+    const caregiver = await User.findById(caregiverId).select('timezone');
+
     // Generate the report
-    const report = await generateAndSendReport(relationship, 'daily');
+    const report = await generateAndSendReport(relationship, reportType, {
+      ...reportOptions,
+      timezone: getUserTimezone(caregiver),
+      requestedBy: caregiverId
+    });
     return report;
   } catch (error) {
     logger.error('Error generating on-demand report:', error);
@@ -728,8 +970,12 @@ async function generateOnDemandReport(caregiverId, patientId) {
 }
 
 module.exports = {
+  REPORT_SECTIONS,
+  REPORT_TYPES,
+  MAX_REPORT_DAYS,
+  getReportPeriod,
+  getLatestReportPeriod,
   startCaregiverReportScheduler,
-  generateDailyReports,
-  generateWeeklyReports,
+  generateScheduledReports,
   generateOnDemandReport
 };
\ No newline at end of file
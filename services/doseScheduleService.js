@@ -0,0 +1,289 @@
+// services/doseScheduleService.js
+const MedicationSchedule = require('../models/MedicationSchedule');
+const {
+  getLocalTimeParts,
+  zonedTimeToDate,
+  startOfLocalDay
+} = require('../utils/timeUtils');
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Days between two local calendar dates ({ year, month, day }).
+ */
+function daysBetween(from, to) {
+  return Math.round(
+    (Date.UTC(to.year, to.month - 1, to.day) - Date.UTC(from.year, from.month - 1, from.day)) / DAY_MS
+  );
+}
+
+/**
+ * Number of the day within the schedule, counted from a reference date (day 0).
+ *
+ * @param {Date} reference - First day of the schedule or cycle
+ * @param {Object} day - Local calendar day
+ * @param {string} timezone
+ * @returns {number} Negative before the reference date
+ */
+function getDayIndex(reference, day, timezone) {
+  return daysBetween(getLocalTimeParts(reference, timezone), day);
+}
+
+/**
+ * Find the taper phase a schedule is in on a given day.
+ *
+ * @param {Object} schedule - MedicationSchedule document with taperPhases
+ * @param {number} dayIndex - Days since the schedule's start date
+ * @returns {Object|null} - { index, phase, dayInPhase, startDay, endDay } or null outside the plan
+ */
+function getTaperPhase(schedule, dayIndex) {
+  if (dayIndex < 0 || !schedule.taperPhases) return null;
+
+  let startDay = 0;
+
+  for (let index = 0; index < schedule.taperPhases.length; index++) {
+    const phase = schedule.taperPhases[index];
+    const endDay = startDay + phase.durationDays;
+
+    if (dayIndex < endDay) {
+      return { index, phase, dayInPhase: dayIndex - startDay, startDay, endDay };
+    }
+
+    startDay = endDay;
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a schedule has doses on a local calendar day.
+ *
+ * - regular: every day, or only the listed daysOfWeek
+ * - cycle: daysOn days with doses, then daysOff days without, repeating from cycleStartDate
+ * - interval: every intervalDays days from the start date
+ * - taper: while one of the taper phases is running (daysOfWeek still apply)
+ *
+ * @param {Object} schedule - MedicationSchedule document
+ * @param {Object} day - { year, month, day, weekday } on the patient's calendar
+ * @param {string} timezone - Patient's timezone
+ * @returns {boolean}
+ */
+function isDoseDay(schedule, day, timezone) {
+  const dayIndex = getDayIndex(schedule.startDate, day, timezone);
+
+  if (dayIndex < 0) return false;
+
+  switch (schedule.scheduleType) {
+    case 'as_needed':
+      return false;
+
+    case 'cycle': {
+      const { daysOn, daysOff = 0, cycleStartDate } = schedule.cyclePattern || {};
+      if (!daysOn) return false;
+
+      const cycleDay = getDayIndex(cycleStartDate || schedule.startDate, day, timezone);
+      const cycleLength = daysOn + daysOff;
+
+      return cycleDay >= 0 && cycleDay % cycleLength < daysOn;
+    }
+
+    case 'interval':
+      return Boolean(schedule.intervalDays) && dayIndex % schedule.intervalDays === 0;
+
+    case 'taper':
+      if (!getTaperPhase(schedule, dayIndex)) return false;
+      break;
+
+    default:
+      break;
+  }
+
+  if (schedule.daysOfWeek && schedule.daysOfWeek.length > 0) {
+    return schedule.daysOfWeek.includes(DAY_NAMES[day.weekday]);
+  }
+
+  return true;
+}
+
+/**
+ * Dose to take at a scheduled time; the taper phase dose wins over the time's own dose.
+ */
+function getDose(schedule, time, day, timezone) {
+  if (schedule.scheduleType === 'taper') {
+    const current = getTaperPhase(schedule, getDayIndex(schedule.startDate, day, timezone));
+    if (current) return current.phase.dose;
+  }
+
+  return time.dose;
+}
+
+/**
+ * List the dose times of a schedule between two instants.
+ * Schedule times are wall clock times in the patient's timezone; startDate and endDate are inclusive days.
+ *
+ * @param {Object} schedule - MedicationSchedule document
+ * @param {Date} from
+ * @param {Date} to
+ * @param {string} timezone - Patient's timezone
+ * @returns {Array} [{ scheduledTime, time, dose }] in chronological order
+ */
+function getScheduledDoseTimes(schedule, from, to, timezone) {
+  if (schedule.scheduleType === 'as_needed' || !schedule.times || schedule.times.length === 0) {
+    return [];
+  }
+
+  const firstDay = schedule.startDate ? startOfLocalDay(schedule.startDate, timezone) : null;
+  const lastDay = schedule.endDate ? startOfLocalDay(schedule.endDate, timezone, 1) : null;
+
+  const doses = [];
+
+  let dayStart = startOfLocalDay(firstDay && firstDay > from ? firstDay : from, timezone);
+
+  for (; dayStart <= to && (!lastDay || dayStart < lastDay); dayStart = startOfLocalDay(dayStart, timezone, 1)) {
+    const day = getLocalTimeParts(dayStart, timezone);
+
+    if (!isDoseDay(schedule, day, timezone)) {
+      continue;
+    }
+
+    for (const time of schedule.times) {
+      const scheduledTime = zonedTimeToDate({
+        year: day.year,
+        month: day.month,
+        day: day.day,
+        hour: time.hour,
+        minute: time.minute || 0
+      }, timezone);
+
+      if (scheduledTime > from && scheduledTime <= to) {
+        doses.push({ scheduledTime, time, dose: getDose(schedule, time, day, timezone) });
+      }
+    }
+  }
+
+  return doses.sort((a, b) => a.scheduledTime - b.scheduledTime);
+}
+
+/**
+ * Count the doses a medication's schedules expected between two instants.
+ * Deactivated schedules count up to when they were last updated, which is when they were replaced.
+ *
+ * @param {ObjectId} medicationId
+ * @param {Date} from - Defaults to each schedule's start date
+ * @param {Date} to
+ * @param {string} timezone - Patient's timezone
+ * @returns {number}
+ */
+async function countExpectedDoses(medicationId, from, to, timezone) {
+  const schedules = await MedicationSchedule.find({ medicationId });
+
+  return schedules.reduce((total, schedule) => {
+    const scheduleEnd = schedule.active ? to : new Date(Math.min(to, schedule.updatedAt));
+    const scheduleFrom = from || new Date(schedule.startDate.getTime() - 1);
+
+    return total + getScheduledDoseTimes(schedule, scheduleFrom, scheduleEnd, timezone).length;
+  }, 0);
+}
+
+/**
+ * Describe where a schedule stands today, for the medication details view.
+ *
+ * @param {Object} schedule - MedicationSchedule document
+ * @param {string} timezone - Patient's timezone
+ * @param {Date} now
+ * @returns {Object}
+ */
+function describeSchedule(schedule, timezone, now = new Date()) {
+  const today = getLocalTimeParts(now, timezone);
+  const dayIndex = getDayIndex(schedule.startDate, today, timezone);
+
+  const summary = {
+    scheduleType: schedule.scheduleType,
+    started: dayIndex >= 0,
+    doseDayToday: isDoseDay(schedule, today, timezone),
+    upcomingDoses: getScheduledDoseTimes(schedule, now, new Date(now.getTime() + 7 * DAY_MS), timezone)
+      .slice(0, 5)
+      .map(({ scheduledTime, time, dose }) => ({ scheduledTime, label: time.label, dose }))
+  };
+
+  if (schedule.scheduleType === 'cycle' && schedule.cyclePattern && schedule.cyclePattern.daysOn) {
+    const { daysOn, daysOff = 0, cycleStartDate } = schedule.cyclePattern;
+    const cycleDay = getDayIndex(cycleStartDate || schedule.startDate, today, timezone);
+    const dayInCycle = cycleDay >= 0 ? cycleDay % (daysOn + daysOff) : null;
+
+    summary.cycle = {
+      daysOn,
+      daysOff,
+      cycleNumber: cycleDay >= 0 ? Math.floor(cycleDay / (daysOn + daysOff)) + 1 : null,
+      dayOfCycle: dayInCycle !== null ? dayInCycle + 1 : null,
+      onDays: dayInCycle !== null ? dayInCycle < daysOn : false
+    };
+  }
+
+  if (schedule.scheduleType === 'interval') {
+    summary.intervalDays = schedule.intervalDays;
+  }
+
+  if (schedule.scheduleType === 'taper' && schedule.taperPhases) {
+    const current = getTaperPhase(schedule, dayIndex);
+    const phaseStart = (startDay) => startOfLocalDay(schedule.startDate, timezone, startDay);
+
+    summary.taper = {
+      phases: schedule.taperPhases.length,
+      completed: !current && dayIndex >= 0,
+      currentPhase: current ? {
+        number: current.index + 1,
+        dose: current.phase.dose,
+        startsOn: phaseStart(current.startDay),
+        endsOn: phaseStart(current.endDay - 1),
+        dayOfPhase: current.dayInPhase + 1
+      } : null,
+      nextPhase: current && schedule.taperPhases[current.index + 1] ? {
+        number: current.index + 2,
+        dose: schedule.taperPhases[current.index + 1].dose,
+        startsOn: phaseStart(current.endDay)
+      } : null
+    };
+  }
+
+  return summary;
+}
+
+/**
+ * Check schedule data sent by the client.
+ *
+ * @param {Object} scheduleData
+ * @returns {String|null} Error message, or null when the schedule is valid
+ */
+function validateSchedule(scheduleData) {
+  const { scheduleType, cyclePattern, intervalDays, taperPhases } = scheduleData;
+
+  if (scheduleType === 'cycle' &&
+      (!cyclePattern || !Number.isInteger(cyclePattern.daysOn) || cyclePattern.daysOn < 1 ||
+       !Number.isInteger(cyclePattern.daysOff || 0) || (cyclePattern.daysOff || 0) < 0)) {
+    return 'Cycle schedules need cyclePattern.daysOn (at least 1) and cyclePattern.daysOff (0 or more)';
+  }
+
+  if (scheduleType === 'interval' && (!Number.isInteger(intervalDays) || intervalDays < 2)) {
+    return 'Interval schedules need intervalDays of 2 or more';
+  }
+
+  if (scheduleType === 'taper' &&
+      (!Array.isArray(taperPhases) || taperPhases.length === 0 ||
+       taperPhases.some(phase => !phase.dose || !Number.isInteger(phase.durationDays) || phase.durationDays < 1))) {
+    return 'Tapering schedules need taperPhases, each with a dose and durationDays (at least 1)';
+  }
+
+  return null;
+}
+
+module.exports = {
+  getTaperPhase,
+  isDoseDay,
+  getScheduledDoseTimes,
+  countExpectedDoses,
+  describeSchedule,
+  validateSchedule
+};
@@ -0,0 +1,128 @@
+// services/emailVerificationService.js
+const User = require('../models/userModel');
+const { sendVerificationEmail } = require('../utils/emailService');
+const { generateToken, hashToken, buildPublicUrl } = require('../utils/tokenUtils');
+const logger = require('../utils/logger');
+
+// How long a verification link stays valid
+const VERIFICATION_HOURS = 48;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function isValidEmail(email) {
+  return typeof email === 'string' && EMAIL_PATTERN.test(email.trim());
+}
+
+/**
+ * Set a new (unverified) email address on the user and send the verification link.
+ * Saves the user.
+ *
+ * @param {Object} user - User document
+ * @param {String} email - New address; pass the current address to resend the link
+ * @returns {Object} Result of sending the verification email
+ */
+async function startEmailVerification(user, email) {
+  const normalizedEmail = email.trim().toLowerCase();
+  const token = generateToken();
+
+  if (user.email !== normalizedEmail) {
+    user.email = normalizedEmail;
+    user.emailVerified = false;
+  }
+
+  user.emailVerification = {
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + VERIFICATION_HOURS * 60 * 60 * 1000)
+  };
+
+  await user.save();
+
+  const result = await sendVerificationEmail(
+    user.email,
+    user.fullName,
+    buildPublicUrl(`/api/users/email/verify/${token}`),
+    VERIFICATION_HOURS
+  );
+
+  if (!result.success) {
+    logger.error(`Failed to send verification email to user ${user._id}: ${result.error}`);
+  }
+
+  return result;
+}
+
+/**
+ * Find the user a verification token belongs to, without verifying anything.
+ *
+ * @param {String} token - Token from the verification link
+ * @returns {Object|null} The user, or null if the link is invalid or expired
+ */
+async function findByVerificationToken(token) {
+  return User.findOne({
+    'emailVerification.tokenHash': hashToken(token),
+    'emailVerification.expiresAt': { $gt: new Date() }
+  });
+}
+
+/**
+ * Mark the address belonging to a verification token as verified.
+ * Other accounts that entered the same address but never verified it lose it.
+ *
+ * @param {String} token - Token from the verification link
+ * @returns {Object|null} The verified user, or null if the link is invalid or expired
+ * @throws {Error} with code 'EMAIL_TAKEN' when another account has verified the address in the meantime
+ */
+async function verifyEmailToken(token) {
+  const user = await findByVerificationToken(token);
+
+  if (!user) {
+    return null;
+  }
+
+  user.emailVerified = true;
+  user.emailVerification = undefined;
+
+  try {
+    await user.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      const takenError = new Error('This email address is already in use');
+      takenError.code = 'EMAIL_TAKEN';
+      throw takenError;
+    }
+    throw error;
+  }
+
+  await User.updateMany(
+    { _id: { $ne: user._id }, email: user.email, emailVerified: { $ne: true } },
+    { $unset: { email: 1, emailVerification: 1 } }
+  );
+
+  logger.info(`Email address verified for user ${user._id}`);
+
+  return user;
+}
+
+/**
+ * Check whether an address has already been verified by another account.
+ */
+async function isEmailTaken(email, userId) {
+  const query = { email: email.trim().toLowerCase(), emailVerified: true };
+
+  if (userId) {
+    query._id = { $ne: userId };
+  }
+
+  const existingUser = await User.findOne(query);
+
+  return Boolean(existingUser);
+}
+
+module.exports = {
+  VERIFICATION_HOURS,
+  isValidEmail,
+  isEmailTaken,
+  startEmailVerification,
+  findByVerificationToken,
+  verifyEmailToken
+};
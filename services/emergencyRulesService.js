@@ -0,0 +1,169 @@
+// services/emergencyRulesService.js
+const EmergencyIncident = require('../models/EmergencyIncident');
+const User = require('../models/userModel');
+const { sendPushNotification } = require('./notificationService');
+const { OPEN_STATUSES, buildEscalationLadder } = require('./emergencyService');
+const logger = require('../utils/logger');
+
+// Readings that are dangerous enough to alert contacts without the patient pressing SOS.
+// Units match checkIfNormal in the health controller (mmHg, bpm, %, mg/dL, °F).
+const CRITICAL_VITAL_RULES = [
+  { type: 'oxygenLevel', field: 'oxygenLevel', below: 88, description: 'Blood oxygen below 88%' },
+  { type: 'bloodPressure', field: 'systolic', above: 180, description: 'Systolic blood pressure above 180 mmHg' },
+  { type: 'bloodPressure', field: 'systolic', below: 80, description: 'Systolic blood pressure below 80 mmHg' },
+  { type: 'bloodPressure', field: 'diastolic', above: 120, description: 'Diastolic blood pressure above 120 mmHg' },
+  { type: 'heartRate', field: 'heartRate', above: 140, description: 'Heart rate above 140 bpm' },
+  { type: 'heartRate', field: 'heartRate', below: 40, description: 'Heart rate below 40 bpm' },
+  { type: 'glucose', field: 'glucoseLevel', below: 54, description: 'Blood glucose below 54 mg/dL' },
+  { type: 'glucose', field: 'glucoseLevel', above: 400, description: 'Blood glucose above 400 mg/dL' },
+  { type: 'temperature', field: 'temperature', above: 104, description: 'Temperature above 104°F' },
+  { type: 'temperature', field: 'temperature', below: 95, description: 'Temperature below 95°F' }
+];
+
+/**
+ * Return the descriptions of every critical rule a vital sign reading breaks.
+ *
+ * @param {Object} vitalSign - VitalSign document or plain object
+ * @returns {Array<String>} Matched rule descriptions (empty when the reading is not critical)
+ */
+function evaluateVitalSign(vitalSign) {
+  const values = vitalSign.values || {};
+
+  return CRITICAL_VITAL_RULES
+    .filter(rule => rule.type === vitalSign.type)
+    .filter(rule => {
+      // Readings may arrive as numeric strings, e.g. from form posts
+      const raw = values[rule.field];
+      const value = raw === null || raw === undefined || raw === '' ? NaN : Number(raw);
+
+      if (isNaN(value)) return false;
+      if (rule.above !== undefined && value > rule.above) return true;
+      if (rule.below !== undefined && value < rule.below) return true;
+      return false;
+    })
+    .map(rule => rule.description);
+}
+
+/**
+ * Return the reasons a check-in (or follow-up assessment) should raise an emergency.
+ *
+ * @param {Object} checkIn - HealthCheckIn document or plain object
+ * @returns {Array<String>} Reasons (empty when the check-in is not an emergency)
+ */
+function evaluateCheckIn(checkIn) {
+  if (!checkIn.aiAssessment || checkIn.aiAssessment.riskLevel !== 'emergency') {
+    return [];
+  }
+
+  return ['Health check-in assessed as an emergency'];
+}
+
+/**
+ * Open an emergency incident in countdown state for an automatic trigger.
+ * Contacts are alerted by the escalation scheduler once the countdown ends,
+ * unless the patient cancels first.
+ *
+ * @param {String} userId - Patient ID
+ * @param {Object} trigger - { source, reasons, vitalSignId, checkInId }
+ * @returns {Object|null} The incident, or null when nothing was opened
+ */
+async function openAutomaticIncident(userId, trigger) {
+  const user = await User.findById(userId);
+
+  if (!user || !user.emergencyAutoTrigger || !user.emergencyAutoTrigger.enabled) {
+    return null;
+  }
+
+  // Fold new reasons into an incident that is already counting down or open
+  const existingIncident = await EmergencyIncident.findOne({
+    userId: user._id,
+    status: { $in: ['countdown', ...OPEN_STATUSES] }
+  }).sort({ createdAt: -1 });
+
+  if (existingIncident) {
+    const newReasons = trigger.reasons.filter(reason => !existingIncident.trigger.reasons.includes(reason));
+
+    if (newReasons.length > 0) {
+      existingIncident.trigger.reasons.push(...newReasons);
+      await existingIncident.save();
+    }
+
+    return existingIncident;
+  }
+
+  // Nobody to alert, so a countdown would only worry the patient
+  const ladder = await buildEscalationLadder(user);
+
+  if (ladder.length === 0) {
+    logger.warn(`Critical reading for user ${user._id} but no emergency contacts or caregivers to alert`);
+    return null;
+  }
+
+  const countdownSeconds = user.emergencyAutoTrigger.countdownSeconds || 120;
+
+  const incident = await EmergencyIncident.create({
+    userId: user._id,
+    status: 'countdown',
+    trigger,
+    countdownEndsAt: new Date(Date.now() + countdownSeconds * 1000)
+  });
+
+  await sendPushNotification(
+    user._id,
+    'Are you okay?',
+    `${trigger.reasons.join('; ')}. We will alert your emergency contacts in ${countdownSeconds} seconds unless you cancel.`,
+    {
+      incidentId: incident._id.toString(),
+      type: 'emergency_countdown',
+      countdownEndsAt: incident.countdownEndsAt.toISOString()
+    },
+    { category: 'emergency' }
+  );
+
+  logger.info(`Automatic emergency incident ${incident._id} opened for user ${user._id} (${trigger.source})`);
+
+  return incident;
+}
+
+/**
+ * Evaluate a newly recorded vital sign and open a countdown incident if it is critical.
+ */
+async function handleVitalSign(vitalSign) {
+  const reasons = evaluateVitalSign(vitalSign);
+
+  if (reasons.length === 0) {
+    return null;
+  }
+
+  return openAutomaticIncident(vitalSign.userId, {
+    source: 'vital_sign',
+    reasons,
+    vitalSignId: vitalSign._id
+  });
+}
+
+/**
+ * Evaluate an assessed check-in and open a countdown incident if it is an emergency.
+ */
+async function handleCheckIn(checkIn) {
+  const reasons = evaluateCheckIn(checkIn);
+
+  if (reasons.length === 0) {
+    return null;
+  }
+
+  return openAutomaticIncident(checkIn.userId, {
+    source: 'check_in',
+    reasons,
+    checkInId: checkIn._id
+  });
+}
+
+module.exports = {
+  CRITICAL_VITAL_RULES,
+  evaluateVitalSign,
+  evaluateCheckIn,
+  openAutomaticIncident,
+  handleVitalSign,
+  handleCheckIn
+};
@@ -0,0 +1,647 @@
+// services/emergencyService.js
+const cron = require('node-cron');
+const jwt = require('jsonwebtoken');
+const EmergencyIncident = require('../models/EmergencyIncident');
+const CaregiverRelationship = require('../models/CaregiverRelationship');
+const User = require('../models/userModel');
+const { sendPushNotification } = require('./notificationService');
+const { send } = require('./notificationDispatcher');
+const { generateToken, hashToken, buildPublicUrl } = require('../utils/tokenUtils');
+const logger = require('../utils/logger');
+
+// Incident states in which contacts still expect updates
+const OPEN_STATUSES = ['triggered', 'acknowledged', 'escalated'];
+
+// Incident states that keep moving up the escalation ladder
+const ESCALATING_STATUSES = ['triggered', 'escalated'];
+
+// How long a live location link stays valid by default
+const SHARE_LINK_HOURS = 4;
+
+// Maximum number of points kept in an incident's location trail
+const MAX_LOCATION_POINTS = 1000;
+
+// Channel for messages to emergency contacts: EMERGENCY_CONTACT_CHANNEL=whatsapp (the default,
+// sent from TWILIO_WHATSAPP_NUMBER) or sms. Contacts can answer "OK" on either.
+const CONTACT_CHANNELS = ['whatsapp', 'sms'];
+
+function getContactChannel() {
+  const channel = process.env.EMERGENCY_CONTACT_CHANNEL;
+
+  return CONTACT_CHANNELS.includes(channel) ? channel : 'whatsapp';
+}
+
+// When an escalation fails part way, it is tried again after this long
+const ESCALATION_RETRY_MINUTES = 1;
+
+/**
+ * Start the escalation scheduler.
+ * Runs every minute and escalates incidents nobody has acknowledged in time.
+ */
+function startEscalationScheduler() {
+  cron.schedule('* * * * *', async () => {
+    try {
+      await processDueCountdowns();
+      await processDueEscalations();
+    } catch (error) {
+      logger.error('Error in emergency escalation scheduler:', error);
+    }
+  });
+
+  logger.info('Emergency escalation scheduler started');
+}
+
+/**
+ * Activate automatically opened incidents whose cancellation countdown has run out.
+ */
+async function processDueCountdowns() {
+  const dueIncidents = await EmergencyIncident.find({
+    status: 'countdown',
+    countdownEndsAt: { $lte: new Date() }
+  });
+
+  for (const dueIncident of dueIncidents) {
+    try {
+      // Claim the incident so that another server instance does not activate it twice
+      const incident = await EmergencyIncident.findOneAndUpdate(
+        { _id: dueIncident._id, status: 'countdown' },
+        { status: 'triggered' },
+        { new: true }
+      );
+
+      if (!incident) continue;
+
+      await activateIncident(incident);
+    } catch (error) {
+      logger.error(`Error activating emergency incident ${dueIncident._id}:`, error);
+    }
+  }
+}
+
+/**
+ * Alert contacts for an incident that was waiting on a countdown
+ * (or that the patient confirmed early).
+ */
+async function activateIncident(incident) {
+  const user = await User.findById(incident.userId);
+
+  if (!user) {
+    logger.error(`User ${incident.userId} not found for emergency incident ${incident._id}`);
+    return incident;
+  }
+
+  incident.status = 'triggered';
+  incident.countdownEndsAt = undefined;
+  incident.message = buildAlertMessage(user, incident);
+
+  if (!incident.shareLink || !incident.shareLink.expiresAt) {
+    enableLocationSharing(incident);
+  }
+
+  await startEscalation(incident, user);
+  await incident.save();
+
+  logger.info(`Emergency incident ${incident._id} activated (${incident.trigger.source})`);
+
+  return incident;
+}
+
+/**
+ * Escalate every incident whose acknowledgement window has passed.
+ */
+async function processDueEscalations() {
+  const now = new Date();
+
+  const dueIncidents = await EmergencyIncident.find({
+    status: { $in: ESCALATING_STATUSES },
+    'escalation.nextEscalationAt': { $lte: now }
+  });
+
+  if (dueIncidents.length > 0) {
+    logger.info(`Found ${dueIncidents.length} emergency incidents due for escalation`);
+  }
+
+  for (const dueIncident of dueIncidents) {
+    try {
+      // Claim the incident so that another server instance does not escalate it twice
+      const incident = await EmergencyIncident.findOneAndUpdate(
+        {
+          _id: dueIncident._id,
+          status: { $in: ESCALATING_STATUSES },
+          'escalation.nextEscalationAt': dueIncident.escalation.nextEscalationAt
+        },
+        { $unset: { 'escalation.nextEscalationAt': 1 } },
+        { new: true }
+      );
+
+      if (!incident) continue;
+
+      try {
+        await escalateIncident(incident);
+      } catch (error) {
+        // Put the incident back on the schedule unless it moved on before failing
+        await EmergencyIncident.updateOne(
+          {
+            _id: incident._id,
+            status: { $in: ESCALATING_STATUSES },
+            'escalation.currentStep': dueIncident.escalation.currentStep,
+            'escalation.nextEscalationAt': { $exists: false }
+          },
+          { $set: { 'escalation.nextEscalationAt': new Date(Date.now() + ESCALATION_RETRY_MINUTES * 60 * 1000) } }
+        );
+        throw error;
+      }
+    } catch (error) {
+      logger.error(`Error escalating emergency incident ${dueIncident._id}:`, error);
+    }
+  }
+}
+
+/**
+ * Build the escalation ladder for a user.
+ * Each step is a list of contacts notified together: one step per emergency
+ * contact in the order they were added, then all caregivers who receive alerts.
+ * When escalation is disabled every recipient is placed in a single step.
+ *
+ * @param {Object} user - User document
+ * @returns {Array<Array>} Steps of contacts
+ */
+async function buildEscalationLadder(user) {
+  const policy = user.escalationPolicy || {};
+
+  const steps = (user.emergencyContacts || []).map(contact => [{
+    name: contact.name,
+    relationship: contact.relationship,
+    phoneNumber: contact.phoneNumber
+  }]);
+
+  if (policy.includeCaregivers !== false) {
+    const relationships = await CaregiverRelationship.find({
+      patientId: user._id,
+      status: 'active',
+      'permissions.receiveAlerts': true
+    }).populate('caregiverId', 'fullName phoneNumber');
+
+    const caregivers = relationships
+      .filter(relationship => relationship.caregiverId)
+      .map(relationship => ({
+        name: relationship.caregiverId.fullName,
+        relationship: 'caregiver',
+        phoneNumber: relationship.caregiverId.phoneNumber,
+        userId: relationship.caregiverId._id
+      }));
+
+    if (caregivers.length > 0) {
+      steps.push(caregivers);
+    }
+  }
+
+  if (policy.enabled === false) {
+    return steps.length > 0 ? [steps.flat()] : [];
+  }
+
+  return steps;
+}
+
+/**
+ * Notify the first step of the ladder and schedule the next escalation.
+ * The caller is responsible for saving the incident.
+ */
+async function startEscalation(incident, user) {
+  const ladder = await buildEscalationLadder(user);
+
+  incident.escalation = {
+    ladder: ladder.map(contacts => ({ contacts })),
+    currentStep: 0,
+    exhausted: ladder.length <= 1
+  };
+
+  if (ladder.length === 0) {
+    return incident;
+  }
+
+  await notifyContacts(incident, ladder[0], buildAlertMessage(user, incident), 'alert', 0);
+
+  if (ladder.length > 1) {
+    incident.escalation.nextEscalationAt = getNextEscalationTime(user);
+  }
+
+  return incident;
+}
+
+/**
+ * Move an unacknowledged incident to the next step of the ladder.
+ */
+async function escalateIncident(incident) {
+  const user = await User.findById(incident.userId);
+
+  if (!user) {
+    logger.error(`User ${incident.userId} not found for emergency incident ${incident._id}`);
+    return incident;
+  }
+
+  // Incidents started before the ladder was stored on them use the current contact list
+  const ladder = incident.escalation.ladder && incident.escalation.ladder.length > 0 ?
+    incident.escalation.ladder.map(step => step.contacts.map(contact => contact.toObject())) :
+    await buildEscalationLadder(user);
+  const nextStep = incident.escalation.currentStep + 1;
+
+  if (nextStep >= ladder.length) {
+    incident.escalation.exhausted = true;
+    await incident.save();
+    return incident;
+  }
+
+  await notifyContacts(incident, ladder[nextStep], buildAlertMessage(user, incident), 'alert', nextStep);
+
+  incident.status = 'escalated';
+  incident.escalation.currentStep = nextStep;
+
+  if (nextStep < ladder.length - 1) {
+    incident.escalation.nextEscalationAt = getNextEscalationTime(user);
+  } else {
+    incident.escalation.exhausted = true;
+  }
+
+  await incident.save();
+
+  // Let the patient know their alert has been passed on
+  await sendPushNotification(
+    user._id,
+    'Emergency alert escalated',
+    'Nobody has responded yet, so we are alerting more of your contacts.',
+    { incidentId: incident._id.toString(), step: String(nextStep) },
+    { category: 'emergency' }
+  );
+
+  logger.info(`Emergency incident ${incident._id} escalated to step ${nextStep}`);
+
+  return incident;
+}
+
+/**
+ * Mark an incident as acknowledged by one of its contacts and stop escalation.
+ *
+ * @param {Object} incident - EmergencyIncident document
+ * @param {Object} attempt - The delivery attempt the contact is responding to
+ * @param {String} method - 'link' or 'sms_reply'
+ */
+async function acknowledgeIncident(incident, attempt, method) {
+  if (!ESCALATING_STATUSES.includes(incident.status)) {
+    return incident;
+  }
+
+  incident.status = 'acknowledged';
+  incident.acknowledgedAt = new Date();
+  incident.acknowledgedBy = {
+    name: attempt.contactName,
+    phoneNumber: attempt.phoneNumber,
+    userId: attempt.userId,
+    method
+  };
+  incident.escalation.nextEscalationAt = undefined;
+
+  await incident.save();
+
+  // Reassure the patient that help is on the way
+  await sendPushNotification(
+    incident.userId,
+    'Help is on the way',
+    `${attempt.contactName || 'One of your contacts'} has seen your emergency alert and is responding.`,
+    { incidentId: incident._id.toString() },
+    { category: 'emergency' }
+  );
+
+  logger.info(`Emergency incident ${incident._id} acknowledged by ${attempt.phoneNumber} via ${method}`);
+
+  return incident;
+}
+
+/**
+ * Find the open incident and delivery attempt matching an acknowledgement link token.
+ */
+async function findByAckToken(token) {
+  const tokenHash = hashToken(token);
+
+  const incident = await EmergencyIncident.findOne({
+    'deliveryAttempts.ackTokenHash': tokenHash
+  });
+
+  if (!incident) {
+    return { incident: null, attempt: null };
+  }
+
+  const attempt = incident.deliveryAttempts.find(a => a.ackTokenHash === tokenHash);
+
+  return { incident, attempt };
+}
+
+/**
+ * Find the most recent open incident that alerted the given phone number.
+ */
+async function findByContactPhoneNumber(phoneNumber) {
+  const normalized = normalizePhoneNumber(phoneNumber);
+
+  if (!normalized) {
+    return { incident: null, attempt: null };
+  }
+
+  const oneDayAgo = new Date();
+  oneDayAgo.setDate(oneDayAgo.getDate() - 1);
+
+  const incidents = await EmergencyIncident.find({
+    status: { $in: ESCALATING_STATUSES },
+    createdAt: { $gte: oneDayAgo }
+  }).sort({ createdAt: -1 });
+
+  for (const incident of incidents) {
+    const attempt = incident.deliveryAttempts.find(a =>
+      a.purpose === 'alert' && normalizePhoneNumber(a.phoneNumber) === normalized
+    );
+
+    if (attempt) {
+      return { incident, attempt };
+    }
+  }
+
+  return { incident: null, attempt: null };
+}
+
+/**
+ * Send a message to each contact and record the delivery attempt on the incident.
+ * Registered users (caregivers) additionally receive a push notification.
+ * Alert messages carry a personal acknowledgement link.
+ *
+ * @param {Object} incident - EmergencyIncident document (saved by the caller)
+ * @param {Array} contacts - Objects with name, relationship, phoneNumber and optional userId
+ * @param {String} message - Message body
+ * @param {String} purpose - 'alert' or 'resolution'
+ * @param {Number} step - Escalation step the contacts belong to
+ * @returns {Array} The recorded delivery attempts
+ */
+async function notifyContacts(incident, contacts, message, purpose = 'alert', step = 0) {
+  const attempts = [];
+  const channel = getContactChannel();
+
+  for (const contact of contacts) {
+    let body = message;
+    let ackTokenHash;
+
+    if (purpose === 'alert') {
+      const ackToken = generateToken();
+      ackTokenHash = hashToken(ackToken);
+      body = `${message} Reply OK or open ${buildPublicUrl(`/api/emergency/ack/${ackToken}`)} to let them know you are responding.`;
+    }
+
+    // Failed messages are retried by the dispatcher; the attempt records the first outcome
+    const notification = await send({
+      channel,
+      userId: contact.userId,
+      recipient: { phoneNumber: contact.phoneNumber },
+      body,
+      data: { incidentId: incident._id.toString(), purpose },
+      category: 'emergency'
+    });
+    const status = notification.status === 'sent' ? 'sent' : 'failed';
+
+    if (status === 'failed') {
+      logger.error(`Failed to send emergency ${purpose} for incident ${incident._id} to ${contact.phoneNumber}`);
+    }
+
+    const attempt = {
+      notificationId: notification._id,
+      contactName: contact.name,
+      relationship: contact.relationship,
+      phoneNumber: contact.phoneNumber,
+      userId: contact.userId,
+      channel,
+      step,
+      ackTokenHash,
+      purpose,
+      status,
+      attemptedAt: new Date()
+    };
+
+    incident.deliveryAttempts.push(attempt);
+    attempts.push(attempt);
+
+    if (contact.userId) {
+      const pushed = await sendPushNotification(
+        contact.userId,
+        purpose === 'alert' ? 'Emergency alert' : 'Emergency update',
+        message,
+        {
+          incidentId: incident._id.toString(),
+          patientId: incident.userId.toString(),
+          purpose,
+          shareUrl: createShareUrl(incident) || ''
+        },
+        { category: 'emergency' }
+      );
+
+      const pushAttempt = {
+        contactName: contact.name,
+        relationship: contact.relationship,
+        phoneNumber: contact.phoneNumber,
+        userId: contact.userId,
+        channel: 'push',
+        step,
+        purpose,
+        status: pushed ? 'sent' : 'failed',
+        attemptedAt: new Date()
+      };
+
+      incident.deliveryAttempts.push(pushAttempt);
+      attempts.push(pushAttempt);
+    }
+  }
+
+  return attempts;
+}
+
+/**
+ * Get the contacts that were sent the original alert for an incident,
+ * de-duplicated by phone number.
+ */
+function getAlertedContacts(incident) {
+  const contacts = {};
+
+  incident.deliveryAttempts
+    .filter(attempt => attempt.purpose === 'alert' && attempt.phoneNumber)
+    .forEach(attempt => {
+      contacts[attempt.phoneNumber] = {
+        name: attempt.contactName,
+        relationship: attempt.relationship,
+        phoneNumber: attempt.phoneNumber,
+        userId: attempt.userId
+      };
+    });
+
+  return Object.values(contacts);
+}
+
+/**
+ * Build the alert message for an incident, using its latest known location
+ * and a live location link while sharing is active.
+ */
+function buildAlertMessage(user, incident) {
+  const shareUrl = createShareUrl(incident);
+  const liveLocationText = shareUrl ? ` Live location: ${shareUrl}` : '';
+
+  if (incident.trigger && incident.trigger.source && incident.trigger.source !== 'manual') {
+    const reasons = incident.trigger.reasons.length > 0 ? ` (${incident.trigger.reasons.join('; ')})` : '';
+    return `EMERGENCY ALERT: ${user.fullName}'s latest health reading needs urgent attention${reasons} and they did not cancel the alert. ${formatLocationText(incident)}.${liveLocationText} Please contact them immediately.`;
+  }
+
+  return `EMERGENCY ALERT: ${user.fullName} has triggered an emergency alert. ${formatLocationText(incident)}.${liveLocationText} Please contact them immediately.`;
+}
+
+/**
+ * Append location points to an incident's trail, keeping only the most recent points.
+ * The caller is responsible for saving the incident.
+ *
+ * @param {Object} incident - EmergencyIncident document
+ * @param {Array} points - Objects with latitude, longitude, optional accuracy and recordedAt
+ */
+function addLocations(incident, points) {
+  points.forEach(point => {
+    incident.locations.push({
+      latitude: point.latitude,
+      longitude: point.longitude,
+      accuracy: point.accuracy,
+      recordedAt: point.recordedAt ? new Date(point.recordedAt) : new Date()
+    });
+  });
+
+  // Keep the trail in chronological order even if points arrive out of order
+  incident.locations.sort((a, b) => new Date(a.recordedAt) - new Date(b.recordedAt));
+
+  if (incident.locations.length > MAX_LOCATION_POINTS) {
+    incident.locations.splice(0, incident.locations.length - MAX_LOCATION_POINTS);
+  }
+
+  return incident;
+}
+
+/**
+ * Check that a location point has valid coordinates.
+ */
+function isValidLocation(point) {
+  return point &&
+    typeof point.latitude === 'number' && point.latitude >= -90 && point.latitude <= 90 &&
+    typeof point.longitude === 'number' && point.longitude >= -180 && point.longitude <= 180;
+}
+
+/**
+ * Open (or extend) location sharing for an incident.
+ * The caller is responsible for saving the incident.
+ */
+function enableLocationSharing(incident, hours = SHARE_LINK_HOURS) {
+  incident.shareLink = {
+    expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000)
+  };
+  return incident;
+}
+
+/**
+ * Create a signed live location URL for an incident.
+ * The token expires with the incident's share window, so a new URL can be
+ * issued at any time (e.g. for escalation messages) without storing tokens.
+ *
+ * @returns {String|null} The URL, or null if sharing is not active
+ */
+function createShareUrl(incident) {
+  const expiresAt = incident.shareLink && incident.shareLink.expiresAt;
+
+  if (!expiresAt) return null;
+
+  const secondsLeft = Math.floor((new Date(expiresAt).getTime() - Date.now()) / 1000);
+
+  if (secondsLeft <= 0) return null;
+
+  const token = jwt.sign(
+    { incidentId: incident._id.toString(), purpose: 'location_share' },
+    process.env.JWT_SECRET,
+    { expiresIn: secondsLeft }
+  );
+
+  return buildPublicUrl(`/api/emergency/share/${token}`);
+}
+
+/**
+ * Find the incident for a live location token.
+ * Returns null if the token is invalid, expired, or sharing has been stopped.
+ */
+async function findBySharedToken(token) {
+  let decoded;
+
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+
+  if (decoded.purpose !== 'location_share') return null;
+
+  const incident = await EmergencyIncident.findById(decoded.incidentId)
+    .populate('userId', 'fullName');
+
+  if (!incident || !incident.shareLink || !incident.shareLink.expiresAt ||
+      incident.shareLink.expiresAt <= new Date()) {
+    return null;
+  }
+
+  return incident;
+}
+
+/**
+ * Format the latest known location of an incident for a message.
+ */
+function formatLocationText(incident) {
+  const latest = incident.locations.length > 0 ? incident.locations[incident.locations.length - 1] : null;
+  return latest ? `Location: ${latest.latitude}, ${latest.longitude}` : 'Location not available';
+}
+
+/**
+ * Get the time at which the current step expires according to the user's policy.
+ */
+function getNextEscalationTime(user) {
+  const waitMinutes = (user.escalationPolicy && user.escalationPolicy.waitMinutes) || 5;
+  return new Date(Date.now() + waitMinutes * 60 * 1000);
+}
+
+/**
+ * Reduce a phone number to its last 10 digits so that numbers stored with and
+ * without a country code (or a whatsapp: prefix) compare equal.
+ */
+function normalizePhoneNumber(phoneNumber) {
+  if (!phoneNumber) return null;
+  const digits = String(phoneNumber).replace(/\D/g, '');
+  return digits.length > 10 ? digits.slice(-10) : digits;
+}
+
+module.exports = {
+  OPEN_STATUSES,
+  SHARE_LINK_HOURS,
+  getContactChannel,
+  startEscalationScheduler,
+  processDueCountdowns,
+  activateIncident,
+  processDueEscalations,
+  buildEscalationLadder,
+  startEscalation,
+  escalateIncident,
+  acknowledgeIncident,
+  findByAckToken,
+  findByContactPhoneNumber,
+  notifyContacts,
+  getAlertedContacts,
+  buildAlertMessage,
+  addLocations,
+  isValidLocation,
+  enableLocationSharing,
+  createShareUrl,
+  findBySharedToken,
+  formatLocationText,
+  normalizePhoneNumber
+};
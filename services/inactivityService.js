@@ -0,0 +1,203 @@
+// services/inactivityService.js
+const cron = require('node-cron');
+const User = require('../models/userModel');
+const CaregiverRelationship = require('../models/CaregiverRelationship');
+const MedicationLog = require('../models/MedicationLog');
+const MedicationReminder = require('../models/MedicationReminder');
+const { VitalSign, HealthCheckIn } = require('../models/healthModel');
+const { sendPushNotification } = require('./notificationService');
+const { send } = require('./notificationDispatcher');
+const { getContactChannel } = require('./emergencyService');
+const logger = require('../utils/logger');
+
+// How long the patient has to respond to the check-in nudge before others are alerted
+const NUDGE_GRACE_MINUTES = 60;
+
+/**
+ * Start the inactivity scheduler.
+ * Runs every 15 minutes and checks on patients who have gone quiet.
+ */
+function startInactivityScheduler() {
+  cron.schedule('*/15 * * * *', async () => {
+    try {
+      await checkInactivePatients();
+    } catch (error) {
+      logger.error('Error in inactivity scheduler:', error);
+    }
+  });
+
+  logger.info('Inactivity scheduler started');
+}
+
+/**
+ * Get the time of the patient's most recent activity.
+ * Medication logs, check-ins, vital signs and reminder acknowledgements all count.
+ *
+ * @param {Object} user - User document
+ * @returns {Date} Time of last activity (account creation if there is none)
+ */
+async function getLastActivityAt(user) {
+  const [log, checkIn, vitalSign, reminder] = await Promise.all([
+    MedicationLog.findOne({ userId: user._id, status: { $in: ['taken', 'skipped'] } })
+      .sort({ createdAt: -1 })
+      .select('createdAt'),
+    HealthCheckIn.findOne({ userId: user._id })
+      .sort({ createdAt: -1 })
+      .select('createdAt'),
+    VitalSign.findOne({ userId: user._id })
+      .sort({ createdAt: -1 })
+      .select('createdAt'),
+    MedicationReminder.findOne({ userId: user._id, acknowledgedAt: { $exists: true } })
+      .sort({ acknowledgedAt: -1 })
+      .select('acknowledgedAt')
+  ]);
+
+  const times = [
+    user.createdAt,
+    log && log.createdAt,
+    checkIn && checkIn.createdAt,
+    vitalSign && vitalSign.createdAt,
+    reminder && reminder.acknowledgedAt
+  ].filter(Boolean).map(time => new Date(time).getTime());
+
+  return new Date(Math.max(...times));
+}
+
+/**
+ * Check every monitored patient and nudge or alert as needed.
+ * A patient first gets a push asking them to check in; if they stay quiet
+ * for NUDGE_GRACE_MINUTES more, their caregivers and emergency contacts are alerted.
+ * Each stage happens at most once per period of inactivity.
+ */
+async function checkInactivePatients() {
+  const users = await User.find({
+    'inactivityMonitoring.enabled': true,
+    isActive: true
+  });
+
+  for (const user of users) {
+    try {
+      await checkPatient(user);
+    } catch (error) {
+      logger.error(`Error checking inactivity for user ${user._id}:`, error);
+    }
+  }
+}
+
+async function checkPatient(user) {
+  const monitoring = user.inactivityMonitoring;
+  const lastActivityAt = await getLastActivityAt(user);
+  const inactiveSince = Date.now() - lastActivityAt.getTime();
+  const windowMs = monitoring.windowHours * 60 * 60 * 1000;
+
+  if (inactiveSince < windowMs) {
+    return;
+  }
+
+  // Stages already completed after the last activity belong to this period of inactivity
+  const nudged = monitoring.nudgedAt && monitoring.nudgedAt > lastActivityAt;
+  const alerted = monitoring.alertedAt && monitoring.alertedAt > lastActivityAt;
+
+  if (alerted) {
+    return;
+  }
+
+  if (!nudged) {
+    await sendPushNotification(
+      user._id,
+      'Checking in on you',
+      `We haven't heard from you in ${monitoring.windowHours} hours. Please log a medication or complete a health check-in so we know you're okay.`,
+      { type: 'inactivity_check' },
+      { category: 'patient_inactivity' }
+    );
+
+    user.inactivityMonitoring.nudgedAt = new Date();
+    await user.save();
+
+    logger.info(`Inactivity nudge sent to user ${user._id}`);
+    return;
+  }
+
+  if (Date.now() - monitoring.nudgedAt.getTime() < NUDGE_GRACE_MINUTES * 60 * 1000) {
+    return;
+  }
+
+  await alertCareNetwork(user, lastActivityAt);
+
+  user.inactivityMonitoring.alertedAt = new Date();
+  await user.save();
+}
+
+/**
+ * Alert the patient's caregivers and emergency contacts that the patient has been inactive.
+ * Caregivers are only contacted if they receive alerts and have not turned off
+ * inactivity notifications, and only on the channels they chose.
+ */
+async function alertCareNetwork(user, lastActivityAt) {
+  const hours = Math.floor((Date.now() - lastActivityAt.getTime()) / (60 * 60 * 1000));
+  const message = `WELLNESS CHECK: ${user.fullName} has not used the medication app in ${hours} hours and did not respond to a check-in request. Please contact them to make sure they are okay.`;
+
+  const relationships = await CaregiverRelationship.find({
+    patientId: user._id,
+    status: 'active',
+    'permissions.receiveAlerts': true
+  }).populate('caregiverId', 'fullName phoneNumber');
+
+  let caregiversNotified = 0;
+
+  for (const relationship of relationships) {
+    const caregiver = relationship.caregiverId;
+    const preferences = relationship.notificationPreferences || {};
+    const channels = preferences.notificationChannels || {};
+
+    if (!caregiver || preferences.inactivity === false) {
+      continue;
+    }
+
+    if (channels.app !== false) {
+      await sendPushNotification(
+        caregiver._id,
+        `Wellness check for ${user.fullName}`,
+        `${user.fullName} has not been active in the app for ${hours} hours.`,
+        { type: 'patient_inactivity', patientId: user._id.toString() },
+        { category: 'patient_inactivity' }
+      );
+    }
+
+    if (channels.sms && caregiver.phoneNumber) {
+      await send({
+        channel: 'sms',
+        userId: caregiver._id,
+        body: message,
+        data: { patientId: user._id.toString() },
+        category: 'patient_inactivity'
+      });
+    }
+
+    caregiversNotified++;
+  }
+
+  let contactsNotified = 0;
+
+  for (const contact of user.emergencyContacts || []) {
+    if (!contact.phoneNumber) continue;
+
+    await send({
+      channel: getContactChannel(),
+      recipient: { phoneNumber: contact.phoneNumber },
+      body: message,
+      data: { patientId: user._id.toString() },
+      category: 'patient_inactivity'
+    });
+
+    contactsNotified++;
+  }
+
+  logger.info(`Inactivity alert for user ${user._id} sent to ${caregiversNotified} caregiver(s) and ${contactsNotified} contact(s)`);
+}
+
+module.exports = {
+  startInactivityScheduler,
+  checkInactivePatients,
+  getLastActivityAt
+};
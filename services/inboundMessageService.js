@@ -0,0 +1,87 @@
+// services/inboundMessageService.js
+const { findByContactPhoneNumber, acknowledgeIncident } = require('./emergencyService');
+const {
+  parseReplyText,
+  validateResponse,
+  findOutstandingReminder,
+  respondToReminder,
+  describeResponse
+} = require('./reminderResponseService');
+const logger = require('../utils/logger');
+
+// Replies that confirm a contact is responding to an emergency alert (the alert asks them to reply OK)
+const ACKNOWLEDGEMENT_REPLIES = ['ok', 'okay', 'yes'];
+
+function isAcknowledgementText(text) {
+  return ACKNOWLEDGEMENT_REPLIES.includes(String(text || '').trim().toLowerCase().replace(/[.!]+$/, ''));
+}
+
+/**
+ * Handle an SMS or WhatsApp message sent to our Twilio number.
+ *
+ * Patients answer dose reminders with "taken", "skip" or "snooze 15"; such a reply goes to
+ * their latest reminder still waiting for an answer. A contact who was sent an emergency alert
+ * acknowledges it by replying OK or YES; any other text leaves the alert escalating and gets
+ * told how to confirm.
+ *
+ * @param {String} from - Sender as given by Twilio
+ * @param {String} text - Message body
+ * @returns {String} Reply to send back, empty when there is nothing to say
+ */
+async function handleInboundMessage(from, text) {
+  const command = parseReplyText(text);
+
+  if (command) {
+    const reminder = await findOutstandingReminder(from);
+
+    if (reminder) {
+      const medicationName = reminder.medicationId ? reminder.medicationId.name : 'Your medication';
+      const error = validateResponse(command.action, command.snoozeMinutes);
+
+      if (error) {
+        return `${error}.`;
+      }
+
+      await respondToReminder(reminder, command.action, { snoozeMinutes: command.snoozeMinutes });
+      logger.info(`Reminder ${reminder._id} answered by text message: ${command.action}`);
+
+      return describeResponse(command.action, medicationName, command.snoozeMinutes);
+    }
+  }
+
+  const { incident, attempt } = await findByContactPhoneNumber(from);
+
+  if (incident) {
+    if (!isAcknowledgementText(text)) {
+      logger.info(`Reply to emergency incident ${incident._id} did not confirm a response`);
+      return 'If you are responding to the emergency alert, reply OK so we can let them know. ' +
+        'Until someone confirms, we keep alerting their other contacts.';
+    }
+
+    await acknowledgeIncident(incident, attempt, 'sms_reply');
+    return 'Thank you. We have let them know you are responding.';
+  }
+
+  return command ? 'There is no medication reminder waiting for your reply.' : '';
+}
+
+/**
+ * Wrap a reply in TwiML for the webhook response.
+ */
+function buildTwimlReply(message) {
+  if (!message) {
+    return '<Response></Response>';
+  }
+
+  const escaped = message
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+  return `<Response><Message>${escaped}</Message></Response>`;
+}
+
+module.exports = {
+  handleInboundMessage,
+  buildTwimlReply
+};
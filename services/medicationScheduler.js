@@ -3,8 +3,46 @@ const cron = require('node-cron');
 const MedicationReminder = require('../models/MedicationReminder');
 const Medication = require('../models/medicationModel');
 const MedicationLog = require('../models/MedicationLog');
+const MedicationSchedule = require('../models/MedicationSchedule');
+const MedicationSharing = require('../models/MedicationSharing');
+const CaregiverRelationship = require('../models/CaregiverRelationship');
+const User = require('../models/userModel');
 const { sendPushNotification } = require('./notificationService');
+const { dispatch, send } = require('./notificationDispatcher');
+const { RESPONSE_ACTIONS, buildReminderActions } = require('./reminderResponseService');
+const { activeShareQuery } = require('./medicationSharingService');
+const { getOnDutyCaregiver } = require('./careCircleService');
+const {
+  raiseAlert,
+  addNotifiedCaregivers,
+  findAlertBySource,
+  checkLowAdherence
+} = require('./caregiverAlertService');
+const { publishDoseEvent } = require('./careEventService');
 const logger = require('../utils/logger');
+const { formatLocalTime, getUserTimezone } = require('../utils/timeUtils');
+
+// Notification category for each reminder type (used for the patient's notification preferences)
+const REMINDER_CATEGORIES = {
+  dose: 'medication_reminder',
+  refill: 'refill_reminder',
+  appointment: 'appointment_reminder'
+};
+
+// Used when a reminder has no schedule to take the flexibility window from
+const DEFAULT_FLEXIBILITY_MINUTES = 30;
+
+const DEFAULT_REMINDER_INTERVAL_MINUTES = 10;
+
+// Unanswered dose reminders are only nagged, escalated and checked for a missed dose while they were
+// last sent less than this long ago; older ones (e.g. after downtime) are closed out as missed
+const MISSED_DOSE_LOOKBACK_HOURS = 24;
+
+// How long the on-duty caregiver has to deal with a missed dose before the rest of the care circle is told
+const ON_DUTY_RESPONSE_MINUTES = 15;
+
+// Reminder states in which the patient has not answered the dose
+const UNCONFIRMED_STATUSES = ['sent', 'missed'];
 
 /**
  * Start the medication scheduler that processes due reminders.
@@ -17,52 +55,12 @@ function startMedicationScheduler() {
       const now = new Date();
       logger.info(`Medication Scheduler: Checking for due reminders at ${now.toISOString()}`);
 
-      // Find medication reminders that are due and still pending
-      const dueReminders = await MedicationReminder.find({
-        enabled: true,
-        status: 'pending',
-        reminderTime: { $lte: now }
-      }).populate('medicationId');
-
-      logger.info(`Medication Scheduler: Found ${dueReminders.length} due reminders`);
-
-      // Process each due reminder
-      for (const reminder of dueReminders) {
-        try {
-          // Optional: Check that the medication is still active
-          if (!reminder.medicationId || !reminder.medicationId.isActive) {
-            // If medication is not active, mark the reminder as missed
-            await MedicationReminder.findByIdAndUpdate(reminder._id, {
-              enabled: false,
-              status: 'missed'
-            });
-            continue;
-          }
-
-          // Send push notification for the reminder
-          await sendPushNotification(
-            reminder.userId, // Assuming sendPushNotification accepts a user ID
-            'Medication Reminder',
-            reminder.message,
-            {
-              reminderId: reminder._id.toString(),
-              medicationId: reminder.medicationId._id.toString(),
-              medicationName: reminder.medicationId.name,
-              reminderTime: reminder.reminderTime
-            }
-          );
-
-          // Update the reminder status to "sent" with the current time
-          await MedicationReminder.findByIdAndUpdate(reminder._id, {
-            status: 'sent',
-            sentAt: now
-          });
-
-          logger.info(`Medication Scheduler: Reminder ${reminder._id} processed successfully`);
-        } catch (innerError) {
-          logger.error(`Medication Scheduler: Failed to process reminder ${reminder._id}:`, innerError);
-        }
-      }
+      await sendDueReminders(now);
+      await sendFollowUpReminders(now);
+      await escalateUnansweredReminders(now);
+      await escalateToCareCircle(now);
+      await recordMissedDoses(now);
+      await expireStaleReminders(now);
     } catch (error) {
       logger.error('Medication Scheduler: Error checking reminders:', error);
     }
@@ -71,4 +69,491 @@ function startMedicationScheduler() {
   logger.info('Medication Scheduler started and running every 5 minutes');
 }
 
-module.exports = { startMedicationScheduler };
+/**
+ * Oldest lastSentAt of the unanswered reminders the scheduler still works on.
+ */
+function getLookbackStart(now) {
+  return new Date(now.getTime() - MISSED_DOSE_LOOKBACK_HOURS * 60 * 60 * 1000);
+}
+
+/**
+ * Minutes between smart reminder nags.
+ */
+function getReminderInterval(reminder) {
+  return (reminder.smartReminder && reminder.smartReminder.reminderInterval) || DEFAULT_REMINDER_INTERVAL_MINUTES;
+}
+
+/**
+ * Number of nags a reminder may send after the first notification.
+ * maxReminders counts the first notification too.
+ */
+function getAllowedFollowUps(reminder) {
+  if (!reminder.smartReminder || !reminder.smartReminder.enabled) return 0;
+  return Math.max(0, (reminder.smartReminder.maxReminders || 1) - 1);
+}
+
+/**
+ * When the dose itself is due (reminders go out `offset` minutes before it).
+ */
+function getDoseTime(reminder) {
+  return reminder.scheduledTime || new Date(reminder.reminderTime.getTime() + (reminder.offset || 0) * 60 * 1000);
+}
+
+/**
+ * Send a reminder on every channel it is configured for, or on the patient's preferred channels.
+ * Quiet hours and category toggles are applied by the dispatcher.
+ * Dose reminders can be answered straight from the notification: push carries a reply token
+ * for the app's action buttons, text messages ask for a TAKEN, SKIP or SNOOZE reply and add a link.
+ */
+async function notifyPatient(reminder, medication, followUp = 0) {
+  const body = reminder.message || `Time to take ${medication.name}`;
+  const data = {
+    reminderId: reminder._id.toString(),
+    medicationId: medication._id.toString(),
+    medicationName: medication.name,
+    reminderTime: reminder.reminderTime,
+    scheduledTime: reminder.scheduledTime,
+    followUp
+  };
+  let channelBodies;
+
+  if (reminder.reminderType === 'dose') {
+    const { token, actionUrl, textInstructions } = await buildReminderActions(reminder);
+
+    Object.assign(data, { actionToken: token, actionUrl, actions: RESPONSE_ACTIONS });
+    channelBodies = {
+      sms: `${body}\n${textInstructions}`,
+      whatsapp: `${body}\n${textInstructions}`
+    };
+  }
+
+  await dispatch({
+    channels: reminder.channels,
+    userId: reminder.userId,
+    title: followUp > 0 ? 'Medication Reminder (not yet confirmed)' : 'Medication Reminder',
+    body,
+    channelBodies,
+    data,
+    category: REMINDER_CATEGORIES[reminder.reminderType] || 'medication_reminder'
+  });
+}
+
+/**
+ * Send reminders that are due, including snoozed reminders whose snooze has run out.
+ */
+async function sendDueReminders(now) {
+  // Find medication reminders that are due and still pending
+  const dueReminders = await MedicationReminder.find({
+    enabled: true,
+    status: { $in: ['pending', 'snoozed'] },
+    reminderTime: { $lte: now }
+  }).populate('medicationId');
+
+  logger.info(`Medication Scheduler: Found ${dueReminders.length} due reminders`);
+
+  // Process each due reminder
+  for (const reminder of dueReminders) {
+    try {
+      // Optional: Check that the medication is still active
+      if (!reminder.medicationId || !reminder.medicationId.isActive) {
+        // If medication is not active, mark the reminder as missed
+        await MedicationReminder.findByIdAndUpdate(reminder._id, {
+          enabled: false,
+          status: 'missed'
+        });
+        continue;
+      }
+
+      // Claim the reminder so it is only sent once, even with several server instances.
+      // Nags start over after a snooze.
+      const claimed = await MedicationReminder.findOneAndUpdate(
+        { _id: reminder._id, status: reminder.status, reminderTime: reminder.reminderTime },
+        { status: 'sent', sentAt: now, lastSentAt: now, followUpsSent: 0 }
+      );
+
+      if (!claimed) continue;
+
+      await notifyPatient(reminder, reminder.medicationId);
+
+      logger.info(`Medication Scheduler: Reminder ${reminder._id} processed successfully`);
+    } catch (innerError) {
+      logger.error(`Medication Scheduler: Failed to process reminder ${reminder._id}:`, innerError);
+    }
+  }
+}
+
+/**
+ * Nag the patient again about dose reminders they have not answered,
+ * every smartReminder.reminderInterval minutes up to smartReminder.maxReminders in total.
+ */
+async function sendFollowUpReminders(now) {
+  const reminders = await MedicationReminder.find({
+    enabled: true,
+    status: 'sent',
+    reminderType: 'dose',
+    'smartReminder.enabled': true,
+    lastSentAt: { $gte: getLookbackStart(now) }
+  }).populate('medicationId');
+
+  for (const reminder of reminders) {
+    try {
+      if (!reminder.medicationId || reminder.followUpsSent >= getAllowedFollowUps(reminder)) {
+        continue;
+      }
+
+      if (reminder.lastSentAt.getTime() + getReminderInterval(reminder) * 60 * 1000 > now.getTime()) {
+        continue;
+      }
+
+      const followUp = reminder.followUpsSent + 1;
+
+      const claimed = await MedicationReminder.findOneAndUpdate(
+        { _id: reminder._id, status: 'sent', followUpsSent: reminder.followUpsSent },
+        { followUpsSent: followUp, lastSentAt: now }
+      );
+
+      if (!claimed) continue;
+
+      await notifyPatient(reminder, reminder.medicationId, followUp);
+
+      logger.info(`Medication Scheduler: Follow-up ${followUp} sent for reminder ${reminder._id}`);
+    } catch (error) {
+      logger.error(`Medication Scheduler: Failed to send follow-up for reminder ${reminder._id}:`, error);
+    }
+  }
+}
+
+/**
+ * Tell caregivers about dose reminders that are still unanswered after the last nag.
+ */
+async function escalateUnansweredReminders(now) {
+  const reminders = await MedicationReminder.find({
+    enabled: true,
+    status: 'sent',
+    reminderType: 'dose',
+    lastSentAt: { $gte: getLookbackStart(now) },
+    escalatedAt: { $exists: false }
+  }).populate('medicationId', 'name');
+
+  for (const reminder of reminders) {
+    try {
+      if (!reminder.medicationId || reminder.followUpsSent < getAllowedFollowUps(reminder)) {
+        continue;
+      }
+
+      if (reminder.lastSentAt.getTime() + getReminderInterval(reminder) * 60 * 1000 > now.getTime()) {
+        continue;
+      }
+
+      const claimed = await MedicationReminder.findOneAndUpdate(
+        { _id: reminder._id, status: 'sent', escalatedAt: { $exists: false } },
+        { escalatedAt: now }
+      );
+
+      if (!claimed) continue;
+
+      await alertCaregiversOfMissedDose(reminder, reminder.medicationId, now);
+    } catch (error) {
+      logger.error(`Medication Scheduler: Failed to escalate reminder ${reminder._id}:`, error);
+    }
+  }
+}
+
+/**
+ * Alert the caregivers who follow a patient's doses.
+ * When someone in the patient's care circle is on duty and follows the doses, only they are paged;
+ * escalateToCareCircle tells the others if the dose is still unconfirmed ON_DUTY_RESPONSE_MINUTES later.
+ */
+async function alertCaregiversOfMissedDose(reminder, medication, now) {
+  const patient = await User.findById(reminder.userId).select('fullName timezone');
+
+  if (!patient) return;
+
+  const [recipients, onDuty] = await Promise.all([
+    getMissedDoseRecipients(patient._id, medication._id, now),
+    getOnDutyCaregiver(patient._id, now)
+  ]);
+  const onDutyId = onDuty.caregiverId && onDuty.caregiverId.toString();
+  const onDutyRecipients = recipients.filter(recipient => recipient.caregiverId === onDutyId);
+
+  // The alert record is kept for acknowledging and closing; caregivers are paged here rather than by the alert service
+  const message = buildMissedDoseMessage(reminder, medication, patient);
+  const alert = await raiseAlert({
+    patientId: patient._id,
+    type: 'missed_dose',
+    severity: 'warning',
+    title: message.title,
+    message: message.body,
+    sourceId: reminder._id,
+    data: { medicationId: medication._id, reminderId: reminder._id, scheduledTime: getDoseTime(reminder) }
+  }, { notify: false });
+
+  if (alert) message.data.alertId = alert._id.toString();
+
+  if (onDutyRecipients.length > 0) {
+    await MedicationReminder.updateOne(
+      { _id: reminder._id },
+      { 'caregiverEscalation.onDutyCaregiverId': onDuty.caregiverId }
+    );
+    await notifyMissedDoseRecipients(onDutyRecipients, message);
+    await addNotifiedCaregivers(alert && alert._id, onDutyRecipients.map(recipient => recipient.caregiverId));
+
+    logger.info(`Medication Scheduler: Missed dose for reminder ${reminder._id} paged to on-duty caregiver ${onDutyId}`);
+    return;
+  }
+
+  await notifyMissedDoseRecipients(recipients, message);
+  await addNotifiedCaregivers(alert && alert._id, recipients.map(recipient => recipient.caregiverId));
+
+  logger.info(`Medication Scheduler: Missed dose for reminder ${reminder._id} escalated to ${recipients.length} caregiver(s)`);
+}
+
+/**
+ * Tell the rest of the care circle about doses that are still unconfirmed
+ * after the on-duty caregiver was paged, unless someone has recorded the dose since
+ * or a caregiver has acknowledged the alert.
+ */
+async function escalateToCareCircle(now) {
+  const pagedBefore = new Date(now.getTime() - ON_DUTY_RESPONSE_MINUTES * 60 * 1000);
+
+  const reminders = await MedicationReminder.find({
+    reminderType: 'dose',
+    status: { $in: UNCONFIRMED_STATUSES },
+    escalatedAt: { $lte: pagedBefore, $gte: getLookbackStart(now) },
+    'caregiverEscalation.onDutyCaregiverId': { $exists: true },
+    'caregiverEscalation.circleNotifiedAt': { $exists: false }
+  }).populate('medicationId', 'name');
+
+  for (const reminder of reminders) {
+    try {
+      const claimed = await MedicationReminder.findOneAndUpdate(
+        {
+          _id: reminder._id,
+          status: { $in: UNCONFIRMED_STATUSES },
+          'caregiverEscalation.circleNotifiedAt': { $exists: false }
+        },
+        { 'caregiverEscalation.circleNotifiedAt': now }
+      );
+
+      if (!claimed || !reminder.medicationId) continue;
+
+      const recorded = await MedicationLog.exists({
+        medicationId: reminder.medicationId._id,
+        status: { $in: ['taken', 'skipped'] },
+        recordedAt: { $gte: reminder.escalatedAt }
+      });
+
+      if (recorded) continue;
+
+      const alert = await findAlertBySource('missed_dose', reminder._id);
+
+      if (alert && alert.status !== 'open') continue;
+
+      const patient = await User.findById(reminder.userId).select('fullName timezone');
+
+      if (!patient) continue;
+
+      const onDutyId = reminder.caregiverEscalation.onDutyCaregiverId.toString();
+      const recipients = (await getMissedDoseRecipients(patient._id, reminder.medicationId._id, now))
+        .filter(recipient => recipient.caregiverId !== onDutyId);
+      const message = buildMissedDoseMessage(reminder, reminder.medicationId, patient);
+
+      if (alert) message.data.alertId = alert._id.toString();
+
+      await notifyMissedDoseRecipients(recipients, message);
+      await addNotifiedCaregivers(alert && alert._id, recipients.map(recipient => recipient.caregiverId));
+
+      logger.info(`Medication Scheduler: Missed dose for reminder ${reminder._id} escalated to ${recipients.length} more caregiver(s)`);
+    } catch (error) {
+      logger.error(`Medication Scheduler: Failed to escalate reminder ${reminder._id} to the care circle:`, error);
+    }
+  }
+}
+
+function buildMissedDoseMessage(reminder, medication, patient) {
+  const dueAt = formatLocalTime(getDoseTime(reminder), getUserTimezone(patient));
+
+  return {
+    title: `Missed medication: ${patient.fullName}`,
+    body: `${patient.fullName} has not confirmed taking ${medication.name} (due at ${dueAt}) after ${reminder.followUpsSent + 1} reminder(s).`,
+    data: {
+      type: 'missed_medication',
+      patientId: patient._id.toString(),
+      medicationId: medication._id.toString(),
+      reminderId: reminder._id.toString()
+    }
+  };
+}
+
+/**
+ * Caregivers to tell about a missed dose, each once: caregivers who receive alerts and have not
+ * turned off missed medication notifications, then caregivers the medication is shared with
+ * (notifyOnMissedDoses), who are told by push.
+ *
+ * @returns {Array} - [{ caregiverId (string), phoneNumber, channels }]
+ */
+async function getMissedDoseRecipients(patientId, medicationId, now) {
+  const [relationships, shares] = await Promise.all([
+    CaregiverRelationship.find({
+      patientId,
+      status: 'active',
+      'permissions.receiveAlerts': true,
+      'permissions.viewMedications': true,
+      'notificationPreferences.missedMedications': { $ne: false }
+    }).populate('caregiverId', 'phoneNumber'),
+    MedicationSharing.find({
+      userId: patientId,
+      medicationId,
+      notifyOnMissedDoses: true,
+      ...activeShareQuery(now)
+    })
+  ]);
+
+  const recipients = new Map();
+
+  for (const relationship of relationships) {
+    const caregiver = relationship.caregiverId;
+
+    if (!caregiver) continue;
+
+    recipients.set(caregiver._id.toString(), {
+      caregiverId: caregiver._id.toString(),
+      phoneNumber: caregiver.phoneNumber,
+      channels: (relationship.notificationPreferences && relationship.notificationPreferences.notificationChannels) || {}
+    });
+  }
+
+  for (const share of shares) {
+    const caregiverId = share.caregiverId.toString();
+
+    if (!recipients.has(caregiverId)) {
+      recipients.set(caregiverId, { caregiverId, channels: { app: true } });
+    }
+  }
+
+  return [...recipients.values()];
+}
+
+async function notifyMissedDoseRecipients(recipients, { title, body, data }) {
+  for (const recipient of recipients) {
+    if (recipient.channels.app !== false) {
+      await sendPushNotification(recipient.caregiverId, title, body, data, { category: 'missed_medication' });
+    }
+
+    if (recipient.channels.sms && recipient.phoneNumber) {
+      await send({
+        channel: 'sms',
+        userId: recipient.caregiverId,
+        body: `MISSED DOSE: ${body}`,
+        data,
+        category: 'missed_medication'
+      });
+    }
+  }
+}
+
+/**
+ * Record a missed dose for reminders nobody answered within the schedule's flexibility window.
+ * Nags always finish first, so a dose is never marked missed while the patient is still being reminded.
+ */
+async function recordMissedDoses(now) {
+  const reminders = await MedicationReminder.find({
+    enabled: true,
+    status: 'sent',
+    reminderType: 'dose',
+    lastSentAt: { $gte: getLookbackStart(now) }
+  });
+
+  const scheduleIds = reminders.map(reminder => reminder.scheduleId).filter(Boolean);
+  const schedules = await MedicationSchedule.find({ _id: { $in: scheduleIds } }).select('flexibility');
+  const flexibilityBySchedule = new Map(schedules.map(schedule => [schedule._id.toString(), schedule.flexibility]));
+
+  for (const reminder of reminders) {
+    try {
+      const doseTime = getDoseTime(reminder);
+      const flexibility = (reminder.scheduleId && flexibilityBySchedule.get(reminder.scheduleId.toString())) ||
+        DEFAULT_FLEXIBILITY_MINUTES;
+      const flexibilityMs = flexibility * 60 * 1000;
+
+      const stillNagging = reminder.smartReminder && reminder.smartReminder.enabled &&
+        reminder.followUpsSent < getAllowedFollowUps(reminder);
+      const deadline = Math.max(
+        doseTime.getTime() + flexibilityMs,
+        reminder.lastSentAt.getTime() + getReminderInterval(reminder) * 60 * 1000
+      );
+
+      if (stillNagging || deadline > now.getTime()) {
+        continue;
+      }
+
+      // The dose may have been logged without answering the reminder
+      const doseWindow = {
+        $gte: new Date(doseTime.getTime() - flexibilityMs),
+        $lte: new Date(doseTime.getTime() + flexibilityMs)
+      };
+      const existingLog = await MedicationLog.findOne({
+        medicationId: reminder.medicationId,
+        $or: [{ scheduledTime: doseWindow }, { takenTime: doseWindow }]
+      });
+
+      const claimed = await MedicationReminder.findOneAndUpdate(
+        { _id: reminder._id, status: 'sent' },
+        existingLog && existingLog.status !== 'missed' ?
+          { status: 'acknowledged', responseAction: existingLog.status, acknowledgedAt: existingLog.createdAt } :
+          { status: 'missed', responseAction: 'none' }
+      );
+
+      if (!claimed || existingLog) continue;
+
+      const missedLog = await MedicationLog.create({
+        userId: reminder.userId,
+        medicationId: reminder.medicationId,
+        scheduledTime: doseTime,
+        status: 'missed',
+        notes: 'Recorded automatically: the reminder was not answered',
+        recordedAt: now,
+        reminderSent: true,
+        quantityAdjustment: 0
+      });
+
+      publishDoseEvent(missedLog);
+
+      logger.info(`Medication Scheduler: Dose for reminder ${reminder._id} recorded as missed`);
+
+      await checkLowAdherence(reminder.userId, now);
+    } catch (error) {
+      logger.error(`Medication Scheduler: Failed to record missed dose for reminder ${reminder._id}:`, error);
+    }
+  }
+}
+
+/**
+ * Close out dose reminders that are still waiting for an answer past the lookback, so they leave
+ * the 'sent' state instead of being picked up again (e.g. reminders left over from downtime).
+ */
+async function expireStaleReminders(now) {
+  const result = await MedicationReminder.updateMany(
+    {
+      status: 'sent',
+      reminderType: 'dose',
+      lastSentAt: { $lt: getLookbackStart(now) }
+    },
+    { status: 'missed', responseAction: 'none' }
+  );
+
+  if (result.modifiedCount > 0) {
+    logger.info(`Medication Scheduler: ${result.modifiedCount} stale reminders marked as missed`);
+  }
+
+  return result.modifiedCount;
+}
+
+module.exports = {
+  startMedicationScheduler,
+  sendDueReminders,
+  sendFollowUpReminders,
+  escalateUnansweredReminders,
+  escalateToCareCircle,
+  recordMissedDoses,
+  expireStaleReminders
+};
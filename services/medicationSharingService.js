@@ -0,0 +1,131 @@
+// services/medicationSharingService.js
+const cron = require('node-cron');
+const mongoose = require('mongoose');
+const Medication = require('../models/medicationModel');
+const MedicationSharing = require('../models/MedicationSharing');
+const logger = require('../utils/logger');
+
+const SHARE_PERMISSIONS = ['canView', 'canRecordDoses', 'canRecordRefills', 'canEdit'];
+
+/**
+ * Query conditions for shares that are in effect at a given time.
+ * Access checks treat shares past their expiry as inactive straight away;
+ * the expiry scheduler then marks them expired and updates sharedWith.
+ */
+function activeShareQuery(now = new Date()) {
+  return {
+    status: 'active',
+    $or: [{ expiresAt: { $exists: false } }, { expiresAt: null }, { expiresAt: { $gt: now } }]
+  };
+}
+
+/**
+ * Work out how a user may access a medication: as its owner or through an active share.
+ *
+ * @param {String|ObjectId} medicationId
+ * @param {ObjectId} userId
+ * @returns {Object|null} - { medication, isOwner, share }, or null when the user has no access
+ */
+async function getMedicationAccess(medicationId, userId) {
+  if (!mongoose.Types.ObjectId.isValid(medicationId)) return null;
+
+  const medication = await Medication.findById(medicationId);
+
+  if (!medication) return null;
+
+  if (medication.userId.toString() === userId.toString()) {
+    return { medication, isOwner: true, share: null };
+  }
+
+  const share = await MedicationSharing.findOne({
+    medicationId: medication._id,
+    caregiverId: userId,
+    ...activeShareQuery()
+  });
+
+  return share ? { medication, isOwner: false, share } : null;
+}
+
+/**
+ * Check a permission on the result of getMedicationAccess. Owners have every permission.
+ *
+ * @param {Object} access
+ * @param {String} permission - canView, canRecordDoses, canRecordRefills or canEdit
+ * @returns {boolean}
+ */
+function hasSharePermission(access, permission) {
+  return Boolean(access && (access.isOwner || (access.share && access.share.permissions[permission])));
+}
+
+/**
+ * Keep Medication.sharedWith in line with the medication's active shares that allow viewing.
+ * Queries that list the medications a user can see rely on sharedWith.
+ */
+async function syncSharedWith(medicationId) {
+  const shares = await MedicationSharing.find({
+    medicationId,
+    'permissions.canView': true,
+    ...activeShareQuery()
+  }).select('caregiverId');
+
+  const sharedWith = [...new Set(shares.map(share => share.caregiverId.toString()))];
+
+  await Medication.findByIdAndUpdate(medicationId, { sharedWith });
+}
+
+/**
+ * Mark shares whose expiry has passed as expired and withdraw their access.
+ */
+async function expireShares(now = new Date()) {
+  const expired = await MedicationSharing.find({
+    status: 'active',
+    expiresAt: { $ne: null, $lte: now }
+  }).select('_id medicationId');
+
+  if (expired.length === 0) return 0;
+
+  await MedicationSharing.updateMany(
+    { _id: { $in: expired.map(share => share._id) }, status: 'active' },
+    { status: 'expired' }
+  );
+
+  const medicationIds = [...new Set(expired.map(share => share.medicationId.toString()))];
+
+  for (const medicationId of medicationIds) {
+    try {
+      await syncSharedWith(medicationId);
+    } catch (error) {
+      logger.error(`Error updating shared users of medication ${medicationId}:`, error);
+    }
+  }
+
+  logger.info(`Medication sharing: ${expired.length} share(s) expired`);
+
+  return expired.length;
+}
+
+/**
+ * Start the share expiry scheduler.
+ * Runs every 15 minutes.
+ */
+function startShareExpiryScheduler() {
+  cron.schedule('*/15 * * * *', async () => {
+    try {
+      await expireShares();
+    } catch (error) {
+      logger.error('Error in medication share expiry scheduler:', error);
+    }
+  });
+
+  logger.info('Medication share expiry scheduler started');
+}
+
+module.exports = {
+  SHARE_PERMISSIONS,
+  activeShareQuery,
+  getMedicationAccess,
+  hasSharePermission,
+  syncSharedWith,
+  expireShares,
+  startShareExpiryScheduler
+};
@@ -0,0 +1,164 @@
+// services/notificationChannels.js
+const fs = require('fs');
+const path = require('path');
+const User = require('../models/userModel');
+const { sendMessage } = require('../utils/smsService');
+const { sendNotificationEmail } = require('../utils/emailService');
+const logger = require('../utils/logger');
+
+// Where the local adapter keeps a copy of every message it "delivers"
+const LOCAL_OUTBOX_FILE = path.join(__dirname, '..', 'logs', 'notifications-outbox.log');
+
+// FCM error codes that mean a token will never work again
+const INVALID_TOKEN_CODES = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token'
+];
+
+/*
+ * Channel adapters.
+ * Each adapter exposes send(notification, body) and resolves to
+ * { success, response, error, retryable }. `body` is passed separately
+ * because redacted notifications do not keep their body in the database.
+ */
+
+// Firebase Cloud Messaging push notifications
+const pushAdapter = {
+  name: 'fcm',
+  send: async (notification, body) => {
+    const user = await User.findById(notification.userId);
+
+    if (!user || !user.fcmTokens || user.fcmTokens.length === 0) {
+      return { success: false, error: 'User has no FCM tokens registered', retryable: false };
+    }
+
+    const admin = require('firebase-admin');
+
+    if (!admin.apps.length) {
+      admin.initializeApp({
+        credential: admin.credential.cert(JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT_KEY)),
+      });
+    }
+
+    // FCM only accepts string values in the data payload
+    const data = {};
+    Object.entries(notification.data || {}).forEach(([key, value]) => {
+      if (value === undefined || value === null) return;
+      data[key] = typeof value === 'string' ? value : (value instanceof Date ? value.toISOString() : JSON.stringify(value));
+    });
+    data.notificationId = notification._id.toString();
+
+    const messages = user.fcmTokens.map(token => ({
+      token,
+      notification: {
+        title: notification.title,
+        body,
+      },
+      data,
+    }));
+
+    const response = await admin.messaging().sendEach(messages);
+
+    // Forget tokens for uninstalled apps so they are not retried forever
+    const invalidTokens = response.responses
+      .map((result, index) => (!result.success && result.error && INVALID_TOKEN_CODES.includes(result.error.code) ? user.fcmTokens[index] : null))
+      .filter(Boolean);
+
+    if (invalidTokens.length > 0) {
+      await User.findByIdAndUpdate(user._id, { $pull: { fcmTokens: { $in: invalidTokens } } });
+    }
+
+    return {
+      success: response.successCount > 0,
+      response: {
+        successCount: response.successCount,
+        failureCount: response.failureCount,
+        errors: response.responses.filter(result => !result.success).map(result => result.error && result.error.code)
+      },
+      error: response.successCount > 0 ? undefined : 'Push notification was not delivered to any device',
+      retryable: invalidTokens.length < user.fcmTokens.length
+    };
+  }
+};
+
+// Twilio SMS and WhatsApp
+const createTwilioAdapter = (channel) => ({
+  name: 'twilio',
+  send: async (notification, body) => {
+    if (!notification.recipient || !notification.recipient.phoneNumber) {
+      return { success: false, error: 'Recipient has no phone number', retryable: false };
+    }
+
+    const result = await sendMessage(notification.recipient.phoneNumber, body, channel);
+
+    return {
+      success: result.success,
+      response: { sid: result.sid, status: result.status, code: result.code },
+      error: result.error,
+      // Client errors such as invalid numbers will not succeed on retry (rate limiting aside)
+      retryable: !result.status || result.status === 429 || result.status >= 500
+    };
+  }
+});
+
+// Email through the email service (SMTP, or the capture transport when SMTP is not configured)
+const emailAdapter = {
+  name: 'email',
+  send: async (notification, body) => {
+    if (!notification.recipient || !notification.recipient.email) {
+      return { success: false, error: 'Recipient has no email address', retryable: false };
+    }
+
+    const result = await sendNotificationEmail(notification.recipient.email, notification.title, body);
+
+    return {
+      success: result.success,
+      response: { messageId: result.messageId, response: result.response },
+      error: result.error,
+      retryable: result.retryable
+    };
+  }
+};
+
+// In-app notifications are delivered by being stored; the app reads them from the API
+const inAppAdapter = {
+  name: 'in_app',
+  send: async () => ({ success: true, response: { stored: true } })
+};
+
+// Development adapter: logs the message and appends it to a local outbox file
+const localAdapter = {
+  name: 'local',
+  send: async (notification, body) => {
+    const entry = {
+      notificationId: notification._id.toString(),
+      channel: notification.channel,
+      userId: notification.userId ? notification.userId.toString() : undefined,
+      recipient: notification.recipient,
+      title: notification.title,
+      body,
+      data: notification.data,
+      sentAt: new Date().toISOString()
+    };
+
+    logger.info(`[LOCAL] ${notification.channel} notification: ${notification.title || ''} - ${body}`, entry);
+
+    try {
+      await fs.promises.mkdir(path.dirname(LOCAL_OUTBOX_FILE), { recursive: true });
+      await fs.promises.appendFile(LOCAL_OUTBOX_FILE, `${JSON.stringify(entry)}\n`);
+    } catch (error) {
+      logger.warn('Could not write to local notification outbox:', error.message);
+    }
+
+    return { success: true, response: { outbox: LOCAL_OUTBOX_FILE } };
+  }
+};
+
+module.exports = {
+  pushAdapter,
+  smsAdapter: createTwilioAdapter('sms'),
+  whatsappAdapter: createTwilioAdapter('whatsapp'),
+  emailAdapter,
+  inAppAdapter,
+  localAdapter
+};
@@ -0,0 +1,261 @@
+// services/notificationDispatcher.js
+const cron = require('node-cron');
+const Notification = require('../models/Notification');
+const User = require('../models/userModel');
+const channels = require('./notificationChannels');
+const { evaluateNotification, orderChannels } = require('./notificationPreferenceService');
+const logger = require('../utils/logger');
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+// First retry waits this long; each later retry waits twice as long as the previous one
+const RETRY_BASE_MINUTES = 1;
+
+// Stored in place of the body for notifications that must not be kept (e.g. OTP codes)
+const REDACTED_BODY = '[redacted]';
+
+const adapters = {
+  push: channels.pushAdapter,
+  sms: channels.smsAdapter,
+  whatsapp: channels.whatsappAdapter,
+  email: channels.emailAdapter,
+  in_app: channels.inAppAdapter
+};
+
+/**
+ * Replace the adapter used for a channel (e.g. to plug in a different provider).
+ *
+ * @param {String} channel - push, sms, whatsapp, email or in_app
+ * @param {Object} adapter - Object with a name and an async send(notification, body)
+ */
+function registerChannel(channel, adapter) {
+  adapters[channel] = adapter;
+}
+
+/**
+ * Outside production every channel except in-app goes to the local adapter,
+ * unless NOTIFICATION_TRANSPORT=live is set. NOTIFICATION_TRANSPORT=local forces it in production.
+ */
+function useLocalTransport() {
+  if (process.env.NOTIFICATION_TRANSPORT === 'local') return true;
+  if (process.env.NOTIFICATION_TRANSPORT === 'live') return false;
+  return process.env.NODE_ENV !== 'production';
+}
+
+function getAdapter(channel) {
+  if (channel !== 'in_app' && useLocalTransport()) {
+    return channels.localAdapter;
+  }
+
+  return adapters[channel];
+}
+
+function getRetryDelay(attemptCount) {
+  return RETRY_BASE_MINUTES * Math.pow(2, attemptCount - 1) * 60 * 1000;
+}
+
+/**
+ * Send a notification on a single channel and record it.
+ *
+ * @param {Object} options
+ * @param {String} options.channel - push, sms, whatsapp, email or in_app
+ * @param {String} [options.userId] - Recipient account; phone number and email are looked up from it when not given
+ * @param {Object} [options.recipient] - { phoneNumber, email } for people without an account
+ * @param {String} [options.title]
+ * @param {String} options.body
+ * @param {Object} [options.channelBodies] - Body to use instead on some channels, e.g. { sms, whatsapp }
+ * @param {Object} [options.data] - Extra payload (sent as push data)
+ * @param {String} [options.category] - Used to group notifications, e.g. medication_reminder
+ * @param {Number} [options.maxAttempts] - Attempts before giving up
+ * @param {String} [options.priority] - 'critical' ignores the recipient's quiet hours and category toggles
+ * @param {Boolean} [options.redactBody] - Do not store the body; such notifications are never retried
+ * @returns {Object} The Notification document
+ */
+async function send(options) {
+  const {
+    channel,
+    userId,
+    title,
+    data = {},
+    category = 'general',
+    maxAttempts = DEFAULT_MAX_ATTEMPTS,
+    priority = 'normal',
+    redactBody = false
+  } = options;
+
+  const body = (options.channelBodies && options.channelBodies[channel]) || options.body;
+  const recipient = { ...(options.recipient || {}) };
+  const user = userId ? await User.findById(userId).select('phoneNumber email emailVerified timezone notificationPreferences') : null;
+
+  if (user) {
+    recipient.phoneNumber = recipient.phoneNumber || user.phoneNumber;
+    // Only verified addresses receive email
+    recipient.email = recipient.email || (user.emailVerified ? user.email : undefined);
+  }
+
+  // Honour the recipient's category toggles and quiet hours
+  const decision = evaluateNotification(user, { category, priority });
+
+  const notification = new Notification({
+    userId,
+    recipient,
+    channel,
+    category,
+    title,
+    body: redactBody ? REDACTED_BODY : body,
+    data,
+    priority,
+    maxAttempts: redactBody ? 1 : maxAttempts
+  });
+
+  if (decision.action === 'suppress') {
+    notification.status = 'suppressed';
+    await notification.save();
+    return notification;
+  }
+
+  if (decision.action === 'defer' && !redactBody) {
+    notification.status = 'deferred';
+    notification.nextAttemptAt = decision.deferUntil;
+    await notification.save();
+    logger.info(`Notification ${notification._id} (${category}) deferred until ${decision.deferUntil.toISOString()} for quiet hours`);
+    return notification;
+  }
+
+  await notification.save();
+
+  return attemptDelivery(notification, body);
+}
+
+/**
+ * Send the same notification on several channels.
+ * Without explicit channels, the recipient's preferred channels are tried in order
+ * until one of them is sent (or held for quiet hours).
+ *
+ * @param {Object} options - Same as send(), with `channels` instead of `channel`
+ * @param {Array<String>} [options.channels] - Send on all of these; defaults to the user's channel order
+ * @param {Boolean} [options.fallback] - Stop at the first channel that succeeds (default when no channels are given)
+ * @returns {Array} One Notification document per channel attempted
+ */
+async function dispatch(options) {
+  const hasChannels = options.channels && options.channels.length > 0;
+  const fallback = options.fallback !== undefined ? options.fallback : !hasChannels;
+  let orderedChannels = hasChannels ? [...new Set(options.channels)] : ['push'];
+
+  if (options.userId && (fallback || !hasChannels)) {
+    const user = await User.findById(options.userId).select('timezone notificationPreferences');
+    orderedChannels = orderChannels(user, hasChannels ? options.channels : undefined);
+  }
+
+  const notifications = [];
+
+  for (const channel of orderedChannels) {
+    const notification = await send({ ...options, channel });
+    notifications.push(notification);
+
+    if (fallback && ['sent', 'deferred', 'suppressed'].includes(notification.status)) {
+      break;
+    }
+  }
+
+  return notifications;
+}
+
+/**
+ * Hand a notification to its channel adapter and record the outcome.
+ * Failed attempts are scheduled for retry with exponential backoff
+ * until maxAttempts is reached or the adapter reports the failure as permanent.
+ */
+async function attemptDelivery(notification, body = notification.body) {
+  const adapter = getAdapter(notification.channel);
+  let result;
+
+  try {
+    if (!adapter) {
+      throw new Error(`No adapter registered for channel ${notification.channel}`);
+    }
+
+    result = await adapter.send(notification, body);
+  } catch (error) {
+    result = { success: false, error: error.message, retryable: true };
+  }
+
+  notification.attempts.push({
+    attemptedAt: new Date(),
+    transport: adapter ? adapter.name : undefined,
+    status: result.success ? 'sent' : 'failed',
+    providerResponse: result.response,
+    error: result.error
+  });
+  notification.attemptCount = notification.attempts.length;
+
+  if (result.success) {
+    notification.status = 'sent';
+    notification.sentAt = new Date();
+    notification.nextAttemptAt = undefined;
+  } else if (result.retryable !== false && notification.attemptCount < notification.maxAttempts) {
+    notification.status = 'retrying';
+    notification.nextAttemptAt = new Date(Date.now() + getRetryDelay(notification.attemptCount));
+    logger.warn(`Notification ${notification._id} (${notification.channel}) failed, retrying at ${notification.nextAttemptAt.toISOString()}: ${result.error}`);
+  } else {
+    notification.status = 'failed';
+    notification.nextAttemptAt = undefined;
+    logger.error(`Notification ${notification._id} (${notification.channel}) failed: ${result.error}`);
+  }
+
+  await notification.save();
+
+  return notification;
+}
+
+/**
+ * Retry every notification whose backoff has elapsed,
+ * and send notifications that were held for quiet hours.
+ */
+async function processDueRetries() {
+  const dueNotifications = await Notification.find({
+    status: { $in: ['retrying', 'deferred'] },
+    nextAttemptAt: { $lte: new Date() }
+  }).limit(100);
+
+  for (const dueNotification of dueNotifications) {
+    try {
+      // Claim the notification so that another server instance does not send it twice
+      const notification = await Notification.findOneAndUpdate(
+        { _id: dueNotification._id, status: dueNotification.status },
+        { status: 'pending', $unset: { nextAttemptAt: 1 } },
+        { new: true }
+      );
+
+      if (!notification) continue;
+
+      await attemptDelivery(notification);
+    } catch (error) {
+      logger.error(`Error retrying notification ${dueNotification._id}:`, error);
+    }
+  }
+}
+
+/**
+ * Start the notification retry scheduler.
+ * Runs every minute.
+ */
+function startNotificationRetryScheduler() {
+  cron.schedule('* * * * *', async () => {
+    try {
+      await processDueRetries();
+    } catch (error) {
+      logger.error('Error in notification retry scheduler:', error);
+    }
+  });
+
+  logger.info('Notification retry scheduler started');
+}
+
+module.exports = {
+  send,
+  dispatch,
+  registerChannel,
+  processDueRetries,
+  startNotificationRetryScheduler
+};
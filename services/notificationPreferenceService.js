@@ -0,0 +1,127 @@
+// services/notificationPreferenceService.js
+const {
+  DEFAULT_TIMEZONE,
+  timeStringToMinutes,
+  getLocalMinutes,
+  getUserTimezone
+} = require('../utils/timeUtils');
+
+// Notification categories the patient can switch off, keyed to their preference toggle
+const CATEGORY_PREFERENCES = {
+  medication_reminder: 'doseReminders',
+  refill_reminder: 'refillReminders',
+  follow_up: 'followUps',
+  insight: 'insights'
+};
+
+// Categories that always go out immediately, whatever the patient's preferences
+const CRITICAL_CATEGORIES = ['emergency', 'otp', 'patient_inactivity', 'health_concern'];
+
+const DEFAULT_CHANNEL_ORDER = ['push', 'sms', 'whatsapp', 'email'];
+
+/**
+ * Check whether an instant falls inside the user's quiet hours.
+ * Handles windows that cross midnight (e.g. 22:00-07:00).
+ *
+ * @param {Object} quietHours - user.notificationPreferences.quietHours
+ * @param {Date} date
+ * @param {string} timezone - Used when quiet hours have no timezone of their own (the user's profile timezone)
+ * @returns {boolean}
+ */
+function isInQuietHours(quietHours, date = new Date(), timezone = DEFAULT_TIMEZONE) {
+  if (!quietHours || !quietHours.enabled || !quietHours.start || !quietHours.end) {
+    return false;
+  }
+
+  const now = getLocalMinutes(date, quietHours.timezone || timezone);
+  const start = timeStringToMinutes(quietHours.start);
+  const end = timeStringToMinutes(quietHours.end);
+
+  if (start === end) return false;
+
+  return start < end ? now >= start && now < end : now >= start || now < end;
+}
+
+/**
+ * Get the instant the current quiet hours end.
+ *
+ * @param {Object} quietHours - user.notificationPreferences.quietHours
+ * @param {Date} date - An instant inside quiet hours
+ * @param {string} timezone - Used when quiet hours have no timezone of their own
+ * @returns {Date}
+ */
+function getQuietHoursEnd(quietHours, date = new Date(), timezone = DEFAULT_TIMEZONE) {
+  const now = getLocalMinutes(date, quietHours.timezone || timezone);
+  const minutesUntilEnd = (timeStringToMinutes(quietHours.end) - now + 24 * 60) % (24 * 60);
+
+  const end = new Date(date.getTime() + minutesUntilEnd * 60 * 1000);
+  end.setSeconds(0, 0);
+
+  return end;
+}
+
+/**
+ * Decide what to do with a notification for a user.
+ *
+ * @param {Object} user - User document (with notificationPreferences)
+ * @param {Object} options - { category, priority } where priority 'critical' bypasses preferences
+ * @param {Date} date - When the notification would be sent
+ * @returns {Object} - { action: 'send' | 'defer' | 'suppress', deferUntil }
+ */
+function evaluateNotification(user, { category, priority } = {}, date = new Date()) {
+  const preferences = user && user.notificationPreferences;
+
+  if (!preferences || priority === 'critical' || CRITICAL_CATEGORIES.includes(category)) {
+    return { action: 'send' };
+  }
+
+  const toggle = CATEGORY_PREFERENCES[category];
+
+  if (toggle && preferences.categories && preferences.categories[toggle] === false) {
+    return { action: 'suppress' };
+  }
+
+  const quietHours = preferences.quietHours;
+
+  // Dose reminders can be let through so night-time doses are not pushed to the morning
+  if (category === 'medication_reminder' && quietHours && quietHours.allowDoseReminders) {
+    return { action: 'send' };
+  }
+
+  const timezone = getUserTimezone(user);
+
+  if (isInQuietHours(quietHours, date, timezone)) {
+    return { action: 'defer', deferUntil: getQuietHoursEnd(quietHours, date, timezone) };
+  }
+
+  return { action: 'send' };
+}
+
+/**
+ * Order channels by the user's preference. Channels the user has not ranked keep their order at the end.
+ *
+ * @param {Object} user - User document
+ * @param {Array<String>} channels - Channels to order (defaults to every ranked channel)
+ * @returns {Array<String>}
+ */
+function orderChannels(user, channels) {
+  const preferences = user && user.notificationPreferences;
+  const channelOrder = preferences && preferences.channelOrder && preferences.channelOrder.length > 0 ?
+    preferences.channelOrder :
+    DEFAULT_CHANNEL_ORDER;
+
+  const requested = channels && channels.length > 0 ? [...new Set(channels)] : [...channelOrder];
+  const rank = (channel) => (channelOrder.includes(channel) ? channelOrder.indexOf(channel) : channelOrder.length);
+
+  return requested.sort((a, b) => rank(a) - rank(b));
+}
+
+module.exports = {
+  CATEGORY_PREFERENCES,
+  CRITICAL_CATEGORIES,
+  DEFAULT_CHANNEL_ORDER,
+  isInQuietHours,
+  getQuietHoursEnd,
+  evaluateNotification,
+  orderChannels
+};
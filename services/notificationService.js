@@ -1,70 +1,39 @@
 // services/notificationService.js
 
-const User = require('../models/userModel');
+const { send } = require('./notificationDispatcher');
 const logger = require('../utils/logger');
 
-// Create a mock notification service for development
-if (process.env.NODE_ENV !== 'production') {
-  module.exports = {
-    sendPushNotification: async (userId, title, body, data = {}) => {
-      logger.info(`[MOCK] Push notification sent to user ${userId}: ${title} - ${body}`, data);
-      return true;
-    }
-  };
-} else {
-  // Only initialize Firebase Admin in production
-  const admin = require('firebase-admin');
-
+/**
+ * Send a push notification to a user.
+ * Delivery goes through the notification dispatcher, which records the attempt,
+ * retries failures and uses the local adapter outside production.
+ *
+ * @param {String} userId - Recipient user ID
+ * @param {String} title - Notification title
+ * @param {String} body - Notification body
+ * @param {Object} data - Extra payload for the app
+ * @param {Object} options - { category, priority } used to group the notification and apply preferences
+ * @returns {Promise<boolean>} - Whether the first delivery attempt succeeded
+ */
+const sendPushNotification = async (userId, title, body, data = {}, options = {}) => {
   try {
-    // Try to parse the service account key
-    const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT_KEY);
-    
-    if (!admin.apps.length) {
-      admin.initializeApp({
-        credential: admin.credential.cert(serviceAccount),
-      });
-    }
+    const notification = await send({
+      channel: 'push',
+      userId,
+      title,
+      body,
+      data,
+      category: options.category || data.type,
+      priority: options.priority
+    });
 
-    // Firebase notification service for production
-    module.exports = {
-      sendPushNotification: async (userId, title, body, data = {}) => {
-        try {
-          // Get user FCM tokens
-          const user = await User.findById(userId);
-          
-          if (!user || !user.fcmTokens || user.fcmTokens.length === 0) {
-            logger.warn(`User ${userId} has no FCM tokens registered`);
-            return false;
-          }
-          
-          // Create messages for each token
-          const messages = user.fcmTokens.map(token => ({
-            token,
-            notification: {
-              title,
-              body,
-            },
-            data, // Optional: convert data values to strings if necessary
-          }));
-          
-          const response = await admin.messaging().sendAll(messages);
-          logger.info(`Push notification sent to user ${userId}: ${title} - ${body}`, response);
-          
-          return true;
-        } catch (error) {
-          logger.error('Error sending push notification:', error);
-          return false;
-        }
-      }
-    };
+    return notification.status === 'sent';
   } catch (error) {
-    logger.error('Error initializing Firebase Admin:', error);
-    // Fallback if Firebase initialization fails
-    module.exports = {
-      sendPushNotification: async (userId, title, body, data = {}) => {
-        logger.info(`[FALLBACK] Push notification sent to user ${userId}: ${title} - ${body}`, data);
-        return true;
-      }
-    };
+    logger.error('Error sending push notification:', error);
+    return false;
   }
-}
\ No newline at end of file
+};
+
+module.exports = {
+  sendPushNotification
+};
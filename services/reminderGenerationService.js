@@ -0,0 +1,268 @@
+// services/reminderGenerationService.js
+const cron = require('node-cron');
+const MedicationSchedule = require('../models/MedicationSchedule');
+const MedicationReminder = require('../models/MedicationReminder');
+const Medication = require('../models/medicationModel');
+const User = require('../models/userModel');
+const { getScheduledDoseTimes } = require('./doseScheduleService');
+const logger = require('../utils/logger');
+const { getUserTimezone } = require('../utils/timeUtils');
+
+// How far ahead reminders are generated
+const HORIZON_DAYS = 7;
+
+/**
+ * Start the reminder generation scheduler.
+ * Runs every hour and keeps each schedule's reminders filled up to the horizon.
+ */
+function startReminderGenerationScheduler() {
+  migrateLegacyReminders()
+    .then(() => generateReminders())
+    .catch(error => logger.error('Error migrating legacy reminders:', error));
+
+  cron.schedule('0 * * * *', async () => {
+    try {
+      await generateReminders();
+    } catch (error) {
+      logger.error('Error in reminder generation scheduler:', error);
+    }
+  });
+
+  logger.info('Reminder generation scheduler started');
+}
+
+/**
+ * Remove the upcoming reminders generated from a schedule.
+ * Reminders that were already sent or answered are kept as history.
+ */
+async function clearScheduleReminders(scheduleId, now = new Date()) {
+  const result = await MedicationReminder.deleteMany({
+    scheduleId,
+    scheduledTime: { $gt: now },
+    status: 'pending'
+  });
+
+  return result.deletedCount;
+}
+
+/**
+ * Bring a schedule's generated reminders in line with the schedule for the next HORIZON_DAYS.
+ * Safe to run repeatedly: existing reminders are updated in place, missing ones are added and
+ * pending ones that no longer match a dose are removed.
+ *
+ * @param {Object} schedule - MedicationSchedule document
+ * @param {Object} options - { medication, timezone, now }; loaded when not given
+ * @returns {Object} - { upserted, removed }
+ */
+async function materializeSchedule(schedule, options = {}) {
+  const now = options.now || new Date();
+
+  const medication = options.medication || await Medication.findById(schedule.medicationId).select('name isActive status');
+
+  const wantsReminders = schedule.active &&
+    schedule.reminders && schedule.reminders.enabled &&
+    medication && medication.isActive && medication.status === 'active';
+
+  if (!wantsReminders) {
+    const removed = await clearScheduleReminders(schedule._id, now);
+    return { upserted: 0, removed };
+  }
+
+  let timezone = options.timezone;
+
+  if (!timezone) {
+    const user = await User.findById(schedule.userId).select('timezone');
+    timezone = getUserTimezone(user);
+  }
+
+  const horizon = new Date(now.getTime() + HORIZON_DAYS * 24 * 60 * 60 * 1000);
+  const doses = getScheduledDoseTimes(schedule, now, horizon, timezone);
+  const { offset, channels, smartReminder } = schedule.reminders;
+
+  const operations = [];
+
+  for (const { scheduledTime, time, dose } of doses) {
+    // Tapering doses change from phase to phase, so name the dose in the reminder
+    const name = schedule.scheduleType === 'taper' && dose ? `${medication.name} ${dose}` : medication.name;
+
+    const fields = {
+      reminderTime: new Date(scheduledTime.getTime() - offset * 60 * 1000),
+      offset,
+      channels,
+      message: `Time to take ${name}${time.label ? ` (${time.label})` : ''}`,
+      smartReminder
+    };
+
+    // Add the reminder if this dose has none yet
+    operations.push({
+      updateOne: {
+        filter: { scheduleId: schedule._id, scheduledTime },
+        update: {
+          $setOnInsert: {
+            userId: schedule.userId,
+            medicationId: schedule.medicationId,
+            reminderType: 'dose',
+            enabled: true,
+            status: 'pending',
+            ...fields
+          }
+        },
+        upsert: true
+      }
+    });
+
+    // Pick up changes to the reminder settings on reminders that have not gone out yet
+    operations.push({
+      updateOne: {
+        filter: { scheduleId: schedule._id, scheduledTime, status: 'pending' },
+        update: { $set: fields }
+      }
+    });
+  }
+
+  let upserted = 0;
+
+  if (operations.length > 0) {
+    try {
+      const result = await MedicationReminder.bulkWrite(operations, { ordered: false });
+      upserted = result.upsertedCount;
+    } catch (error) {
+      // Another instance generated the same dose at the same time; the unique index keeps one
+      if (!error.writeErrors || error.writeErrors.some(writeError => writeError.code !== 11000)) {
+        throw error;
+      }
+    }
+  }
+
+  // Doses that were moved or dropped from the schedule
+  const removal = await MedicationReminder.deleteMany({
+    scheduleId: schedule._id,
+    status: 'pending',
+    scheduledTime: { $gt: now, $nin: doses.map(dose => dose.scheduledTime) }
+  });
+
+  return { upserted, removed: removal.deletedCount };
+}
+
+/**
+ * Regenerate the reminders of every schedule of a medication.
+ * Called when a medication or its schedule changes, is paused or is stopped.
+ */
+async function syncMedicationReminders(medicationId) {
+  try {
+    const schedules = await MedicationSchedule.find({ medicationId });
+
+    for (const schedule of schedules) {
+      await materializeSchedule(schedule);
+    }
+  } catch (error) {
+    logger.error(`Error syncing reminders for medication ${medicationId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Switch on reminder generation for schedules set up before it existed.
+ * Those schedules got one reminder per time of day (without a scheduledTime) instead;
+ * schedules whose legacy reminders were all disabled stay off.
+ * The pending legacy reminders are removed, as the generated ones replace them, and the rest are
+ * disabled so that a schedule is only migrated once. Safe to run on every start.
+ */
+async function migrateLegacyReminders() {
+  const legacyQuery = {
+    reminderType: 'dose',
+    scheduleId: { $exists: true },
+    scheduledTime: { $exists: false }
+  };
+
+  const scheduleIds = await MedicationReminder.distinct('scheduleId', { ...legacyQuery, enabled: true });
+
+  if (scheduleIds.length === 0) return { enabled: 0, removed: 0 };
+
+  const enabled = await MedicationSchedule.updateMany(
+    { _id: { $in: scheduleIds }, 'reminders.enabled': { $ne: true } },
+    { $set: { 'reminders.enabled': true } }
+  );
+
+  const removed = await MedicationReminder.deleteMany({
+    ...legacyQuery,
+    scheduleId: { $in: scheduleIds },
+    status: 'pending'
+  });
+
+  await MedicationReminder.updateMany(
+    { ...legacyQuery, scheduleId: { $in: scheduleIds } },
+    { $set: { enabled: false } }
+  );
+
+  logger.info(`Legacy reminders migrated: ${enabled.modifiedCount} schedules switched on, ${removed.deletedCount} reminders removed`);
+
+  return { enabled: enabled.modifiedCount, removed: removed.deletedCount };
+}
+
+/**
+ * Generate reminders for all active schedules and clear those of schedules that were switched off.
+ */
+async function generateReminders(now = new Date()) {
+  const schedules = await MedicationSchedule.find({
+    active: true,
+    'reminders.enabled': true,
+    scheduleType: { $ne: 'as_needed' }
+  });
+
+  const [medications, users] = await Promise.all([
+    Medication.find({ _id: { $in: schedules.map(schedule => schedule.medicationId) } }).select('name isActive status'),
+    User.find({ _id: { $in: schedules.map(schedule => schedule.userId) } }).select('timezone')
+  ]);
+
+  const medicationsById = new Map(medications.map(medication => [medication._id.toString(), medication]));
+  const timezonesByUser = new Map(users.map(user => [user._id.toString(), getUserTimezone(user)]));
+
+  let upserted = 0;
+  let removed = 0;
+
+  for (const schedule of schedules) {
+    try {
+      const result = await materializeSchedule(schedule, {
+        now,
+        medication: medicationsById.get(schedule.medicationId.toString()) || null,
+        timezone: timezonesByUser.get(schedule.userId.toString())
+      });
+
+      upserted += result.upserted;
+      removed += result.removed;
+    } catch (error) {
+      logger.error(`Error generating reminders for schedule ${schedule._id}:`, error);
+    }
+  }
+
+  // Schedules that still have upcoming reminders but were deactivated or had reminders switched off
+  const scheduleIds = await MedicationReminder.distinct('scheduleId', {
+    status: 'pending',
+    scheduledTime: { $gt: now }
+  });
+
+  const stale = await MedicationSchedule.find({
+    _id: { $in: scheduleIds },
+    $or: [{ active: false }, { 'reminders.enabled': { $ne: true } }]
+  }).select('_id');
+
+  for (const schedule of stale) {
+    removed += await clearScheduleReminders(schedule._id, now);
+  }
+
+  if (upserted > 0 || removed > 0) {
+    logger.info(`Reminder generation: ${upserted} reminders added, ${removed} removed`);
+  }
+
+  return { upserted, removed };
+}
+
+module.exports = {
+  HORIZON_DAYS,
+  startReminderGenerationScheduler,
+  materializeSchedule,
+  syncMedicationReminders,
+  migrateLegacyReminders,
+  generateReminders
+};
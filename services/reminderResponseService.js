@@ -0,0 +1,304 @@
+// services/reminderResponseService.js
+const MedicationReminder = require('../models/MedicationReminder');
+const Medication = require('../models/medicationModel');
+const MedicationLog = require('../models/MedicationLog');
+const User = require('../models/userModel');
+const { generateToken, signValue, verifySignedValue, buildPublicUrl } = require('../utils/tokenUtils');
+const { normalizePhoneNumber } = require('./emergencyService');
+const { closeAlertForSource } = require('./caregiverAlertService');
+const { publishDoseEvent } = require('./careEventService');
+
+const RESPONSE_ACTIONS = ['taken', 'skipped', 'snoozed'];
+
+const MIN_SNOOZE_MINUTES = 5;
+const MAX_SNOOZE_MINUTES = 120;
+const DEFAULT_SNOOZE_MINUTES = 15;
+
+// How long the reply link in a reminder stays valid after it is first sent
+const ACTION_TOKEN_HOURS = 12;
+
+// Text replies only apply to reminders sent within this window
+const REPLY_WINDOW_HOURS = 12;
+
+// Reminders a text reply or link can still answer
+const ANSWERABLE_STATUSES = ['sent', 'snoozed', 'missed'];
+
+/**
+ * Check a reminder response sent by the client.
+ *
+ * @param {String} action - taken, skipped or snoozed
+ * @param {Number} snoozeMinutes - Required when snoozing
+ * @returns {String|null} Error message, or null when the response is valid
+ */
+function validateResponse(action, snoozeMinutes) {
+  if (!RESPONSE_ACTIONS.includes(action)) {
+    return `Invalid action. Must be one of: ${RESPONSE_ACTIONS.join(', ')}`;
+  }
+
+  if (action === 'snoozed' &&
+      (!snoozeMinutes || snoozeMinutes < MIN_SNOOZE_MINUTES || snoozeMinutes > MAX_SNOOZE_MINUTES)) {
+    return `Snooze time must be between ${MIN_SNOOZE_MINUTES} and ${MAX_SNOOZE_MINUTES} minutes`;
+  }
+
+  return null;
+}
+
+/**
+ * Answer a reminder: snooze it, or record the dose as taken or skipped.
+ * Answering also invalidates the reminder's reply link.
+ *
+ * @param {Object} reminder - MedicationReminder document
+ * @param {String} action - taken, skipped or snoozed (already validated)
+ * @param {Object} options - { snoozeMinutes, notes, recordedBy, now }
+ * @returns {Object} - { reminder, medicationLog } where medicationLog is null for snoozes
+ */
+async function respondToReminder(reminder, action, options = {}) {
+  const { snoozeMinutes, notes, recordedBy } = options;
+  const now = options.now || new Date();
+
+  reminder.actionToken = undefined;
+  reminder.responseAction = action;
+  reminder.acknowledgedAt = now;
+
+  if (action === 'snoozed') {
+    reminder.status = 'snoozed';
+    reminder.reminderTime = new Date(now.getTime() + parseInt(snoozeMinutes) * 60 * 1000);
+
+    await reminder.save();
+
+    return { reminder, medicationLog: null };
+  }
+
+  const scheduledTime = reminder.scheduledTime || reminder.reminderTime;
+
+  // A late answer replaces the miss the scheduler recorded for this dose
+  const autoMissedLog = reminder.status === 'missed' ? await MedicationLog.findOne({
+    medicationId: reminder.medicationId,
+    scheduledTime,
+    status: 'missed',
+    recordedBy: { $exists: false }
+  }) : null;
+
+  reminder.status = 'acknowledged';
+
+  await reminder.save();
+
+  const medicationLog = autoMissedLog || new MedicationLog({
+    userId: reminder.userId,
+    medicationId: reminder.medicationId,
+    scheduledTime
+  });
+
+  Object.assign(medicationLog, {
+    takenTime: action === 'taken' ? now : null,
+    status: action,
+    notes,
+    recordedBy: recordedBy || reminder.userId,
+    recordedAt: now,
+    quantityAdjustment: action === 'taken' ? -1 : 0
+  });
+
+  await medicationLog.save();
+
+  publishDoseEvent(medicationLog);
+
+  // Caregivers no longer need to chase a dose the patient has now answered
+  await closeAlertForSource('missed_dose', reminder._id, `Dose recorded as ${action}`);
+
+  // Update medication remaining quantity if taken
+  if (action === 'taken') {
+    const medication = await Medication.findById(reminder.medicationId);
+
+    if (medication && medication.remainingQuantity !== undefined) {
+      medication.remainingQuantity = Math.max(0, medication.remainingQuantity - 1);
+      await medication.save();
+    }
+  }
+
+  return { reminder, medicationLog };
+}
+
+/**
+ * Get the signed reply token for a reminder, creating it the first time the reminder goes out.
+ * Follow-up nags reuse the same token so earlier notifications keep working.
+ *
+ * @param {Object} reminder - MedicationReminder document
+ * @param {Date} now
+ * @returns {String} Token for the reminder action endpoint
+ */
+async function issueActionToken(reminder, now = new Date()) {
+  const current = reminder.actionToken;
+
+  if (current && current.nonce && current.expiresAt > now) {
+    return signValue(`${reminder._id}.${current.nonce}`);
+  }
+
+  const nonce = generateToken(8);
+
+  await MedicationReminder.updateOne(
+    { _id: reminder._id },
+    { actionToken: { nonce, expiresAt: new Date(now.getTime() + ACTION_TOKEN_HOURS * 60 * 60 * 1000) } }
+  );
+
+  return signValue(`${reminder._id}.${nonce}`);
+}
+
+// Reminder id and nonce from a signed reply token, or null when the token is not genuine
+function parseActionToken(token) {
+  const value = verifySignedValue(token);
+
+  if (!value) return null;
+
+  const [reminderId, nonce] = value.split('.');
+
+  if (!/^[0-9a-f]{24}$/.test(reminderId) || !nonce) return null;
+
+  return { reminderId, nonce };
+}
+
+function usableTokenQuery({ reminderId, nonce }, now) {
+  return {
+    _id: reminderId,
+    'actionToken.nonce': nonce,
+    'actionToken.expiresAt': { $gt: now },
+    status: { $in: ANSWERABLE_STATUSES }
+  };
+}
+
+/**
+ * Look up the reminder a reply token answers, without using the token up.
+ *
+ * @param {String} token
+ * @param {Date} now
+ * @returns {Object|null} The MedicationReminder document, or null when the token cannot be used
+ */
+async function findByActionToken(token, now = new Date()) {
+  const parsed = parseActionToken(token);
+
+  if (!parsed) return null;
+
+  return MedicationReminder.findOne(usableTokenQuery(parsed, now));
+}
+
+/**
+ * Use up a reminder reply token.
+ * Each token answers its reminder once; it is rejected after use, after it expires
+ * or once the reminder was answered another way.
+ *
+ * @param {String} token
+ * @param {Date} now
+ * @returns {Object|null} The MedicationReminder document, or null when the token cannot be used
+ */
+async function consumeActionToken(token, now = new Date()) {
+  const parsed = parseActionToken(token);
+
+  if (!parsed) return null;
+
+  return MedicationReminder.findOneAndUpdate(
+    usableTokenQuery(parsed, now),
+    { $unset: { actionToken: 1 } },
+    { new: true }
+  );
+}
+
+/**
+ * Build the links and reply instructions added to a dose reminder.
+ *
+ * @param {Object} reminder - MedicationReminder document
+ * @param {Date} now
+ * @returns {Object} - { token, actionUrl, textInstructions }
+ */
+async function buildReminderActions(reminder, now = new Date()) {
+  const token = await issueActionToken(reminder, now);
+  const actionUrl = buildPublicUrl(`/api/medications/reminders/action/${token}`);
+
+  return {
+    token,
+    actionUrl,
+    textInstructions: `Reply TAKEN, SKIP or SNOOZE ${DEFAULT_SNOOZE_MINUTES}.\nOr answer here: ${actionUrl}`
+  };
+}
+
+/**
+ * Read a reminder reply sent by text message, e.g. "taken", "skip" or "snooze 15".
+ *
+ * @param {String} text
+ * @returns {Object|null} - { action, snoozeMinutes } or null when the text is not a reminder reply
+ */
+function parseReplyText(text) {
+  const words = String(text || '').trim().toLowerCase().split(/\s+/);
+
+  if (['taken', 'take', 'took', 'done'].includes(words[0])) {
+    return { action: 'taken' };
+  }
+
+  if (['skip', 'skipped', 'skipping'].includes(words[0])) {
+    return { action: 'skipped' };
+  }
+
+  if (['snooze', 'later'].includes(words[0])) {
+    const minutes = parseInt(words[1]);
+    return { action: 'snoozed', snoozeMinutes: Number.isNaN(minutes) ? DEFAULT_SNOOZE_MINUTES : minutes };
+  }
+
+  return null;
+}
+
+/**
+ * Find the reminder a text reply from a phone number is about:
+ * the most recently sent reminder of that user which is still waiting for an answer.
+ *
+ * @param {String} phoneNumber - Sender as given by Twilio (WhatsApp senders start with "whatsapp:")
+ * @param {Date} now
+ * @returns {Object|null} MedicationReminder document with the medication populated
+ */
+async function findOutstandingReminder(phoneNumber, now = new Date()) {
+  const normalized = normalizePhoneNumber(phoneNumber);
+
+  if (!normalized) return null;
+
+  // Stored numbers may contain spaces or dashes between the digits
+  const users = await User.find({ phoneNumber: new RegExp(`${normalized.split('').join('\\D*')}$`) }).select('_id phoneNumber');
+  const userIds = users
+    .filter(user => normalizePhoneNumber(user.phoneNumber) === normalized)
+    .map(user => user._id);
+
+  if (userIds.length === 0) return null;
+
+  return MedicationReminder.findOne({
+    userId: { $in: userIds },
+    reminderType: 'dose',
+    status: { $in: ANSWERABLE_STATUSES },
+    lastSentAt: { $gte: new Date(now.getTime() - REPLY_WINDOW_HOURS * 60 * 60 * 1000) }
+  })
+    .sort({ lastSentAt: -1 })
+    .populate('medicationId', 'name');
+}
+
+/**
+ * Confirmation sent back to the patient after a reply.
+ */
+function describeResponse(action, medicationName, snoozeMinutes) {
+  if (action === 'snoozed') {
+    return `OK, we will remind you about ${medicationName} again in ${snoozeMinutes} minutes.`;
+  }
+
+  return action === 'taken' ?
+    `Thank you. ${medicationName} is marked as taken.` :
+    `OK. ${medicationName} is marked as skipped.`;
+}
+
+module.exports = {
+  RESPONSE_ACTIONS,
+  DEFAULT_SNOOZE_MINUTES,
+  ACTION_TOKEN_HOURS,
+  validateResponse,
+  respondToReminder,
+  issueActionToken,
+  findByActionToken,
+  consumeActionToken,
+  buildReminderActions,
+  parseReplyText,
+  findOutstandingReminder,
+  describeResponse
+};
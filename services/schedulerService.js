@@ -129,6 +129,11 @@ async function sendFollowUpNotification(followUp) {
         followUpId: followUp._id.toString(),
         followUpType: followUp.followUpType,
         riskLevel: followUp.riskLevel
+      },
+      {
+        category: 'follow_up',
+        // High risk follow-ups are not held back by quiet hours or switched-off follow-ups
+        priority: ['emergency', 'high'].includes(followUp.riskLevel) ? 'critical' : 'normal'
       }
     );
     
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { URGENCY_WEIGHTS, calculateUrgency } = require('../services/caregiverOverviewService');
+
+test('calculateUrgency is low when nothing needs attention', () => {
+  assert.deepEqual(calculateUrgency({
+    doses: { missed: 0, overdue: 0 },
+    vitals: { abnormalCount: 0 },
+    alerts: { count: 0, caregiverAlerts: { count: 0, critical: 0 } },
+    followUps: { overdue: 0 }
+  }), { score: 0, level: 'low', reasons: [] });
+});
+
+test('calculateUrgency skips sections the caregiver cannot see', () => {
+  assert.deepEqual(calculateUrgency({ doses: null, vitals: null, alerts: null, followUps: null }), {
+    score: 0,
+    level: 'low',
+    reasons: []
+  });
+});
+
+test('calculateUrgency makes open emergencies critical', () => {
+  const urgency = calculateUrgency({ alerts: { count: 1, caregiverAlerts: { count: 0, critical: 0 } } });
+
+  assert.equal(urgency.score, URGENCY_WEIGHTS.openIncident);
+  assert.equal(urgency.level, 'critical');
+  assert.deepEqual(urgency.reasons, ['1 open emergency alert(s)']);
+});
+
+test('calculateUrgency weighs critical caregiver alerts above warnings', () => {
+  const urgency = calculateUrgency({ alerts: { count: 0, caregiverAlerts: { count: 3, critical: 1 } } });
+
+  assert.equal(urgency.score, URGENCY_WEIGHTS.criticalCaregiverAlert + 2 * URGENCY_WEIGHTS.caregiverAlert);
+  assert.equal(urgency.level, 'high');
+  assert.deepEqual(urgency.reasons, ['1 critical caregiver alert(s)', '2 open caregiver alert(s)']);
+});
+
+test('calculateUrgency adds up doses, vitals and follow-ups', () => {
+  const urgency = calculateUrgency({
+    doses: { missed: 1, overdue: 2 },
+    vitals: { abnormalCount: 1 },
+    followUps: { highestRisk: 'high', overdue: 1 }
+  });
+
+  assert.equal(urgency.score,
+    URGENCY_WEIGHTS.highRiskFollowUp + URGENCY_WEIGHTS.overdueFollowUp + URGENCY_WEIGHTS.missedDose +
+    2 * URGENCY_WEIGHTS.overdueDose + URGENCY_WEIGHTS.abnormalVital);
+  assert.equal(urgency.level, 'high');
+  assert.equal(urgency.reasons.length, 5);
+});
+
+test('calculateUrgency is medium for a single overdue dose', () => {
+  assert.equal(calculateUrgency({ doses: { missed: 0, overdue: 1 } }).level, 'medium');
+});
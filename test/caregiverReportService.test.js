@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getReportPeriod, getLatestReportPeriod } = require('../services/caregiverReportService');
+
+const TIMEZONE = 'Asia/Kolkata';
+
+const relationship = (reportFrequency, reportTime = '20:00') => ({ notificationPreferences: { reportFrequency, reportTime } });
+
+const iso = (period) => ({
+  key: period.key,
+  sendAt: period.sendAt && period.sendAt.toISOString(),
+  startDate: period.startDate.toISOString(),
+  endDate: period.endDate.toISOString()
+});
+
+test('getReportPeriod covers the last day or week before the end date', () => {
+  const endDate = new Date('2024-05-15T10:00:00Z');
+
+  assert.equal(getReportPeriod('daily', endDate).startDate.toISOString(), '2024-05-14T10:00:00.000Z');
+  assert.equal(getReportPeriod('weekly', endDate).startDate.toISOString(), '2024-05-08T10:00:00.000Z');
+  assert.equal(getReportPeriod('weekly', endDate).endDate, endDate);
+});
+
+test('getReportPeriod goes back a calendar month in the caregiver timezone', () => {
+  assert.equal(getReportPeriod('monthly', new Date('2024-01-15T10:00:00Z'), TIMEZONE).startDate.toISOString(), '2023-12-15T10:00:00.000Z');
+  // Early on 1 April in Kolkata is still 31 March in UTC
+  assert.equal(getReportPeriod('monthly', new Date('2024-03-31T20:00:00Z'), TIMEZONE).startDate.toISOString(), '2024-02-29T20:00:00.000Z');
+});
+
+test('getReportPeriod does not roll over into the next month on the 31st', () => {
+  const { startDate } = getReportPeriod('monthly', new Date('2024-03-31T10:00:00Z'), TIMEZONE);
+
+  assert.equal(startDate.toISOString(), '2024-02-29T10:00:00.000Z');
+});
+
+test('getReportPeriod rejects unknown report types', () => {
+  assert.throws(() => getReportPeriod('yearly'), /Invalid report type/);
+});
+
+test('getLatestReportPeriod sends daily reports after the local report time', () => {
+  // 20:30 in Kolkata
+  assert.deepEqual(iso(getLatestReportPeriod(relationship('daily'), TIMEZONE, new Date('2024-05-05T15:00:00Z'))), {
+    key: 'daily:2024-05-05',
+    sendAt: '2024-05-05T14:30:00.000Z',
+    startDate: '2024-05-04T15:00:00.000Z',
+    endDate: '2024-05-05T15:00:00.000Z'
+  });
+  // Before the report time the latest period is the day before
+  assert.equal(getLatestReportPeriod(relationship('daily'), TIMEZONE, new Date('2024-05-05T05:00:00Z')).key, 'daily:2024-05-04');
+});
+
+test('getLatestReportPeriod covers the previous week from Sunday', () => {
+  // Tuesday 7 May: the report of Sunday 5 May is still the latest one
+  assert.deepEqual(iso(getLatestReportPeriod(relationship('weekly'), TIMEZONE, new Date('2024-05-07T05:00:00Z'))), {
+    key: 'weekly:2024-05-05',
+    sendAt: '2024-05-05T14:30:00.000Z',
+    startDate: '2024-04-27T18:30:00.000Z',
+    endDate: '2024-05-04T18:30:00.000Z'
+  });
+  // Sunday morning, before the report time
+  assert.equal(getLatestReportPeriod(relationship('weekly'), TIMEZONE, new Date('2024-05-05T05:00:00Z')).key, 'weekly:2024-04-28');
+});
+
+test('getLatestReportPeriod covers the previous calendar month from the 1st', () => {
+  assert.deepEqual(iso(getLatestReportPeriod(relationship('monthly'), TIMEZONE, new Date('2024-05-03T05:00:00Z'))), {
+    key: 'monthly:2024-05',
+    sendAt: '2024-05-01T14:30:00.000Z',
+    startDate: '2024-03-31T18:30:00.000Z',
+    endDate: '2024-04-30T18:30:00.000Z'
+  });
+  // 1 January before the report time: December's report is the latest
+  assert.equal(getLatestReportPeriod(relationship('monthly'), TIMEZONE, new Date('2024-01-01T05:00:00Z')).key, 'monthly:2023-12');
+});
+
+test('getLatestReportPeriod has nothing for unknown frequencies', () => {
+  assert.equal(getLatestReportPeriod(relationship('hourly'), TIMEZONE, new Date()), null);
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluateVitalSign, evaluateCheckIn } = require('../services/emergencyRulesService');
+
+test('evaluateVitalSign flags readings outside the critical limits', () => {
+  assert.deepEqual(
+    evaluateVitalSign({ type: 'bloodPressure', values: { systolic: 190, diastolic: 125 } }),
+    ['Systolic blood pressure above 180 mmHg', 'Diastolic blood pressure above 120 mmHg']
+  );
+  assert.deepEqual(evaluateVitalSign({ type: 'oxygenLevel', values: { oxygenLevel: 85 } }), ['Blood oxygen below 88%']);
+});
+
+test('evaluateVitalSign ignores normal readings and readings at the limit', () => {
+  assert.deepEqual(evaluateVitalSign({ type: 'heartRate', values: { heartRate: 72 } }), []);
+  assert.deepEqual(evaluateVitalSign({ type: 'heartRate', values: { heartRate: 140 } }), []);
+  assert.deepEqual(evaluateVitalSign({ type: 'weight', values: { weight: 500 } }), []);
+});
+
+test('evaluateVitalSign reads numeric strings', () => {
+  assert.deepEqual(evaluateVitalSign({ type: 'temperature', values: { temperature: '105.2' } }), ['Temperature above 104°F']);
+});
+
+test('evaluateVitalSign skips missing and non-numeric values', () => {
+  assert.deepEqual(evaluateVitalSign({ type: 'glucose', values: { glucoseLevel: '' } }), []);
+  assert.deepEqual(evaluateVitalSign({ type: 'glucose', values: { glucoseLevel: null } }), []);
+  assert.deepEqual(evaluateVitalSign({ type: 'glucose', values: { glucoseLevel: 'high' } }), []);
+  assert.deepEqual(evaluateVitalSign({ type: 'glucose' }), []);
+});
+
+test('evaluateCheckIn only raises emergency-risk check-ins', () => {
+  assert.deepEqual(evaluateCheckIn({ aiAssessment: { riskLevel: 'emergency' } }), ['Health check-in assessed as an emergency']);
+  assert.deepEqual(evaluateCheckIn({ aiAssessment: { riskLevel: 'high' } }), []);
+  assert.deepEqual(evaluateCheckIn({}), []);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const emergencyService = require('../services/emergencyService');
+
+const incident = { _id: 'incident-1', status: 'escalated' };
+const attempt = { phoneNumber: '+919800000001', purpose: 'alert' };
+
+// Stub the database lookups before the service picks them up
+test.mock.method(emergencyService, 'findByContactPhoneNumber', async () => ({ incident, attempt }));
+const acknowledgeIncident = test.mock.method(emergencyService, 'acknowledgeIncident', async (found) => {
+  found.status = 'acknowledged';
+  return found;
+});
+
+const { handleInboundMessage } = require('../services/inboundMessageService');
+
+test('handleInboundMessage keeps escalating when a contact replies with something other than OK', async () => {
+  for (const body of ["can't, I'm abroad", 'wrong number', 'STOP', 'not ok']) {
+    const reply = await handleInboundMessage('+919800000001', body);
+
+    assert.match(reply, /reply OK/);
+  }
+
+  assert.equal(acknowledgeIncident.mock.callCount(), 0);
+  assert.equal(incident.status, 'escalated');
+});
+
+test('handleInboundMessage acknowledges the alert on OK or YES', async () => {
+  const reply = await handleInboundMessage('+919800000001', '  Ok! ');
+
+  assert.equal(reply, 'Thank you. We have let them know you are responding.');
+  assert.equal(acknowledgeIncident.mock.callCount(), 1);
+  assert.equal(acknowledgeIncident.mock.calls[0].arguments[2], 'sms_reply');
+  assert.equal(incident.status, 'acknowledged');
+
+  await handleInboundMessage('+919800000001', 'YES');
+  assert.equal(acknowledgeIncident.mock.callCount(), 2);
+});
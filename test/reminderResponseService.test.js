@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseReplyText } = require('../services/reminderResponseService');
+
+test('parseReplyText reads taken and skipped replies', () => {
+  assert.deepEqual(parseReplyText('taken'), { action: 'taken' });
+  assert.deepEqual(parseReplyText('  Took it, thanks '), { action: 'taken' });
+  assert.deepEqual(parseReplyText('DONE'), { action: 'taken' });
+  assert.deepEqual(parseReplyText('skip'), { action: 'skipped' });
+  assert.deepEqual(parseReplyText('Skipping today'), { action: 'skipped' });
+});
+
+test('parseReplyText reads snooze replies with an optional number of minutes', () => {
+  assert.deepEqual(parseReplyText('snooze 30'), { action: 'snoozed', snoozeMinutes: 30 });
+  assert.deepEqual(parseReplyText('Later'), { action: 'snoozed', snoozeMinutes: 15 });
+  assert.deepEqual(parseReplyText('snooze please'), { action: 'snoozed', snoozeMinutes: 15 });
+});
+
+test('parseReplyText ignores other messages', () => {
+  assert.equal(parseReplyText('OK'), null);
+  assert.equal(parseReplyText('I have taken it'), null);
+  assert.equal(parseReplyText(''), null);
+  assert.equal(parseReplyText(undefined), null);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  isValidTimeString,
+  timeStringToMinutes,
+  getLocalTimeParts,
+  getLocalMinutes,
+  getTimezoneOffset,
+  zonedTimeToDate,
+  startOfLocalDay,
+  getLocalDateKey,
+  getNextOccurrence,
+  formatLocalTime,
+  getUserTimezone
+} = require('../utils/timeUtils');
+
+test('isValidTimezone accepts IANA names only', () => {
+  assert.equal(isValidTimezone('Asia/Kolkata'), true);
+  assert.equal(isValidTimezone('America/New_York'), true);
+  assert.equal(isValidTimezone('Mars/Olympus'), false);
+  assert.equal(isValidTimezone(''), false);
+  assert.equal(isValidTimezone(undefined), false);
+});
+
+test('isValidTimezone gives the same answer when a timezone is checked again', () => {
+  assert.equal(isValidTimezone('Europe/Paris'), true);
+  assert.equal(isValidTimezone('Europe/Paris'), true);
+  assert.equal(isValidTimezone('Europe/Nowhere'), false);
+  assert.equal(isValidTimezone('Europe/Nowhere'), false);
+});
+
+test('isValidTimeString and timeStringToMinutes handle 24 hour HH:mm times', () => {
+  assert.equal(isValidTimeString('08:30'), true);
+  assert.equal(isValidTimeString('23:59'), true);
+  assert.equal(isValidTimeString('24:00'), false);
+  assert.equal(isValidTimeString('8:30'), false);
+  assert.equal(isValidTimeString(830), false);
+  assert.equal(timeStringToMinutes('00:00'), 0);
+  assert.equal(timeStringToMinutes('08:30'), 510);
+  assert.equal(timeStringToMinutes('23:59'), 1439);
+});
+
+test('getLocalTimeParts converts an instant to the wall clock of a timezone', () => {
+  assert.deepEqual(getLocalTimeParts(new Date('2024-03-10T20:00:00Z'), 'Asia/Kolkata'), {
+    year: 2024, month: 3, day: 11, hour: 1, minute: 30, weekday: 1
+  });
+  assert.equal(getLocalMinutes(new Date('2024-03-10T20:00:00Z'), 'Asia/Kolkata'), 90);
+  assert.equal(formatLocalTime(new Date('2024-03-10T20:00:00Z'), 'Asia/Kolkata'), '01:30');
+});
+
+test('getTimezoneOffset follows daylight saving time', () => {
+  assert.equal(getTimezoneOffset(new Date('2024-06-01T12:00:00Z'), 'Asia/Kolkata'), 330);
+  assert.equal(getTimezoneOffset(new Date('2024-01-15T12:00:00Z'), 'America/New_York'), -300);
+  assert.equal(getTimezoneOffset(new Date('2024-07-15T12:00:00Z'), 'America/New_York'), -240);
+});
+
+test('zonedTimeToDate finds the instant of a local time, rolling over out of range days', () => {
+  assert.equal(zonedTimeToDate({ year: 2024, month: 5, day: 1, hour: 9 }, 'Asia/Kolkata').toISOString(), '2024-05-01T03:30:00.000Z');
+  assert.equal(zonedTimeToDate({ year: 2024, month: 1, day: 32 }, 'Asia/Kolkata').toISOString(), '2024-01-31T18:30:00.000Z');
+  // The day after the spring forward in New York
+  assert.equal(zonedTimeToDate({ year: 2024, month: 3, day: 11, hour: 8 }, 'America/New_York').toISOString(), '2024-03-11T12:00:00.000Z');
+});
+
+test('startOfLocalDay and getLocalDateKey use the local calendar day', () => {
+  const instant = new Date('2024-03-10T20:00:00Z');
+
+  assert.equal(startOfLocalDay(instant, 'Asia/Kolkata').toISOString(), '2024-03-10T18:30:00.000Z');
+  assert.equal(startOfLocalDay(instant, 'Asia/Kolkata', 1).toISOString(), '2024-03-11T18:30:00.000Z');
+  assert.equal(getLocalDateKey(instant, 'Asia/Kolkata'), '2024-03-11');
+  assert.equal(getLocalDateKey(instant, 'America/New_York'), '2024-03-10');
+});
+
+test('getNextOccurrence returns the next time the local clock shows a time', () => {
+  const after = new Date('2024-05-01T03:30:00Z'); // 09:00 in Kolkata
+
+  assert.equal(getNextOccurrence(10, 0, 'Asia/Kolkata', after).toISOString(), '2024-05-01T04:30:00.000Z');
+  assert.equal(getNextOccurrence(9, 0, 'Asia/Kolkata', after).toISOString(), '2024-05-02T03:30:00.000Z');
+});
+
+test('getUserTimezone falls back to the default timezone', () => {
+  assert.equal(getUserTimezone({ timezone: 'Europe/London' }), 'Europe/London');
+  assert.equal(getUserTimezone({ timezone: 'Nowhere/Land' }), DEFAULT_TIMEZONE);
+  assert.equal(getUserTimezone(null), DEFAULT_TIMEZONE);
+});
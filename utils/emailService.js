@@ -0,0 +1,159 @@
+// utils/emailService.js
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { caregiverReportEmail, verificationEmail, notificationEmail } = require('./emailTemplates');
+const logger = require('./logger');
+
+// Captured emails are written here so they can be opened in a browser
+const CAPTURE_DIR = path.join(__dirname, '..', 'logs', 'emails');
+
+// Number of captured emails kept in memory for inspection
+const MAX_CAPTURED_EMAILS = 50;
+
+const capturedEmails = [];
+
+/**
+ * Use SMTP when EMAIL_TRANSPORT=smtp or an SMTP host is configured;
+ * otherwise (or with EMAIL_TRANSPORT=capture) emails are captured locally.
+ */
+const useCaptureTransport = () => {
+  if (process.env.EMAIL_TRANSPORT === 'capture') return true;
+  if (process.env.EMAIL_TRANSPORT === 'smtp') return false;
+  return !process.env.SMTP_HOST;
+};
+
+let transporter = null;
+
+const getTransporter = () => {
+  if (transporter) return transporter;
+
+  transporter = useCaptureTransport() ?
+    nodemailer.createTransport({ jsonTransport: true }) :
+    nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || '587'),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      } : undefined
+    });
+
+  return transporter;
+};
+
+// Keep a copy of a captured email in memory and on disk
+const captureEmail = async (mailOptions, info) => {
+  const email = {
+    messageId: info.messageId,
+    from: mailOptions.from,
+    to: mailOptions.to,
+    subject: mailOptions.subject,
+    text: mailOptions.text,
+    html: mailOptions.html,
+    capturedAt: new Date()
+  };
+
+  capturedEmails.push(email);
+  if (capturedEmails.length > MAX_CAPTURED_EMAILS) {
+    capturedEmails.shift();
+  }
+
+  try {
+    await fs.promises.mkdir(CAPTURE_DIR, { recursive: true });
+    const fileName = `${email.capturedAt.getTime()}-${String(mailOptions.to).replace(/[^a-zA-Z0-9@._-]/g, '_')}.html`;
+    await fs.promises.writeFile(path.join(CAPTURE_DIR, fileName), mailOptions.html || `<pre>${mailOptions.text}</pre>`);
+  } catch (error) {
+    logger.warn('Could not write captured email to disk:', error.message);
+  }
+
+  logger.info(`[CAPTURE] Email to ${mailOptions.to}: ${mailOptions.subject}`);
+};
+
+/**
+ * Send an email
+ * @param {Object} options - { to, subject, html, text }
+ * @returns {Promise<Object>} - { success, messageId, response, error, retryable }
+ */
+const sendEmail = async ({ to, subject, html, text }) => {
+  const mailOptions = {
+    from: process.env.EMAIL_FROM || 'Sukoon Saarthi <no-reply@sukoonsaarthi.com>',
+    to,
+    subject,
+    html,
+    text
+  };
+
+  try {
+    const info = await getTransporter().sendMail(mailOptions);
+
+    if (useCaptureTransport()) {
+      await captureEmail(mailOptions, info);
+    }
+
+    return { success: true, messageId: info.messageId, response: info.response };
+  } catch (error) {
+    logger.error(`Error sending email to ${to}:`, error);
+    return {
+      success: false,
+      error: error.message,
+      // SMTP 5xx replies (e.g. unknown mailbox) are permanent
+      retryable: !(error.responseCode >= 500)
+    };
+  }
+};
+
+/**
+ * Send a caregiver health report
+ * @param {string} to - Caregiver's email address
+ * @param {string} caregiverName - Caregiver's name
+ * @param {string} patientName - Patient's name
+ * @param {Object} reportData - Output of formatReportForEmail
+ * @returns {Promise<Object>} - Result of sendEmail
+ */
+const sendReportEmail = async (to, caregiverName, patientName, reportData) => {
+  const { subject, html, text } = caregiverReportEmail(caregiverName, patientName, reportData);
+  return sendEmail({ to, subject, html, text });
+};
+
+/**
+ * Send the email address verification link
+ * @param {string} to - Address being verified
+ * @param {string} name - User's name
+ * @param {string} verificationUrl - Confirmation link
+ * @param {number} expiresInHours - Link lifetime
+ * @returns {Promise<Object>} - Result of sendEmail
+ */
+const sendVerificationEmail = async (to, name, verificationUrl, expiresInHours) => {
+  const { subject, html, text } = verificationEmail(name, verificationUrl, expiresInHours);
+  return sendEmail({ to, subject, html, text });
+};
+
+/**
+ * Send a plain notification wrapped in the standard email layout
+ * @param {string} to - Recipient address
+ * @param {string} title - Email subject and heading
+ * @param {string} body - Message text
+ * @returns {Promise<Object>} - Result of sendEmail
+ */
+const sendNotificationEmail = async (to, title, body) => {
+  const { subject, html, text } = notificationEmail(title, body);
+  return sendEmail({ to, subject, html, text });
+};
+
+// Captured emails (local transport only), most recent last
+const getCapturedEmails = () => [...capturedEmails];
+
+const clearCapturedEmails = () => {
+  capturedEmails.length = 0;
+};
+
+module.exports = {
+  sendEmail,
+  sendReportEmail,
+  sendVerificationEmail,
+  sendNotificationEmail,
+  getCapturedEmails,
+  clearCapturedEmails
+};
@@ -0,0 +1,203 @@
+// HTML email templates
+
+const BRAND_NAME = 'Sukoon Saarthi';
+
+// Escape user-provided text before putting it into HTML
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' }) : '');
+
+// Shared page layout so every email looks the same
+const layout = (title, content) => `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${escapeHtml(title)}</title>
+  </head>
+  <body style="margin:0;padding:0;background:#f4f6f8;font-family:Arial,Helvetica,sans-serif;color:#1f2933;">
+    <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#f4f6f8;padding:24px 0;">
+      <tr>
+        <td align="center">
+          <table role="presentation" width="600" cellpadding="0" cellspacing="0" style="max-width:600px;width:100%;background:#ffffff;border-radius:8px;overflow:hidden;">
+            <tr>
+              <td style="background:#2a6f97;color:#ffffff;padding:20px 24px;font-size:20px;font-weight:bold;">${BRAND_NAME}</td>
+            </tr>
+            <tr>
+              <td style="padding:24px;">
+                ${content}
+              </td>
+            </tr>
+            <tr>
+              <td style="padding:16px 24px;background:#f0f4f8;color:#616e7c;font-size:12px;">
+                You are receiving this email because of your notification settings in ${BRAND_NAME}.
+              </td>
+            </tr>
+          </table>
+        </td>
+      </tr>
+    </table>
+  </body>
+</html>`;
+
+const section = (heading, body) => `
+                <h2 style="font-size:16px;margin:24px 0 8px;color:#2a6f97;">${escapeHtml(heading)}</h2>
+                ${body}`;
+
+const table = (headers, rows) => `
+                <table role="presentation" width="100%" cellpadding="6" cellspacing="0" style="border-collapse:collapse;font-size:14px;">
+                  <tr>${headers.map(header => `<th align="left" style="border-bottom:2px solid #d9e2ec;">${escapeHtml(header)}</th>`).join('')}</tr>
+                  ${rows.map(row => `<tr>${row.map(cell => `<td style="border-bottom:1px solid #e4e7eb;">${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}
+                </table>`;
+
+const SEVERITY_COLORS = {
+  critical: '#c62828',
+  warning: '#ef6c00',
+  info: '#2a6f97'
+};
+
+const formatVitalValue = (value) => {
+  if (value === undefined || value === null) return '';
+  if (typeof value !== 'object') return value;
+  if (value.systolic !== undefined) return `${value.systolic}/${value.diastolic}`;
+  return Object.values(value).filter(item => item !== undefined && item !== null).join(', ');
+};
+
+/**
+ * Build the caregiver health report email.
+ *
+ * @param {String} caregiverName - Recipient's name
+ * @param {String} patientName - Patient the report is about
+ * @param {Object} reportData - Output of formatReportForEmail in the caregiver report service
+ * @returns {Object} { subject, html, text }
+ */
+const caregiverReportEmail = (caregiverName, patientName, reportData) => {
+  const subject = `${reportData.title} for ${patientName}`;
+  const parts = [];
+  const textParts = [`Hello ${caregiverName},`, '', `Here is the ${reportData.title.toLowerCase()} for ${patientName}.`];
+
+  parts.push(`
+                <p style="font-size:15px;">Hello ${escapeHtml(caregiverName)},</p>
+                <p style="font-size:15px;">Here is the ${escapeHtml(reportData.title.toLowerCase())} for <strong>${escapeHtml(patientName)}</strong>.</p>`);
+
+  if (reportData.criticalAlerts.length > 0) {
+    parts.push(section('Alerts', reportData.criticalAlerts.map(alert => `
+                <p style="margin:4px 0;padding:8px 12px;border-left:4px solid ${SEVERITY_COLORS[alert.severity] || SEVERITY_COLORS.info};background:#fafafa;font-size:14px;">
+                  ${escapeHtml(alert.message)}<br>
+                  <span style="color:#616e7c;font-size:12px;">${escapeHtml(formatDateTime(alert.timestamp))}</span>
+                </p>`).join('')));
+    textParts.push('', 'Alerts:', ...reportData.criticalAlerts.map(alert => `- ${alert.message}`));
+  }
+
+  if (reportData.adherenceRate !== undefined && reportData.adherenceRate !== null) {
+    const medicationRows = reportData.medications.map(medication => [
+      medication.name,
+      medication.adherenceRate !== undefined && medication.adherenceRate !== null ? `${medication.adherenceRate}%` : '-',
+      medication.missedDoses || 0
+    ]);
+
+    parts.push(section('Medication adherence', `
+                <p style="font-size:28px;font-weight:bold;margin:0;">${escapeHtml(reportData.adherenceRate)}%</p>
+                ${medicationRows.length > 0 ? table(['Medication', 'Adherence', 'Missed doses'], medicationRows) : ''}`));
+    textParts.push('', `Medication adherence: ${reportData.adherenceRate}%`,
+      ...reportData.medications.map(medication => `- ${medication.name}: ${medication.adherenceRate}% (${medication.missedDoses || 0} missed)`));
+  }
+
+  if (reportData.vitalSigns.length > 0) {
+    parts.push(section('Vital signs', `
+                <p style="font-size:14px;">${escapeHtml(reportData.abnormalReadingsCount)} of ${reportData.vitalSigns.length} readings were outside the normal range.</p>
+                ${table(['Reading', 'Value', 'Status', 'Time'], reportData.vitalSigns.map(vital => [
+    vital.type,
+    formatVitalValue(vital.value),
+    vital.isNormal ? 'Normal' : 'Abnormal',
+    formatDateTime(vital.timestamp)
+  ]))}`));
+    textParts.push('', `Vital signs: ${reportData.vitalSigns.length} readings, ${reportData.abnormalReadingsCount} abnormal`);
+  }
+
+  if (reportData.symptoms.length > 0) {
+    parts.push(section('Reported symptoms', table(['Symptom', 'Severity (1-5)', 'Reported'], reportData.symptoms.map(symptom => [
+      symptom.name,
+      symptom.severity || '-',
+      formatDateTime(symptom.reportedAt)
+    ]))));
+    textParts.push('', 'Reported symptoms:', ...reportData.symptoms.map(symptom => `- ${symptom.name} (severity ${symptom.severity || '-'})`));
+  }
+
+  if (reportData.efficacy && reportData.efficacy.length > 0) {
+    parts.push(section('How medications are working', table(['Medication', 'Rating (1-5)', 'Side effects'], reportData.efficacy.map(medication => [
+      medication.name,
+      medication.averageRating ?? '-',
+      medication.sideEffects.join(', ') || 'None reported'
+    ]))));
+    textParts.push('', 'How medications are working:', ...reportData.efficacy.map(medication => `- ${medication.name}: rated ${medication.averageRating ?? '-'}/5`));
+  }
+
+  if (reportData.recommendations.length > 0) {
+    parts.push(section('Recommendations', `
+                <ul style="font-size:14px;padding-left:20px;">
+                  ${reportData.recommendations.map(recommendation => `<li style="margin-bottom:6px;">${escapeHtml(recommendation)}</li>`).join('')}
+                </ul>`));
+    textParts.push('', 'Recommendations:', ...reportData.recommendations.map(recommendation => `- ${recommendation}`));
+  }
+
+  return {
+    subject,
+    html: layout(subject, parts.join('')),
+    text: textParts.join('\n')
+  };
+};
+
+/**
+ * Build the email address verification email.
+ *
+ * @param {String} name - Recipient's name
+ * @param {String} verificationUrl - Link that confirms the address
+ * @param {Number} expiresInHours - How long the link is valid
+ * @returns {Object} { subject, html, text }
+ */
+const verificationEmail = (name, verificationUrl, expiresInHours) => {
+  const subject = `Confirm your email address for ${BRAND_NAME}`;
+
+  const html = layout(subject, `
+                <p style="font-size:15px;">Hello ${escapeHtml(name)},</p>
+                <p style="font-size:15px;">Please confirm this email address so we can send you health reports and updates.</p>
+                <p style="margin:24px 0;">
+                  <a href="${escapeHtml(verificationUrl)}" style="background:#2a6f97;color:#ffffff;padding:12px 20px;border-radius:4px;text-decoration:none;font-weight:bold;">Confirm email address</a>
+                </p>
+                <p style="font-size:13px;color:#616e7c;">This link expires in ${expiresInHours} hours. If you did not add this address, you can ignore this email.</p>`);
+
+  const text = [
+    `Hello ${name},`,
+    '',
+    'Please confirm this email address so we can send you health reports and updates:',
+    verificationUrl,
+    '',
+    `This link expires in ${expiresInHours} hours. If you did not add this address, you can ignore this email.`
+  ].join('\n');
+
+  return { subject, html, text };
+};
+
+/**
+ * Wrap a plain notification in the standard layout.
+ */
+const notificationEmail = (title, body) => ({
+  subject: title || BRAND_NAME,
+  html: layout(title || BRAND_NAME, `
+                ${title ? `<h2 style="font-size:18px;margin:0 0 12px;">${escapeHtml(title)}</h2>` : ''}
+                <p style="font-size:15px;white-space:pre-line;">${escapeHtml(body)}</p>`),
+  text: body
+});
+
+module.exports = {
+  escapeHtml,
+  caregiverReportEmail,
+  verificationEmail,
+  notificationEmail
+};
@@ -0,0 +1,54 @@
+// HTML pages for the public links sent by SMS, WhatsApp and email
+const { escapeHtml } = require('./emailTemplates');
+
+const BRAND_NAME = 'Sukoon Saarthi';
+
+const layout = (title, content) => `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <meta name="robots" content="noindex">
+    <title>${escapeHtml(title)}</title>
+  </head>
+  <body style="margin:0;padding:24px;background:#f4f6f8;font-family:Arial,Helvetica,sans-serif;color:#1f2933;">
+    <div style="max-width:480px;margin:0 auto;background:#ffffff;border-radius:8px;overflow:hidden;">
+      <div style="background:#2a6f97;color:#ffffff;padding:16px 20px;font-size:18px;font-weight:bold;">${BRAND_NAME}</div>
+      <div style="padding:20px;">
+        <h1 style="font-size:20px;margin:0 0 12px;">${escapeHtml(title)}</h1>
+        ${content}
+      </div>
+    </div>
+  </body>
+</html>`;
+
+// Browsers ask for HTML; API clients (and curl's */*) get JSON
+const prefersHtml = (req) => req.accepts(['json', 'html']) === 'html';
+
+/**
+ * Page asking the visitor to confirm what a link does.
+ * Link previews and scanners only fetch the page, so nothing changes until a form is submitted
+ * (a POST to the same address).
+ *
+ * @param {Object} options - { title, message, actions: [{ label, fields }] } where fields become hidden inputs
+ * @returns {String} HTML
+ */
+const confirmationPage = ({ title, message, actions }) => layout(title, `
+        <p style="font-size:15px;">${escapeHtml(message)}</p>
+        ${actions.map(({ label, fields = {} }) => `
+        <form method="post" style="margin:12px 0;">
+          ${Object.entries(fields).map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`).join('')}
+          <button type="submit" style="width:100%;padding:12px;border:0;border-radius:4px;background:#2a6f97;color:#ffffff;font-size:16px;font-weight:bold;">${escapeHtml(label)}</button>
+        </form>`).join('')}`);
+
+/**
+ * Page showing the outcome of a confirmed link action.
+ */
+const resultPage = (title, message) => layout(title, `
+        <p style="font-size:15px;">${escapeHtml(message)}</p>`);
+
+module.exports = {
+  prefersHtml,
+  confirmationPage,
+  resultPage
+};
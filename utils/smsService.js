@@ -7,25 +7,39 @@ const twilioClient = twilio(
 );
 
 /**
- * Send SMS message using Twilio
+ * Send a message using Twilio and return the provider's response
  * @param {string} to - Recipient phone number
  * @param {string} message - Message content
- * @returns {Promise<boolean>} - Success status
+ * @param {string} channel - 'sms' or 'whatsapp'
+ * @returns {Promise<Object>} - { success, sid, status, error, code }
  */
-exports.sendSMS = async (to, message) => {
+exports.sendMessage = async (to, message, channel = 'sms') => {
   try {
-    await twilioClient.messages.create({
+    const result = await twilioClient.messages.create({
       body: message,
-      from: process.env.TWILIO_WHATSAPP_NUMBER,
-      to
+      from: channel === 'whatsapp' ?
+        `whatsapp:${process.env.TWILIO_WHATSAPP_NUMBER}` :
+        process.env.TWILIO_WHATSAPP_NUMBER,
+      to: channel === 'whatsapp' ? `whatsapp:${to}` : to
     });
-    return true;
+    return { success: true, sid: result.sid, status: result.status };
   } catch (error) {
-    console.error('Error sending SMS:', error);
-    return false;
+    console.error(`Error sending ${channel === 'whatsapp' ? 'WhatsApp message' : 'SMS'}:`, error);
+    return { success: false, error: error.message, code: error.code, status: error.status };
   }
 };
 
+/**
+ * Send SMS message using Twilio
+ * @param {string} to - Recipient phone number
+ * @param {string} message - Message content
+ * @returns {Promise<boolean>} - Success status
+ */
+exports.sendSMS = async (to, message) => {
+  const result = await exports.sendMessage(to, message, 'sms');
+  return result.success;
+};
+
 /**
  * Send WhatsApp message using Twilio
  * @param {string} to - Recipient phone number (must be in WhatsApp format)
@@ -33,15 +47,6 @@ exports.sendSMS = async (to, message) => {
  * @returns {Promise<boolean>} - Success status
  */
 exports.sendWhatsApp = async (to, message) => {
-  try {
-    await twilioClient.messages.create({
-      body: message,
-      from: `whatsapp:${process.env.TWILIO_WHATSAPP_NUMBER}`,
-      to: `whatsapp:${to}`
-    });
-    return true;
-  } catch (error) {
-    console.error('Error sending WhatsApp message:', error);
-    return false;
-  }
-};
\ No newline at end of file
+  const result = await exports.sendMessage(to, message, 'whatsapp');
+  return result.success;
+};
@@ -0,0 +1,205 @@
+// utils/timeUtils.js
+
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Formatters are costly to create and schedules convert many dates, so keep one per timezone
+const formatters = new Map();
+
+// Timezone names already found valid; users' timezones are checked on every schedule run.
+// Invalid names are not kept, so arbitrary input cannot grow the set.
+const validTimezones = new Set();
+
+const getFormatter = (timezone) => {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    }));
+  }
+
+  return formatters.get(timezone);
+};
+
+/**
+ * Check that a string is an IANA timezone name (e.g. "Asia/Kolkata")
+ * @param {string} timezone
+ * @returns {boolean}
+ */
+const isValidTimezone = (timezone) => {
+  if (!timezone || typeof timezone !== 'string') return false;
+
+  if (validTimezones.has(timezone)) return true;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    validTimezones.add(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Check that a string is a 24 hour "HH:mm" time
+ * @param {string} time
+ * @returns {boolean}
+ */
+const isValidTimeString = (time) => typeof time === 'string' && TIME_PATTERN.test(time);
+
+/**
+ * Convert "HH:mm" to minutes after midnight
+ * @param {string} time
+ * @returns {number}
+ */
+const timeStringToMinutes = (time) => {
+  const [, hours, minutes] = time.match(TIME_PATTERN);
+  return parseInt(hours) * 60 + parseInt(minutes);
+};
+
+/**
+ * Get the wall clock date and time of an instant in a timezone
+ * @param {Date} date - Instant to convert
+ * @param {string} timezone - IANA timezone name
+ * @returns {Object} - { year, month (1-12), day, hour, minute, weekday (0 = Sunday) }
+ */
+const getLocalTimeParts = (date, timezone = DEFAULT_TIMEZONE) => {
+  const parts = {};
+
+  getFormatter(timezone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+  };
+};
+
+/**
+ * Minutes after local midnight for an instant in a timezone
+ * @param {Date} date
+ * @param {string} timezone
+ * @returns {number}
+ */
+const getLocalMinutes = (date, timezone = DEFAULT_TIMEZONE) => {
+  const { hour, minute } = getLocalTimeParts(date, timezone);
+  return hour * 60 + minute;
+};
+
+/**
+ * Offset of a timezone from UTC at an instant, in minutes (e.g. 330 for Asia/Kolkata)
+ * @param {Date} date
+ * @param {string} timezone
+ * @returns {number}
+ */
+const getTimezoneOffset = (date, timezone = DEFAULT_TIMEZONE) => {
+  const { year, month, day, hour, minute } = getLocalTimeParts(date, timezone);
+  const localAsUtc = Date.UTC(year, month - 1, day, hour, minute);
+  const instant = new Date(date);
+  instant.setUTCSeconds(0, 0);
+
+  return Math.round((localAsUtc - instant.getTime()) / 60000);
+};
+
+/**
+ * Get the instant a wall clock date and time happens in a timezone.
+ * Out of range parts roll over like Date.UTC (e.g. day 32 is the next month).
+ * @param {Object} parts - { year, month (1-12), day, hour, minute }
+ * @param {string} timezone
+ * @returns {Date}
+ */
+const zonedTimeToDate = ({ year, month, day, hour = 0, minute = 0 }, timezone = DEFAULT_TIMEZONE) => {
+  const localAsUtc = Date.UTC(year, month - 1, day, hour, minute);
+  const guess = localAsUtc - getTimezoneOffset(new Date(localAsUtc), timezone) * 60000;
+
+  // Re-check the offset at the guessed instant in case a DST change lies in between
+  return new Date(localAsUtc - getTimezoneOffset(new Date(guess), timezone) * 60000);
+};
+
+/**
+ * Start of the local day containing an instant
+ * @param {Date} date
+ * @param {string} timezone
+ * @param {number} dayOffset - Whole days to move from that day (e.g. 1 for the start of tomorrow)
+ * @returns {Date}
+ */
+const startOfLocalDay = (date = new Date(), timezone = DEFAULT_TIMEZONE, dayOffset = 0) => {
+  const { year, month, day } = getLocalTimeParts(date, timezone);
+  return zonedTimeToDate({ year, month, day: day + dayOffset }, timezone);
+};
+
+/**
+ * Local calendar date of an instant as "YYYY-MM-DD"
+ * @param {Date} date
+ * @param {string} timezone
+ * @returns {string}
+ */
+const getLocalDateKey = (date, timezone = DEFAULT_TIMEZONE) => {
+  const { year, month, day } = getLocalTimeParts(date, timezone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Next instant a local wall clock time happens in a timezone
+ * @param {number} hour
+ * @param {number} minute
+ * @param {string} timezone
+ * @param {Date} after - Look for the first occurrence after this instant
+ * @returns {Date}
+ */
+const getNextOccurrence = (hour, minute, timezone = DEFAULT_TIMEZONE, after = new Date()) => {
+  const { year, month, day } = getLocalTimeParts(after, timezone);
+  let next = zonedTimeToDate({ year, month, day, hour, minute }, timezone);
+
+  if (next <= after) {
+    next = zonedTimeToDate({ year, month, day: day + 1, hour, minute }, timezone);
+  }
+
+  return next;
+};
+
+/**
+ * Local wall clock time of an instant as "HH:mm"
+ * @param {Date} date
+ * @param {string} timezone
+ * @returns {string}
+ */
+const formatLocalTime = (date, timezone = DEFAULT_TIMEZONE) => {
+  const { hour, minute } = getLocalTimeParts(date, timezone);
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+};
+
+/**
+ * Timezone to use for a user's wall clock times
+ * @param {Object} user - User document (or anything with a timezone field)
+ * @returns {string}
+ */
+const getUserTimezone = (user) => (user && isValidTimezone(user.timezone) ? user.timezone : DEFAULT_TIMEZONE);
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  isValidTimeString,
+  timeStringToMinutes,
+  getLocalTimeParts,
+  getLocalMinutes,
+  getTimezoneOffset,
+  zonedTimeToDate,
+  startOfLocalDay,
+  getLocalDateKey,
+  getNextOccurrence,
+  formatLocalTime,
+  getUserTimezone
+};
@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+
+/**
+ * Generate a random URL-safe token
+ * @param {number} bytes - Number of random bytes
+ * @returns {string} - Hex encoded token
+ */
+exports.generateToken = (bytes = 24) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+/**
+ * Hash a token for storage so that a database leak does not expose usable links
+ * @param {string} token - Plain token
+ * @returns {string} - SHA-256 hex digest
+ */
+exports.hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * Build an absolute URL for a public API path
+ * @param {string} path - Path beginning with a slash, e.g. /api/emergency/ack/abc
+ * @returns {string} - Absolute URL
+ */
+exports.buildPublicUrl = (path) => {
+  const baseUrl = (process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+  return `${baseUrl}${path}`;
+};
+
+const getSigningSecret = () => process.env.ACTION_TOKEN_SECRET || process.env.JWT_SECRET;
+
+const createSignature = (value) => {
+  return crypto.createHmac('sha256', getSigningSecret()).update(value).digest('base64url').slice(0, 22);
+};
+
+/**
+ * Sign a value so it can be handed out in links and verified later without a database lookup
+ * @param {string} value - Value to sign (must not contain '~')
+ * @returns {string} - URL-safe signed token
+ */
+exports.signValue = (value) => {
+  return `${Buffer.from(value).toString('base64url')}~${createSignature(value)}`;
+};
+
+/**
+ * Verify a token created by signValue
+ * @param {string} token - Signed token
+ * @returns {string|null} - The signed value, or null when the signature does not match
+ */
+exports.verifySignedValue = (token) => {
+  const [encoded, signature] = String(token || '').split('~');
+
+  if (!encoded || !signature) return null;
+
+  const value = Buffer.from(encoded, 'base64url').toString();
+  const expected = createSignature(value);
+
+  if (signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+
+  return value;
+};